@@ -4,10 +4,24 @@ import { CryptoOps } from './modules/cryptoOps.js';
 import { SignVerify } from './modules/signVerify.js';
 import { Encrypt } from './modules/encrypt.js';
 import { Decrypt } from './modules/decrypt.js';
+import { Vault } from './modules/vault.js';
+import { KeyAgent } from './modules/keyAgent.js';
+import { Inspector } from './modules/inspector.js';
+import { PacketDump } from './modules/packetDump.js';
+import { WorkerClient } from './modules/workerClient.js';
+import { Contacts } from './modules/contacts.js';
+import { Keyserver } from './modules/keyserver.js';
+import { Wkd } from './modules/wkd.js';
+import { Autocrypt } from './modules/autocrypt.js';
+import { PgpMime } from './modules/pgpMime.js';
+import { CertificateManager } from './modules/certificateManager.js';
+import { CertificateAuthority } from './modules/certificateAuthority.js';
+import { CertificateValidator } from './modules/certificateValidator.js';
 import { FileUtils } from './utils/fileUtils.js'; // Add this import
 import { Validation } from './utils/validation.js';
 import { Formatting } from './utils/formatting.js';
 import { Clipboard } from './utils/clipboard.js';
+import { CONSTANTS } from './utils/constants.js';
 
 class PGPApp {
     constructor() {
@@ -21,18 +35,41 @@ class PGPApp {
       //  this.keyManager = new KeyManager();
        // this.cryptoOps = new CryptoOps();
        
-        this.keyManager = new KeyManager(this.fileUtils);
-        this.cryptoOps = new CryptoOps(this.fileUtils);
+        // Heavy OpenPGP work runs in a worker, which keeps its own unlocked keys
+        this.workerClient = new WorkerClient({
+            onStatusChange: () => this.updateAgentStatus()
+        });
+        this.keyManager = new KeyManager(this.fileUtils, this.workerClient);
+        this.keyAgent = new KeyAgent({
+            promptPassphrase: this.promptPassphrase.bind(this),
+            onLock: () => {
+                this.workerClient.lock();
+                this.updateAgentStatus();
+            }
+        });
+        this.cryptoOps = new CryptoOps(this.keyManager, this.keyAgent, this.fileUtils, this.workerClient);
       //  this.signVerify = new SignVerify();
       this.signVerify = new SignVerify(this.keyManager, this.cryptoOps);
        // this.encrypt = new Encrypt();
        
-        this.decrypt = new Decrypt();
+        this.decrypt = new Decrypt(this.keyManager, this.cryptoOps, {
+            promptPassword: this.promptMessagePassword.bind(this)
+        });
+        this.vault = new Vault();
+        this.inspector = new Inspector(this.keyManager);
+        this.packetDump = new PacketDump();
+        this.contacts = new Contacts(this.keyManager);
+        this.keyserver = new Keyserver(this.keyManager);
+        this.wkd = new Wkd(this.keyManager);
+        this.autocrypt = new Autocrypt(this.keyManager);
+        this.pgpMime = new PgpMime(this.keyManager, this.cryptoOps, this.decrypt, this.contacts);
+        this.certificateManager = new CertificateManager(this.fileUtils);
+        this.certificateAuthority = new CertificateAuthority(this.certificateManager);
+        this.certificateValidator = new CertificateValidator(this.certificateManager);
         
         // Application state
         this.state = {
             currentKeyPair: null,
-            currentPassphrase: null, // Add this line
             isGenerating: false,
             advancedConfig: {
                 algorithm: 'ecc',
@@ -43,12 +80,32 @@ class PGPApp {
                     encrypt: true,
                     certify: true
                 },
+                layout: CONSTANTS.DEFAULT_KEY_LAYOUT,
                 comment: ''
             },
-            currentTab: 'sign'
+            currentTab: 'sign',
+            encryptMode: 'text',
+            decryptMode: 'text',
+            encryptFile: null,
+            decryptFile: null,
+            detachSignFile: null,
+            detachVerifyDataFile: null,
+            detachVerifySigFile: null,
+            inspectFile: null,
+            inspection: null,
+            contactKeyFile: null,
+            autocryptSetupFile: null,
+            mimeAttachments: [],
+            mimeOpenFile: null,
+            caCsrFile: null,
+            chainCertFile: null,
+            chainAnchorFile: null,
+            chainCrlFile: null,
+            encryptContacts: new Set() // Contact ids picked as recipients, kept while the list is filtered
         };
         
         this.isInitialized = false;
+        this.pendingPassphrasePrompt = null;
     }
 
     async init() {
@@ -66,6 +123,9 @@ class PGPApp {
             // Initialize UI state
             this.initializeUI();
             
+            // Detect an existing vault
+            await this.initVault();
+            
             this.isInitialized = true;
             console.log('PGP App initialized successfully');
             
@@ -82,6 +142,16 @@ class PGPApp {
         // Key Generation Events
         this.bindElement('generateBtn', 'click', this.handleGenerateClick.bind(this));
         
+        // Each Cancel button stops only its own card's worker job
+        Object.entries({
+            cancelGenerateBtn: 'generateKey',
+            cancelEncryptBtn: 'encryptFile',
+            cancelDecryptBtn: 'decryptFile',
+            cancelDetachVerifyBtn: 'verifyDetached'
+        }).forEach(([id, operation]) =>
+            this.bindElement(id, 'click', () => this.workerClient.cancel(operation))
+        );
+        
         // Advanced Options Events
         this.bindElement('enableAdvancedOptions', 'change', this.handleAdvancedOptionsToggle.bind(this));
         
@@ -98,23 +168,149 @@ class PGPApp {
         // Key Copy Events
         this.bindElement('copyPublicKeyBtn', 'click', this.handleCopyPublicKey.bind(this));
         this.bindElement('copyPrivateKeyBtn', 'click', this.handleCopyPrivateKey.bind(this));
+        this.bindElement('addUserIdBtn', 'click', this.handleAddUserId.bind(this));
+        this.bindElement('setKeyExpirationBtn', 'click', this.handleSetKeyExpiration.bind(this));
+        this.bindElement('changePassphraseBtn', 'click', this.handleChangePassphrase.bind(this));
+        this.bindElement('removePassphraseBtn', 'click', this.handleRemovePassphrase.bind(this));
+        this.bindElement('addSigningSubkeyBtn', 'click', () => this.handleAddSubkey('sign'));
+        this.bindElement('addEncryptionSubkeyBtn', 'click', () => this.handleAddSubkey('encrypt'));
+        this.bindElement('rotateEncryptionSubkeyBtn', 'click', this.handleRotateEncryptionSubkey.bind(this));
+        this.bindElement('downloadRevocationBtn', 'click', this.handleDownloadRevocation.bind(this));
+        this.bindElement('revokeKeyBtn', 'click', this.handleRevokeKey.bind(this));
+        
+        // Keyring Events
+        this.bindElement('activeKeySelect', 'change', this.handleActiveKeyChange.bind(this));
+        this.bindElement('keyringSearch', 'input', () => this.renderKeyringList());
+        this.bindElement('importKeyBtn', 'click', this.handleImportKey.bind(this));
+        this.bindElement('certifyKeySelect', 'change', () => this.populateCertifyUserIds());
+        this.bindElement('certifyKeyBtn', 'click', this.handleCertifyKey.bind(this));
+        
+        // Keyserver Events
+        this.bindElement('keyserverUrl', 'change', this.handleKeyserverChange.bind(this));
+        this.bindElement('keyserverProtocol', 'change', this.handleKeyserverChange.bind(this));
+        this.bindElement('keyserverSearchBtn', 'click', this.handleKeyserverSearch.bind(this));
+        this.bindElement('keyserverQuery', 'keydown', (e) => {
+            if (e.key === 'Enter') this.handleKeyserverSearch();
+        });
+        this.bindElement('keyserverUploadBtn', 'click', this.handleKeyserverUpload.bind(this));
+        this.bindElement('keyserverRefreshBtn', 'click', this.handleKeyserverRefresh.bind(this));
+        
+        // Web Key Directory Events
+        this.bindElement('wkdLookupBtn', 'click', this.handleWkdLookup.bind(this));
+        this.bindElement('wkdEmail', 'keydown', (e) => {
+            if (e.key === 'Enter') this.handleWkdLookup();
+        });
+        this.bindElement('wkdBundleBtn', 'click', this.handleWkdBundle.bind(this));
+        
+        // Contact Events
+        this.bindElement('contactSearch', 'input', () => this.renderContactList());
+        this.bindElement('saveContactBtn', 'click', this.handleSaveContact.bind(this));
+        this.bindElement('cancelContactEditBtn', 'click', () => this.resetContactEditor());
+        this.bindDropZone('contactKeyDropZone', 'contactKeyFileInput', file => this.handleFileSelected('contactKeyFile', 'contactKeyDropZone', file));
+        this.bindElement('encryptContactSearch', 'input', () => this.renderEncryptContactList());
+        this.bindElement('verifyContactSearch', 'input', () => this.populateVerifyContacts());
+        
+        // Autocrypt Events
+        this.bindElement('autocryptPreferEncrypt', 'change', this.handleAutocryptPreferEncryptChange.bind(this));
+        this.bindElement('autocryptHeaderBtn', 'click', this.handleAutocryptHeader.bind(this));
+        this.bindElement('autocryptCopyHeaderBtn', 'click', this.handleCopyAutocryptHeader.bind(this));
+        this.bindElement('autocryptProcessBtn', 'click', this.handleAutocryptProcess.bind(this));
+        this.bindElement('autocryptSetupCreateBtn', 'click', this.handleAutocryptSetupCreate.bind(this));
+        this.bindElement('autocryptSetupImportBtn', 'click', this.handleAutocryptSetupImport.bind(this));
+        this.bindDropZone('autocryptSetupDropZone', 'autocryptSetupFileInput', file => this.handleFileSelected('autocryptSetupFile', 'autocryptSetupDropZone', file));
+        
+        // PGP/MIME Events
+        this.bindElement('mimeComposeBtn', 'click', this.handleMimeCompose.bind(this));
+        this.bindElement('mimeOpenBtn', 'click', this.handleMimeOpen.bind(this));
+        this.bindDropZone('mimeAttachDropZone', 'mimeAttachInput', this.handleMimeAttach.bind(this), { multiple: true });
+        this.bindDropZone('mimeOpenDropZone', 'mimeOpenInput', file => this.handleFileSelected('mimeOpenFile', 'mimeOpenDropZone', file));
+        
+        // X.509 Events
+        this.bindElement('x509Profile', 'change', () => this.applyX509Profile());
+        this.bindElement('x509IsCa', 'change', this.handleX509CaChange.bind(this));
+        this.bindElement('x509CsrBtn', 'click', this.handleX509Csr.bind(this));
+        this.bindElement('x509SelfSignBtn', 'click', () => this.handleX509SelfSign());
+        
+        // Certificate Authority Events
+        this.bindElement('caCreateBtn', 'click', this.handleCaCreate.bind(this));
+        this.bindElement('caIssueBtn', 'click', this.handleCaIssue.bind(this));
+        this.bindDropZone('caCsrDropZone', 'caCsrInput', file => this.handleFileSelected('caCsrFile', 'caCsrDropZone', file));
+        
+        // Certificate Viewer Events
+        this.bindElement('chainInspectBtn', 'click', this.handleChainInspect.bind(this));
+        this.bindElement('chainValidateBtn', 'click', this.handleChainValidate.bind(this));
+        this.bindDropZone('chainCertDropZone', 'chainCertInput', file => this.handleFileSelected('chainCertFile', 'chainCertDropZone', file));
+        this.bindDropZone('chainAnchorDropZone', 'chainAnchorInput', file => this.handleFileSelected('chainAnchorFile', 'chainAnchorDropZone', file));
+        this.bindDropZone('chainCrlDropZone', 'chainCrlInput', file => this.handleFileSelected('chainCrlFile', 'chainCrlDropZone', file));
+        
+        // Key Agent Events
+        this.bindElement('agentTimeout', 'change', this.handleAgentTimeoutChange.bind(this));
+        this.bindElement('agentLockBtn', 'click', () => this.keyAgent.lockAll('manual'));
         
         // Tab Events
         this.bindElement('signTab', 'click', () => this.switchTab('sign'));
         this.bindElement('verifyTab', 'click', () => this.switchTab('verify'));
+        this.bindElement('detachSignTab', 'click', () => this.switchTab('detachSign'));
+        this.bindElement('detachVerifyTab', 'click', () => this.switchTab('detachVerify'));
         
         // Sign/Verify Events
         this.bindElement('signBtnNew', 'click', this.handleSignMessage.bind(this));
         this.bindElement('verifyBtn', 'click', this.handleVerifyMessage.bind(this));
         this.bindElement('toggleVerifyPublicKeyBtn', 'click', this.handleToggleVerifyPublicKey.bind(this));
         
+        // Detached Signature Events
+        this.bindElement('detachSignBtn', 'click', this.handleDetachedSign.bind(this));
+        this.bindElement('detachVerifyBtn', 'click', this.handleDetachedVerify.bind(this));
+        this.bindDropZone('detachSignDropZone', 'detachSignFileInput', file => this.handleFileSelected('detachSignFile', 'detachSignDropZone', file));
+        this.bindDropZone('detachVerifyDataDropZone', 'detachVerifyDataInput', file => this.handleFileSelected('detachVerifyDataFile', 'detachVerifyDataDropZone', file));
+        this.bindDropZone('detachVerifySigDropZone', 'detachVerifySigInput', file => this.handleFileSelected('detachVerifySigFile', 'detachVerifySigDropZone', file));
+        this.bindElement('detachSignFileClearBtn', 'click', () => this.clearFileSelection('detachSignFile', 'detachSignDropZone', 'detachSignFileInput'));
+        this.bindElement('detachVerifyDataClearBtn', 'click', () => this.clearFileSelection('detachVerifyDataFile', 'detachVerifyDataDropZone', 'detachVerifyDataInput'));
+        this.bindElement('detachVerifySigClearBtn', 'click', () => this.clearFileSelection('detachVerifySigFile', 'detachVerifySigDropZone', 'detachVerifySigInput'));
+        
         // Encryption Events
         this.bindElement('encryptBtn', 'click', this.handleEncrypt.bind(this));
         this.bindElement('toggleEncryptPublicKeyBtn', 'click', this.handleToggleEncryptPublicKey.bind(this));
+        this.bindElement('encryptToSelf', 'change', () => this.persistVault());
+        this.bindElement('encryptMethod', 'change', this.handleEncryptMethodChange.bind(this));
         
         // Decryption Events
         this.bindElement('decryptBtn', 'click', this.handleDecrypt.bind(this));
         
+        // Text/File Mode Events
+        this.bindElement('encryptTextTab', 'click', () => this.switchCryptoMode('encrypt', 'text'));
+        this.bindElement('encryptFileTab', 'click', () => this.switchCryptoMode('encrypt', 'file'));
+        this.bindElement('decryptTextTab', 'click', () => this.switchCryptoMode('decrypt', 'text'));
+        this.bindElement('decryptFileTab', 'click', () => this.switchCryptoMode('decrypt', 'file'));
+        this.bindDropZone('encryptDropZone', 'encryptFileInput', file => this.handleFileSelected('encryptFile', 'encryptDropZone', file));
+        this.bindDropZone('decryptDropZone', 'decryptFileInput', file => this.handleFileSelected('decryptFile', 'decryptDropZone', file));
+        
+        // Inspector Events
+        this.bindElement('inspectBtn', 'click', this.handleInspect.bind(this));
+        this.bindElement('inspectDumpBtn', 'click', this.handlePacketDump.bind(this));
+        this.bindElement('inspectInput', 'paste', () => setTimeout(() => this.handleInspect(), 0));
+        this.bindDropZone('inspectDropZone', 'inspectFileInput', file => {
+            this.handleFileSelected('inspectFile', 'inspectDropZone', file);
+            document.getElementById('inspectInput').value = '';
+            this.handleInspect();
+        });
+        
+        // Passphrase Prompt Events
+        this.bindElement('passphraseModalConfirm', 'click', this.handlePassphrasePromptConfirm.bind(this));
+        this.bindElement('passphraseModalCancel', 'click', () => this.pendingPassphrasePrompt?.(null));
+        this.bindElement('passphraseModalClose', 'click', () => this.pendingPassphrasePrompt?.(null));
+        this.bindElement('passphrasePromptInput', 'keydown', (e) => {
+            if (e.key === 'Enter') this.handlePassphrasePromptConfirm();
+        });
+        
+        // Vault Events
+        this.bindElement('vaultUnlockBtn', 'click', this.handleVaultUnlock.bind(this));
+        this.bindElement('vaultLockBtn', 'click', this.handleVaultLock.bind(this));
+        this.bindElement('vaultChangePasswordBtn', 'click', this.handleVaultChangePassword.bind(this));
+        this.bindElement('vaultPassword', 'keydown', (e) => {
+            if (e.key === 'Enter') this.handleVaultUnlock();
+        });
+        
         // Advanced Options Form Events
         this.bindAdvancedOptionsEvents();
         
@@ -143,13 +339,41 @@ class PGPApp {
         }
     }
 
+    // Make a drop zone accept dropped files and open its file input on click. With multiple, onFile runs once per file.
+    bindDropZone(zoneId, inputId, onFile, { multiple = false } = {}) {
+        const zone = document.getElementById(zoneId);
+        const input = document.getElementById(inputId);
+        if (!zone || !input) {
+            console.warn(`⚠ Drop zone #${zoneId} not found for event binding`);
+            return;
+        }
+        
+        const handleFiles = files => Array.from(files).slice(0, multiple ? files.length : 1).forEach(onFile);
+        // Kept so a cleared selection can show the original prompt again
+        zone.dataset.placeholder = zone.textContent;
+        
+        zone.addEventListener('click', () => input.click());
+        input.addEventListener('change', (e) => {
+            handleFiles(e.target.files);
+            if (multiple) e.target.value = '';
+        });
+        
+        zone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            zone.classList.add('dragover');
+        });
+        zone.addEventListener('dragleave', () => zone.classList.remove('dragover'));
+        zone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            zone.classList.remove('dragover');
+            handleFiles(e.dataTransfer.files);
+        });
+    }
+
     // Bind advanced options form events
     bindAdvancedOptionsEvents() {
-        // Algorithm radio buttons
-        const algorithmRadios = document.querySelectorAll('input[name="algorithm"]');
-        algorithmRadios.forEach(radio => {
-            radio.addEventListener('change', this.handleAlgorithmChange.bind(this));
-        });
+        // Algorithm select
+        this.bindElement('keyAlgorithmChoice', 'change', this.handleAlgorithmChange.bind(this));
         
         // Key expiration
         this.bindElement('keyExpiration', 'change', this.handleExpirationChange.bind(this));
@@ -158,6 +382,7 @@ class PGPApp {
         this.bindElement('usageSign', 'change', this.handleUsageChange.bind(this));
         this.bindElement('usageEncrypt', 'change', this.handleUsageChange.bind(this));
         this.bindElement('usageCertify', 'change', this.handleUsageChange.bind(this));
+        this.bindElement('keyLayout', 'change', this.handleLayoutChange.bind(this));
         
         // Comment field
         this.bindElement('keyComment', 'input', this.handleCommentChange.bind(this));
@@ -173,31 +398,53 @@ class PGPApp {
             // Validate user input
             const userInfo = this.validateUserInput();
             
-            // Store the passphrase for later use
-            this.state.currentPassphrase = userInfo.passphrase;
+            // Generate key pair using KeyManager; in the worker this can be cancelled and reports how long it has run
+            await this.showCancelButton('cancelGenerateBtn', true);
+            this.updateGenerateStatus('Generating key');
+            const keyPair = await this.keyManager.generateKeyPair(userInfo, this.state.advancedConfig, {
+                onStatus: ({ stage, elapsed }) => this.updateGenerateStatus(stage, elapsed)
+            });
             
-            // Generate key pair using KeyManager
-            const keyPair = await this.keyManager.generateKeyPair(userInfo, this.state.advancedConfig);
+            // Hand the fresh key to the agent so it is unlocked until the idle timeout
+            this.keyAgent.release(keyPair, await this.keyAgent.unlock(keyPair, userInfo.passphrase));
+            document.getElementById('passphrase').value = '';
+            this.updateAgentStatus();
             
             // Update application state
             this.state.currentKeyPair = keyPair;
             
             // Update UI
             this.updateKeyInfo(keyPair);
+            this.handleKeyringChanged();
             this.showSuccess('Key pair generated successfully!');
             this.updateButtonStates();
             
             console.log('Key pair generated successfully');
             
         } catch (error) {
+            if (error.code === 'CANCELLED') {
+                this.showSuccess('Key generation cancelled');
+                return;
+            }
             console.error('Key generation failed:', error);
             this.showError(`Key generation failed: ${error.message}`);
         } finally {
             this.setLoading('generateBtn', false);
+            this.showCancelButton('cancelGenerateBtn', false);
+            this.updateGenerateStatus(null);
             this.state.isGenerating = false;
         }
     }
 
+    // Show "still working" feedback while a key is generated; a null stage clears it
+    updateGenerateStatus(stage, elapsed = 0) {
+        const statusEl = document.getElementById('generateStatus');
+        if (!statusEl) return;
+        
+        statusEl.textContent = stage ? `${stage}… ${Math.floor(elapsed / 1000)}s` : '';
+        statusEl.style.display = stage ? 'inline' : 'none';
+    }
+
     handleAdvancedOptionsToggle(event) {
         const isEnabled = event.target.checked;
         const advancedDesc = document.getElementById('advanced-desc');
@@ -217,6 +464,7 @@ class PGPApp {
     handleModalApply() {
         this.updateCurrentSettingsDisplay();
         this.hideModal('advancedOptionsModal');
+        this.persistVault();
         this.showSuccess('Advanced settings applied');
     }
 
@@ -242,18 +490,12 @@ class PGPApp {
         try {
             this.setLoading('loadKeyBtn', true);
             
-            // When loading a key, we need to ask for the passphrase
-            const passphrase = prompt('Enter the passphrase for this key:');
-            if (!passphrase) {
-                this.showError('Passphrase is required to load the key');
-                return;
-            }
-            
-            const keyPair = await this.keyManager.loadKeyPair(file);
-            this.state.currentKeyPair = keyPair;
-            this.state.currentPassphrase = passphrase; // Store the passphrase
+            // The passphrase is asked for by the key agent when the key is first used
+            await this.keyManager.loadKeyPair(file);
+            this.state.currentKeyPair = this.keyManager.getCurrentKeyPair();
             
-            this.updateKeyInfo(keyPair);
+            this.updateKeyInfo(this.state.currentKeyPair);
+            this.handleKeyringChanged();
             this.showSuccess('Key pair loaded successfully');
             this.updateButtonStates();
             
@@ -262,183 +504,2647 @@ class PGPApp {
             this.showError(`Load failed: ${error.message}`);
         } finally {
             this.setLoading('loadKeyBtn', false);
+            event.target.value = '';
         }
     }
 
-    async handleSignMessage() {
-        if (!this.state.currentKeyPair) {
-            this.showError('No key pair loaded for signing');
-            return;
-        }
+    handleActiveKeyChange(event) {
+        const fingerprint = event.target.value;
+        if (!fingerprint) return;
         
-        if (!this.state.currentPassphrase) {
-            this.showError('No passphrase available. Please generate or load a key pair first.');
+        try {
+            const keyPair = this.keyManager.selectActiveKey(fingerprint);
+            this.state.currentKeyPair = keyPair;
+            
+            this.updateKeyInfo(keyPair);
+            this.handleKeyringChanged();
+            this.updateButtonStates();
+            this.showSuccess('Active key changed');
+        } catch (error) {
+            console.error('Key selection failed:', error);
+            this.showError(`Key selection failed: ${error.message}`);
+        }
+    }
+
+    async handleImportKey() {
+        const input = document.getElementById('importKeyText');
+        const armoredKey = input.value.trim();
+        if (!armoredKey) {
+            this.showError('Please paste a PGP key to import');
             return;
         }
         
         try {
-            const message = document.getElementById('messageToSignNew').value.trim();
-            if (!message) {
-                this.showError('Please enter a message to sign');
-                return;
-            }
-            
-            this.setLoading('signBtnNew', true);
+            this.setLoading('importKeyBtn', true);
             
-            // Pass the stored passphrase to the signing method
-            const signedMessage = await this.signVerify.signMessage(
-                message, 
-                this.state.currentKeyPair, 
-                this.state.currentPassphrase
-            );
-            
-            this.showOutput('signOutputNew', 'Signed Message:', signedMessage);
-            this.showSuccess('Message signed successfully');
+            const keyPair = await this.keyManager.importArmoredKey(armoredKey);
+            input.value = '';
             
+            this.state.currentKeyPair = this.keyManager.getCurrentKeyPair();
+            this.updateKeyInfo(this.state.currentKeyPair);
+            this.handleKeyringChanged();
+            this.updateButtonStates();
+            this.showSuccess(keyPair.metadata.revoked
+                ? `Key ${keyPair.metadata.keyId} is now marked revoked`
+                : `Imported key ${keyPair.metadata.keyId}`);
         } catch (error) {
-            console.error('Signing failed:', error);
-            this.showError(`Signing failed: ${error.message}`);
+            console.error('Import failed:', error);
+            this.showError(`Import failed: ${error.message}`);
         } finally {
-            this.setLoading('signBtnNew', false);
+            this.setLoading('importKeyBtn', false);
         }
     }
 
-    async handleVerifyMessage() {
+    handleRemoveKey(fingerprint) {
+        const keyPair = this.keyManager.getKey(fingerprint);
+        if (!keyPair) return;
+        
+        const label = keyPair.metadata.userIds[0] || keyPair.metadata.keyId;
+        const warning = keyPair.privateKey
+            ? `Remove ${label} including its SECRET key? Make sure you have a backup.`
+            : `Remove ${label} from the keyring?`;
+        if (!confirm(warning)) return;
+        
+        this.keyAgent.forget(keyPair.metadata.fingerprint);
+        this.workerClient.lock(keyPair.metadata.fingerprint);
+        this.keyManager.removeKey(fingerprint);
+        this.state.currentKeyPair = this.keyManager.getCurrentKeyPair();
+        this.updateAgentStatus();
+        
+        this.updateKeyInfo(this.state.currentKeyPair);
+        this.handleKeyringChanged();
+        this.updateButtonStates();
+        this.showSuccess('Key removed from keyring');
+    }
+
+    // ==================== WEB OF TRUST ====================
+
+    handleOwnerTrustChange(fingerprint, ownerTrust) {
         try {
-            const signedMessage = document.getElementById('signedMessageToVerify').value.trim();
-            if (!signedMessage) {
-                this.showError('Please enter a signed message to verify');
-                return;
-            }
-            
-            this.setLoading('verifyBtn', true);
-            
-            // Check if using custom public key
-            const customKeyContainer = document.getElementById('verifyCustomPublicKeyContainer');
-            let publicKey = null;
+            this.keyManager.setOwnerTrust(fingerprint, ownerTrust);
+            this.handleKeyringChanged();
+        } catch (error) {
+            console.error('Setting owner trust failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    // Certify the chosen user ID of another key with the active key
+    async handleCertifyKey() {
+        const keyPair = this.state.currentKeyPair;
+        if (!keyPair || !keyPair.privateKey) {
+            this.showError('Load or generate a secret key first');
+            return;
+        }
+        
+        const fingerprint = document.getElementById('certifyKeySelect').value;
+        const userId = document.getElementById('certifyUserIdSelect').value;
+        const level = parseInt(document.getElementById('certifyLevel').value, 10) || 0;
+        const local = document.getElementById('certifyLocal').checked;
+        if (!fingerprint || !userId) {
+            this.showError('Choose a key and user ID to certify');
+            return;
+        }
+        
+        const confirmed = confirm(
+            `Certify "${userId}"\nFingerprint: ${Formatting.formatFingerprint(fingerprint)}\n\n` +
+            `Only continue if you checked this fingerprint with the key's owner.` +
+            (local ? '' : ' The certification is exported with the key and others may rely on it.')
+        );
+        if (!confirmed) return;
+        
+        try {
+            this.setLoading('certifyKeyBtn', true);
             
-            if (customKeyContainer.style.display !== 'none') {
-                const customKeyText = document.getElementById('verifyCustomPublicKey').value.trim();
-                if (customKeyText) {
-                    publicKey = customKeyText;
-                }
-            } else if (this.state.currentKeyPair) {
-                publicKey = this.state.currentKeyPair.publicKey;
+            let passphrase = '';
+            if (!keyPair.privateKeyObj.isDecrypted()) {
+                passphrase = await this.promptPassphrase({ keyPair, reason: `certify ${userId}` });
+                if (passphrase === null || passphrase === undefined) return;
             }
             
-            const result = await this.signVerify.verifyMessage(signedMessage, publicKey);
-            
-            this.showVerifyResult('verifyOutput', result);
-            
+            await this.keyManager.certifyUserId(keyPair, passphrase, fingerprint, userId, { level, local });
+            this.handleKeyringChanged();
+            this.showSuccess(`Certified ${userId}${local ? ' (local only)' : ''}`);
         } catch (error) {
-            console.error('Verification failed:', error);
-            this.showError(`Verification failed: ${error.message}`);
+            console.error('Certification failed:', error);
+            this.showError(error.message);
         } finally {
-            this.setLoading('verifyBtn', false);
+            this.setLoading('certifyKeyBtn', false);
         }
     }
 
-    handleToggleVerifyPublicKey() {
-        const container = document.getElementById('verifyCustomPublicKeyContainer');
-        const button = document.getElementById('toggleVerifyPublicKeyBtn');
+    // Keys the active key may certify: every other unrevoked key in the keyring
+    populateCertifyKeys() {
+        const activeFingerprint = this.state.currentKeyPair?.metadata.fingerprint;
+        const candidates = this.keyManager.listKeys()
+            .filter(keyPair => keyPair.metadata.fingerprint !== activeFingerprint && !keyPair.metadata.revoked);
         
-        if (container.style.display === 'none') {
-            container.style.display = 'block';
-            button.textContent = 'Use Own Public Key';
-        } else {
-            container.style.display = 'none';
-            button.textContent = 'Use Custom Public Key';
+        this.populateKeySelect('certifyKeySelect', candidates, { emptyLabel: 'No other keys' });
+        this.populateCertifyUserIds();
+    }
+
+    populateCertifyUserIds() {
+        const select = document.getElementById('certifyUserIdSelect');
+        if (!select) return;
+        
+        const keyPair = this.keyManager.getKey(document.getElementById('certifyKeySelect').value);
+        const previous = select.value;
+        select.innerHTML = '';
+        (keyPair ? keyPair.metadata.userIds : []).forEach(userId => select.appendChild(new Option(userId, userId)));
+        if (keyPair && keyPair.metadata.userIds.includes(previous)) {
+            select.value = previous;
         }
+        
+        const canCertify = !!this.state.currentKeyPair?.metadata.capabilities?.certify;
+        this.setButtonState('certifyKeyBtn', canCertify && !!keyPair);
     }
 
-    async handleEncrypt() {
+    // ==================== CONTACTS ====================
+
+    // Create or update the contact in the editor, importing any pasted or chosen key file
+    async handleSaveContact() {
+        const id = document.getElementById('contactEditId').value || null;
+        const keyText = document.getElementById('contactKeyText').value.trim();
+        const keyFile = this.state.contactKeyFile;
+
         try {
-            const message = document.getElementById('messageToEncrypt').value.trim();
-            if (!message) {
-                this.showError('Please enter a message to encrypt');
+            this.setLoading('saveContactBtn', true);
+
+            const keyData = keyText ? [keyText] : [];
+            if (keyFile) {
+                keyData.push(await this.fileUtils.isArmoredFile(keyFile)
+                    ? await this.fileUtils.readFileAsText(keyFile)
+                    : new Uint8Array(await keyFile.arrayBuffer()));
+            }
+
+            const contact = await this.contacts.saveContact({
+                id,
+                name: document.getElementById('contactName').value,
+                emails: document.getElementById('contactEmails').value,
+                notes: document.getElementById('contactNotes').value
+            }, keyData);
+
+            this.resetContactEditor();
+            if (keyData.length > 0) {
+                this.handleKeyringChanged();
+            } else {
+                this.handleContactsChanged();
+            }
+            this.showSuccess(`Saved contact ${this.contacts.getDisplayName(contact)}`);
+        } catch (error) {
+            console.error('Saving contact failed:', error);
+            this.showError(error.message);
+        } finally {
+            this.setLoading('saveContactBtn', false);
+        }
+    }
+
+    // Load a contact into the editor
+    handleEditContact(id) {
+        const contact = this.contacts.getContact(id);
+        if (!contact) return;
+
+        document.getElementById('contactEditId').value = contact.id;
+        document.getElementById('contactName').value = contact.name;
+        document.getElementById('contactEmails').value = contact.emails.join(', ');
+        document.getElementById('contactNotes').value = contact.notes;
+        document.getElementById('contactEditorTitle').textContent = `✏️ Edit ${this.contacts.getDisplayName(contact)}`;
+        document.getElementById('cancelContactEditBtn').style.display = 'inline-block';
+        document.getElementById('contactName').focus();
+    }
+
+    handleRemoveContact(id) {
+        const contact = this.contacts.getContact(id);
+        if (!contact) return;
+        if (!confirm(`Remove contact ${this.contacts.getDisplayName(contact)}? Their keys stay in the keyring.`)) return;
+
+        this.contacts.removeContact(id);
+        this.state.encryptContacts.delete(id);
+        if (document.getElementById('contactEditId').value === id) {
+            this.resetContactEditor();
+        }
+        this.handleContactsChanged();
+        this.showSuccess('Contact removed');
+    }
+
+    handleUnlinkContactKey(id, fingerprint) {
+        try {
+            this.contacts.unlinkKey(id, fingerprint);
+            this.handleContactsChanged();
+        } catch (error) {
+            console.error('Unlinking key failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    resetContactEditor() {
+        ['contactEditId', 'contactName', 'contactEmails', 'contactNotes', 'contactKeyText'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('contactEditorTitle').textContent = '➕ New Contact';
+        document.getElementById('cancelContactEditBtn').style.display = 'none';
+
+        this.state.contactKeyFile = null;
+        const dropZone = document.getElementById('contactKeyDropZone');
+        dropZone.textContent = 'Drop a .asc, .gpg or .pgp key file here or click to choose';
+        dropZone.classList.remove('has-file');
+        document.getElementById('contactKeyFileInput').value = '';
+    }
+
+    handleContactsChanged() {
+        this.renderContacts();
+        this.persistVault();
+    }
+
+    // Repopulate every contact-driven control
+    renderContacts() {
+        this.renderContactList();
+        this.renderEncryptContactList();
+        this.populateVerifyContacts();
+    }
+
+    renderContactList() {
+        const list = document.getElementById('contactList');
+        if (!list) return;
+
+        const query = document.getElementById('contactSearch')?.value || '';
+        const contacts = this.contacts.search(query);
+        list.innerHTML = '';
+
+        if (contacts.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'keyring-empty';
+            empty.textContent = query ? 'No contacts match your search' : 'No contacts yet';
+            list.appendChild(empty);
+            return;
+        }
+
+        contacts.forEach(contact => {
+            const entry = document.createElement('div');
+            entry.className = 'keyring-entry contact';
+
+            const name = document.createElement('div');
+            name.className = 'keyring-entry-uid';
+            name.textContent = `📇 ${this.contacts.getDisplayName(contact)}`;
+            entry.appendChild(name);
+
+            if (contact.emails.length > 0) {
+                const emails = document.createElement('div');
+                emails.className = 'keyring-entry-meta';
+                emails.textContent = contact.emails.join(', ');
+                entry.appendChild(emails);
+            }
+
+            if (contact.notes) {
+                const notes = document.createElement('div');
+                notes.className = 'contact-notes';
+                notes.textContent = contact.notes;
+                entry.appendChild(notes);
+            }
+
+            const keyPairs = this.contacts.getContactKeys(contact.id);
+            if (keyPairs.length === 0) {
+                const noKeys = document.createElement('div');
+                noKeys.className = 'keyring-entry-trust';
+                noKeys.textContent = 'No keys';
+                entry.appendChild(noKeys);
+            }
+            keyPairs.forEach(keyPair => {
+                const { userIds, keyId, fingerprint, capabilities } = keyPair.metadata;
+
+                const key = document.createElement('div');
+                key.className = 'contact-key';
+
+                const text = document.createElement('span');
+                text.textContent = `🔑 ${userIds[0] || 'No user ID'} · ${keyId} · ${Formatting.formatUsage(capabilities)}` +
+                    (keyPair.metadata.revoked ? ' · revoked' : '');
+
+                const unlinkBtn = document.createElement('button');
+                unlinkBtn.className = 'btn btn-secondary';
+                unlinkBtn.textContent = 'Unlink';
+                unlinkBtn.title = `Stop using ${Formatting.formatFingerprint(fingerprint)} for this contact`;
+                unlinkBtn.addEventListener('click', () => this.handleUnlinkContactKey(contact.id, fingerprint));
+
+                key.append(text, unlinkBtn);
+                entry.appendChild(key);
+            });
+
+            const actions = document.createElement('div');
+            actions.className = 'keyring-entry-actions';
+
+            const editBtn = document.createElement('button');
+            editBtn.className = 'btn btn-secondary';
+            editBtn.textContent = 'Edit';
+            editBtn.addEventListener('click', () => this.handleEditContact(contact.id));
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn btn-secondary';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => this.handleRemoveContact(contact.id));
+
+            actions.append(editBtn, removeBtn);
+            entry.appendChild(actions);
+            list.appendChild(entry);
+        });
+    }
+
+    // Checkbox list of contacts with an encryption key; picked contacts stay listed while searching
+    renderEncryptContactList() {
+        const list = document.getElementById('encryptContactList');
+        if (!list) return;
+
+        const query = document.getElementById('encryptContactSearch')?.value || '';
+        const matches = new Set(this.contacts.search(query).map(contact => contact.id));
+        const contacts = this.contacts.listContacts().filter(contact =>
+            this.contacts.getContactKeys(contact.id, { capability: 'encrypt' }).length > 0 &&
+            (matches.has(contact.id) || this.state.encryptContacts.has(contact.id))
+        );
+
+        list.innerHTML = '';
+
+        if (contacts.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'keyring-empty';
+            empty.textContent = query ? 'No contacts match your search' : 'No contacts with an encryption key';
+            list.appendChild(empty);
+            return;
+        }
+
+        contacts.forEach(contact => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = contact.id;
+            checkbox.checked = this.state.encryptContacts.has(contact.id);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    this.state.encryptContacts.add(contact.id);
+                } else {
+                    this.state.encryptContacts.delete(contact.id);
+                }
+            });
+
+            const text = document.createElement('span');
+            text.textContent = `${this.contacts.getDisplayName(contact)}${contact.emails.length ? ` <${contact.emails[0]}>` : ''}`;
+
+            label.append(checkbox, text);
+            list.appendChild(label);
+        });
+    }
+
+    // Contact select for verification, filtered by its search box
+    populateVerifyContacts() {
+        const select = document.getElementById('verifyContactSelect');
+        if (!select) return;
+
+        const query = document.getElementById('verifyContactSearch')?.value || '';
+        const previous = select.value;
+        const contacts = this.contacts.search(query)
+            .filter(contact => this.contacts.getContactKeys(contact.id).length > 0);
+
+        select.innerHTML = '';
+        select.appendChild(new Option(query && contacts.length === 0 ? 'No contacts match your search' : 'No contact selected', ''));
+        contacts.forEach(contact => {
+            select.appendChild(new Option(
+                `${this.contacts.getDisplayName(contact)}${contact.emails.length ? ` <${contact.emails[0]}>` : ''}`,
+                contact.id
+            ));
+        });
+
+        select.value = contacts.some(contact => contact.id === previous) ? previous : '';
+        if (!select.value && query && contacts.length > 0) {
+            select.value = contacts[0].id;
+        }
+    }
+
+    // Contact owning a signature's issuer key, for naming the signer
+    describeSigner(keyId) {
+        const contact = this.contacts.findByKeyId(keyId);
+        return contact ? this.contacts.getDisplayName(contact) : null;
+    }
+
+    // ==================== KEYSERVER ====================
+
+    handleKeyserverChange() {
+        const urlInput = document.getElementById('keyserverUrl');
+        try {
+            const { url } = this.keyserver.setServer({
+                url: urlInput.value,
+                protocol: document.getElementById('keyserverProtocol').value
+            });
+            urlInput.value = url;
+            this.persistVault();
+        } catch (error) {
+            console.error('Keyserver setting failed:', error);
+            this.showError(error.message);
+            this.syncKeyserverForm();
+        }
+    }
+
+    syncKeyserverForm() {
+        const { url, protocol } = this.keyserver.getServer();
+        document.getElementById('keyserverUrl').value = url;
+        document.getElementById('keyserverProtocol').value = protocol;
+    }
+
+    // Look keys up without importing them; each result gets its own import button
+    async handleKeyserverSearch() {
+        const query = document.getElementById('keyserverQuery').value.trim();
+        if (!query) {
+            this.showError('Enter an email address, fingerprint or key ID to search for');
+            return;
+        }
+
+        const list = document.getElementById('keyserverResults');
+        try {
+            this.setLoading('keyserverSearchBtn', true);
+            const results = await this.keyserver.search(query);
+
+            list.innerHTML = '';
+            if (results.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'keyring-empty';
+                empty.textContent = `No keys found for ${query}`;
+                list.appendChild(empty);
                 return;
             }
+
+            results.forEach(result => list.appendChild(this.createKeyserverResult(result)));
+        } catch (error) {
+            console.error('Keyserver search failed:', error);
+            this.showError(error.message);
+        } finally {
+            this.setLoading('keyserverSearchBtn', false);
+        }
+    }
+
+    createKeyserverResult(result) {
+        const { userIds, keyId, fingerprint, capabilities, created } = result.metadata;
+
+        const entry = document.createElement('div');
+        entry.className = `keyring-entry public${result.metadata.revoked ? ' revoked' : ''}`;
+
+        const uid = document.createElement('div');
+        uid.className = 'keyring-entry-uid';
+        uid.textContent = `👤 ${userIds.join(', ') || 'No published user IDs'}`;
+
+        const meta = document.createElement('div');
+        meta.className = 'keyring-entry-meta';
+        meta.textContent = `${keyId} · ${Formatting.formatFingerprint(fingerprint)} · ${Formatting.formatUsage(capabilities)} · created ${Formatting.formatDate(created)}` +
+            (result.metadata.revoked ? ` · ${Formatting.formatRevocationStatus(result.metadata)}` : '');
+
+        const actions = document.createElement('div');
+        actions.className = 'keyring-entry-actions';
+        const importBtn = document.createElement('button');
+        importBtn.className = 'btn btn-secondary';
+        importBtn.textContent = result.inKeyring ? 'Update in Keyring' : 'Import';
+        importBtn.addEventListener('click', () => this.handleKeyserverImport(result, importBtn));
+        actions.appendChild(importBtn);
+
+        entry.append(uid, meta, actions);
+        return entry;
+    }
+
+    async handleKeyserverImport(result, button) {
+        try {
+            button.disabled = true;
+            const keyPair = await this.keyManager.importArmoredKey(result.armoredKey);
+            this.handleKeyringChanged();
+            button.textContent = 'Imported';
+            this.showSuccess(`Imported key ${keyPair.metadata.keyId} from the keyserver`);
+        } catch (error) {
+            button.disabled = false;
+            console.error('Import failed:', error);
+            this.showError(`Import failed: ${error.message}`);
+        }
+    }
+
+    // Publish the active key's public part
+    async handleKeyserverUpload() {
+        const keyPair = this.state.currentKeyPair;
+        if (!keyPair) {
+            this.showError(CONSTANTS.ERRORS.NO_KEYS);
+            return;
+        }
+
+        const { url } = this.keyserver.getServer();
+        const confirmed = confirm(
+            `Upload the public key of ${keyPair.metadata.userIds[0] || keyPair.metadata.keyId} to ${url}?\n\n` +
+            'Keyservers are public. Many never delete a key once it has been uploaded.'
+        );
+        if (!confirmed) return;
+
+        try {
+            this.setLoading('keyserverUploadBtn', true);
+            const { fingerprint, status } = await this.keyserver.uploadKey(keyPair);
+
+            const lines = Object.entries(status).map(([email, state]) => `${email}: ${Formatting.formatKeyserverStatus(state)}`);
+            this.showReport('keyserverOutput', `Uploaded ${Formatting.formatFingerprint(fingerprint)}`, lines);
+            this.showSuccess('Public key uploaded');
+        } catch (error) {
+            console.error('Upload failed:', error);
+            this.showError(error.message);
+        } finally {
+            this.setLoading('keyserverUploadBtn', false);
+        }
+    }
+
+    // Re-fetch other people's keys to pick up revocations and new expiration dates
+    async handleKeyserverRefresh() {
+        if (this.keyManager.listKeys().every(keyPair => keyPair.privateKey)) {
+            this.showError('There are no public keys of other people to refresh');
+            return;
+        }
+
+        const button = document.getElementById('keyserverRefreshBtn');
+        try {
+            this.setLoading('keyserverRefreshBtn', true);
+            const results = await this.keyserver.refreshKeys({
+                onProgress: (done, total) => {
+                    button.textContent = `Refreshing ${done}/${total}...`;
+                }
+            });
+
+            if (results.some(result => result.status === 'updated')) {
+                this.handleKeyringChanged();
+            }
+
+            const lines = results.map(result =>
+                `${result.userId}: ${result.status}` +
+                (result.changes.length > 0 ? ` (${result.changes.join(', ')})` : '') +
+                (result.error ? ` - ${result.error}` : '')
+            );
+            this.showReport('keyserverOutput', 'Keyserver refresh', lines);
+        } catch (error) {
+            console.error('Refresh failed:', error);
+            this.showError(error.message);
+        } finally {
+            this.setLoading('keyserverRefreshBtn', false);
+        }
+    }
+
+    // ==================== WEB KEY DIRECTORY ====================
+
+    async handleWkdLookup() {
+        const email = document.getElementById('wkdEmail').value.trim();
+        if (!email) {
+            this.showError('Enter the email address to look up');
+            return;
+        }
+
+        try {
+            this.setLoading('wkdLookupBtn', true);
+            const { method, url, keyPairs } = await this.wkd.importKeys(email, {
+                method: document.getElementById('wkdMethod').value
+            });
+
+            this.handleKeyringChanged();
+            this.showReport('wkdOutput', `Imported from ${new URL(url).host} (${method} method)`, keyPairs.map(keyPair =>
+                `${keyPair.metadata.userIds[0] || keyPair.metadata.keyId}\n${Formatting.formatFingerprint(keyPair.metadata.fingerprint)}` +
+                (keyPair.metadata.revoked ? `\n${Formatting.formatRevocationStatus(keyPair.metadata)}` : '')
+            ));
+            this.showSuccess(`Imported ${keyPairs.length} key${keyPairs.length !== 1 ? 's' : ''} for ${email}`);
+        } catch (error) {
+            console.error('WKD lookup failed:', error);
+            this.showError(error.message);
+        } finally {
+            this.setLoading('wkdLookupBtn', false);
+        }
+    }
+
+    // Download the .well-known/openpgpkey/ tree for a domain as a zip
+    async handleWkdBundle() {
+        const domain = document.getElementById('wkdDomain').value.trim();
+        if (!domain) {
+            this.showError('Enter the domain to publish keys for');
+            return;
+        }
+
+        try {
+            this.setLoading('wkdBundleBtn', true);
+            const bundle = await this.wkd.createPublicationBundle(domain, {
+                method: document.getElementById('wkdBundleMethod').value
+            });
+
+            await this.fileUtils.downloadFile(bundle.data, bundle.filename, 'application/zip');
+            this.showReport('wkdOutput', `Saved ${bundle.filename}`, bundle.published.map(entry =>
+                `${entry.email}: ${entry.keyIds.join(', ')}\n  ${entry.path}`
+            ));
+        } catch (error) {
+            console.error('WKD bundle failed:', error);
+            this.showError(error.message);
+        } finally {
+            this.setLoading('wkdBundleBtn', false);
+        }
+    }
+
+    // ==================== AUTOCRYPT ====================
+
+    handleAutocryptPreferEncryptChange(event) {
+        this.autocrypt.setPreferEncrypt(event.target.checked ? 'mutual' : 'nopreference');
+        document.getElementById('autocryptHeader').value = '';
+        this.renderAutocryptPeers();
+        this.persistVault();
+    }
+
+    async handleAutocryptHeader() {
+        try {
+            this.setLoading('autocryptHeaderBtn', true);
+            document.getElementById('autocryptHeader').value = await this.autocrypt.generateHeader(this.state.currentKeyPair, {
+                addr: document.getElementById('autocryptAddr').value
+            });
+        } catch (error) {
+            console.error('Autocrypt header generation failed:', error);
+            this.showError(error.message);
+        } finally {
+            this.setLoading('autocryptHeaderBtn', false);
+        }
+    }
+
+    async handleCopyAutocryptHeader() {
+        const header = document.getElementById('autocryptHeader').value;
+        if (!header) {
+            this.showError('Generate the header first');
+            return;
+        }
+
+        if (await Clipboard.copyToClipboard(header)) {
+            this.showSuccess('Autocrypt header copied to clipboard');
+        } else {
+            this.showError('Failed to copy the Autocrypt header to clipboard');
+        }
+    }
+
+    // Learn keys and peer state from pasted mail headers
+    async handleAutocryptProcess() {
+        const input = document.getElementById('autocryptIncoming');
+        if (!input.value.trim()) {
+            this.showError('Paste the headers of a received email first');
+            return;
+        }
+
+        try {
+            this.setLoading('autocryptProcessBtn', true);
+            const result = await this.autocrypt.processMessage(input.value);
+
+            const describe = (label, entry) => {
+                const key = entry.fingerprint ? ` (${Formatting.formatFingerprint(entry.fingerprint)})` : '';
+                const detail = entry.error ? `: ${entry.error}` : '';
+                return `${label} ${entry.addr || 'unknown address'} - ${entry.status}${key}${detail}`;
+            };
+            const lines = [];
+            if (result.autocrypt) lines.push(describe('Autocrypt', result.autocrypt));
+            result.gossip.forEach(entry => lines.push(describe('Gossip', entry)));
+
+            input.value = '';
+            this.handleKeyringChanged();
+            this.showReport('autocryptOutput', `Message from ${result.from || 'unknown sender'}, ${Formatting.formatDate(result.date)}`, lines);
+        } catch (error) {
+            console.error('Autocrypt processing failed:', error);
+            this.showError(error.message);
+        } finally {
+            this.setLoading('autocryptProcessBtn', false);
+        }
+    }
+
+    handleRemoveAutocryptPeer(addr) {
+        if (!confirm(`Forget the Autocrypt state for ${addr}? Its keys stay in the keyring.`)) return;
+
+        this.autocrypt.removePeer(addr);
+        this.renderAutocryptPeers();
+        this.persistVault();
+    }
+
+    // Encrypt the active secret key under a new setup code and save the setup message to send to ourselves
+    async handleAutocryptSetupCreate() {
+        const keyPair = this.state.currentKeyPair;
+        if (!keyPair || !keyPair.privateKey) {
+            this.showError('Load or generate a secret key first');
+            return;
+        }
+        if (!confirm('The setup message holds your secret key. Anyone with it and the setup code can use your key. Continue?')) return;
+
+        try {
+            this.setLoading('autocryptSetupCreateBtn', true);
+
+            let passphrase = '';
+            if (!keyPair.privateKeyObj.isDecrypted()) {
+                passphrase = await this.promptPassphrase({ keyPair, reason: 'create an Autocrypt Setup Message' });
+                if (passphrase === null || passphrase === undefined) return;
+            }
+
+            const setup = await this.autocrypt.createSetupMessage(keyPair, passphrase);
+            await this.fileUtils.downloadFile(setup.message, setup.filename, 'message/rfc822');
+            this.showReport('autocryptSetupOutput', `Saved ${setup.filename}`, [
+                `Setup code: ${setup.setupCode}`,
+                'Write the code down and enter it on the other device. Do not send it by email.'
+            ]);
+        } catch (error) {
+            console.error('Setup message creation failed:', error);
+            this.showError(error.message);
+        } finally {
+            this.setLoading('autocryptSetupCreateBtn', false);
+        }
+    }
+
+    // Decrypt a pasted or chosen setup message, protect the key under a new passphrase and import it
+    async handleAutocryptSetupImport() {
+        const textInput = document.getElementById('autocryptSetupInput');
+        const codeInput = document.getElementById('autocryptSetupCode');
+        const file = this.state.autocryptSetupFile;
+
+        let setup = null;
+        try {
+            this.setLoading('autocryptSetupImportBtn', true);
+
+            const text = file ? await this.fileUtils.readFileAsText(file) : textInput.value;
+            if (!text.trim()) {
+                this.showError('Paste or choose an Autocrypt Setup Message first');
+                return;
+            }
+
+            setup = await this.autocrypt.readSetupMessage(text, codeInput.value);
+            let newPassphrase = '';
+            if (setup.privateKeyObj.isDecrypted()) {
+                newPassphrase = await this.promptNewPassphrase({
+                    metadata: await this.keyManager.buildKeyMetadata(setup.privateKeyObj.toPublic(), true)
+                });
+                if (newPassphrase === null) return;
+            }
+
+            const keyPair = await this.autocrypt.importSetupKey(setup, { newPassphrase });
+            document.getElementById('autocryptPreferEncrypt').checked = this.autocrypt.preferEncrypt === 'mutual';
+
+            textInput.value = '';
+            codeInput.value = '';
+            this.state.autocryptSetupFile = null;
+            const dropZone = document.getElementById('autocryptSetupDropZone');
+            dropZone.textContent = 'Drop a .eml or .html setup message here or click to choose';
+            dropZone.classList.remove('has-file');
+            document.getElementById('autocryptSetupFileInput').value = '';
+
+            this.state.currentKeyPair = this.keyManager.getCurrentKeyPair();
+            this.updateKeyInfo(this.state.currentKeyPair);
+            this.handleKeyringChanged();
+            this.updateButtonStates();
+            this.showReport('autocryptSetupOutput', 'Secret key imported', [
+                `${keyPair.metadata.userIds[0] || keyPair.metadata.keyId}\n${Formatting.formatFingerprint(keyPair.metadata.fingerprint)}`,
+                `prefer-encrypt: ${this.autocrypt.preferEncrypt}`
+            ]);
+        } catch (error) {
+            console.error('Setup message import failed:', error);
+            this.showError(error.message);
+        } finally {
+            // Also covers a cancelled passphrase prompt, where the key never reaches importSetupKey
+            this.autocrypt.discardSetupKey(setup);
+            this.setLoading('autocryptSetupImportBtn', false);
+        }
+    }
+
+    renderAutocrypt() {
+        const select = document.getElementById('autocryptAddr');
+        if (select) {
+            const previous = select.value;
+            const addresses = this.state.currentKeyPair ? this.autocrypt.getAddresses(this.state.currentKeyPair) : [];
+            select.innerHTML = '';
+            if (addresses.length === 0) {
+                select.appendChild(new Option('No key with an email address', ''));
+            }
+            addresses.forEach(address => select.appendChild(new Option(address, address)));
+            if (addresses.includes(previous)) select.value = previous;
+        }
+
+        this.setButtonState('autocryptHeaderBtn', !!select?.value);
+        this.setButtonState('autocryptSetupCreateBtn', !!this.state.currentKeyPair?.privateKey);
+        this.renderAutocryptPeers();
+    }
+
+    // Peers with their keys, timestamps and the resulting encryption recommendation
+    renderAutocryptPeers() {
+        const list = document.getElementById('autocryptPeerList');
+        if (!list) return;
+
+        const peers = this.autocrypt.listPeers();
+        list.innerHTML = '';
+
+        if (peers.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'keyring-empty';
+            empty.textContent = 'No Autocrypt peers yet';
+            list.appendChild(empty);
+            return;
+        }
+
+        peers.forEach(peer => {
+            const entry = document.createElement('div');
+            entry.className = 'keyring-entry';
+
+            const addr = document.createElement('div');
+            addr.className = 'keyring-entry-uid';
+            addr.textContent = `✉️ ${peer.addr}`;
+
+            const keyPair = this.autocrypt.getPeerKey(peer.addr);
+            const key = document.createElement('div');
+            key.className = 'keyring-entry-meta';
+            key.textContent = keyPair
+                ? `🔑 ${keyPair.metadata.keyId}${peer.fingerprint ? '' : ' (gossip)'}` +
+                    (peer.preferEncrypt ? ` · prefer-encrypt=${peer.preferEncrypt}` : '')
+                : 'No key';
+
+            const seen = document.createElement('div');
+            seen.className = 'keyring-entry-meta';
+            seen.textContent = `Last seen ${Formatting.formatDate(peer.lastSeen) || 'never'}` +
+                (peer.autocryptTimestamp ? ` · Autocrypt header ${Formatting.formatDate(peer.autocryptTimestamp)}` : '') +
+                (peer.gossipTimestamp ? ` · gossip ${Formatting.formatDate(peer.gossipTimestamp)}` : '');
+
+            const recommendation = document.createElement('div');
+            recommendation.className = 'keyring-entry-trust';
+            recommendation.textContent = Formatting.formatAutocryptRecommendation(this.autocrypt.getRecommendation(peer.addr));
+
+            const actions = document.createElement('div');
+            actions.className = 'keyring-entry-actions';
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn btn-secondary';
+            removeBtn.textContent = 'Forget';
+            removeBtn.addEventListener('click', () => this.handleRemoveAutocryptPeer(peer.addr));
+            actions.appendChild(removeBtn);
+
+            entry.append(addr, key, seen, recommendation, actions);
+            list.appendChild(entry);
+        });
+    }
+
+    // ==================== PGP/MIME EMAIL ====================
+
+    handleMimeAttach(file) {
+        if (!file) return;
+
+        this.state.mimeAttachments.push(file);
+        this.renderMimeAttachments();
+    }
+
+    renderMimeAttachments() {
+        const list = document.getElementById('mimeAttachList');
+        if (!list) return;
+
+        list.innerHTML = '';
+        this.state.mimeAttachments.forEach((file, index) => {
+            const entry = document.createElement('div');
+            entry.className = 'keyring-entry';
+
+            const name = document.createElement('div');
+            name.className = 'keyring-entry-uid';
+            name.textContent = `📎 ${file.name} (${Formatting.formatFileSize(file.size)})`;
+
+            const actions = document.createElement('div');
+            actions.className = 'keyring-entry-actions';
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn btn-secondary';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => {
+                this.state.mimeAttachments.splice(index, 1);
+                this.renderMimeAttachments();
+            });
+            actions.appendChild(removeBtn);
+
+            entry.append(name, actions);
+            list.appendChild(entry);
+        });
+    }
+
+    // Build a signed and/or encrypted PGP/MIME email and save it as .eml
+    async handleMimeCompose() {
+        try {
+            this.setLoading('mimeComposeBtn', true);
+
+            const result = await this.pgpMime.composeMessage({
+                from: document.getElementById('mimeFrom').value,
+                to: document.getElementById('mimeTo').value,
+                cc: document.getElementById('mimeCc').value,
+                subject: document.getElementById('mimeSubject').value,
+                body: document.getElementById('mimeBody').value,
+                attachments: this.state.mimeAttachments,
+                sign: document.getElementById('mimeSign').checked,
+                encrypt: document.getElementById('mimeEncrypt').checked,
+                encryptToSelf: document.getElementById('mimeEncryptToSelf').checked
+            });
+            this.updateAgentStatus();
+
+            await this.fileUtils.downloadFile(result.message, result.filename, 'message/rfc822');
+
+            const lines = result.micalg
+                ? [`multipart/signed, micalg=${result.micalg}`]
+                : [`multipart/encrypted${document.getElementById('mimeSign').checked ? ', signed inside' : ''}`];
+            result.recipients.forEach(recipient => lines.push(
+                `🔑 ${recipient.userId || 'No user ID'}\n   ${Formatting.formatFingerprint(recipient.fingerprint)}`
+            ));
+            if (this.state.mimeAttachments.length > 0) {
+                lines.push(`📎 ${this.state.mimeAttachments.length} attachment${this.state.mimeAttachments.length !== 1 ? 's' : ''}`);
+            }
+            this.showReport('mimeComposeOutput', `Saved ${result.filename}`, lines);
+            this.showSuccess('Email saved');
+        } catch (error) {
+            console.error('PGP/MIME composition failed:', error);
+            this.showError(error.message);
+        } finally {
+            this.setLoading('mimeComposeBtn', false);
+        }
+    }
+
+    // Open a chosen or pasted .eml, decrypting and verifying its PGP/MIME parts
+    async handleMimeOpen() {
+        const file = this.state.mimeOpenFile;
+        const textInput = document.getElementById('mimeOpenText');
+
+        try {
+            this.setLoading('mimeOpenBtn', true);
+
+            const text = file ? await this.fileUtils.readFileAsText(file) : textInput.value;
+            if (!text.trim()) {
+                this.showError('Choose or paste an email first');
+                return;
+            }
+
+            const result = await this.pgpMime.openMessage(text);
+            this.updateAgentStatus();
+            this.showMimeMessage('mimeOpenOutput', result);
+        } catch (error) {
+            console.error('PGP/MIME parsing failed:', error);
+            this.showError(error.message);
+        } finally {
+            this.setLoading('mimeOpenBtn', false);
+        }
+    }
+
+    // Suggest the active key's primary user ID as the sender
+    renderPgpMime() {
+        const from = document.getElementById('mimeFrom');
+        const userId = this.state.currentKeyPair?.metadata.userIds[0];
+        if (from && userId && (!from.value || from.dataset.suggested === from.value)) {
+            from.value = userId;
+            from.dataset.suggested = userId;
+        }
+    }
+
+    // ==================== X.509 CERTIFICATES ====================
+
+    // Algorithms, profiles and usage checkboxes come from CONSTANTS.X509
+    initializeX509Form() {
+        const { KEY_ALGORITHMS, PROFILES, KEY_USAGES, EXTENDED_KEY_USAGES, DEFAULT_ALGORITHM, DEFAULT_VALIDITY_DAYS } = CONSTANTS.X509;
+
+        const algorithmSelect = document.getElementById('x509Algorithm');
+        const profileSelect = document.getElementById('x509Profile');
+        if (!algorithmSelect || !profileSelect) return;
+
+        Object.entries(KEY_ALGORITHMS).forEach(([value, { label }]) => algorithmSelect.appendChild(new Option(label, value)));
+        algorithmSelect.value = DEFAULT_ALGORITHM;
+        Object.entries(PROFILES).forEach(([value, { label }]) => profileSelect.appendChild(new Option(label, value)));
+        profileSelect.appendChild(new Option('Custom', 'custom'));
+
+        const addCheckboxes = (containerId, usages) => {
+            const container = document.getElementById(containerId);
+            Object.entries(usages).forEach(([value, { label }]) => {
+                const option = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = value;
+                checkbox.addEventListener('change', () => {
+                    profileSelect.value = 'custom';
+                });
+                const text = document.createElement('span');
+                text.textContent = label;
+                option.append(checkbox, text);
+                container.appendChild(option);
+            });
+        };
+        addCheckboxes('x509KeyUsage', KEY_USAGES);
+        addCheckboxes('x509ExtKeyUsage', EXTENDED_KEY_USAGES);
+
+        document.getElementById('x509ValidityDays').value = String(DEFAULT_VALIDITY_DAYS);
+        this.applyX509Profile();
+    }
+
+    // Tick the usages and CA flag of the chosen profile
+    applyX509Profile() {
+        const profile = CONSTANTS.X509.PROFILES[document.getElementById('x509Profile').value];
+        if (!profile) return;
+
+        document.querySelectorAll('#x509KeyUsage input').forEach(checkbox => {
+            checkbox.checked = profile.keyUsage.includes(checkbox.value);
+        });
+        document.querySelectorAll('#x509ExtKeyUsage input').forEach(checkbox => {
+            checkbox.checked = profile.extKeyUsage.includes(checkbox.value);
+        });
+        document.getElementById('x509IsCa').checked = profile.ca;
+        this.handleX509CaChange();
+    }
+
+    handleX509CaChange() {
+        document.getElementById('x509PathLengthGroup').style.display = document.getElementById('x509IsCa').checked ? 'block' : 'none';
+    }
+
+    getX509Request() {
+        const value = id => document.getElementById(id).value;
+        const checked = containerId => Array.from(document.querySelectorAll(`#${containerId} input:checked`), checkbox => checkbox.value);
+
+        return {
+            algorithm: value('x509Algorithm'),
+            subject: {
+                commonName: value('x509CommonName'),
+                organization: value('x509Organization'),
+                organizationalUnit: value('x509OrganizationalUnit'),
+                locality: value('x509Locality'),
+                state: value('x509State'),
+                country: value('x509Country'),
+                email: value('x509Email')
+            },
+            san: value('x509San'),
+            keyUsage: checked('x509KeyUsage'),
+            extKeyUsage: checked('x509ExtKeyUsage'),
+            ca: document.getElementById('x509IsCa').checked,
+            pathLength: value('x509PathLength'),
+            validityDays: value('x509ValidityDays')
+        };
+    }
+
+    async handleX509Csr() {
+        try {
+            this.setLoading('x509CsrBtn', true);
+
+            const entry = await this.certificateManager.createCsr(this.getX509Request());
+            const { data: pem } = await this.certificateManager.exportItem(entry.id, 'csr', 'pem');
+
+            this.renderX509Entries();
+            this.persistVault();
+            this.showX509Result(`Certificate signing request for ${entry.label}`, entry, pem);
+            this.showSuccess('CSR generated');
+        } catch (error) {
+            console.error('CSR generation failed:', error);
+            this.showError(error.message);
+        } finally {
+            this.setLoading('x509CsrBtn', false);
+        }
+    }
+
+    // Self-sign from the form, or for an existing entry's key and request when id is given
+    async handleX509SelfSign(id = null) {
+        try {
+            this.setLoading('x509SelfSignBtn', true);
+
+            const entry = await this.certificateManager.createSelfSignedCertificate(id ? null : this.getX509Request(), { id });
+            const { data: pem } = await this.certificateManager.exportItem(entry.id, 'certificate', 'pem');
+
+            this.renderX509Entries();
+            this.persistVault();
+            this.showX509Result(`Self-signed certificate for ${entry.label}`, entry, pem);
+            this.showSuccess('Self-signed certificate created');
+        } catch (error) {
+            console.error('Self-signed certificate creation failed:', error);
+            this.showError(error.message);
+        } finally {
+            this.setLoading('x509SelfSignBtn', false);
+        }
+    }
+
+    showX509Result(title, entry, pem) {
+        const lines = [
+            `Subject: ${Formatting.formatDistinguishedName(entry.request.subject)}`,
+            `Alternative names: ${Formatting.formatSubjectAltNames(entry.request.san)}`,
+            `Key: ${CONSTANTS.X509.KEY_ALGORITHMS[entry.algorithm].label}`
+        ];
+        if (entry.certificateInfo) {
+            lines.push(
+                `Valid: ${Formatting.formatDate(entry.certificateInfo.notBefore)} to ${Formatting.formatDate(entry.certificateInfo.notAfter)}`,
+                `SHA-256: ${entry.certificateInfo.fingerprint}`
+            );
+        }
+
+        this.showReport('x509Output', title, [...lines, '', pem]);
+        Clipboard.addCopyButton(document.getElementById('x509Output'), pem);
+    }
+
+    async handleX509Export(id, kind) {
+        if (kind === 'privateKey' && !confirm('The private key is exported without a password. Anyone with the file can use it. Continue?')) return;
+
+        try {
+            const filename = await this.certificateManager.saveToFile(id, kind, document.getElementById('x509ExportFormat').value);
+            this.showSuccess(`Saved ${filename}`);
+        } catch (error) {
+            console.error('X.509 export failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    handleRemoveX509Entry(id) {
+        const entry = this.certificateManager.getEntry(id);
+        if (!entry) return;
+        if (this.certificateAuthority.getAuthority(id)) {
+            this.showError(`${entry.label} is a certificate authority. Delete it in the Certificate Authority section.`);
+            return;
+        }
+        if (!confirm(`Delete ${entry.label} and its private key? This cannot be undone.`)) return;
+
+        this.certificateManager.removeEntry(id);
+        this.renderX509Entries();
+        this.persistVault();
+    }
+
+    renderX509Entries() {
+        const list = document.getElementById('x509EntryList');
+        if (!list) return;
+
+        const entries = this.certificateManager.listEntries();
+        list.innerHTML = '';
+
+        if (entries.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'keyring-empty';
+            empty.textContent = 'No certificates or requests yet';
+            list.appendChild(empty);
+            return;
+        }
+
+        entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'keyring-entry';
+
+            const label = document.createElement('div');
+            label.className = 'keyring-entry-uid';
+            label.textContent = `${entry.certificate ? '📜' : '📝'} ${Formatting.formatDistinguishedName(entry.request.subject)}`;
+
+            const meta = document.createElement('div');
+            meta.className = 'keyring-entry-meta';
+            meta.textContent = `${CONSTANTS.X509.KEY_ALGORITHMS[entry.algorithm]?.label || entry.algorithm} · ` +
+                `SAN: ${Formatting.formatSubjectAltNames(entry.request.san)}`;
+
+            const status = document.createElement('div');
+            status.className = 'keyring-entry-meta';
+            const info = entry.certificateInfo;
+            status.textContent = info
+                ? `${info.ca ? 'CA certificate' : 'Certificate'}, ${info.selfSigned ? 'self-signed' : `issued by ${Formatting.formatDistinguishedName(info.issuer)}`}, ` +
+                    `valid until ${Formatting.formatDate(info.notAfter)} · SHA-256 ${info.fingerprint}`
+                : `CSR created ${Formatting.formatDate(entry.created)}`;
+
+            const actions = document.createElement('div');
+            actions.className = 'keyring-entry-actions';
+            const addButton = (text, onClick, secondary = true) => {
+                const button = document.createElement('button');
+                button.className = secondary ? 'btn btn-secondary' : 'btn';
+                button.textContent = text;
+                button.addEventListener('click', onClick);
+                actions.appendChild(button);
+            };
+            if (entry.certificate) addButton('Certificate', () => this.handleX509Export(entry.id, 'certificate'), false);
+            if (entry.csr) addButton('CSR', () => this.handleX509Export(entry.id, 'csr'), false);
+            addButton('Private Key', () => this.handleX509Export(entry.id, 'privateKey'));
+            if (!entry.certificate) addButton('Self-Sign', () => this.handleX509SelfSign(entry.id));
+            addButton('Delete', () => this.handleRemoveX509Entry(entry.id));
+
+            item.append(label, meta, status, actions);
+            list.appendChild(item);
+        });
+    }
+
+    // ==================== CERTIFICATE AUTHORITY ====================
+
+    initializeCaForm() {
+        const { KEY_ALGORITHMS, PROFILES, REVOCATION_REASONS, DEFAULT_ALGORITHM, CA } = CONSTANTS.X509;
+
+        const algorithmSelect = document.getElementById('caAlgorithm');
+        if (!algorithmSelect) return;
+
+        Object.entries(KEY_ALGORITHMS).forEach(([value, { label }]) => algorithmSelect.appendChild(new Option(label, value)));
+        algorithmSelect.value = DEFAULT_ALGORITHM;
+        CA.ISSUING_PROFILES.forEach(value => document.getElementById('caProfile').appendChild(new Option(PROFILES[value].label, value)));
+        Object.entries(REVOCATION_REASONS).forEach(([value, { label }]) => {
+            document.getElementById('caRevocationReason').appendChild(new Option(label, value));
+        });
+    }
+
+    // A root CA, or an intermediate when a parent CA is chosen
+    async handleCaCreate() {
+        const value = id => document.getElementById(id).value;
+        const parentId = value('caParent');
+        const request = {
+            algorithm: value('caAlgorithm'),
+            subject: {
+                commonName: value('caCommonName'),
+                organization: value('caOrganization'),
+                country: value('caCountry')
+            },
+            validityDays: value('caValidityDays') || null,
+            pathLength: value('caPathLength')
+        };
+
+        try {
+            this.setLoading('caCreateBtn', true);
+
+            const authority = parentId
+                ? await this.certificateAuthority.createIntermediateCa(parentId, request)
+                : await this.certificateAuthority.createRootCa(request);
+            const entry = this.certificateManager.getEntry(authority.id);
+            const { data: pem } = await this.certificateManager.exportItem(authority.id, 'certificate', 'pem');
+
+            this.renderX509Entries();
+            this.renderCertificateAuthority();
+            this.persistVault();
+            this.showCaResult(`${parentId ? 'Intermediate' : 'Root'} CA ${authority.label}`,
+                { subject: entry.request.subject, san: [], ...entry.certificateInfo }, pem);
+            this.showSuccess(`${parentId ? 'Intermediate' : 'Root'} CA created`);
+        } catch (error) {
+            console.error('CA creation failed:', error);
+            this.showError(error.message);
+        } finally {
+            this.setLoading('caCreateBtn', false);
+        }
+    }
+
+    // Sign a chosen or pasted CSR with the selected CA and profile
+    async handleCaIssue() {
+        const file = this.state.caCsrFile;
+        const caId = document.getElementById('caIssuer').value;
+
+        try {
+            this.setLoading('caIssueBtn', true);
+
+            if (!caId) {
+                this.showError('Create a certificate authority first');
+                return;
+            }
+            const input = file ? new Uint8Array(await file.arrayBuffer()) : document.getElementById('caCsrText').value.trim();
+            if (input.length === 0) {
+                this.showError('Choose or paste a certificate signing request first');
+                return;
+            }
+
+            const record = await this.certificateAuthority.signCsr(caId, input, {
+                profile: document.getElementById('caProfile').value,
+                validityDays: document.getElementById('caIssueValidityDays').value
+            });
+            const { data: pem } = this.certificateAuthority.exportItem('certificate', record.serialNumber, 'pem');
+
+            this.renderX509Entries();
+            this.renderCertificateAuthority();
+            this.persistVault();
+            this.showCaResult(`Certificate for ${this.certificateAuthority.getLabel(record)}`, record, pem);
+            this.showSuccess(`Certificate issued with serial number ${record.serialNumber}`);
+        } catch (error) {
+            console.error('Certificate issuance failed:', error);
+            this.showError(error.message);
+        } finally {
+            this.setLoading('caIssueBtn', false);
+        }
+    }
+
+    showCaResult(title, { subject, san, serialNumber, notBefore, notAfter, fingerprint }, pem) {
+        const lines = [`Subject: ${Formatting.formatDistinguishedName(subject)}`];
+        if (san.length > 0) {
+            lines.push(`Alternative names: ${Formatting.formatSubjectAltNames(san)}`);
+        }
+        lines.push(
+            `Serial number: ${serialNumber}`,
+            `Valid: ${Formatting.formatDate(notBefore)} to ${Formatting.formatDate(notAfter)}`,
+            `SHA-256: ${fingerprint}`
+        );
+
+        this.showReport('caOutput', title, [...lines, '', pem]);
+        Clipboard.addCopyButton(document.getElementById('caOutput'), pem);
+    }
+
+    async handleCaRenew(serialNumber) {
+        try {
+            const record = await this.certificateAuthority.renewCertificate(serialNumber);
+            const { data: pem } = this.certificateAuthority.exportItem('certificate', record.serialNumber, 'pem');
+
+            this.renderX509Entries();
+            this.renderCertificateAuthority();
+            this.persistVault();
+            this.showCaResult(`Renewed certificate for ${this.certificateAuthority.getLabel(record)}`, record, pem);
+            this.showSuccess(`Renewed with serial number ${record.serialNumber}. The previous certificate stays valid until revoked.`);
+        } catch (error) {
+            console.error('Certificate renewal failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    // Revoke with the reason chosen above the issued list
+    handleCaRevoke(serialNumber) {
+        const record = this.certificateAuthority.getIssued(serialNumber);
+        const reason = document.getElementById('caRevocationReason').value;
+        const reasonLabel = CONSTANTS.X509.REVOCATION_REASONS[reason]?.label || reason;
+        if (!record || !confirm(`Revoke the certificate for ${this.certificateAuthority.getLabel(record)} (${serialNumber}) because of "${reasonLabel}"? This cannot be undone.`)) return;
+
+        try {
+            this.certificateAuthority.revokeCertificate(serialNumber, reason);
+            this.renderCertificateAuthority();
+            this.persistVault();
+            this.showSuccess('Certificate revoked. Publish a new CRL so that relying parties see it.');
+        } catch (error) {
+            console.error('Revocation failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    // Sign a fresh CRL for the CA and save it
+    async handleCaPublishCrl(id) {
+        try {
+            const crl = await this.certificateAuthority.generateCrl(id);
+            const filename = await this.certificateAuthority.saveToFile('crl', id, document.getElementById('caExportFormat').value);
+
+            this.renderCertificateAuthority();
+            this.persistVault();
+            this.showSuccess(`CRL number ${crl.number} with ${crl.revokedCount} revoked certificate(s) saved as ${filename}`);
+        } catch (error) {
+            console.error('CRL generation failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async handleCaExport(kind, id) {
+        try {
+            const filename = await this.certificateAuthority.saveToFile(kind, id, document.getElementById('caExportFormat').value);
+            this.showSuccess(`Saved ${filename}`);
+        } catch (error) {
+            console.error('CA export failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    handleRemoveCa(id) {
+        const authority = this.certificateAuthority.getAuthority(id);
+        const count = this.certificateAuthority.listIssued(id).length;
+        if (!authority || !confirm(`Delete ${authority.label}, its private key and the records of the ${count} certificate(s) it issued? This cannot be undone.`)) return;
+
+        try {
+            this.certificateAuthority.removeAuthority(id);
+            this.renderX509Entries();
+            this.renderCertificateAuthority();
+            this.persistVault();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    renderCertificateAuthority() {
+        const authorityList = document.getElementById('caAuthorityList');
+        const issuedList = document.getElementById('caIssuedList');
+        if (!authorityList || !issuedList) return;
+
+        const ca = this.certificateAuthority;
+        const authorities = ca.listAuthorities();
+
+        // Both CA pickers keep their selection when the list changes
+        [['caParent', 'Itself (new root CA)'], ['caIssuer', null]].forEach(([selectId, firstLabel]) => {
+            const select = document.getElementById(selectId);
+            const selected = select.value;
+            select.innerHTML = '';
+            if (firstLabel) select.appendChild(new Option(firstLabel, ''));
+            authorities.forEach(authority => select.appendChild(new Option(authority.label, authority.id)));
+            if (authorities.some(authority => authority.id === selected)) select.value = selected;
+        });
+
+        const createButton = (actions, text, onClick, secondary = true) => {
+            const button = document.createElement('button');
+            button.className = secondary ? 'btn btn-secondary' : 'btn';
+            button.textContent = text;
+            button.addEventListener('click', onClick);
+            actions.appendChild(button);
+        };
+        const createEmpty = text => {
+            const empty = document.createElement('div');
+            empty.className = 'keyring-empty';
+            empty.textContent = text;
+            return empty;
+        };
+
+        authorityList.innerHTML = '';
+        if (authorities.length === 0) {
+            authorityList.appendChild(createEmpty('No certificate authorities yet'));
+        }
+        authorities.forEach(authority => {
+            const entry = this.certificateManager.getEntry(authority.id);
+            const issued = ca.listIssued(authority.id);
+            const item = document.createElement('div');
+            item.className = 'keyring-entry';
+
+            const label = document.createElement('div');
+            label.className = 'keyring-entry-uid';
+            label.textContent = `🏛️ ${entry ? Formatting.formatDistinguishedName(entry.request.subject) : authority.label}`;
+
+            const meta = document.createElement('div');
+            meta.className = 'keyring-entry-meta';
+            const parent = ca.getAuthority(authority.parentId);
+            meta.textContent = `${parent ? `Intermediate CA under ${parent.label}` : 'Root CA'} · ` +
+                (entry?.certificateInfo ? `valid until ${Formatting.formatDate(entry.certificateInfo.notAfter)}` : 'key missing');
+
+            const status = document.createElement('div');
+            status.className = 'keyring-entry-meta';
+            status.textContent = `${issued.length} issued, ${issued.filter(record => record.status === 'revoked').length} revoked · ` +
+                (authority.crl ? `CRL ${authority.crl.number} published ${Formatting.formatDate(authority.crl.thisUpdate)}, next update ${Formatting.formatDate(authority.crl.nextUpdate)}` : 'no CRL published');
+
+            const actions = document.createElement('div');
+            actions.className = 'keyring-entry-actions';
+            createButton(actions, 'Chain', () => this.handleCaExport('chain', authority.id), false);
+            createButton(actions, 'Publish CRL', () => this.handleCaPublishCrl(authority.id), false);
+            if (authority.crl) createButton(actions, 'Last CRL', () => this.handleCaExport('crl', authority.id));
+            createButton(actions, 'Delete', () => this.handleRemoveCa(authority.id));
+
+            item.append(label, meta, status, actions);
+            authorityList.appendChild(item);
+        });
+
+        const records = ca.listIssued();
+        issuedList.innerHTML = '';
+        if (records.length === 0) {
+            issuedList.appendChild(createEmpty('No certificates issued yet'));
+        }
+        records.forEach(record => {
+            const state = ca.getStatus(record);
+            const item = document.createElement('div');
+            item.className = 'keyring-entry';
+
+            const label = document.createElement('div');
+            label.className = 'keyring-entry-uid';
+            label.textContent = `${{ valid: '✅', expired: '⌛', revoked: '⛔' }[state]} ${Formatting.formatDistinguishedName(record.subject)}`;
+
+            const meta = document.createElement('div');
+            meta.className = 'keyring-entry-meta';
+            meta.textContent = `${CONSTANTS.X509.PROFILES[record.profile]?.label || record.profile} · ` +
+                `issued by ${ca.getAuthority(record.caId)?.label || 'a deleted CA'} · serial ${record.serialNumber}` +
+                (record.san.length > 0 ? ` · SAN: ${Formatting.formatSubjectAltNames(record.san)}` : '');
+
+            const status = document.createElement('div');
+            status.className = 'keyring-entry-meta';
+            const renewal = record.renewedBy ? ` · renewed as ${record.renewedBy}` : record.renewedFrom ? ` · renewal of ${record.renewedFrom}` : '';
+            if (state === 'revoked') {
+                const reason = CONSTANTS.X509.REVOCATION_REASONS[record.revocationReason]?.label || record.revocationReason;
+                status.textContent = `Revoked ${Formatting.formatDate(record.revocationDate)} (${reason})${renewal}`;
+            } else {
+                status.textContent = `${state === 'expired' ? 'Expired' : 'Valid until'} ${Formatting.formatDate(record.notAfter)}${renewal}`;
+            }
+
+            const actions = document.createElement('div');
+            actions.className = 'keyring-entry-actions';
+            createButton(actions, 'Certificate', () => this.handleCaExport('certificate', record.serialNumber), false);
+            if (state !== 'revoked') {
+                createButton(actions, 'Renew', () => this.handleCaRenew(record.serialNumber));
+                createButton(actions, 'Revoke', () => this.handleCaRevoke(record.serialNumber));
+            }
+
+            item.append(label, meta, status, actions);
+            issuedList.appendChild(item);
+        });
+    }
+
+    // ==================== CERTIFICATE VIEWER ====================
+
+    // The bytes of the file chosen for an input, else the pasted text
+    async readChainInput(stateKey, textId) {
+        const file = this.state[stateKey];
+        return file ? new Uint8Array(await file.arrayBuffer()) : document.getElementById(textId).value;
+    }
+
+    getChainValidationTime() {
+        const value = document.getElementById('chainTime').value;
+        const time = value ? new Date(value) : new Date();
+        if (isNaN(time.getTime())) {
+            throw new Error('Enter a valid date and time to validate at');
+        }
+        return time;
+    }
+
+    async handleChainInspect() {
+        try {
+            this.setLoading('chainInspectBtn', true);
+
+            const certificates = this.certificateValidator.parseCertificates(await this.readChainInput('chainCertFile', 'chainCertText'));
+            if (certificates.length === 0) {
+                this.showError('Choose or paste certificates first');
+                return;
+            }
+
+            const time = this.getChainValidationTime();
+            const lines = [];
+            for (const [index, certificate] of certificates.entries()) {
+                const details = await this.certificateValidator.describeCertificate(certificate, time);
+                if (index > 0) lines.push('');
+                lines.push(`📜 Certificate ${index + 1} of ${certificates.length}`, ...Formatting.formatCertificate(details));
+            }
+            this.showReport('chainOutput', `${certificates.length} certificate(s)`, lines);
+        } catch (error) {
+            console.error('Certificate inspection failed:', error);
+            this.showError(error.message);
+        } finally {
+            this.setLoading('chainInspectBtn', false);
+        }
+    }
+
+    // Validate the bundle against the given anchors and CRLs, plus the local CA's when that box is ticked
+    async handleChainValidate() {
+        const validator = this.certificateValidator;
+
+        try {
+            this.setLoading('chainValidateBtn', true);
+
+            const certificates = validator.parseCertificates(await this.readChainInput('chainCertFile', 'chainCertText'));
+            const anchors = validator.parseCertificates(await this.readChainInput('chainAnchorFile', 'chainAnchorText'));
+            const crls = validator.parseCrls(await this.readChainInput('chainCrlFile', 'chainCrlText'));
+            if (document.getElementById('chainTrustLocalCa').checked) {
+                this.certificateAuthority.getTrustAnchors().forEach(der => anchors.push(...validator.parseCertificates(der)));
+                this.certificateAuthority.getCrls().forEach(der => crls.push(...validator.parseCrls(der)));
+            }
+
+            if (certificates.length === 0) {
+                this.showError('Choose or paste the certificates to validate');
+                return;
+            }
+            if (anchors.length === 0) {
+                this.showError('Add a trust anchor, or trust the local certificate authority');
+                return;
+            }
+
+            const result = await validator.validateChain({ certificates, anchors, crls, time: this.getChainValidationTime() });
+            this.showReport('chainOutput', result.valid ? 'Chain valid' : 'Chain not valid', Formatting.formatChainValidation(result));
+        } catch (error) {
+            console.error('Chain validation failed:', error);
+            this.showError(error.message);
+        } finally {
+            this.setLoading('chainValidateBtn', false);
+        }
+    }
+
+    // ==================== SUBKEY MANAGEMENT ====================
+
+    getSubkeyExpiration() {
+        return parseInt(document.getElementById('subkeyExpiration')?.value, 10) || 0;
+    }
+
+    // Run a key edit with the active key's passphrase and refresh everything that shows the key; resolves to true on success
+    async runKeyEdit(reason, edit, successMessage) {
+        const keyPair = this.state.currentKeyPair;
+        if (!keyPair || !keyPair.privateKey) {
+            this.showError('Load or generate a secret key first');
+            return false;
+        }
+        
+        try {
+            let passphrase = '';
+            if (!keyPair.privateKeyObj.isDecrypted()) {
+                passphrase = await this.promptPassphrase({ keyPair, reason });
+                if (passphrase === null || passphrase === undefined) return false;
+            }
+            
+            // An edit resolving to null was cancelled by the user
+            if (!await edit(keyPair, passphrase)) return false;
+            
+            // The cached unlocked copies predate the edit
+            this.keyAgent.forget(keyPair.metadata.fingerprint);
+            this.workerClient.lock(keyPair.metadata.fingerprint);
+            this.state.currentKeyPair = this.keyManager.getCurrentKeyPair();
+            this.updateAgentStatus();
+            
+            this.updateKeyInfo(this.state.currentKeyPair);
+            this.handleKeyringChanged();
+            this.updateButtonStates();
+            this.showSuccess(successMessage);
+            return true;
+        } catch (error) {
+            console.error('Key update failed:', error);
+            this.showError(error.message);
+            return false;
+        }
+    }
+
+    // ==================== KEY EDITING ====================
+
+    async handleAddUserId() {
+        const nameInput = document.getElementById('newUserIdName');
+        const emailInput = document.getElementById('newUserIdEmail');
+        const name = nameInput.value.trim();
+        const email = emailInput.value.trim();
+        
+        const added = await this.runKeyEdit(
+            'add a user ID',
+            (keyPair, passphrase) => this.keyManager.addUserId(keyPair, passphrase, { name, email }),
+            'User ID added. Re-export and share your public key so others see it.'
+        );
+        
+        if (added) {
+            nameInput.value = '';
+            emailInput.value = '';
+        }
+    }
+
+    async handleSetPrimaryUserId(userId) {
+        await this.runKeyEdit(
+            `make ${userId} the primary user ID`,
+            (keyPair, passphrase) => this.keyManager.setPrimaryUserId(keyPair, passphrase, userId),
+            `${userId} is now the primary user ID`
+        );
+    }
+
+    async handleRevokeUserId(userId) {
+        if (!confirm(`Revoke the user ID ${userId}? It stays visible in the key but is marked as no longer valid.`)) return;
+        
+        await this.runKeyEdit(
+            `revoke the user ID ${userId}`,
+            (keyPair, passphrase) => this.keyManager.revokeUserId(keyPair, passphrase, userId),
+            `User ID ${userId} revoked. Re-export and share your public key.`
+        );
+    }
+
+    async handleSetKeyExpiration() {
+        const expiration = parseInt(document.getElementById('editKeyExpiration').value, 10) || 0;
+        
+        await this.runKeyEdit(
+            'change its expiration',
+            (keyPair, passphrase) => this.keyManager.setKeyExpiration(keyPair, passphrase, expiration),
+            'Key expiration updated. Re-export and share your public key.'
+        );
+    }
+
+    async handleChangePassphrase() {
+        await this.runKeyEdit(
+            'change its passphrase',
+            async (keyPair, passphrase) => {
+                const newPassphrase = await this.promptNewPassphrase(keyPair);
+                if (newPassphrase === null) return null;
+                return this.keyManager.changePassphrase(keyPair, passphrase, newPassphrase);
+            },
+            'Passphrase changed'
+        );
+    }
+
+    async handleRemovePassphrase() {
+        if (!confirm('Remove the passphrase from this key?\n\nAnyone who gets hold of the key file, a backup or this browser profile can then use your secret key. Only do this for test keys.')) return;
+        
+        await this.runKeyEdit(
+            'remove its passphrase',
+            (keyPair, passphrase) => this.keyManager.changePassphrase(keyPair, passphrase, '', { allowUnprotected: true }),
+            'Passphrase removed. This key is no longer protected.'
+        );
+    }
+
+    // Ask for a new passphrase twice; resolves to null when cancelled
+    async promptNewPassphrase(keyPair) {
+        const label = keyPair.metadata.userIds[0] || keyPair.metadata.keyId;
+        let error = null;
+        
+        for (;;) {
+            const newPassphrase = await this.promptSecret({
+                title: '🔑 New Passphrase',
+                text: `Choose a new passphrase for ${label} [${keyPair.metadata.keyId}].`,
+                label: 'New passphrase:',
+                error
+            });
+            if (newPassphrase === null) return null;
+            
+            if (newPassphrase.length < CONSTANTS.MIN_PASSPHRASE_LENGTH) {
+                error = CONSTANTS.ERRORS.PASSPHRASE_TOO_SHORT;
+                continue;
+            }
+            
+            const confirmation = await this.promptSecret({
+                title: '🔑 Confirm New Passphrase',
+                text: 'Enter the new passphrase again.',
+                label: 'New passphrase:'
+            });
+            if (confirmation === null) return null;
+            if (confirmation === newPassphrase) return newPassphrase;
+            
+            error = 'Passphrases do not match. Please try again.';
+        }
+    }
+
+    async handleAddSubkey(usage) {
+        const expiration = this.getSubkeyExpiration();
+        await this.runKeyEdit(
+            `add a ${usage === 'sign' ? 'signing' : 'encryption'} subkey`,
+            (keyPair, passphrase) => this.keyManager.addSubkey(keyPair, passphrase, { usage, expiration }),
+            'Subkey added. Re-export and share your public key so others see it.'
+        );
+    }
+
+    async handleRotateEncryptionSubkey() {
+        if (!confirm('Create a new encryption subkey and mark the current ones as superseded? Old messages remain decryptable.')) return;
+        
+        const expiration = this.getSubkeyExpiration();
+        await this.runKeyEdit(
+            'rotate your encryption subkey',
+            (keyPair, passphrase) => this.keyManager.rotateEncryptionSubkey(keyPair, passphrase, { expiration }),
+            'Encryption subkey rotated. Re-export and share your public key; the fingerprint is unchanged.'
+        );
+    }
+
+    async handleSetSubkeyExpiration(subkeyId) {
+        const expiration = this.getSubkeyExpiration();
+        await this.runKeyEdit(
+            `change the expiry of subkey ${subkeyId}`,
+            (keyPair, passphrase) => this.keyManager.setSubkeyExpiration(keyPair, passphrase, subkeyId, expiration),
+            `Subkey ${subkeyId} expiry updated`
+        );
+    }
+
+    async handleRevokeSubkey(subkeyId) {
+        if (!confirm(`Revoke subkey ${subkeyId}? This cannot be undone.`)) return;
+        
+        const compromised = confirm('Was the subkey compromised?\n\nOK = compromised\nCancel = retired or superseded');
+        const flag = compromised ? 'keyCompromised' : 'keySuperseded';
+        await this.runKeyEdit(
+            `revoke subkey ${subkeyId}`,
+            (keyPair, passphrase) => this.keyManager.revokeSubkey(keyPair, passphrase, subkeyId, { flag }),
+            `Subkey ${subkeyId} revoked. Re-export and share your public key so others stop using it.`
+        );
+    }
+
+    // ==================== REVOCATION ====================
+
+    async handleDownloadRevocation() {
+        try {
+            await this.keyManager.saveRevocationCertificateToFile(this.state.currentKeyPair);
+            this.showSuccess('Revocation certificate downloaded. Store it offline.');
+        } catch (error) {
+            console.error('Revocation certificate download failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    // Revoke the active key with the chosen reason and offer the revoked public key for distribution
+    async handleRevokeKey() {
+        const keyPair = this.state.currentKeyPair;
+        if (!keyPair) return;
+        
+        const reason = document.getElementById('revocationReason').value;
+        const description = document.getElementById('revocationDescription').value.trim();
+        const label = keyPair.metadata.userIds[0] || keyPair.metadata.keyId;
+        if (!confirm(`Revoke ${label}? Nobody will be able to encrypt to it once they receive the revoked key. This cannot be undone.`)) return;
+        
+        const revoked = await this.runKeyEdit(
+            'revoke this key',
+            (target, passphrase) => this.keyManager.revokeKey(target, passphrase, { reason, description }),
+            'Key revoked. Distribute the revoked public key so others stop using it.'
+        );
+        
+        if (revoked) {
+            document.getElementById('revocationDescription').value = '';
+            if (confirm('Download the revoked public key now to distribute it?')) {
+                await this.keyManager.savePublicKeyToFile(this.state.currentKeyPair, `pgp-revoked-${this.state.currentKeyPair.metadata.keyId}.asc`)
+                    .catch(error => this.showError(error.message));
+            }
+        }
+    }
+
+    async handleSignMessage() {
+        if (!this.state.currentKeyPair) {
+            this.showError('No key pair loaded for signing');
+            return;
+        }
+        
+        try {
+            const message = document.getElementById('messageToSignNew').value.trim();
+            if (!message) {
+                this.showError('Please enter a message to sign');
+                return;
+            }
+            
+            this.setLoading('signBtnNew', true);
+            
+            // The key agent supplies the unlocked key, prompting if it is locked
+            const signedMessage = await this.signVerify.signMessage(message, this.state.currentKeyPair);
+            this.updateAgentStatus();
+            
+            this.showOutput('signOutputNew', 'Signed Message:', signedMessage);
+            this.showSuccess('Message signed successfully');
+            
+        } catch (error) {
+            console.error('Signing failed:', error);
+            this.showError(`Signing failed: ${error.message}`);
+        } finally {
+            this.setLoading('signBtnNew', false);
+        }
+    }
+
+    async handleVerifyMessage() {
+        try {
+            const signedMessage = document.getElementById('signedMessageToVerify').value.trim();
+            if (!signedMessage) {
+                this.showError('Please enter a signed message to verify');
+                return;
+            }
+            
+            this.setLoading('verifyBtn', true);
+            
+            // Check if using custom public key
+            const customKeyContainer = document.getElementById('verifyCustomPublicKeyContainer');
+            let publicKey = null;
+            
+            if (customKeyContainer.style.display !== 'none') {
+                const customKeyText = document.getElementById('verifyCustomPublicKey').value.trim();
+                if (customKeyText) {
+                    publicKey = customKeyText;
+                }
+            } else if (document.getElementById('verifyContactSelect').value) {
+                const contactKeys = this.contacts.getContactKeys(document.getElementById('verifyContactSelect').value);
+                if (contactKeys.length === 0) {
+                    this.showError('The chosen contact has no keys in the keyring');
+                    return;
+                }
+                publicKey = contactKeys.map(keyPair => keyPair.publicKeyObj);
+            } else {
+                const signerFingerprint = document.getElementById('verifySignerSelect').value;
+                const signerKeys = signerFingerprint
+                    ? [this.keyManager.getKey(signerFingerprint)].filter(Boolean)
+                    : this.keyManager.listKeys();
+                if (signerKeys.length > 0) {
+                    publicKey = signerKeys.map(keyPair => keyPair.publicKeyObj);
+                }
+            }
+            
+            const result = await this.signVerify.verifyMessage(signedMessage, publicKey);
+            
+            // Resolve the signer key ID back to a contact and keyring identity
+            const signerKeyPair = result.signer ? this.keyManager.findKeyById(result.signer) : null;
+            if (signerKeyPair) {
+                result.contact = this.describeSigner(result.signer);
+                result.signer = `${signerKeyPair.metadata.userIds[0] || 'Unknown'} (${result.signer.toUpperCase()})`;
+            }
+            
+            this.showVerifyResult('verifyOutput', result);
+            
+        } catch (error) {
+            console.error('Verification failed:', error);
+            this.showError(`Verification failed: ${error.message}`);
+        } finally {
+            this.setLoading('verifyBtn', false);
+        }
+    }
+
+    async handleDetachedSign() {
+        if (!this.state.currentKeyPair?.privateKey) {
+            this.showError('No secret key loaded for signing');
+            return;
+        }
+        
+        // A chosen file takes precedence over the text field
+        const input = this.state.detachSignFile || document.getElementById('detachSignText').value;
+        if (!input) {
+            this.showError('Please choose a file or enter text to sign');
+            return;
+        }
+        
+        try {
+            this.setLoading('detachSignBtn', true);
+            if (this.state.detachSignFile) {
+                this.updateProgress('detachSignProgress', 0, this.state.detachSignFile.size);
+            }
+            
+            const armor = document.getElementById('detachSignFormat').value === 'armored';
+            const signature = await this.cryptoOps.createDetachedSignature(input, {
+                armor,
+                onProgress: (loaded, total) => this.updateProgress('detachSignProgress', loaded, total)
+            });
+            this.updateAgentStatus();
+            
+            await this.fileUtils.downloadFile(signature.data, signature.filename, signature.mimeType);
+            
+            const output = document.getElementById('detachSignOutput');
+            output.className = 'output';
+            output.innerHTML = '';
+            const title = document.createElement('h4');
+            title.textContent = 'Detached Signature:';
+            output.appendChild(title);
+            this.appendResultData(output, armor
+                ? { data: signature.data }
+                : { savedAs: signature.filename });
+            output.style.display = 'block';
+            
+            this.showSuccess(`Detached signature saved as ${signature.filename}`);
+        } catch (error) {
+            console.error('Detached signing failed:', error);
+            this.showError(`Signing failed: ${error.message}`);
+        } finally {
+            this.setLoading('detachSignBtn', false);
+        }
+    }
+
+    async handleDetachedVerify() {
+        const data = this.state.detachVerifyDataFile || document.getElementById('detachVerifyText').value;
+        const signature = this.state.detachVerifySigFile || document.getElementById('detachVerifySignature').value.trim();
+        
+        if (!data) {
+            this.showError('Please choose the signed file or enter the signed text');
+            return;
+        }
+        if (!signature) {
+            this.showError('Please choose a signature file or paste an armored signature');
+            return;
+        }
+        
+        try {
+            this.setLoading('detachVerifyBtn', true);
+            if (this.state.detachVerifyDataFile) {
+                this.updateProgress('detachVerifyProgress', 0, this.state.detachVerifyDataFile.size);
+                await this.showCancelButton('cancelDetachVerifyBtn', true);
+            }
+            
+            const result = await this.cryptoOps.verifyDetachedSignature(data, signature, {
+                onProgress: (loaded, total) => this.updateProgress('detachVerifyProgress', loaded, total)
+            });
+            
+            const output = document.getElementById('detachVerifyOutput');
+            output.className = 'output';
+            output.innerHTML = '';
+            const title = document.createElement('h4');
+            title.textContent = 'Verification Result';
+            output.appendChild(title);
+            result.signatureDetails.forEach(detail => output.appendChild(this.createSignatureStatus(detail)));
+            output.style.display = 'block';
+        } catch (error) {
+            if (error.code === 'CANCELLED') {
+                this.showSuccess('Verification cancelled');
+                return;
+            }
+            console.error('Detached verification failed:', error);
+            this.showError(`Verification failed: ${error.message}`);
+        } finally {
+            this.setLoading('detachVerifyBtn', false);
+            this.showCancelButton('cancelDetachVerifyBtn', false);
+        }
+    }
+
+    handleToggleVerifyPublicKey() {
+        const container = document.getElementById('verifyCustomPublicKeyContainer');
+        const button = document.getElementById('toggleVerifyPublicKeyBtn');
+        
+        if (container.style.display === 'none') {
+            container.style.display = 'block';
+            button.textContent = 'Use Own Public Key';
+        } else {
+            container.style.display = 'none';
+            button.textContent = 'Use Custom Public Key';
+        }
+    }
+
+    async handleEncrypt() {
+        const isFileMode = this.state.encryptMode === 'file';
+        const file = this.state.encryptFile;
+        let saveTarget = null;
+        
+        try {
+            const message = document.getElementById('messageToEncrypt').value.trim();
+            if (!isFileMode && !message) {
+                this.showError('Please enter a message to encrypt');
+                return;
+            }
+            if (isFileMode && !file) {
+                this.showError('Please choose a file to encrypt');
+                return;
+            }
+            
+            // Collect recipients: checked keyring keys, the encryption keys of picked contacts, and any pasted keys
+            const recipients = Array.from(document.querySelectorAll('#encryptRecipientList input:checked'))
+                .map(checkbox => this.keyManager.getKey(checkbox.value))
+                .filter(Boolean);
+            for (const contactId of this.state.encryptContacts) {
+                this.contacts.getContactKeys(contactId, { capability: 'encrypt' })
+                    .filter(keyPair => !recipients.includes(keyPair))
+                    .forEach(keyPair => recipients.push(keyPair));
+            }
+            
+            const customKeyContainer = document.getElementById('encryptCustomPublicKeyContainer');
+            if (customKeyContainer.style.display !== 'none') {
+                const customKeyText = document.getElementById('encryptCustomPublicKey').value.trim();
+                if (customKeyText) {
+                    recipients.push(customKeyText);
+                }
+            }
+            
+            // Public keys, a message password, or both
+            const method = document.getElementById('encryptMethod').value;
+            const usePublicKeys = method !== 'password';
+            const usePassword = method !== 'publicKey';
+            
+            const passwords = [];
+            if (usePassword) {
+                const password = document.getElementById('encryptPassword').value;
+                const confirmation = document.getElementById('encryptPasswordConfirm').value;
+                if (!password || password.length < CONSTANTS.MIN_PASSPHRASE_LENGTH) {
+                    this.showError(`Message password must be at least ${CONSTANTS.MIN_PASSPHRASE_LENGTH} characters long`);
+                    return;
+                }
+                if (password !== confirmation) {
+                    this.showError('Message passwords do not match');
+                    return;
+                }
+                passwords.push(password);
+            }
+            if (!usePublicKeys) {
+                recipients.length = 0;
+            }
+            
+            const encryptToSelf = usePublicKeys && document.getElementById('encryptToSelf').checked && !!this.state.currentKeyPair;
+            if (usePublicKeys && recipients.length === 0 && !encryptToSelf) {
+                this.showError('No public key available for encryption');
+                return;
+            }
+            
+            // Sign as well when requested and a secret key is active
+            const signAsWell = document.getElementById('encryptSignMessage').checked;
+            if (signAsWell && !this.state.currentKeyPair?.privateKey) {
+                this.showError('Signing requires an active secret key. Uncheck "Sign" or select a key.');
+                return;
+            }
+            
+            const options = {
+                encryptToSelf,
+                sign: signAsWell,
+                hideRecipients: usePublicKeys && document.getElementById('encryptHideRecipients').checked,
+                passwords
+            };
+            
+            if (isFileMode) {
+                const armor = document.getElementById('encryptFileFormat').value === 'armored';
+                
+                // Choose the destination first, while the click still counts as a user gesture
+                saveTarget = await this.fileUtils.openSaveTarget(`${file.name}${armor ? '.asc' : '.pgp'}`);
+                
+                this.setLoading('encryptBtn', true);
+                this.updateProgress('encryptProgress', 0, file.size);
+                await this.showCancelButton('cancelEncryptBtn', true);
+                
+                const result = await this.cryptoOps.encryptFile(file, recipients, {
+                    ...options,
+                    armor,
+                    onProgress: (loaded, total) => this.updateProgress('encryptProgress', loaded, total)
+                });
+                this.updateAgentStatus();
+                
+                const saved = await this.fileUtils.saveStreamToFile(result.data, result.filename, result.mimeType, saveTarget);
+                saveTarget = null;
+                
+                this.showEncryptResult('encryptOutput', { ...result, data: null, savedAs: saved.filename });
+                this.showSuccess('File encrypted successfully');
+                return;
+            }
+            
+            this.setLoading('encryptBtn', true);
+            
+            const result = await this.cryptoOps.encryptForRecipients(message, recipients, options);
+            this.updateAgentStatus();
+            
+            this.showEncryptResult('encryptOutput', result);
+            this.showSuccess('Message encrypted successfully');
+            
+        } catch (error) {
+            if (error.code === 'CANCELLED') {
+                this.showSuccess('Encryption cancelled');
+                return;
+            }
+            console.error('Encryption failed:', error);
+            this.showError(`Encryption failed: ${error.message}`);
+        } finally {
+            await this.fileUtils.discardSaveTarget(saveTarget);
+            this.setLoading('encryptBtn', false);
+            this.showCancelButton('cancelEncryptBtn', false);
+        }
+    }
+
+    // Show the password fields and/or recipient controls for the chosen encryption method
+    handleEncryptMethodChange() {
+        const method = document.getElementById('encryptMethod').value;
+        
+        document.getElementById('encryptPasswordSection').style.display = method === 'publicKey' ? 'none' : 'block';
+        document.getElementById('encryptRecipientSection').style.display = method === 'password' ? 'none' : 'block';
+    }
+
+    handleToggleEncryptPublicKey() {
+        const container = document.getElementById('encryptCustomPublicKeyContainer');
+        const button = document.getElementById('toggleEncryptPublicKeyBtn');
+        
+        if (container.style.display === 'none') {
+            container.style.display = 'block';
+            button.textContent = 'Hide Pasted Public Keys';
+        } else {
+            container.style.display = 'none';
+            button.textContent = 'Add Pasted Public Keys';
+        }
+    }
+
+    async handleDecrypt() {
+        if (this.state.decryptMode === 'file') {
+            await this.handleDecryptFile();
+            return;
+        }
+        
+        try {
+            const encryptedMessage = document.getElementById('messageToDecrypt').value.trim();
+            if (!encryptedMessage) {
+                this.showError('Please enter an encrypted message to decrypt');
+                return;
+            }
+            
+            this.setLoading('decryptBtn', true);
+            
+            // Decrypt with the active key or a message password, checking any embedded signatures against the keyring
+            const result = await this.decrypt.decryptMessage(encryptedMessage);
+            this.updateAgentStatus();
+            
+            this.showDecryptResult('decryptOutput', result);
+            this.showSuccess('Message decrypted successfully');
+            
+        } catch (error) {
+            console.error('Decryption failed:', error);
+            const explanation = await this.decrypt.explainFailure(document.getElementById('messageToDecrypt').value.trim(), error);
+            this.showError(`Decryption failed: ${explanation}`);
+        } finally {
+            this.setLoading('decryptBtn', false);
+        }
+    }
+
+    async handleDecryptFile() {
+        const file = this.state.decryptFile;
+        if (!file) {
+            this.showError('Please choose a file to decrypt');
+            return;
+        }
+        
+        let saveTarget = null;
+        try {
+            // Choose the destination first, while the click still counts as a user gesture
+            saveTarget = await this.fileUtils.openSaveTarget(file.name.replace(/\.(pgp|gpg|asc)$/i, ''));
+            
+            this.setLoading('decryptBtn', true);
+            this.updateProgress('decryptProgress', 0, file.size);
+            await this.showCancelButton('cancelDecryptBtn', true);
+            
+            const result = await this.decrypt.decryptFile(file, {
+                onProgress: (loaded, total) => this.updateProgress('decryptProgress', loaded, total)
+            });
+            this.updateAgentStatus();
+            
+            const saved = await this.fileUtils.saveStreamToFile(result.data, result.filename, 'application/octet-stream', saveTarget);
+            saveTarget = null;
+            const signatureDetails = await result.getSignatureDetails();
+            
+            this.showDecryptResult('decryptOutput', {
+                data: null,
+                savedAs: saved.filename,
+                signatureDetails,
+                decryptedWithPassword: result.decryptedWithPassword
+            });
+            this.showSuccess('File decrypted successfully');
+            
+        } catch (error) {
+            if (error.code === 'CANCELLED') {
+                this.showSuccess('Decryption cancelled');
+                return;
+            }
+            console.error('File decryption failed:', error);
+            const explanation = await this.decrypt.explainFailure(file, error);
+            this.showError(`Decryption failed: ${explanation}`);
+        } finally {
+            await this.fileUtils.discardSaveTarget(saveTarget);
+            this.setLoading('decryptBtn', false);
+            this.showCancelButton('cancelDecryptBtn', false);
+        }
+    }
+
+    // Identify pasted text or a dropped file and show what can be done with it
+    async handleInspect() {
+        const text = document.getElementById('inspectInput').value.trim();
+        const input = text || this.state.inspectFile;
+        if (!input) {
+            this.showError('Paste OpenPGP data or drop a file to inspect');
+            return;
+        }
+        
+        try {
+            this.setLoading('inspectBtn', true);
+            
+            const summary = await this.inspector.inspect(input);
+            this.state.inspection = { summary, input };
+            this.showInspection('inspectOutput', summary);
+            
+        } catch (error) {
+            console.error('Inspection failed:', error);
+            this.state.inspection = null;
+            document.getElementById('inspectOutput').style.display = 'none';
+            this.showError(error.message);
+        } finally {
+            this.setLoading('inspectBtn', false);
+        }
+    }
+    
+    // List every packet of the inspector input, like gpg --list-packets
+    async handlePacketDump() {
+        const text = document.getElementById('inspectInput').value.trim();
+        const input = text || this.state.inspectFile;
+        if (!input) {
+            this.showError('Paste OpenPGP data or drop a file to dump');
+            return;
+        }
+        
+        try {
+            this.setLoading('inspectDumpBtn', true);
+            
+            const packets = await this.packetDump.dump(input);
+            this.showPacketDump('inspectOutput', packets);
+            
+        } catch (error) {
+            console.error('Packet dump failed:', error);
+            this.showError(error.message);
+        } finally {
+            this.setLoading('inspectDumpBtn', false);
+        }
+    }
+    
+    // Run the next step suggested by the inspector
+    async handleInspectorAction(action) {
+        if (!this.state.inspection) return;
+        const { summary, input } = this.state.inspection;
+        const isText = typeof input === 'string';
+        
+        try {
+            switch (action) {
+                case 'importKey': {
+                    for (const key of summary.keys) {
+                        await this.keyManager.importArmoredKey(key.armored);
+                    }
+                    this.state.currentKeyPair = this.keyManager.getCurrentKeyPair();
+                    this.updateKeyInfo(this.state.currentKeyPair);
+                    this.handleKeyringChanged();
+                    this.updateButtonStates();
+                    this.showSuccess(`Imported ${summary.keys.length} key${summary.keys.length !== 1 ? 's' : ''}`);
+                    await this.handleInspect();
+                    break;
+                }
+                case 'decrypt':
+                    if (isText) {
+                        document.getElementById('messageToDecrypt').value = input;
+                        this.switchCryptoMode('decrypt', 'text');
+                    } else {
+                        this.handleFileSelected('decryptFile', 'decryptDropZone', input);
+                        this.switchCryptoMode('decrypt', 'file');
+                    }
+                    document.getElementById('decryptBtn').scrollIntoView({ behavior: 'smooth', block: 'center' });
+                    await this.handleDecrypt();
+                    break;
+                case 'verify':
+                    document.getElementById('signedMessageToVerify').value = isText ? input : await input.text();
+                    this.switchTab('verify');
+                    document.getElementById('verifyBtn').scrollIntoView({ behavior: 'smooth', block: 'center' });
+                    await this.handleVerifyMessage();
+                    break;
+                case 'applyRevocation': {
+                    const keyPair = await this.keyManager.importArmoredKey(isText ? input : await input.text());
+                    this.state.currentKeyPair = this.keyManager.getCurrentKeyPair();
+                    this.updateKeyInfo(this.state.currentKeyPair);
+                    this.handleKeyringChanged();
+                    this.updateButtonStates();
+                    this.showSuccess(`Key ${keyPair.metadata.keyId} is now marked revoked`);
+                    await this.handleInspect();
+                    break;
+                }
+                case 'verifyDetached':
+                    if (isText) {
+                        document.getElementById('detachVerifySignature').value = input;
+                    } else {
+                        this.handleFileSelected('detachVerifySigFile', 'detachVerifySigDropZone', input);
+                    }
+                    this.switchTab('detachVerify');
+                    document.getElementById('detachVerifyDataDropZone').scrollIntoView({ behavior: 'smooth', block: 'center' });
+                    this.showSuccess('Signature loaded; add the signed data to verify it');
+                    break;
+                case 'openMessage': {
+                    const result = await this.cryptoOps.verifyInlineMessage(input);
+                    if (typeof result.data === 'string') {
+                        this.showDecryptResult('inspectOutput', { ...result, title: 'Message Contents:' });
+                    } else {
+                        const saved = await this.fileUtils.saveStreamToFile(
+                            new Blob([result.data]).stream(),
+                            result.filename || 'message.bin'
+                        );
+                        this.showDecryptResult('inspectOutput', { ...result, data: null, savedAs: saved.filename, title: 'Message Contents:' });
+                    }
+                    break;
+                }
+            }
+        } catch (error) {
+            console.error('Inspector action failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    // Remember a chosen file for encrypt/decrypt file mode and show its name
+    handleFileSelected(stateKey, dropZoneId, file) {
+        if (!file) return;
+        
+        this.state[stateKey] = file;
+        
+        const dropZone = document.getElementById(dropZoneId);
+        dropZone.textContent = `📄 ${file.name} (${Formatting.formatFileSize(file.size)})`;
+        dropZone.classList.add('has-file');
+    }
+
+    // Forget a chosen file so the text field next to the drop zone is used again
+    clearFileSelection(stateKey, dropZoneId, inputId) {
+        this.state[stateKey] = null;
+        document.getElementById(inputId).value = '';
+        
+        const dropZone = document.getElementById(dropZoneId);
+        dropZone.textContent = dropZone.dataset.placeholder;
+        dropZone.classList.remove('has-file');
+    }
+
+    // Key agent handlers
+    handleAgentTimeoutChange(event) {
+        this.keyAgent.setIdleTimeout(event.target.value);
+        this.updateAgentStatus();
+        this.persistVault();
+    }
+
+    // Ask for a key passphrase through the passphrase modal; resolves to null when cancelled
+    promptPassphrase({ keyPair, reason, error }) {
+        const label = keyPair.metadata.userIds[0] || keyPair.metadata.keyId;
+        
+        return this.promptSecret({
+            title: '🔑 Passphrase Required',
+            text: `Enter the passphrase for ${label} [${keyPair.metadata.keyId}] to ${reason}.`,
+            label: 'Passphrase:',
+            error
+        });
+    }
+    
+    // Ask for the password of a symmetrically encrypted message; resolves to null when cancelled
+    promptMessagePassword({ reason, error }) {
+        return this.promptSecret({
+            title: '🔐 Message Password Required',
+            text: `This message is password-protected. Enter its password to ${reason}.`,
+            label: 'Message password:',
+            error
+        });
+    }
+    
+    // Show the passphrase modal with the given wording
+    promptSecret({ title, text, label, error }) {
+        // Only one prompt can be open at a time
+        if (this.pendingPassphrasePrompt) {
+            this.pendingPassphrasePrompt(null);
+        }
+        
+        return new Promise(resolve => {
+            const input = document.getElementById('passphrasePromptInput');
+            const errorEl = document.getElementById('passphrasePromptError');
+            
+            document.getElementById('passphraseModalTitle').textContent = title;
+            document.getElementById('passphrasePromptLabel').textContent = label;
+            document.getElementById('passphrasePromptText').textContent = text;
+            errorEl.textContent = error || '';
+            errorEl.style.display = error ? 'block' : 'none';
+            input.value = '';
+            
+            this.pendingPassphrasePrompt = (value) => {
+                this.pendingPassphrasePrompt = null;
+                input.value = '';
+                this.hideModal('passphraseModal');
+                resolve(value);
+            };
+            
+            this.showModal('passphraseModal');
+            input.focus();
+        });
+    }
+
+    handlePassphrasePromptConfirm() {
+        const passphrase = document.getElementById('passphrasePromptInput').value;
+        if (!passphrase || !this.pendingPassphrasePrompt) return;
+        this.pendingPassphrasePrompt(passphrase);
+    }
+
+    updateAgentStatus() {
+        const statusEl = document.getElementById('agentStatus');
+        if (!statusEl) return;
+        
+        // Keys unlocked in the worker count too
+        const { unlockedKeys: mainThreadKeys, timeout } = this.keyAgent.getStatus();
+        const unlockedKeys = mainThreadKeys + this.workerClient.unlockedKeys;
+        if (timeout === 0) {
+            statusEl.textContent = 'Passphrases are not cached';
+        } else if (unlockedKeys > 0) {
+            statusEl.textContent = `${unlockedKeys} key${unlockedKeys !== 1 ? 's' : ''} unlocked, re-locks after ${Math.round(timeout / 60)} min idle or when the tab is hidden`;
+        } else {
+            statusEl.textContent = 'All keys locked';
+        }
+        this.setButtonState('agentLockBtn', unlockedKeys > 0);
+    }
+
+    // Vault handlers
+    async initVault() {
+        try {
+            const exists = await this.vault.exists();
+            this.updateVaultUI(exists);
+        } catch (error) {
+            console.warn('Vault unavailable:', error);
+            this.updateStatus('vaultStatus', 'Unavailable', 'error');
+            this.setButtonState('vaultUnlockBtn', false);
+        }
+    }
+
+    async handleVaultUnlock() {
+        const passwordInput = document.getElementById('vaultPassword');
+        const masterPassword = passwordInput.value;
+        if (!masterPassword) {
+            this.showError('Please enter the vault master password');
+            return;
+        }
+        
+        try {
+            this.setLoading('vaultUnlockBtn', true);
             
-            this.setLoading('encryptBtn', true);
-            
-            // Check if using custom public key
-            const customKeyContainer = document.getElementById('encryptCustomPublicKeyContainer');
-            let publicKey = null;
-            
-            if (customKeyContainer.style.display !== 'none') {
-                const customKeyText = document.getElementById('encryptCustomPublicKey').value.trim();
-                if (customKeyText) {
-                    publicKey = customKeyText;
-                }
-            } else if (this.state.currentKeyPair) {
-                publicKey = this.state.currentKeyPair.publicKey;
+            let records;
+            if (await this.vault.exists()) {
+                records = await this.vault.unlock(masterPassword);
+            } else {
+                await this.vault.create(masterPassword);
+                records = {};
             }
+            passwordInput.value = '';
             
-            if (!publicKey) {
-                this.showError('No public key available for encryption');
-                return;
+            // Merge stored keys and contacts with anything added before unlocking
+            await this.keyManager.importKeyring(records.keyring);
+            this.contacts.importContacts(records.contacts);
+            this.autocrypt.importPeers(records.autocrypt);
+            await this.certificateManager.importEntries(records.certificates);
+            this.certificateAuthority.importState(records.certificateAuthority);
+            if (records.settings?.advancedConfig) {
+                this.state.advancedConfig = { ...this.state.advancedConfig, ...records.settings.advancedConfig };
+                this.syncAdvancedOptionsForm();
+            }
+            if (records.settings?.encryptToSelf !== undefined) {
+                document.getElementById('encryptToSelf').checked = records.settings.encryptToSelf;
+            }
+            if (records.settings?.agentTimeout !== undefined) {
+                this.keyAgent.setIdleTimeout(records.settings.agentTimeout);
+                document.getElementById('agentTimeout').value = String(this.keyAgent.timeout);
+            }
+            if (records.settings?.keyserver) {
+                this.keyserver.setServer(records.settings.keyserver);
+                this.syncKeyserverForm();
+            }
+            if (records.settings?.autocryptPreferEncrypt) {
+                this.autocrypt.setPreferEncrypt(records.settings.autocryptPreferEncrypt);
+                document.getElementById('autocryptPreferEncrypt').checked = this.autocrypt.preferEncrypt === 'mutual';
             }
             
-            const encryptedMessage = await this.encrypt.encryptMessage(message, publicKey);
-            
-            this.showOutput('encryptOutput', 'Encrypted Message:', encryptedMessage);
-            this.showSuccess('Message encrypted successfully');
+            this.state.currentKeyPair = this.keyManager.getCurrentKeyPair();
+            this.updateKeyInfo(this.state.currentKeyPair);
+            this.handleKeyringChanged();
+            this.updateButtonStates();
             
+            this.showSuccess(CONSTANTS.SUCCESS.VAULT_UNLOCKED);
         } catch (error) {
-            console.error('Encryption failed:', error);
-            this.showError(`Encryption failed: ${error.message}`);
+            console.error('Vault unlock failed:', error);
+            this.showError(error.message);
         } finally {
-            this.setLoading('encryptBtn', false);
+            this.setLoading('vaultUnlockBtn', false);
+            await this.initVault();
         }
     }
 
-    handleToggleEncryptPublicKey() {
-        const container = document.getElementById('encryptCustomPublicKeyContainer');
-        const button = document.getElementById('toggleEncryptPublicKeyBtn');
-        
-        if (container.style.display === 'none') {
-            container.style.display = 'block';
-            button.textContent = 'Use Own Public Key';
-        } else {
-            container.style.display = 'none';
-            button.textContent = 'Use Custom Public Key';
+    async handleVaultLock() {
+        try {
+            await this.persistVault();
+            this.vault.lock();
+            
+            // Locking also drops the decrypted keyring and unlocked keys from memory
+            this.keyAgent.lockAll('vault locked');
+            this.keyManager.clearKeyring();
+            this.contacts.clearContacts();
+            this.autocrypt.clearPeers();
+            this.certificateManager.clearEntries();
+            this.certificateAuthority.clear();
+            this.state.encryptContacts.clear();
+            this.state.currentKeyPair = null;
+            
+            this.updateKeyInfo(null);
+            this.refreshKeyring();
+            this.updateButtonStates();
+            this.updateVaultUI(true);
+            this.showSuccess(CONSTANTS.SUCCESS.VAULT_LOCKED);
+        } catch (error) {
+            console.error('Vault lock failed:', error);
+            this.showError(`Vault lock failed: ${error.message}`);
         }
     }
 
-    async handleDecrypt() {
-        if (!this.state.currentKeyPair) {
-            this.showError('No private key loaded for decryption');
+    async handleVaultChangePassword() {
+        const currentPassword = document.getElementById('vaultCurrentPassword').value;
+        const newPassword = document.getElementById('vaultNewPassword').value;
+        const confirmPassword = document.getElementById('vaultConfirmPassword').value;
+        
+        if (newPassword !== confirmPassword) {
+            this.showError('New master passwords do not match');
             return;
         }
         
         try {
-            const encryptedMessage = document.getElementById('messageToDecrypt').value.trim();
-            if (!encryptedMessage) {
-                this.showError('Please enter an encrypted message to decrypt');
-                return;
-            }
-            
-            this.setLoading('decryptBtn', true);
+            this.setLoading('vaultChangePasswordBtn', true);
             
-            const decryptedMessage = await this.decrypt.decryptMessage(encryptedMessage, this.state.currentKeyPair);
-            
-            this.showOutput('decryptOutput', 'Decrypted Message:', decryptedMessage);
-            this.showSuccess('Message decrypted successfully');
+            // Flush in-memory changes before re-encrypting everything
+            await this.persistVault();
+            await this.vault.changeMasterPassword(currentPassword, newPassword);
             
+            ['vaultCurrentPassword', 'vaultNewPassword', 'vaultConfirmPassword'].forEach(id => {
+                document.getElementById(id).value = '';
+            });
+            this.showSuccess('Master password changed');
         } catch (error) {
-            console.error('Decryption failed:', error);
-            this.showError(`Decryption failed: ${error.message}`);
+            console.error('Master password change failed:', error);
+            this.showError(error.message);
         } finally {
-            this.setLoading('decryptBtn', false);
+            this.setLoading('vaultChangePasswordBtn', false);
+        }
+    }
+
+    // Write the keyring, contacts, Autocrypt peers, X.509 entries and settings to the vault when it is unlocked
+    async persistVault() {
+        if (!this.vault.isUnlocked()) return;
+        
+        try {
+            await this.vault.put('keyring', this.keyManager.exportKeyring());
+            await this.vault.put('contacts', this.contacts.exportContacts());
+            await this.vault.put('autocrypt', this.autocrypt.exportPeers());
+            await this.vault.put('certificates', await this.certificateManager.exportEntries());
+            await this.vault.put('certificateAuthority', this.certificateAuthority.exportState());
+            await this.vault.put('settings', {
+                advancedConfig: this.state.advancedConfig,
+                agentTimeout: this.keyAgent.timeout,
+                encryptToSelf: document.getElementById('encryptToSelf').checked,
+                keyserver: this.keyserver.getServer(),
+                autocryptPreferEncrypt: this.autocrypt.preferEncrypt
+            });
+        } catch (error) {
+            console.error('Failed to save vault:', error);
+            this.showError(`Failed to save vault: ${error.message}`);
+        }
+    }
+
+    handleKeyringChanged() {
+        this.refreshKeyring();
+        this.persistVault();
+    }
+
+    updateVaultUI(exists) {
+        const unlocked = this.vault.isUnlocked();
+        const unlockBtn = document.getElementById('vaultUnlockBtn');
+        
+        if (unlocked) {
+            this.updateStatus('vaultStatus', 'Unlocked', 'ready');
+        } else {
+            this.updateStatus('vaultStatus', exists ? 'Locked' : 'Not Created', 'pending');
+        }
+        
+        if (unlockBtn) {
+            unlockBtn.textContent = exists ? 'Unlock Vault' : 'Create Vault';
+            unlockBtn.disabled = unlocked;
+        }
+        this.setButtonState('vaultLockBtn', unlocked);
+        
+        const changeSection = document.getElementById('vaultChangePasswordSection');
+        if (changeSection) {
+            changeSection.style.display = unlocked ? 'block' : 'none';
         }
     }
 
+    // Reflect state.advancedConfig in the advanced options modal
+    syncAdvancedOptionsForm() {
+        const config = this.state.advancedConfig;
+        
+        document.getElementById('keyAlgorithmChoice').value = config.algorithm;
+        this.updateAlgorithmHelp(config.algorithm);
+        
+        document.getElementById('keyExpiration').value = String(config.expiration);
+        document.getElementById('usageSign').checked = config.usage.sign;
+        document.getElementById('usageEncrypt').checked = config.usage.encrypt;
+        document.getElementById('usageCertify').checked = config.usage.certify;
+        document.getElementById('keyLayout').value = config.layout || CONSTANTS.DEFAULT_KEY_LAYOUT;
+        document.getElementById('keyComment').value = config.comment || '';
+        
+        this.updateCurrentSettingsDisplay();
+    }
+
     // Advanced options handlers
     handleAlgorithmChange(event) {
         this.state.advancedConfig.algorithm = event.target.value;
+        this.updateAlgorithmHelp(event.target.value);
         console.log('Algorithm changed to:', event.target.value);
     }
 
+    updateAlgorithmHelp(algorithm) {
+        const help = document.getElementById('keyAlgorithmHelp');
+        if (help) help.textContent = CONSTANTS.KEY_ALGORITHMS[algorithm]?.description || '';
+    }
+
     handleExpirationChange(event) {
         this.state.advancedConfig.expiration = parseInt(event.target.value);
         console.log('Expiration changed to:', event.target.value);
@@ -453,6 +3159,11 @@ class PGPApp {
         console.log('Usage changed to:', this.state.advancedConfig.usage);
     }
 
+    handleLayoutChange(event) {
+        this.state.advancedConfig.layout = event.target.value;
+        console.log('Layout changed to:', event.target.value);
+    }
+
     handleCommentChange(event) {
         this.state.advancedConfig.comment = event.target.value;
         console.log('Comment changed to:', event.target.value);
@@ -466,10 +3177,8 @@ async handleCopyPublicKey() {
     }
     
     try {
-        // Get the public key as armored text
-        const publicKeyArmored = typeof this.state.currentKeyPair.publicKey === 'string' 
-            ? this.state.currentKeyPair.publicKey 
-            : this.state.currentKeyPair.publicKey.armor();
+        // Get the public key as armored text, without local-only certifications
+        const publicKeyArmored = this.keyManager.getExportablePublicKey(this.state.currentKeyPair);
         
         // Use the Clipboard utility
         const success = await Clipboard.copyToClipboard(publicKeyArmored);
@@ -558,6 +3267,9 @@ updateCopyButtonState(buttonId, state) {
         if (event.key === 'Escape') {
             // Close any open modals
             this.hideModal('advancedOptionsModal');
+            if (this.pendingPassphrasePrompt) {
+                this.pendingPassphrasePrompt(null);
+            }
         }
     }
 
@@ -579,26 +3291,69 @@ updateCopyButtonState(buttonId, state) {
         document.getElementById('verifyCustomPublicKeyContainer').style.display = 'none';
         document.getElementById('encryptCustomPublicKeyContainer').style.display = 'none';
         
+        // Fill the X.509 and CA forms from their constants
+        this.initializeX509Form();
+        this.initializeCaForm();
+        
+        // Render the (empty) keyring
+        this.refreshKeyring();
+        this.updateAgentStatus();
+        
         console.log('UI initialized');
     }
 
     switchTab(tabName) {
-        // Update tab buttons
-        document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.remove('active'));
-        document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
-        
         if (tabName === 'sign') {
-            document.getElementById('signTab').classList.add('active');
-            document.getElementById('signMode').classList.add('active');
+            this.switchCardTab('signTab', 'signMode');
         } else if (tabName === 'verify') {
-            document.getElementById('verifyTab').classList.add('active');
-            document.getElementById('verifyMode').classList.add('active');
+            this.switchCardTab('verifyTab', 'verifyMode');
+        } else if (tabName === 'detachSign') {
+            this.switchCardTab('detachSignTab', 'detachSignMode');
+        } else if (tabName === 'detachVerify') {
+            this.switchCardTab('detachVerifyTab', 'detachVerifyMode');
         }
         
         this.state.currentTab = tabName;
         console.log(`Switched to ${tabName} tab`);
     }
 
+    // Activate one tab and its content, leaving tabs in other cards untouched
+    switchCardTab(tabButtonId, contentId) {
+        const tabButton = document.getElementById(tabButtonId);
+        const content = document.getElementById(contentId);
+        if (!tabButton || !content) return;
+        
+        tabButton.parentElement.querySelectorAll('.tab-btn').forEach(btn => btn.classList.remove('active'));
+        content.parentElement.querySelectorAll(':scope > .tab-content').forEach(el => el.classList.remove('active'));
+        
+        tabButton.classList.add('active');
+        content.classList.add('active');
+    }
+
+    // Switch the Encrypt or Decrypt card between text and file mode
+    switchCryptoMode(operation, mode) {
+        const suffix = mode === 'file' ? 'File' : 'Text';
+        this.switchCardTab(`${operation}${suffix}Tab`, `${operation}${suffix}Mode`);
+        this.state[`${operation}Mode`] = mode;
+        
+        const button = document.getElementById(`${operation}Btn`);
+        if (button && !button.hasAttribute('data-original-text')) {
+            const verb = operation === 'encrypt' ? 'Encrypt' : 'Decrypt';
+            button.textContent = `${verb} ${mode === 'file' ? 'File' : 'Message'}`;
+        }
+    }
+
+    updateProgress(containerId, loaded, total) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        
+        const percent = total ? Math.min(100, Math.round((loaded / total) * 100)) : 0;
+        container.querySelector('progress').value = percent;
+        container.querySelector('.progress-label').textContent =
+            `${percent}% · ${Formatting.formatFileSize(loaded)} of ${Formatting.formatFileSize(total)}`;
+        container.style.display = 'flex';
+    }
+
     showModal(modalId) {
         const modal = document.getElementById(modalId);
         if (modal) {
@@ -613,6 +3368,14 @@ updateCopyButtonState(buttonId, state) {
         }
     }
 
+    // Offer Cancel only for work running in the worker; the main thread cannot be interrupted
+    async showCancelButton(buttonId, visible) {
+        const button = document.getElementById(buttonId);
+        if (!button) return;
+        
+        button.style.display = visible && await this.workerClient.isAvailable() ? 'inline-block' : 'none';
+    }
+
     setLoading(buttonId, isLoading) {
         const button = document.getElementById(buttonId);
         if (button) {
@@ -652,50 +3415,571 @@ updateCopyButtonState(buttonId, state) {
         }
     }
 
+    // Show a titled list of lines; server answers are untrusted text, so they are only ever set as textContent
+    showReport(outputId, title, lines) {
+        const output = document.getElementById(outputId);
+        output.className = 'output';
+        output.innerHTML = '';
+
+        const heading = document.createElement('h4');
+        heading.textContent = title;
+        const body = document.createElement('div');
+        body.textContent = lines.join('\n') || 'Nothing to report';
+
+        output.append(heading, body);
+        output.style.display = 'block';
+    }
+
+    // The signer label comes from the key's user ID and the contact name usually does too; both are chosen by the
+    // key's owner, so every value is set as textContent
     showVerifyResult(outputId, result) {
         const outputElement = document.getElementById(outputId);
-        if (outputElement) {
-            const isValid = result.valid;
-            const statusClass = isValid ? 'success' : 'error';
-            
-            outputElement.innerHTML = `
-                <h4>Verification Result</h4>
-                <div class="verify-result ${statusClass}">
-                    <p><strong>Status:</strong> ${isValid ? '✅ Valid' : '❌ Invalid'}</p>
-                    <p><strong>Message:</strong> ${result.message}</p>
-                    ${result.signer ? `<p><strong>Signer:</strong> ${result.signer}</p>` : ''}
-                </div>
-            `;
-            outputElement.style.display = 'block';
+        if (!outputElement) return;
+        
+        outputElement.innerHTML = '';
+        
+        const heading = document.createElement('h4');
+        heading.textContent = 'Verification Result';
+        
+        const details = document.createElement('div');
+        details.className = `verify-result ${result.valid ? 'success' : 'error'}`;
+        
+        const rows = [
+            ['Status', result.valid ? `✅ Valid signature from ${Formatting.formatKeyValidity(result.validity)}` : '❌ Invalid'],
+            ['Message', result.message]
+        ];
+        if (result.contact) {
+            rows.push(['Contact', result.contact]);
+        }
+        if (result.signer) {
+            rows.push(['Signer', result.signer]);
         }
+        
+        rows.forEach(([label, value]) => {
+            const row = document.createElement('p');
+            const name = document.createElement('strong');
+            name.textContent = `${label}:`;
+            row.append(name, ` ${value}`);
+            details.appendChild(row);
+        });
+        
+        outputElement.append(heading, details);
+        outputElement.style.display = 'block';
     }
 
-    updateKeyInfo(keyPair) {
-        if (!keyPair || !keyPair.metadata) return;
-         // Add this temporary debug line:
-    console.log('Key pair metadata:', keyPair.metadata);
+    showEncryptResult(outputId, result) {
+        const outputElement = document.getElementById(outputId);
+        if (!outputElement) return;
+        
+        outputElement.className = 'output';
+        outputElement.innerHTML = '';
+        
+        const title = document.createElement('h4');
+        const subject = result.savedAs ? 'File' : 'Message';
+        title.textContent = result.signed ? `Signed & Encrypted ${subject}:` : `Encrypted ${subject}:`;
+        outputElement.appendChild(title);
+        
+        if (result.recipients.length > 0) {
+            const recipients = document.createElement('div');
+            recipients.className = 'signature-status unsigned';
+            recipients.textContent = [
+                `Encrypted to ${result.recipients.length} recipient${result.recipients.length !== 1 ? 's' : ''}${result.hiddenRecipients ? ' (key IDs hidden in the message)' : ''}:`,
+                ...result.recipients.map(recipient =>
+                    `• ${recipient.userId || 'No user ID'}\n  ${Formatting.formatFingerprint(recipient.fingerprint)} (subkey ${recipient.encryptionKeyId})`
+                )
+            ].join('\n');
+            outputElement.appendChild(recipients);
+        }
+        
+        if (result.passwordProtected) {
+            const password = document.createElement('div');
+            password.className = 'signature-status unsigned';
+            password.textContent = '🔐 Can be decrypted with the message password. Share it over a different channel than the message.';
+            outputElement.appendChild(password);
+        }
+        
+        this.appendResultData(outputElement, result);
+        outputElement.style.display = 'block';
+    }
+
+    // Show text results with a copy button, or where a file result was saved
+    appendResultData(outputElement, result) {
+        if (result.savedAs) {
+            const saved = document.createElement('p');
+            saved.textContent = `💾 Saved as ${result.savedAs}`;
+            outputElement.appendChild(saved);
+            return;
+        }
+        
+        const pre = document.createElement('pre');
+        pre.textContent = result.data;
+        outputElement.appendChild(pre);
+        
+        Clipboard.addCopyButton(outputElement, result.data);
+    }
+
+    showDecryptResult(outputId, result) {
+        const outputElement = document.getElementById(outputId);
+        if (!outputElement) return;
+        
+        outputElement.className = 'output';
+        outputElement.innerHTML = '';
+        
+        const title = document.createElement('h4');
+        title.textContent = result.title || (result.savedAs ? 'Decrypted File:' : 'Decrypted Message:');
+        outputElement.appendChild(title);
+        
+        if (result.decryptedWithPassword) {
+            const password = document.createElement('div');
+            password.className = 'signature-status unsigned';
+            password.textContent = '🔐 Decrypted with the message password';
+            outputElement.appendChild(password);
+        }
+        
+        const signatures = result.signatureDetails || [];
+        if (signatures.length === 0) {
+            outputElement.appendChild(this.createSignatureStatus(null));
+        }
+        signatures.forEach(signature => outputElement.appendChild(this.createSignatureStatus(signature)));
+        
+        this.appendResultData(outputElement, result);
+        outputElement.style.display = 'block';
+    }
+
+    showInspection(outputId, summary) {
+        const outputElement = document.getElementById(outputId);
+        if (!outputElement) return;
+        
+        outputElement.className = 'output';
+        outputElement.innerHTML = '';
+        
+        const title = document.createElement('h4');
+        title.textContent = `${summary.label} (${summary.armored ? 'ASCII armored' : 'binary'})`;
+        outputElement.appendChild(title);
+        
+        const details = document.createElement('pre');
+        details.textContent = Formatting.formatInspection(summary);
+        outputElement.appendChild(details);
+        
+        const actionLabels = {
+            importKey: summary.keys.length > 1 ? 'Import Keys' : 'Import Key',
+            decrypt: 'Decrypt',
+            verify: 'Verify Signature',
+            verifyDetached: 'Verify Against Data',
+            applyRevocation: 'Apply to Keyring Key',
+            openMessage: summary.kind === 'signedMessage' ? 'Verify & Show Contents' : 'Show Contents'
+        };
         
+        const actions = document.createElement('div');
+        actions.className = 'key-actions';
+        summary.actions.forEach(action => {
+            const button = document.createElement('button');
+            button.className = 'btn';
+            button.textContent = actionLabels[action];
+            button.addEventListener('click', () => this.handleInspectorAction(action));
+            actions.appendChild(button);
+        });
+        outputElement.appendChild(actions);
+        
+        outputElement.style.display = 'block';
+    }
+
+    showPacketDump(outputId, packets) {
+        const outputElement = document.getElementById(outputId);
+        if (!outputElement) return;
+        
+        outputElement.className = 'output';
+        outputElement.innerHTML = '';
+        
+        const title = document.createElement('h4');
+        title.textContent = `Packet Dump (${packets.length} top-level packet${packets.length !== 1 ? 's' : ''}):`;
+        outputElement.appendChild(title);
+        
+        const dump = Formatting.formatPacketDump(packets);
+        const pre = document.createElement('pre');
+        pre.className = 'packet-dump';
+        pre.textContent = dump;
+        outputElement.appendChild(pre);
+        
+        Clipboard.addCopyButton(outputElement, dump);
+        outputElement.style.display = 'block';
+    }
+
+    // Show an opened email: headers, protection, body text, MIME tree and attachments to download.
+    // Everything in a received message is untrusted, so it is only ever set as textContent.
+    showMimeMessage(outputId, message) {
+        const outputElement = document.getElementById(outputId);
+        if (!outputElement) return;
+
+        outputElement.className = 'output';
+        outputElement.innerHTML = '';
+
+        const title = document.createElement('h4');
+        title.textContent = message.subject || '(no subject)';
+        outputElement.appendChild(title);
+
+        const headers = document.createElement('div');
+        headers.textContent = [
+            `From: ${message.from || '-'}`,
+            `To: ${message.to || '-'}`,
+            ...(message.cc ? [`Cc: ${message.cc}`] : []),
+            `Date: ${Formatting.formatDate(message.date) || '-'}`
+        ].join('\n');
+        outputElement.appendChild(headers);
+
+        const protection = document.createElement('div');
+        protection.className = 'signature-status unsigned';
+        protection.textContent = message.encrypted
+            ? `🔒 Encrypted (PGP/MIME)${message.decryptedWithPassword ? ', decrypted with the message password' : ''}`
+            : '🔓 Not encrypted';
+        outputElement.appendChild(protection);
+
+        if (message.signatureDetails.length === 0) {
+            outputElement.appendChild(this.createSignatureStatus(null));
+        }
+        message.signatureDetails.forEach(signature => outputElement.appendChild(this.createSignatureStatus(signature)));
+
+        if (message.text !== null) {
+            this.appendResultData(outputElement, { data: message.text });
+        }
+
+        const treeTitle = document.createElement('h4');
+        treeTitle.textContent = 'MIME Structure:';
+        const tree = document.createElement('pre');
+        tree.className = 'packet-dump';
+        tree.textContent = Formatting.formatMimeTree(message.tree);
+        outputElement.append(treeTitle, tree);
+
+        if (message.attachments.length > 0) {
+            const attachmentsTitle = document.createElement('h4');
+            attachmentsTitle.textContent = `Attachments (${message.attachments.length}):`;
+            const actions = document.createElement('div');
+            actions.className = 'key-actions';
+            message.attachments.forEach(attachment => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-secondary';
+                button.textContent = `📎 ${attachment.filename} (${Formatting.formatFileSize(attachment.data.length)})`;
+                button.addEventListener('click', () => this.fileUtils.downloadFile(attachment.data, attachment.filename, attachment.mimeType));
+                actions.appendChild(button);
+            });
+            outputElement.append(attachmentsTitle, actions);
+        }
+
+        outputElement.style.display = 'block';
+    }
+
+    createSignatureStatus(signature) {
+        const statusEl = document.createElement('div');
+        statusEl.className = `signature-status ${signature ? signature.status : 'unsigned'}`;
+        statusEl.textContent = Formatting.formatSignatureStatus(signature && {
+            ...signature,
+            contact: this.describeSigner(signature.keyId)
+        });
+        return statusEl;
+    }
+
+    updateKeyInfo(keyPair) {
         const keyInfo = document.getElementById('keyInfo');
+        if (!keyPair || !keyPair.metadata) {
+            if (keyInfo) keyInfo.style.display = 'none';
+            return;
+        }
+        
         if (keyInfo) {
             document.getElementById('keyId').textContent = keyPair.metadata.keyId || '-';
-            document.getElementById('keyFingerprint').textContent = keyPair.metadata.fingerprint || '-';
+            document.getElementById('keyFingerprint').textContent = Formatting.formatFingerprint(keyPair.metadata.fingerprint) || '-';
             document.getElementById('keyAlgorithm').textContent = keyPair.metadata.algorithm || '-';
-            document.getElementById('keyCreated').textContent = keyPair.metadata.created || '-';
+            document.getElementById('keyCreated').textContent = Formatting.formatDate(keyPair.metadata.created) || '-';
+            document.getElementById('keyUserIds').textContent = (keyPair.metadata.userIds || []).join(', ') || '-';
+            document.getElementById('keyCapabilities').textContent = Formatting.formatUsage(keyPair.metadata.capabilities);
+            document.getElementById('keyExpires').textContent = keyPair.metadata.expires ? Formatting.formatDate(keyPair.metadata.expires) : 'Never';
+            document.getElementById('keyRevocationStatus').textContent = Formatting.formatRevocationStatus(keyPair.metadata);
+            document.getElementById('keyPrimaryFlags').textContent = Formatting.formatKeyFlags(keyPair.metadata.primaryFlags);
+            document.getElementById('keySubkeys').textContent = (keyPair.metadata.subkeys || [])
+                .map(subkey => Formatting.formatSubkey(subkey))
+                .join('\n') || 'None';
+            this.renderUserIdList(keyPair);
+            this.renderSubkeyList(keyPair);
             keyInfo.style.display = 'block';
         }
     }
 
+    // List the active key's user IDs with primary and revocation actions
+    renderUserIdList(keyPair) {
+        const list = document.getElementById('userIdList');
+        if (!list) return;
+        
+        list.innerHTML = '';
+        const { userIds = [], revokedUserIds = [] } = keyPair.metadata;
+        
+        userIds.forEach((userId, index) => {
+            const isPrimary = index === 0;
+            const entry = document.createElement('div');
+            entry.className = `keyring-entry${isPrimary ? ' active' : ''}`;
+            
+            const uid = document.createElement('div');
+            uid.className = 'keyring-entry-uid';
+            uid.textContent = `${userId}${isPrimary ? ' (primary)' : ''}`;
+            entry.appendChild(uid);
+            
+            if (keyPair.privateKey) {
+                const actions = document.createElement('div');
+                actions.className = 'keyring-entry-actions';
+                
+                if (!isPrimary) {
+                    const primaryBtn = document.createElement('button');
+                    primaryBtn.className = 'btn btn-secondary';
+                    primaryBtn.textContent = 'Make Primary';
+                    primaryBtn.addEventListener('click', () => this.handleSetPrimaryUserId(userId));
+                    actions.appendChild(primaryBtn);
+                }
+                if (userIds.length > 1) {
+                    const revokeBtn = document.createElement('button');
+                    revokeBtn.className = 'btn btn-secondary';
+                    revokeBtn.textContent = 'Revoke';
+                    revokeBtn.addEventListener('click', () => this.handleRevokeUserId(userId));
+                    actions.appendChild(revokeBtn);
+                }
+                
+                entry.appendChild(actions);
+            }
+            
+            list.appendChild(entry);
+        });
+        
+        revokedUserIds.forEach(userId => {
+            const entry = document.createElement('div');
+            entry.className = 'keyring-entry revoked';
+            entry.textContent = `${userId} [REVOKED]`;
+            list.appendChild(entry);
+        });
+    }
+
+    // List the active key's subkeys with per-subkey expiry and revocation actions
+    renderSubkeyList(keyPair) {
+        const list = document.getElementById('subkeyList');
+        if (!list) return;
+        
+        list.innerHTML = '';
+        const subkeys = keyPair.metadata.subkeys || [];
+        
+        if (subkeys.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'keyring-empty';
+            empty.textContent = 'This key has no subkeys';
+            list.appendChild(empty);
+            return;
+        }
+        
+        subkeys.forEach(subkey => {
+            const entry = document.createElement('div');
+            entry.className = `keyring-entry subkey ${subkey.status}`;
+            
+            const meta = document.createElement('div');
+            meta.className = 'keyring-entry-meta';
+            meta.textContent = Formatting.formatSubkey(subkey);
+            entry.appendChild(meta);
+            
+            // Revoked subkeys are kept for decrypting old messages but can no longer be changed
+            if (keyPair.privateKey && subkey.status !== 'revoked') {
+                const actions = document.createElement('div');
+                actions.className = 'keyring-entry-actions';
+                
+                const expiryBtn = document.createElement('button');
+                expiryBtn.className = 'btn btn-secondary';
+                expiryBtn.textContent = 'Set Expiry';
+                expiryBtn.addEventListener('click', () => this.handleSetSubkeyExpiration(subkey.keyId));
+                
+                const revokeBtn = document.createElement('button');
+                revokeBtn.className = 'btn btn-secondary';
+                revokeBtn.textContent = 'Revoke';
+                revokeBtn.addEventListener('click', () => this.handleRevokeSubkey(subkey.keyId));
+                
+                actions.append(expiryBtn, revokeBtn);
+                entry.appendChild(actions);
+            }
+            
+            list.appendChild(entry);
+        });
+    }
+
+    // Repopulate every keyring-driven control
+    refreshKeyring() {
+        const activeFingerprint = this.state.currentKeyPair?.metadata.fingerprint || '';
+        
+        this.populateKeySelect('activeKeySelect', this.keyManager.listKeys({ secretOnly: true }), {
+            emptyLabel: 'No secret keys',
+            selected: activeFingerprint
+        });
+        this.renderRecipientList();
+        this.populateKeySelect('verifySignerSelect', this.keyManager.listKeys(), {
+            defaultLabel: 'Any key in keyring'
+        });
+        this.populateCertifyKeys();
+        this.renderContacts();
+        this.renderAutocrypt();
+        this.renderPgpMime();
+        this.renderX509Entries();
+        this.renderCertificateAuthority();
+        
+        this.renderKeyringList();
+    }
+
+    populateKeySelect(selectId, keyPairs, { defaultLabel = null, emptyLabel = null, selected = null } = {}) {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+        
+        const previous = selected !== null ? selected : select.value;
+        select.innerHTML = '';
+        
+        if (defaultLabel) {
+            select.appendChild(new Option(defaultLabel, ''));
+        } else if (keyPairs.length === 0 && emptyLabel) {
+            select.appendChild(new Option(emptyLabel, ''));
+        }
+        
+        keyPairs.forEach(keyPair => {
+            const { userIds, keyId, fingerprint } = keyPair.metadata;
+            select.appendChild(new Option(`${userIds[0] || 'No user ID'} [${keyId}]`, fingerprint));
+        });
+        
+        select.value = keyPairs.some(keyPair => keyPair.metadata.fingerprint === previous) ? previous : '';
+        if (!select.value && !defaultLabel && keyPairs.length > 0) {
+            select.value = keyPairs[0].metadata.fingerprint;
+        }
+    }
+
+    // Checkbox list of keyring keys that can receive encrypted messages
+    renderRecipientList() {
+        const list = document.getElementById('encryptRecipientList');
+        if (!list) return;
+        
+        const checked = new Set(Array.from(list.querySelectorAll('input:checked')).map(checkbox => checkbox.value));
+        const keyPairs = this.keyManager.listKeys({ capability: 'encrypt' });
+        
+        list.innerHTML = '';
+        
+        if (keyPairs.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'keyring-empty';
+            empty.textContent = 'No encryption keys in keyring';
+            list.appendChild(empty);
+            return;
+        }
+        
+        keyPairs.forEach(keyPair => {
+            const { userIds, keyId, fingerprint } = keyPair.metadata;
+            
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = fingerprint;
+            checkbox.checked = checked.has(fingerprint);
+            
+            const text = document.createElement('span');
+            text.textContent = `${userIds[0] || 'No user ID'} [${keyId}]`;
+            
+            label.append(checkbox, text);
+            list.appendChild(label);
+        });
+    }
+
+    async renderKeyringList() {
+        const list = document.getElementById('keyringList');
+        if (!list) return;
+        
+        const query = document.getElementById('keyringSearch')?.value || '';
+        const keyPairs = this.keyManager.searchKeys(query);
+        const activeFingerprint = this.state.currentKeyPair?.metadata.fingerprint;
+        
+        // Validity needs every certification checked; do it before touching the list so renders do not interleave
+        const validity = new Map();
+        try {
+            for (const keyPair of keyPairs) {
+                validity.set(keyPair.metadata.fingerprint, await this.keyManager.trust.getKeyValidity(keyPair.metadata.fingerprint));
+            }
+        } catch (error) {
+            console.warn('Could not compute key validity:', error);
+        }
+        
+        list.innerHTML = '';
+        
+        if (keyPairs.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'keyring-empty';
+            empty.textContent = query ? 'No keys match your search' : 'Keyring is empty';
+            list.appendChild(empty);
+            return;
+        }
+        
+        keyPairs.forEach(keyPair => {
+            const { userIds, keyId, fingerprint, capabilities } = keyPair.metadata;
+            const isActive = fingerprint === activeFingerprint;
+            
+            const entry = document.createElement('div');
+            entry.className = `keyring-entry ${keyPair.privateKey ? 'secret' : 'public'}${isActive ? ' active' : ''}${keyPair.metadata.revoked ? ' revoked' : ''}`;
+            
+            const uid = document.createElement('div');
+            uid.className = 'keyring-entry-uid';
+            uid.textContent = `${keyPair.privateKey ? '🔑' : '👤'} ${userIds.join(', ') || 'No user ID'}${isActive ? ' (active)' : ''}`;
+            
+            const meta = document.createElement('div');
+            meta.className = 'keyring-entry-meta';
+            meta.textContent = `${keyId} · ${Formatting.formatFingerprint(fingerprint)} · ${Formatting.formatUsage(capabilities)}` +
+                (keyPair.metadata.revoked ? ` · ${Formatting.formatRevocationStatus(keyPair.metadata)}` : '');
+            
+            const keyValidity = validity.get(fingerprint);
+            const trust = document.createElement('div');
+            trust.className = 'keyring-entry-trust';
+            trust.textContent = keyValidity
+                ? `Validity: ${keyValidity.validity} · Certified by: ${Formatting.formatCertifications(keyValidity.certifications)}`
+                : 'Validity: not available';
+            
+            const actions = document.createElement('div');
+            actions.className = 'keyring-entry-actions';
+            
+            const ownerTrust = document.createElement('select');
+            ownerTrust.title = 'Owner trust: how far you rely on this key\'s owner to certify other keys';
+            Object.entries(CONSTANTS.TRUST.OWNER_TRUST).forEach(([value, label]) => {
+                ownerTrust.appendChild(new Option(`Owner trust: ${label}`, value));
+            });
+            ownerTrust.value = this.keyManager.getOwnerTrust(keyPair);
+            ownerTrust.addEventListener('change', () => this.handleOwnerTrustChange(fingerprint, ownerTrust.value));
+            actions.appendChild(ownerTrust);
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn btn-secondary';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => this.handleRemoveKey(fingerprint));
+            actions.appendChild(removeBtn);
+            
+            entry.append(uid, meta, trust, actions);
+            list.appendChild(entry);
+        });
+    }
+
     updateButtonStates() {
         const hasKeys = this.state.currentKeyPair !== null;
         
         // Enable/disable buttons based on key availability
         this.setButtonState('saveKeyBtn', hasKeys);
         this.setButtonState('signBtnNew', hasKeys);
+        this.setButtonState('detachSignBtn', hasKeys);
         this.setButtonState('verifyBtn', true); // Can verify with custom key
         this.setButtonState('encryptBtn', true); // Can encrypt with custom key
-        this.setButtonState('decryptBtn', hasKeys);
+        this.setButtonState('decryptBtn', true); // Can decrypt password-protected messages
         this.setButtonState('copyPublicKeyBtn', hasKeys);
         this.setButtonState('copyPrivateKeyBtn', hasKeys);
+        this.setButtonState('addUserIdBtn', hasKeys);
+        this.setButtonState('setKeyExpirationBtn', hasKeys);
+        this.setButtonState('changePassphraseBtn', hasKeys);
+        this.setButtonState('removePassphraseBtn', hasKeys && !this.state.currentKeyPair.privateKeyObj.isDecrypted());
+        this.setButtonState('addSigningSubkeyBtn', hasKeys);
+        this.setButtonState('addEncryptionSubkeyBtn', hasKeys);
+        this.setButtonState('rotateEncryptionSubkeyBtn', hasKeys);
+        this.setButtonState('downloadRevocationBtn', hasKeys && !!this.state.currentKeyPair.revocationCertificate);
+        this.setButtonState('revokeKeyBtn', hasKeys && !this.state.currentKeyPair.metadata.revoked);
+        this.setButtonState('keyserverUploadBtn', hasKeys);
         
         // Update status indicators
         this.updateStatusIndicators(hasKeys);
@@ -727,9 +4011,10 @@ updateCopyButtonState(buttonId, state) {
     }
 
     updateCurrentSettingsDisplay() {
-        const algorithmText = this.getAlgorithmDisplayText(this.state.advancedConfig.algorithm);
+        const algorithmText = Formatting.formatAlgorithm(this.state.advancedConfig.algorithm);
         const expirationText = this.getExpirationDisplayText(this.state.advancedConfig.expiration);
         const usageText = this.getUsageDisplayText(this.state.advancedConfig.usage);
+        const layoutText = this.getLayoutDisplayText(this.state.advancedConfig.layout);
         
         const currentAlgorithm = document.getElementById('currentAlgorithm');
         const currentExpiration = document.getElementById('currentExpiration');
@@ -738,6 +4023,8 @@ updateCopyButtonState(buttonId, state) {
         if (currentAlgorithm) currentAlgorithm.textContent = algorithmText;
         if (currentExpiration) currentExpiration.textContent = expirationText;
         if (currentUsage) currentUsage.textContent = usageText;
+        const currentLayout = document.getElementById('currentLayout');
+        if (currentLayout) currentLayout.textContent = layoutText;
     }
 
     // ==================== UTILITY METHODS ====================
@@ -764,15 +4051,6 @@ updateCopyButtonState(buttonId, state) {
         return { name, email, passphrase };
     }
 
-    getAlgorithmDisplayText(algorithm) {
-        switch (algorithm) {
-            case 'ecc': return 'ECC (Curve25519)';
-            case 'rsa2048': return 'RSA 2048-bit';
-            case 'rsa4096': return 'RSA 4096-bit';
-            default: return 'ECC (Curve25519)';
-        }
-    }
-
     getExpirationDisplayText(expiration) {
         switch (expiration) {
             case 0: return 'Never expires';
@@ -792,12 +4070,20 @@ updateCopyButtonState(buttonId, state) {
         return capabilities.join(', ') || 'None';
     }
 
+    getLayoutDisplayText(layout) {
+        return layout === 'separate'
+            ? 'Certify-only primary key, separate subkeys'
+            : 'Primary key signs, encryption subkey';
+    }
+
     // Debug methods
     getStatus() {
         return {
             initialized: this.isInitialized,
             hasKeys: this.state.currentKeyPair !== null,
-            hasPassphrase: this.state.currentPassphrase !== null,
+            keyringSize: this.keyManager.keyring.size,
+            vault: this.vault.getStatus(),
+            agent: this.keyAgent.getStatus(),
             currentTab: this.state.currentTab,
             isGenerating: this.state.isGenerating
         };
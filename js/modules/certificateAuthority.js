@@ -0,0 +1,515 @@
+import { CONSTANTS } from '../utils/constants.js';
+import { Asn1 } from '../utils/asn1.js';
+
+// modules/certificateAuthority.js - A private CA for dev/test environments: root and intermediate CAs whose keys live
+// in the CertificateManager, certificates issued from CSRs under the X.509 profiles, a database of issued certificates
+// by serial number, revocation with RFC 5280 reasons and signed v2 CRLs.
+export class CertificateAuthority {
+    constructor(certificateManager) {
+        this.certificateManager = certificateManager;
+        this.authorities = new Map(); // CA certificate entry id -> { id, label, parentId, created, crlNumber, crl }
+        this.issued = new Map(); // Serial number -> issued certificate record
+    }
+
+    // ==================== AUTHORITIES ====================
+
+    // request: { algorithm, subject, validityDays, pathLength } as taken by CertificateManager.normalizeRequest
+    async createRootCa(request) {
+        try {
+            const entry = await this.certificateManager.createSelfSignedCertificate(
+                this.getCaRequest(request, CONSTANTS.X509.CA.ROOT_VALIDITY_DAYS));
+            return this.addAuthority(entry, null);
+        } catch (error) {
+            console.error('Root CA creation failed:', error);
+            throw new Error(`Root CA creation failed: ${error.message}`);
+        }
+    }
+
+    // A CA certificate for a new key, signed by parentId. The path length defaults to one less than the parent allows.
+    async createIntermediateCa(parentId, request) {
+        const manager = this.certificateManager;
+        try {
+            const { authority: parent, info: parentInfo } = this.getSigningAuthority(parentId);
+            if (parentInfo.pathLength === 0) {
+                throw new Error(`${parent.label} may not sign CA certificates (path length 0)`);
+            }
+
+            const normalized = manager.normalizeRequest(this.getCaRequest(request, CONSTANTS.X509.CA.INTERMEDIATE_VALIDITY_DAYS));
+            if (parentInfo.pathLength !== null) {
+                const allowed = parentInfo.pathLength - 1;
+                if (normalized.pathLength === null) {
+                    normalized.pathLength = allowed;
+                } else if (normalized.pathLength > allowed) {
+                    throw new Error(`${parent.label} allows a path length of at most ${allowed} below it`);
+                }
+            }
+
+            const entry = await manager.createEntry(normalized, await manager.generateKeyPair(normalized.algorithm));
+            const record = await this.issueCertificate(parentId, {
+                subjectName: manager.buildName(normalized.subject),
+                spki: entry.spki,
+                request: normalized,
+                profile: 'ca'
+            });
+
+            manager.addEntry(entry);
+            await manager.attachCertificate(entry.id, record.certificate);
+            return this.addAuthority(entry, parentId);
+        } catch (error) {
+            console.error('Intermediate CA creation failed:', error);
+            throw new Error(`Intermediate CA creation failed: ${error.message}`);
+        }
+    }
+
+    // CA usages from the 'ca' profile; a CA certificate carries no alternative names
+    getCaRequest(request, defaultValidityDays) {
+        const profile = CONSTANTS.X509.PROFILES.ca;
+        return {
+            ...request,
+            san: [],
+            keyUsage: profile.keyUsage,
+            extKeyUsage: profile.extKeyUsage,
+            ca: true,
+            validityDays: request.validityDays || defaultValidityDays
+        };
+    }
+
+    addAuthority(entry, parentId) {
+        const authority = {
+            id: entry.id,
+            label: entry.label,
+            parentId,
+            created: new Date().toISOString(),
+            crlNumber: 0,
+            crl: null
+        };
+        this.authorities.set(authority.id, authority);
+        return authority;
+    }
+
+    // The CA with its key entry and parsed certificate, refused when it or a CA above it has expired or been revoked
+    getSigningAuthority(id) {
+        const authority = this.getAuthority(id);
+        if (!authority) {
+            throw new Error('Certificate authority not found');
+        }
+        const manager = this.certificateManager;
+        const now = new Date();
+        let info = null;
+        for (let current = authority; current; current = this.getAuthority(current.parentId)) {
+            const certificate = manager.getEntry(current.id)?.certificate;
+            if (!certificate) {
+                throw new Error(`The key of ${current.label} is no longer in the X.509 section`);
+            }
+            const parsed = manager.parseCertificate(certificate);
+            if (parsed.notAfter <= now) {
+                throw new Error(`The certificate of ${current.label} has expired`);
+            }
+            if (this.getIssued(parsed.serialNumber)?.status === 'revoked') {
+                throw new Error(`${current.label} has been revoked`);
+            }
+            info = info || parsed;
+        }
+
+        return { authority, entry: manager.getEntry(id), info };
+    }
+
+    // CAs signed by id
+    getSubordinates(id) {
+        return this.listAuthorities().filter(authority => authority.parentId === id);
+    }
+
+    // Root first, then the CA itself, for chain files
+    getChain(id) {
+        const chain = [];
+        for (let current = this.getAuthority(id); current; current = this.getAuthority(current.parentId)) {
+            chain.unshift(current);
+        }
+        return chain;
+    }
+
+    // ==================== ISSUING ====================
+
+    // Sign a PKCS#10 request (PEM or DER) under one of CA.ISSUING_PROFILES. Usages come from the profile; the subject
+    // and alternative names come from the request.
+    async signCsr(caId, csrInput, { profile = 'tlsServer', validityDays = CONSTANTS.X509.DEFAULT_VALIDITY_DAYS } = {}) {
+        const manager = this.certificateManager;
+        try {
+            if (!CONSTANTS.X509.CA.ISSUING_PROFILES.includes(profile)) {
+                throw new Error(`Unknown profile: ${profile}`);
+            }
+            const definition = CONSTANTS.X509.PROFILES[profile];
+            const csr = await manager.parseCsr(csrInput);
+
+            const record = await this.issueCertificate(caId, {
+                subjectName: csr.subjectName,
+                spki: csr.spki,
+                request: {
+                    san: this.getSubjectAltNames(csr, profile),
+                    keyUsage: definition.keyUsage,
+                    extKeyUsage: definition.extKeyUsage,
+                    ca: false,
+                    pathLength: null,
+                    validityDays: this.checkValidityDays(validityDays)
+                },
+                profile
+            });
+
+            await this.attachToLocalEntry(record);
+            return record;
+        } catch (error) {
+            console.error('Certificate issuance failed:', error);
+            throw new Error(`Certificate issuance failed: ${error.message}`);
+        }
+    }
+
+    // TLS clients ignore the CN, so a server request without DNS or IP names gets its CN as one; S/MIME
+    // certificates likewise need the address as an rfc822Name
+    getSubjectAltNames(csr, profile) {
+        const san = [...csr.san];
+        const { commonName, email } = csr.subject;
+
+        if (profile === 'tlsServer' && !san.some(name => name.type === 'dns' || name.type === 'ip')) {
+            if (!commonName || commonName.includes(',')) {
+                throw new Error('A TLS server certificate needs a DNS name or IP address');
+            }
+            const type = this.certificateManager.parseIpAddress(commonName) ? 'IP' : 'DNS';
+            san.push(...this.certificateManager.parseSubjectAltNames(`${type}:${commonName}`));
+        }
+        if (profile === 'email' && !san.some(name => name.type === 'email')) {
+            const address = email || (commonName?.includes('@') ? commonName : null);
+            if (!address || address.includes(',')) {
+                throw new Error('An email certificate needs an email address');
+            }
+            san.push(...this.certificateManager.parseSubjectAltNames(`email:${address}`));
+        }
+        return san;
+    }
+
+    checkValidityDays(value) {
+        const days = Number(value);
+        if (!Number.isInteger(days) || days < 1 || days > CONSTANTS.X509.MAX_VALIDITY_DAYS) {
+            throw new Error(`Validity must be between 1 and ${CONSTANTS.X509.MAX_VALIDITY_DAYS} days`);
+        }
+        return days;
+    }
+
+    // Sign a certificate with the CA's key and record it. The validity ends no later than the CA's own.
+    async issueCertificate(caId, { subjectName, spki, request, profile, renewedFrom = null }) {
+        const manager = this.certificateManager;
+        const { entry, info } = this.getSigningAuthority(caId);
+
+        let { notBefore, notAfter } = manager.getValidityPeriod(request.validityDays);
+        if (notAfter > info.notAfter) {
+            notAfter = info.notAfter;
+        }
+
+        let serial;
+        do {
+            serial = manager.createSerialNumber();
+        } while (this.issued.has(manager.formatSerialNumber(serial)));
+
+        const certificate = await manager.buildCertificate(entry, {
+            subjectName,
+            issuerName: info.subjectName,
+            spki,
+            extensions: manager.buildExtensions(request, {
+                subjectKeyId: await manager.getKeyIdentifier(spki),
+                authorityKeyId: info.subjectKeyId || await manager.getKeyIdentifier(entry.spki)
+            }),
+            notBefore,
+            notAfter,
+            serialNumber: serial
+        });
+
+        const record = {
+            serialNumber: manager.formatSerialNumber(serial),
+            caId,
+            profile,
+            subject: manager.parseName(Asn1.decode(subjectName)),
+            san: request.san,
+            notBefore: notBefore.toISOString(),
+            notAfter: notAfter.toISOString(),
+            issued: new Date().toISOString(),
+            fingerprint: await manager.getFingerprint(certificate),
+            certificate,
+            status: 'valid',
+            revocationDate: null,
+            revocationReason: null,
+            renewedFrom,
+            renewedBy: null
+        };
+        this.issued.set(record.serialNumber, record);
+        return record;
+    }
+
+    // A certificate for a key held in the X.509 section (such as one whose CSR was made there) is stored with it
+    async attachToLocalEntry(record) {
+        const manager = this.certificateManager;
+        const spki = manager.parseCertificate(record.certificate).spki;
+        const id = Asn1.toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', spki)));
+        if (manager.getEntry(id)) {
+            await manager.attachCertificate(id, record.certificate);
+        }
+    }
+
+    // Reissue for the same subject, key, names and usages with a new serial number. The old certificate stays valid
+    // unless revokeOld is set, in which case it is revoked as superseded.
+    async renewCertificate(serialNumber, { validityDays = null, revokeOld = false } = {}) {
+        const manager = this.certificateManager;
+        try {
+            const previous = this.getIssued(serialNumber);
+            if (!previous) {
+                throw new Error('Issued certificate not found');
+            }
+            if (previous.status === 'revoked') {
+                throw new Error('A revoked certificate cannot be renewed');
+            }
+
+            const info = manager.parseCertificate(previous.certificate);
+            const days = validityDays || Math.round((info.notAfter - info.notBefore) / 86400000);
+            const record = await this.issueCertificate(previous.caId, {
+                subjectName: info.subjectName,
+                spki: info.spki,
+                request: {
+                    san: info.san,
+                    keyUsage: info.keyUsage,
+                    extKeyUsage: info.extKeyUsage.filter(usage => CONSTANTS.X509.EXTENDED_KEY_USAGES[usage]),
+                    ca: info.ca,
+                    pathLength: info.pathLength,
+                    validityDays: this.checkValidityDays(days)
+                },
+                profile: previous.profile,
+                renewedFrom: previous.serialNumber
+            });
+
+            previous.renewedBy = record.serialNumber;
+            if (revokeOld) {
+                this.revokeCertificate(previous.serialNumber, 'superseded');
+            }
+            await this.attachToLocalEntry(record);
+            return record;
+        } catch (error) {
+            console.error('Certificate renewal failed:', error);
+            throw new Error(`Certificate renewal failed: ${error.message}`);
+        }
+    }
+
+    // ==================== REVOCATION ====================
+
+    revokeCertificate(serialNumber, reason = 'unspecified') {
+        const record = this.getIssued(serialNumber);
+        if (!record) {
+            throw new Error('Issued certificate not found');
+        }
+        if (record.status === 'revoked') {
+            throw new Error(`${serialNumber} is already revoked`);
+        }
+        if (!CONSTANTS.X509.REVOCATION_REASONS[reason]) {
+            throw new Error(`Unknown revocation reason: ${reason}`);
+        }
+
+        const revocationDate = new Date();
+        revocationDate.setUTCMilliseconds(0);
+        record.status = 'revoked';
+        record.revocationDate = revocationDate.toISOString();
+        record.revocationReason = reason;
+        return record;
+    }
+
+    // Signed v2 CertificateList listing every certificate this CA has revoked, with the next CRL number
+    async generateCrl(caId, { validityDays = CONSTANTS.X509.CA.CRL_VALIDITY_DAYS } = {}) {
+        const manager = this.certificateManager;
+        const { OIDS, REVOCATION_REASONS } = CONSTANTS.X509;
+        try {
+            const { authority, entry, info } = this.getSigningAuthority(caId);
+            const { notBefore: thisUpdate, notAfter: nextUpdate } = manager.getValidityPeriod(this.checkValidityDays(validityDays));
+            const revoked = this.listIssued(caId).filter(record => record.status === 'revoked');
+            const number = authority.crlNumber + 1;
+
+            const revokedCertificates = revoked.map(record => {
+                const { code } = REVOCATION_REASONS[record.revocationReason];
+                return Asn1.sequence([
+                    Asn1.integer(this.fromHex(record.serialNumber)),
+                    Asn1.time(new Date(record.revocationDate)),
+                    // RFC 5280 5.3.1: leave the reason code out rather than write unspecified
+                    code !== 0 ? Asn1.sequence([manager.buildExtension(OIDS.CRL_REASON, Asn1.enumerated(code))]) : null
+                ]);
+            });
+            const authorityKeyId = info.subjectKeyId || await manager.getKeyIdentifier(entry.spki);
+
+            const tbs = Asn1.sequence([
+                Asn1.integer(1),
+                manager.buildSignatureAlgorithm(entry.algorithm),
+                info.subjectName,
+                Asn1.time(thisUpdate),
+                Asn1.time(nextUpdate),
+                revokedCertificates.length > 0 ? Asn1.sequence(revokedCertificates) : null,
+                Asn1.explicit(0, Asn1.sequence([
+                    manager.buildExtension(OIDS.AUTHORITY_KEY_IDENTIFIER,
+                        Asn1.sequence([Asn1.implicit(0, Asn1.octetString(authorityKeyId))])),
+                    manager.buildExtension(OIDS.CRL_NUMBER, Asn1.integer(number))
+                ]))
+            ]);
+
+            const der = await manager.signStructure(tbs, entry);
+            authority.crlNumber = number;
+            authority.crl = {
+                der,
+                number,
+                thisUpdate: thisUpdate.toISOString(),
+                nextUpdate: nextUpdate.toISOString(),
+                revokedCount: revoked.length
+            };
+            return authority.crl;
+        } catch (error) {
+            console.error('CRL generation failed:', error);
+            throw new Error(`CRL generation failed: ${error.message}`);
+        }
+    }
+
+    fromHex(text) {
+        return Uint8Array.from(text.replace(/[^0-9a-f]/gi, '').match(/../g) || [], byte => parseInt(byte, 16));
+    }
+
+    // ==================== EXPORT ====================
+
+    // kind: 'certificate' (id is a serial number), 'chain' (id is a CA; PEM only) or 'crl' (id is a CA, latest CRL)
+    exportItem(kind, id, format = 'pem') {
+        const manager = this.certificateManager;
+
+        if (kind === 'certificate') {
+            const record = this.getIssued(id);
+            if (!record) {
+                throw new Error('Issued certificate not found');
+            }
+            const baseName = `${manager.toFilename(this.getLabel(record))}-${record.serialNumber.replace(/:/g, '').slice(0, 8)}`;
+            return format === 'der'
+                ? { data: record.certificate, filename: `${baseName}.cer`, mimeType: 'application/pkix-cert' }
+                : { data: Asn1.toPem(record.certificate, 'CERTIFICATE'), filename: `${baseName}.crt`, mimeType: 'application/x-pem-file' };
+        }
+
+        const authority = this.getAuthority(id);
+        if (!authority) {
+            throw new Error('Certificate authority not found');
+        }
+        const baseName = manager.toFilename(authority.label);
+
+        if (kind === 'chain') {
+            const pem = this.getChain(id).reverse()
+                .map(current => Asn1.toPem(manager.getEntry(current.id).certificate, 'CERTIFICATE'))
+                .join('');
+            return { data: pem, filename: `${baseName}-chain.pem`, mimeType: 'application/x-pem-file' };
+        }
+        if (kind === 'crl') {
+            if (!authority.crl) {
+                throw new Error(`${authority.label} has not published a CRL yet`);
+            }
+            return format === 'der'
+                ? { data: authority.crl.der, filename: `${baseName}.crl`, mimeType: 'application/pkix-crl' }
+                : { data: Asn1.toPem(authority.crl.der, 'X509 CRL'), filename: `${baseName}.crl.pem`, mimeType: 'application/x-pem-file' };
+        }
+        throw new Error(`Unknown export: ${kind}`);
+    }
+
+    async saveToFile(kind, id, format = 'pem') {
+        const { data, filename, mimeType } = this.exportItem(kind, id, format);
+        await this.certificateManager.fileUtils.downloadFile(data, filename, mimeType);
+        return filename;
+    }
+
+    // ==================== DATABASE ====================
+
+    listAuthorities() {
+        return Array.from(this.authorities.values()).sort((a, b) => a.created.localeCompare(b.created));
+    }
+
+    getAuthority(id) {
+        return (id && this.authorities.get(id)) || null;
+    }
+
+    // Newest first, optionally only those signed by caId
+    listIssued(caId = null) {
+        return Array.from(this.issued.values())
+            .filter(record => !caId || record.caId === caId)
+            .sort((a, b) => b.issued.localeCompare(a.issued));
+    }
+
+    // Root CA certificates (DER), for trusting the local CA when validating chains
+    getTrustAnchors() {
+        return this.listAuthorities()
+            .filter(authority => !authority.parentId)
+            .map(authority => this.certificateManager.getEntry(authority.id)?.certificate)
+            .filter(Boolean);
+    }
+
+    // The latest CRL (DER) of every CA that has published one
+    getCrls() {
+        return this.listAuthorities().filter(authority => authority.crl).map(authority => authority.crl.der);
+    }
+
+    getIssued(serialNumber) {
+        return this.issued.get(serialNumber) || null;
+    }
+
+    // 'revoked', 'expired' or 'valid'
+    getStatus(record) {
+        if (record.status === 'revoked') return 'revoked';
+        return new Date(record.notAfter) <= new Date() ? 'expired' : 'valid';
+    }
+
+    getLabel(record) {
+        return this.certificateManager.getLabel(record.subject) || record.serialNumber;
+    }
+
+    // Remove a CA with no subordinate CAs, its issued-certificate records and its key
+    removeAuthority(id) {
+        if (this.getSubordinates(id).length > 0) {
+            throw new Error('Delete the intermediate CAs below it first');
+        }
+        this.listIssued(id).forEach(record => this.issued.delete(record.serialNumber));
+        this.certificateManager.removeEntry(id);
+        return this.authorities.delete(id);
+    }
+
+    clear() {
+        this.authorities.clear();
+        this.issued.clear();
+    }
+
+    // Serialise for the vault; CA keys are stored with the X.509 entries
+    exportState() {
+        const manager = this.certificateManager;
+        return {
+            authorities: this.listAuthorities().map(authority => ({
+                ...authority,
+                crl: authority.crl ? { ...authority.crl, der: manager.toBase64(authority.crl.der) } : null
+            })),
+            issued: this.listIssued().map(record => ({ ...record, certificate: manager.toBase64(record.certificate) }))
+        };
+    }
+
+    // Restore state produced by exportState; a record that cannot be read is skipped
+    importState(state) {
+        if (!state) return;
+        const manager = this.certificateManager;
+
+        (state.authorities || []).forEach(authority => {
+            try {
+                this.authorities.set(authority.id, {
+                    ...authority,
+                    crl: authority.crl ? { ...authority.crl, der: manager.fromBase64(authority.crl.der) } : null
+                });
+            } catch (error) {
+                console.warn(`Skipping stored certificate authority ${authority?.id}:`, error);
+            }
+        });
+        (state.issued || []).forEach(record => {
+            try {
+                this.issued.set(record.serialNumber, { ...record, certificate: manager.fromBase64(record.certificate) });
+            } catch (error) {
+                console.warn(`Skipping stored issued certificate ${record?.serialNumber}:`, error);
+            }
+        });
+    }
+}
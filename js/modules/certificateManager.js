@@ -0,0 +1,801 @@
+import { CONSTANTS } from '../utils/constants.js';
+import { Validation } from '../utils/validation.js';
+import { FileUtils } from '../utils/fileUtils.js';
+import { Asn1 } from '../utils/asn1.js';
+
+// modules/certificateManager.js - X.509 alongside the OpenPGP keyring: WebCrypto key pairs, PKCS#10 certificate
+// signing requests and self-signed certificates, exported as PEM or DER. Entries are keyed by the SHA-256 of their
+// SubjectPublicKeyInfo, so a CSR and the certificate later made from it share one entry.
+export class CertificateManager {
+    constructor(fileUtils = null) {
+        this.fileUtils = fileUtils || new FileUtils();
+        this.entries = new Map();
+    }
+
+    // ==================== KEY PAIRS ====================
+
+    getAlgorithm(algorithm) {
+        const definition = CONSTANTS.X509.KEY_ALGORITHMS[algorithm];
+        if (!definition) {
+            throw new Error(`Unsupported key algorithm: ${algorithm}`);
+        }
+        return definition;
+    }
+
+    // Extractable, so the private key can be exported as PKCS#8 and kept in the vault
+    async generateKeyPair(algorithm = CONSTANTS.X509.DEFAULT_ALGORITHM) {
+        const { generate } = this.getAlgorithm(algorithm);
+        try {
+            const { privateKey, publicKey } = await crypto.subtle.generateKey(generate, true, ['sign', 'verify']);
+            const spki = new Uint8Array(await crypto.subtle.exportKey('spki', publicKey));
+            return { privateKey, publicKey, spki };
+        } catch (error) {
+            if (error.name === 'NotSupportedError') {
+                throw new Error(`This browser cannot generate ${this.getAlgorithm(algorithm).label} keys`);
+            }
+            throw error;
+        }
+    }
+
+    // ==================== REQUESTS AND CERTIFICATES ====================
+
+    // Generate a key pair and a PKCS#10 CSR for it. request: { algorithm, subject, san, keyUsage, extKeyUsage }.
+    // The requested extensions travel in the CSR's extensionRequest attribute.
+    async createCsr(request) {
+        try {
+            const normalized = this.normalizeRequest(request);
+            const keyPair = await this.generateKeyPair(normalized.algorithm);
+            const entry = await this.createEntry(normalized, keyPair);
+
+            entry.csr = await this.buildCsr(entry);
+            this.entries.set(entry.id, entry);
+            return entry;
+        } catch (error) {
+            console.error('CSR generation failed:', error);
+            throw new Error(`CSR generation failed: ${error.message}`);
+        }
+    }
+
+    // Self-sign a certificate, for a new key pair or for the key of an existing entry (such as one holding a CSR).
+    // request adds { validityDays, ca, pathLength } to the CSR fields.
+    async createSelfSignedCertificate(request, { id = null } = {}) {
+        try {
+            let entry = id ? this.getEntry(id) : null;
+            if (id && !entry) {
+                throw new Error('Certificate entry not found');
+            }
+
+            // An existing entry keeps its key, so its algorithm wins over the form's
+            const normalized = this.normalizeRequest(entry ? { ...(request || entry.request), algorithm: entry.algorithm } : request);
+            if (entry) {
+                entry.request = normalized;
+                entry.label = this.getLabel(normalized.subject);
+            } else {
+                entry = await this.createEntry(normalized, await this.generateKeyPair(normalized.algorithm));
+            }
+
+            entry.certificate = await this.buildSelfSignedCertificate(entry);
+            entry.certificateInfo = await this.describeCertificate(entry.certificate);
+            this.entries.set(entry.id, entry);
+            return entry;
+        } catch (error) {
+            console.error('Self-signed certificate creation failed:', error);
+            throw new Error(`Self-signed certificate creation failed: ${error.message}`);
+        }
+    }
+
+    async createEntry(request, { privateKey, publicKey, spki }) {
+        return {
+            id: Asn1.toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', spki))),
+            label: this.getLabel(request.subject),
+            algorithm: request.algorithm,
+            created: new Date().toISOString(),
+            request,
+            privateKey,
+            publicKey,
+            spki,
+            csr: null,
+            certificate: null,
+            certificateInfo: null
+        };
+    }
+
+    // Check and tidy form input: trimmed subject fields, parsed SANs, known usages and a sane validity
+    normalizeRequest(request = {}) {
+        const algorithm = request.algorithm || CONSTANTS.X509.DEFAULT_ALGORITHM;
+        this.getAlgorithm(algorithm);
+
+        const subject = {};
+        CONSTANTS.X509.DN_ATTRIBUTES.forEach(({ key }) => {
+            const value = (request.subject?.[key] || '').trim();
+            if (value) subject[key] = value;
+        });
+        if (Object.keys(subject).length === 0) {
+            throw new Error('Enter at least a common name for the subject');
+        }
+        if (subject.country && !/^[A-Za-z]{2}$/.test(subject.country)) {
+            throw new Error('The country must be a two-letter code such as DE or US');
+        }
+        if (subject.country) {
+            subject.country = subject.country.toUpperCase();
+        }
+        if (subject.email && !Validation.isValidEmail(subject.email)) {
+            throw new Error(CONSTANTS.ERRORS.INVALID_EMAIL);
+        }
+
+        const san = typeof request.san === 'string' ? this.parseSubjectAltNames(request.san) : (request.san || []);
+        const keyUsage = (request.keyUsage || []).filter(usage => CONSTANTS.X509.KEY_USAGES[usage]);
+        const extKeyUsage = (request.extKeyUsage || []).filter(usage => CONSTANTS.X509.EXTENDED_KEY_USAGES[usage]);
+
+        // RSA is the only key type here that can encrypt a session key
+        const encipherment = keyUsage.filter(usage => ['keyEncipherment', 'dataEncipherment'].includes(usage));
+        if (encipherment.length > 0 && !algorithm.startsWith('rsa')) {
+            throw new Error(`${encipherment.join(' and ')} needs an RSA key`);
+        }
+
+        const validityDays = Number(request.validityDays ?? CONSTANTS.X509.DEFAULT_VALIDITY_DAYS);
+        if (!Number.isInteger(validityDays) || validityDays < 1 || validityDays > CONSTANTS.X509.MAX_VALIDITY_DAYS) {
+            throw new Error(`Validity must be between 1 and ${CONSTANTS.X509.MAX_VALIDITY_DAYS} days`);
+        }
+
+        const pathLength = request.pathLength === '' || request.pathLength === null || request.pathLength === undefined
+            ? null
+            : Number(request.pathLength);
+        if (pathLength !== null && (!Number.isInteger(pathLength) || pathLength < 0)) {
+            throw new Error('The path length constraint must be a whole number of 0 or more');
+        }
+
+        return {
+            algorithm,
+            subject,
+            san,
+            keyUsage,
+            extKeyUsage,
+            validityDays,
+            ca: !!request.ca,
+            pathLength: request.ca ? pathLength : null
+        };
+    }
+
+    getLabel(subject) {
+        return subject.commonName || subject.email || subject.organization || Object.values(subject)[0];
+    }
+
+    // One name per line or comma-separated, with an optional DNS:, email: or IP: prefix; unprefixed names are
+    // recognised as IP addresses, email addresses or DNS names
+    parseSubjectAltNames(text) {
+        return (text || '').split(/[\n,]/).map(item => item.trim()).filter(Boolean).map(item => {
+            const prefixed = item.match(/^(dns|email|ip):\s*(.+)$/i);
+            const value = prefixed ? prefixed[2].trim() : item;
+            let type = prefixed ? prefixed[1].toLowerCase() : null;
+
+            if (!type) {
+                type = this.parseIpAddress(value) ? 'ip' : value.includes('@') ? 'email' : 'dns';
+            }
+
+            if (type === 'ip' && !this.parseIpAddress(value)) {
+                throw new Error(`Invalid IP address: ${value}`);
+            }
+            if (type === 'email' && !Validation.isValidEmail(value)) {
+                throw new Error(`Invalid email address: ${value}`);
+            }
+            if (type === 'dns' && !/^(\*\.)?([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)*[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/i.test(value)) {
+                throw new Error(`Invalid DNS name: ${value}`);
+            }
+
+            return { type, value: type === 'ip' ? value : value.toLowerCase() };
+        });
+    }
+
+    // IPv4 or IPv6 text to its 4 or 16 address bytes, or null
+    parseIpAddress(text) {
+        const v4 = text.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+        if (v4) {
+            const bytes = v4.slice(1).map(Number);
+            return bytes.every(byte => byte <= 255) ? new Uint8Array(bytes) : null;
+        }
+
+        if (!/^[0-9a-f:.]+$/i.test(text) || !text.includes(':')) {
+            return null;
+        }
+        const halves = text.split('::');
+        if (halves.length > 2) {
+            return null;
+        }
+
+        // Groups of 16 bits; a trailing dotted IPv4 part counts as two groups
+        const toGroups = part => {
+            if (!part) return [];
+            return part.split(':').flatMap(group => {
+                if (group.includes('.')) {
+                    const embedded = this.parseIpAddress(group);
+                    return embedded && embedded.length === 4
+                        ? [(embedded[0] << 8) | embedded[1], (embedded[2] << 8) | embedded[3]]
+                        : [NaN];
+                }
+                return /^[0-9a-f]{1,4}$/i.test(group) ? [parseInt(group, 16)] : [NaN];
+            });
+        };
+        const head = toGroups(halves[0]);
+        const tail = halves.length === 2 ? toGroups(halves[1]) : [];
+        const missing = 8 - head.length - tail.length;
+        if ((halves.length === 1 && missing !== 0) || (halves.length === 2 && missing < 1)) {
+            return null;
+        }
+
+        const groups = [...head, ...new Array(Math.max(missing, 0)).fill(0), ...tail];
+        if (groups.some(group => Number.isNaN(group))) {
+            return null;
+        }
+        return new Uint8Array(groups.flatMap(group => [group >> 8, group & 0xff]));
+    }
+
+    // ==================== DER STRUCTURES ====================
+
+    // Name ::= SEQUENCE OF RelativeDistinguishedName, one attribute per RDN
+    buildName(subject) {
+        return Asn1.sequence(CONSTANTS.X509.DN_ATTRIBUTES
+            .filter(({ key }) => subject[key])
+            .map(({ key, oid }) => {
+                let value;
+                if (key === 'country') {
+                    value = Asn1.printableString(subject[key]);
+                } else if (key === 'email') {
+                    value = Asn1.ia5String(subject[key]);
+                } else {
+                    value = Asn1.utf8String(subject[key]);
+                }
+                return Asn1.set([Asn1.sequence([Asn1.oid(oid), value])]);
+            }));
+    }
+
+    // GeneralNames: rfc822Name [1], dNSName [2] and iPAddress [7]
+    buildSubjectAltNames(san) {
+        return Asn1.sequence(san.map(({ type, value }) => {
+            if (type === 'email') return Asn1.implicit(1, Asn1.ia5String(value));
+            if (type === 'dns') return Asn1.implicit(2, Asn1.ia5String(value));
+            return Asn1.implicit(7, Asn1.octetString(this.parseIpAddress(value)));
+        }));
+    }
+
+    buildExtension(oid, value, critical = false) {
+        return Asn1.sequence([
+            Asn1.oid(oid),
+            critical ? Asn1.boolean(true) : null,
+            Asn1.octetString(value)
+        ]);
+    }
+
+    // Extensions for a request or certificate. Key identifiers are only known (and only used) for certificates.
+    buildExtensions(request, { subjectKeyId = null, authorityKeyId = null } = {}) {
+        const { OIDS, KEY_USAGES, EXTENDED_KEY_USAGES } = CONSTANTS.X509;
+        const extensions = [];
+
+        if (subjectKeyId) {
+            // Critical for CAs, as RFC 5280 asks
+            extensions.push(this.buildExtension(OIDS.BASIC_CONSTRAINTS, Asn1.sequence([
+                request.ca ? Asn1.boolean(true) : null,
+                request.ca && request.pathLength !== null ? Asn1.integer(request.pathLength) : null
+            ]), request.ca));
+        }
+        if (request.keyUsage.length > 0) {
+            extensions.push(this.buildExtension(OIDS.KEY_USAGE,
+                Asn1.namedBits(request.keyUsage.map(usage => KEY_USAGES[usage].bit)), true));
+        }
+        if (request.extKeyUsage.length > 0) {
+            extensions.push(this.buildExtension(OIDS.EXT_KEY_USAGE,
+                Asn1.sequence(request.extKeyUsage.map(usage => Asn1.oid(EXTENDED_KEY_USAGES[usage].oid)))));
+        }
+        if (request.san.length > 0) {
+            extensions.push(this.buildExtension(OIDS.SUBJECT_ALT_NAME, this.buildSubjectAltNames(request.san)));
+        }
+        if (subjectKeyId) {
+            extensions.push(this.buildExtension(OIDS.SUBJECT_KEY_IDENTIFIER, Asn1.octetString(subjectKeyId)));
+        }
+        if (authorityKeyId) {
+            extensions.push(this.buildExtension(OIDS.AUTHORITY_KEY_IDENTIFIER,
+                Asn1.sequence([Asn1.implicit(0, Asn1.octetString(authorityKeyId))])));
+        }
+
+        return extensions;
+    }
+
+    // AlgorithmIdentifier; RSA signatures carry explicit NULL parameters, ECDSA and Ed25519 none
+    buildSignatureAlgorithm(algorithm) {
+        const { signatureOid } = this.getAlgorithm(algorithm);
+        return Asn1.sequence([Asn1.oid(signatureOid), algorithm.startsWith('rsa') ? Asn1.null() : null]);
+    }
+
+    // PKCS#10: CertificationRequestInfo { version 0, subject, SPKI, [0] attributes } signed with the new key
+    async buildCsr(entry) {
+        const extensions = this.buildExtensions(entry.request);
+        const attributes = extensions.length > 0
+            ? [Asn1.sequence([
+                Asn1.oid(CONSTANTS.X509.OIDS.EXTENSION_REQUEST),
+                Asn1.set([Asn1.sequence(extensions)])
+            ])]
+            : [];
+
+        const info = Asn1.sequence([
+            Asn1.integer(0),
+            this.buildName(entry.request.subject),
+            entry.spki,
+            Asn1.implicit(0, Asn1.set(attributes), true)
+        ]);
+
+        return this.signStructure(info, entry);
+    }
+
+    // TBSCertificate { [0] v3, serial, signature, issuer, validity, subject, SPKI, [3] extensions } signed with the
+    // issuer entry's key. Names are DER; extensions come from buildExtensions.
+    async buildCertificate(issuer, { subjectName, issuerName, spki, extensions, notBefore, notAfter, serialNumber = this.createSerialNumber() }) {
+        const tbs = Asn1.sequence([
+            Asn1.explicit(0, Asn1.integer(2)),
+            Asn1.integer(serialNumber),
+            this.buildSignatureAlgorithm(issuer.algorithm),
+            issuerName,
+            Asn1.sequence([Asn1.time(notBefore), Asn1.time(notAfter)]),
+            subjectName,
+            spki,
+            Asn1.explicit(3, Asn1.sequence(extensions))
+        ]);
+
+        return this.signStructure(tbs, issuer);
+    }
+
+    // Issuer = subject, and the authority key identifier points at the certificate's own key
+    async buildSelfSignedCertificate(entry) {
+        const { request } = entry;
+        const name = this.buildName(request.subject);
+        const keyId = await this.getKeyIdentifier(entry.spki);
+
+        return this.buildCertificate(entry, {
+            subjectName: name,
+            issuerName: name,
+            spki: entry.spki,
+            extensions: this.buildExtensions(request, { subjectKeyId: keyId, authorityKeyId: keyId }),
+            ...this.getValidityPeriod(request.validityDays)
+        });
+    }
+
+    // From now (whole seconds) for the given number of days
+    getValidityPeriod(days) {
+        const notBefore = new Date();
+        notBefore.setUTCMilliseconds(0);
+        return { notBefore, notAfter: new Date(notBefore.getTime() + days * 86400000) };
+    }
+
+    // SEQUENCE { data, signatureAlgorithm, BIT STRING signature }, the common shape of CSRs and certificates
+    async signStructure(data, entry) {
+        const signature = await this.sign(entry, data);
+        return Asn1.sequence([data, this.buildSignatureAlgorithm(entry.algorithm), Asn1.bitString(signature)]);
+    }
+
+    async sign(entry, data) {
+        const { sign } = this.getAlgorithm(entry.algorithm);
+        const signature = new Uint8Array(await crypto.subtle.sign(sign, entry.privateKey, data));
+
+        // WebCrypto returns ECDSA signatures as r || s; X.509 wants SEQUENCE { r INTEGER, s INTEGER }
+        if (sign.name === 'ECDSA') {
+            const half = signature.length / 2;
+            return Asn1.sequence([Asn1.integer(signature.subarray(0, half)), Asn1.integer(signature.subarray(half))]);
+        }
+        return signature;
+    }
+
+    // RFC 5280 method 1: SHA-1 of the subjectPublicKey bits
+    async getKeyIdentifier(spki) {
+        const [, subjectPublicKey] = Asn1.decode(spki).children;
+        const keyBits = subjectPublicKey.content.subarray(1);
+        return new Uint8Array(await crypto.subtle.digest('SHA-1', keyBits));
+    }
+
+    // 16 random bytes, positive and without a leading zero byte
+    createSerialNumber() {
+        const serial = crypto.getRandomValues(new Uint8Array(16));
+        serial[0] = (serial[0] & 0x7f) || 0x01;
+        return serial;
+    }
+
+    // Summary shown in the UI, read back from the certificate that was built
+    async describeCertificate(der) {
+        const info = this.parseCertificate(der);
+        return {
+            serialNumber: info.serialNumber,
+            notBefore: info.notBefore.toISOString(),
+            notAfter: info.notAfter.toISOString(),
+            fingerprint: await this.getFingerprint(der),
+            selfSigned: info.selfIssued,
+            issuer: info.issuer,
+            ca: info.ca
+        };
+    }
+
+    async getFingerprint(der) {
+        return Asn1.toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', der)), ':');
+    }
+
+    // Store a certificate issued for an entry's key by someone else, such as the local CA
+    async attachCertificate(id, der) {
+        const entry = this.getEntry(id);
+        if (!entry) {
+            throw new Error('Certificate entry not found');
+        }
+        if (Asn1.compareBytes(this.parseCertificate(der).spki, entry.spki) !== 0) {
+            throw new Error('The certificate is for a different key');
+        }
+
+        entry.certificate = der;
+        entry.certificateInfo = await this.describeCertificate(der);
+        return entry;
+    }
+
+    // ==================== PARSING ====================
+
+    // DER bytes from PEM text, or from a file's bytes that may themselves hold PEM
+    toDer(input) {
+        const bytes = typeof input === 'string' ? null : input instanceof Uint8Array ? input : new Uint8Array(input);
+        if (bytes && bytes[0] !== 0x2d) {
+            return bytes;
+        }
+        return Asn1.fromPem(bytes ? new TextDecoder().decode(bytes) : input);
+    }
+
+    // Fields of an X.509 certificate. Names are returned both parsed and as DER so they can be reused verbatim.
+    parseCertificate(input) {
+        const der = this.toDer(input);
+        const [tbs, signatureAlgorithm, signature] = Asn1.decode(der).children;
+        if (!tbs || !signature || tbs.tag !== Asn1.TAGS.SEQUENCE) {
+            throw new Error('Not an X.509 certificate');
+        }
+
+        const versioned = tbs.children[0]?.tag === 0xa0;
+        const [serial, , issuer, validity, subject, spki, ...optional] = tbs.children.slice(versioned ? 1 : 0);
+        if (!spki || validity.children.length !== 2) {
+            throw new Error('Not an X.509 certificate');
+        }
+        const extensions = optional.find(node => node.tag === 0xa3);
+
+        return {
+            der,
+            tbs: tbs.raw,
+            version: versioned ? Asn1.decodeNumber(tbs.children[0].children[0]) + 1 : 1,
+            serialNumber: this.formatSerialNumber(serial.content),
+            issuer: this.parseName(issuer),
+            issuerName: issuer.raw,
+            subject: this.parseName(subject),
+            subjectName: subject.raw,
+            notBefore: Asn1.decodeTime(validity.children[0]),
+            notAfter: Asn1.decodeTime(validity.children[1]),
+            spki: spki.raw,
+            signatureAlgorithm: Asn1.decodeOid(signatureAlgorithm.children[0]),
+            signatureAlgorithmNode: signatureAlgorithm,
+            signature: signature.content.subarray(1),
+            selfIssued: Asn1.compareBytes(issuer.raw, subject.raw) === 0,
+            ...this.readExtensions(extensions ? this.parseExtensions(extensions.children[0]) : [])
+        };
+    }
+
+    // Read a PKCS#10 request (PEM or DER) and check that it is signed by the key it contains
+    async parseCsr(input) {
+        try {
+            const der = this.toDer(input);
+            const [info, signatureAlgorithm, signature] = Asn1.decode(der).children;
+            const [, subject, spki, attributes] = info?.children || [];
+            if (!signature || !attributes || attributes.tag !== 0xa0) {
+                throw new Error('Not a certificate signing request');
+            }
+
+            const extensionRequest = attributes.children
+                .find(attribute => Asn1.decodeOid(attribute.children[0]) === CONSTANTS.X509.OIDS.EXTENSION_REQUEST);
+            const extensions = extensionRequest ? this.parseExtensions(extensionRequest.children[1].children[0]) : [];
+
+            if (!await this.verifySignature(spki.raw, signatureAlgorithm, info.raw, signature.content.subarray(1))) {
+                throw new Error('The request is not signed by the key it contains');
+            }
+
+            return {
+                der,
+                subject: this.parseName(subject),
+                subjectName: subject.raw,
+                spki: spki.raw,
+                keyAlgorithm: this.describePublicKey(spki.raw).label,
+                ...this.readExtensions(extensions)
+            };
+        } catch (error) {
+            console.error('CSR parsing failed:', error);
+            throw new Error(`CSR parsing failed: ${error.message}`);
+        }
+    }
+
+    // Name to a subject object keyed like DN_ATTRIBUTES; unknown attributes are kept under their OID
+    parseName(node) {
+        const subject = {};
+        node.children.forEach(rdn => rdn.children.forEach(attribute => {
+            const [type, value] = attribute.children;
+            const oid = Asn1.decodeOid(type);
+            const key = CONSTANTS.X509.DN_ATTRIBUTES.find(definition => definition.oid === oid)?.key || oid;
+            const text = Asn1.decodeString(value);
+            subject[key] = subject[key] ? `${subject[key]} + ${text}` : text;
+        }));
+        return subject;
+    }
+
+    // Extensions SEQUENCE to [{ oid, critical, value }], value being the OCTET STRING content
+    parseExtensions(node) {
+        return node.children.map(extension => {
+            const [type, ...rest] = extension.children;
+            const critical = rest.length === 2 && rest[0].content[0] !== 0;
+            return { oid: Asn1.decodeOid(type), critical, value: rest[rest.length - 1].content };
+        });
+    }
+
+    // The extensions this tool writes, in the shape of a normalized request
+    readExtensions(extensions) {
+        const { OIDS, KEY_USAGES, EXTENDED_KEY_USAGES } = CONSTANTS.X509;
+        const find = oid => extensions.find(extension => extension.oid === oid);
+        const result = { extensions, ca: false, pathLength: null, keyUsage: [], extKeyUsage: [], san: [], subjectKeyId: null, authorityKeyId: null };
+
+        const basicConstraints = find(OIDS.BASIC_CONSTRAINTS);
+        if (basicConstraints) {
+            const fields = Asn1.decode(basicConstraints.value).children;
+            result.ca = fields[0]?.tag === Asn1.TAGS.BOOLEAN && fields[0].content[0] !== 0;
+            const pathLength = fields.find(field => field.tag === Asn1.TAGS.INTEGER);
+            result.pathLength = result.ca && pathLength ? Asn1.decodeNumber(pathLength) : null;
+        }
+
+        const keyUsage = find(OIDS.KEY_USAGE);
+        if (keyUsage) {
+            const bits = Asn1.decode(keyUsage.value).content.subarray(1);
+            result.keyUsage = Object.keys(KEY_USAGES)
+                .filter(usage => (bits[Math.floor(KEY_USAGES[usage].bit / 8)] || 0) & (0x80 >> (KEY_USAGES[usage].bit % 8)));
+        }
+
+        const extKeyUsage = find(OIDS.EXT_KEY_USAGE);
+        if (extKeyUsage) {
+            result.extKeyUsage = Asn1.decode(extKeyUsage.value).children.map(node => {
+                const oid = Asn1.decodeOid(node);
+                return Object.keys(EXTENDED_KEY_USAGES).find(usage => EXTENDED_KEY_USAGES[usage].oid === oid) || oid;
+            });
+        }
+
+        const san = find(OIDS.SUBJECT_ALT_NAME);
+        if (san) {
+            result.san = this.parseGeneralNames(Asn1.decode(san.value));
+        }
+
+        const subjectKeyId = find(OIDS.SUBJECT_KEY_IDENTIFIER);
+        if (subjectKeyId) {
+            result.subjectKeyId = Asn1.decode(subjectKeyId.value).content;
+        }
+
+        const authorityKeyId = find(OIDS.AUTHORITY_KEY_IDENTIFIER);
+        if (authorityKeyId) {
+            result.authorityKeyId = Asn1.decode(authorityKeyId.value).children.find(node => node.tag === 0x80)?.content || null;
+        }
+
+        return result;
+    }
+
+    // The GeneralName forms buildSubjectAltNames writes; other forms are skipped
+    parseGeneralNames(node) {
+        return node.children.flatMap(name => {
+            if (name.tag === 0x81) return [{ type: 'email', value: Asn1.decodeString(name) }];
+            if (name.tag === 0x82) return [{ type: 'dns', value: Asn1.decodeString(name) }];
+            if (name.tag === 0x87) return [{ type: 'ip', value: this.formatIpAddress(name.content) }];
+            return [];
+        });
+    }
+
+    formatIpAddress(bytes) {
+        if (bytes.length === 4) {
+            return Array.from(bytes).join('.');
+        }
+        const groups = [];
+        for (let i = 0; i + 1 < bytes.length; i += 2) {
+            groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+        }
+
+        // Shorten the longest run of two or more zero groups to ::
+        let best = { start: -1, length: 1 };
+        for (let start = 0; start < groups.length; start++) {
+            let length = 0;
+            while (groups[start + length] === '0') length++;
+            if (length > best.length) best = { start, length };
+        }
+        if (best.start === -1) {
+            return groups.join(':');
+        }
+        return `${groups.slice(0, best.start).join(':')}::${groups.slice(best.start + best.length).join(':')}`;
+    }
+
+    // Colon-separated hex without the sign byte DER adds to high-bit serials
+    formatSerialNumber(bytes) {
+        return Asn1.toHex(bytes.length > 1 && bytes[0] === 0 ? bytes.subarray(1) : bytes, ':');
+    }
+
+    // ==================== SIGNATURE VERIFICATION ====================
+
+    // Key type of a SubjectPublicKeyInfo: { label, importParams, coordinateSize }
+    describePublicKey(spki) {
+        const { OIDS, CURVES } = CONSTANTS.X509;
+        const [algorithm, subjectPublicKey] = Asn1.decode(spki).children;
+        const oid = Asn1.decodeOid(algorithm.children[0]);
+
+        if (oid === OIDS.RSA_ENCRYPTION) {
+            const modulus = Asn1.decode(subjectPublicKey.content.subarray(1)).children[0].content;
+            const bits = (modulus[0] === 0 ? modulus.length - 1 : modulus.length) * 8;
+            return { label: `RSA ${bits}-bit`, importParams: { name: 'RSASSA-PKCS1-v1_5' }, coordinateSize: null };
+        }
+        if (oid === OIDS.EC_PUBLIC_KEY) {
+            const curveOid = Asn1.decodeOid(algorithm.children[1]);
+            const curve = CURVES[curveOid];
+            if (!curve) {
+                throw new Error(`Unsupported elliptic curve ${curveOid}`);
+            }
+            return { label: `ECDSA ${curve.name}`, importParams: { name: 'ECDSA', namedCurve: curve.name }, coordinateSize: curve.size };
+        }
+        if (oid === OIDS.ED25519) {
+            return { label: 'Ed25519', importParams: { name: 'Ed25519' }, coordinateSize: null };
+        }
+        throw new Error(`Unsupported public key algorithm ${oid}`);
+    }
+
+    // Check a signature made by the key in spki. signatureAlgorithm is the decoded AlgorithmIdentifier node.
+    async verifySignature(spki, signatureAlgorithm, data, signature) {
+        const oid = Asn1.decodeOid(signatureAlgorithm.children[0]);
+        const definition = CONSTANTS.X509.SIGNATURE_ALGORITHMS[oid];
+        if (!definition) {
+            throw new Error(`Unsupported signature algorithm ${oid}`);
+        }
+
+        const key = this.describePublicKey(spki);
+        if (key.importParams.name !== definition.name) {
+            throw new Error(`A ${key.label} key cannot make ${definition.label} signatures`);
+        }
+
+        // RSA binds the hash to the imported key; ECDSA takes it per signature
+        const importParams = definition.name === 'RSASSA-PKCS1-v1_5' ? { ...key.importParams, hash: definition.hash } : key.importParams;
+        const publicKey = await crypto.subtle.importKey('spki', spki, importParams, false, ['verify']);
+
+        if (definition.name === 'ECDSA') {
+            const raw = this.fromDerSignature(signature, key.coordinateSize);
+            return raw ? crypto.subtle.verify({ name: 'ECDSA', hash: definition.hash }, publicKey, raw, data) : false;
+        }
+        return crypto.subtle.verify({ name: definition.name }, publicKey, signature, data);
+    }
+
+    // SEQUENCE { r, s } to the fixed-width r || s WebCrypto expects; null when malformed
+    fromDerSignature(der, size) {
+        try {
+            const [r, s] = Asn1.decode(der).children.map(node => {
+                let bytes = node.content;
+                while (bytes.length > size && bytes[0] === 0) bytes = bytes.subarray(1);
+                if (bytes.length > size) throw new Error('Integer too long');
+                return Asn1.concat([new Uint8Array(size - bytes.length), bytes]);
+            });
+            return s ? Asn1.concat([r, s]) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // ==================== EXPORT ====================
+
+    // kind: 'certificate', 'csr' or 'privateKey'; format: 'pem' or 'der'. Returns { data, filename, mimeType }.
+    async exportItem(id, kind, format = 'pem') {
+        const entry = this.getEntry(id);
+        if (!entry) {
+            throw new Error('Certificate entry not found');
+        }
+
+        const items = {
+            certificate: { der: entry.certificate, label: 'CERTIFICATE', pemExtension: 'crt', derExtension: 'cer', mimeType: 'application/pkix-cert' },
+            csr: { der: entry.csr, label: 'CERTIFICATE REQUEST', pemExtension: 'csr', derExtension: 'csr.der', mimeType: 'application/pkcs10' },
+            privateKey: { der: null, label: 'PRIVATE KEY', pemExtension: 'key', derExtension: 'key.der', mimeType: 'application/pkcs8' }
+        };
+        const item = items[kind];
+        if (!item) {
+            throw new Error(`Unknown export: ${kind}`);
+        }
+        if (kind === 'privateKey') {
+            item.der = new Uint8Array(await crypto.subtle.exportKey('pkcs8', entry.privateKey));
+        }
+        if (!item.der) {
+            throw new Error(kind === 'csr' ? 'This entry has no certificate signing request' : 'This entry has no certificate yet');
+        }
+
+        const baseName = this.toFilename(entry.label);
+        if (format === 'der') {
+            return { data: item.der, filename: `${baseName}.${item.derExtension}`, mimeType: item.mimeType };
+        }
+        return { data: Asn1.toPem(item.der, item.label), filename: `${baseName}.${item.pemExtension}`, mimeType: 'application/x-pem-file' };
+    }
+
+    toFilename(label) {
+        return label.replace(/^\*\./, 'wildcard.').replace(/[^A-Za-z0-9.@-]+/g, '_');
+    }
+
+    async saveToFile(id, kind, format = 'pem') {
+        const { data, filename, mimeType } = await this.exportItem(id, kind, format);
+        await this.fileUtils.downloadFile(data, filename, mimeType);
+        return filename;
+    }
+
+    // ==================== ENTRIES ====================
+
+    listEntries() {
+        return Array.from(this.entries.values()).sort((a, b) => b.created.localeCompare(a.created));
+    }
+
+    getEntry(id) {
+        return this.entries.get(id) || null;
+    }
+
+    addEntry(entry) {
+        this.entries.set(entry.id, entry);
+        return entry;
+    }
+
+    removeEntry(id) {
+        return this.entries.delete(id);
+    }
+
+    clearEntries() {
+        this.entries.clear();
+    }
+
+    // Serialise entries for the vault, private keys as PKCS#8
+    async exportEntries() {
+        const records = [];
+        for (const entry of this.entries.values()) {
+            records.push({
+                id: entry.id,
+                label: entry.label,
+                algorithm: entry.algorithm,
+                created: entry.created,
+                request: entry.request,
+                privateKey: this.toBase64(new Uint8Array(await crypto.subtle.exportKey('pkcs8', entry.privateKey))),
+                spki: this.toBase64(entry.spki),
+                csr: entry.csr ? this.toBase64(entry.csr) : null,
+                certificate: entry.certificate ? this.toBase64(entry.certificate) : null,
+                certificateInfo: entry.certificateInfo
+            });
+        }
+        return records;
+    }
+
+    // Restore entries produced by exportEntries; a record that cannot be imported is skipped
+    async importEntries(records) {
+        if (!Array.isArray(records)) return;
+
+        for (const record of records) {
+            try {
+                const { generate } = this.getAlgorithm(record.algorithm);
+                const spki = this.fromBase64(record.spki);
+                this.entries.set(record.id, {
+                    ...record,
+                    privateKey: await crypto.subtle.importKey('pkcs8', this.fromBase64(record.privateKey), generate, true, ['sign']),
+                    publicKey: await crypto.subtle.importKey('spki', spki, generate, true, ['verify']),
+                    spki,
+                    csr: record.csr ? this.fromBase64(record.csr) : null,
+                    certificate: record.certificate ? this.fromBase64(record.certificate) : null
+                });
+            } catch (error) {
+                console.warn(`Skipping stored certificate entry ${record?.id}:`, error);
+            }
+        }
+    }
+
+    toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+}
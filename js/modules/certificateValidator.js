@@ -0,0 +1,516 @@
+import { CONSTANTS } from '../utils/constants.js';
+import { Asn1 } from '../utils/asn1.js';
+import { Formatting } from '../utils/formatting.js';
+
+// modules/certificateValidator.js - Certificate viewer and path validation (RFC 5280 section 6, simplified): reads
+// PEM bundles or DER, builds a path from the end-entity certificate to one of the supplied trust anchors and runs
+// every check on every certificate, so the report says exactly which check failed where.
+export class CertificateValidator {
+    constructor(certificateManager) {
+        this.certificateManager = certificateManager;
+    }
+
+    // ==================== PARSING ====================
+
+    // DER blocks with one of the labels from PEM text, or the input itself when it is DER
+    readBlocks(input, labels) {
+        const bytes = typeof input === 'string' ? null : input instanceof Uint8Array ? input : new Uint8Array(input);
+        if (bytes && bytes.length > 0 && bytes[0] !== 0x2d) {
+            return [bytes];
+        }
+
+        const text = bytes ? new TextDecoder().decode(bytes) : input || '';
+        const blocks = Asn1.pemBlocks(text).filter(block => labels.includes(block.label));
+        if (blocks.length === 0 && text.trim()) {
+            throw new Error(`No ${labels[0]} blocks found`);
+        }
+        return blocks.map(block => block.der);
+    }
+
+    // Every certificate of a PEM bundle, or a single DER certificate
+    parseCertificates(input) {
+        return this.readBlocks(input, ['CERTIFICATE', 'TRUSTED CERTIFICATE']).map((der, index) => {
+            try {
+                return this.certificateManager.parseCertificate(der);
+            } catch (error) {
+                throw new Error(`Certificate ${index + 1} cannot be read: ${error.message}`);
+            }
+        });
+    }
+
+    parseCrls(input) {
+        return this.readBlocks(input, ['X509 CRL']).map((der, index) => {
+            try {
+                return this.parseCrl(der);
+            } catch (error) {
+                throw new Error(`CRL ${index + 1} cannot be read: ${error.message}`);
+            }
+        });
+    }
+
+    // CertificateList { tbsCertList, signatureAlgorithm, signature }; version and nextUpdate are optional
+    parseCrl(der) {
+        const manager = this.certificateManager;
+        const { OIDS, REVOCATION_REASONS } = CONSTANTS.X509;
+        const [tbs, signatureAlgorithm, signature] = Asn1.decode(der).children;
+        if (!tbs || !signature || tbs.tag !== Asn1.TAGS.SEQUENCE) {
+            throw new Error('Not a certificate revocation list');
+        }
+
+        const fields = [...tbs.children];
+        const version = fields[0].tag === Asn1.TAGS.INTEGER ? Asn1.decodeNumber(fields.shift()) + 1 : 1;
+        const [, issuer, thisUpdate] = fields.splice(0, 3);
+        const isTime = node => node && (node.tag === Asn1.TAGS.UTC_TIME || node.tag === Asn1.TAGS.GENERALIZED_TIME);
+        const nextUpdate = isTime(fields[0]) ? Asn1.decodeTime(fields.shift()) : null;
+        const revoked = fields[0]?.tag === Asn1.TAGS.SEQUENCE ? fields.shift().children : [];
+        const extensions = fields[0]?.tag === 0xa0 ? manager.parseExtensions(fields.shift().children[0]) : [];
+
+        const crlNumber = extensions.find(extension => extension.oid === OIDS.CRL_NUMBER);
+        const authorityKeyId = extensions.find(extension => extension.oid === OIDS.AUTHORITY_KEY_IDENTIFIER);
+
+        return {
+            der,
+            tbs: tbs.raw,
+            version,
+            issuer: manager.parseName(issuer),
+            issuerName: issuer.raw,
+            thisUpdate: Asn1.decodeTime(thisUpdate),
+            nextUpdate,
+            crlNumber: crlNumber ? Asn1.toHex(Asn1.decode(crlNumber.value).content) : null,
+            authorityKeyId: authorityKeyId
+                ? Asn1.decode(authorityKeyId.value).children.find(node => node.tag === 0x80)?.content || null
+                : null,
+            extensions,
+            signatureAlgorithmNode: signatureAlgorithm,
+            signature: signature.content.subarray(1),
+            revoked: revoked.map(entry => {
+                const [serial, date, entryExtensions] = entry.children;
+                const reason = entryExtensions
+                    ? manager.parseExtensions(entryExtensions).find(extension => extension.oid === OIDS.CRL_REASON)
+                    : null;
+                const code = reason ? Asn1.decodeNumber(Asn1.decode(reason.value)) : 0;
+                return {
+                    serialNumber: manager.formatSerialNumber(serial.content),
+                    date: Asn1.decodeTime(date),
+                    reason: Object.keys(REVOCATION_REASONS).find(key => REVOCATION_REASONS[key].code === code) || `reason code ${code}`
+                };
+            })
+        };
+    }
+
+    // NameConstraints { [0] permittedSubtrees, [1] excludedSubtrees }, each a list of GeneralSubtree { base, ... }
+    parseNameConstraints(certificate) {
+        const extension = certificate.extensions.find(item => item.oid === CONSTANTS.X509.OIDS.NAME_CONSTRAINTS);
+        if (!extension) return null;
+
+        const constraints = { permitted: [], excluded: [] };
+        Asn1.decode(extension.value).children.forEach(subtrees => {
+            const list = subtrees.tag === 0xa0 ? constraints.permitted : constraints.excluded;
+            subtrees.children.forEach(subtree => list.push(this.parseConstraintBase(subtree.children[0])));
+        });
+        return constraints;
+    }
+
+    // rfc822Name [1], dNSName [2], directoryName [4] and iPAddress [7] (address followed by mask)
+    parseConstraintBase(node) {
+        if (node.tag === 0x81) return { type: 'email', value: Asn1.decodeString(node).toLowerCase() };
+        if (node.tag === 0x82) return { type: 'dns', value: Asn1.decodeString(node).toLowerCase() };
+        if (node.tag === 0xa4) {
+            const name = node.children[0];
+            return { type: 'dn', value: this.certificateManager.parseName(name), rdns: name.children.map(rdn => rdn.raw) };
+        }
+        if (node.tag === 0x87) {
+            const half = node.content.length / 2;
+            const address = node.content.subarray(0, half);
+            const mask = node.content.subarray(half);
+            const prefix = Array.from(mask).reduce((bits, byte) => bits + byte.toString(2).replace(/0/g, '').length, 0);
+            return { type: 'ip', value: `${this.certificateManager.formatIpAddress(address)}/${prefix}`, address, mask };
+        }
+        return { type: 'other', value: `[${node.tag & 0x1f}]` };
+    }
+
+    // ==================== VIEWER ====================
+
+    // Extensions this module interprets; any other critical extension fails validation
+    getUnderstoodExtensions() {
+        const { OIDS } = CONSTANTS.X509;
+        return [OIDS.BASIC_CONSTRAINTS, OIDS.KEY_USAGE, OIDS.EXT_KEY_USAGE, OIDS.SUBJECT_ALT_NAME,
+            OIDS.SUBJECT_KEY_IDENTIFIER, OIDS.AUTHORITY_KEY_IDENTIFIER, OIDS.NAME_CONSTRAINTS];
+    }
+
+    // Everything the viewer shows for one certificate
+    async describeCertificate(certificate, time = new Date()) {
+        const manager = this.certificateManager;
+        const { OIDS, SIGNATURE_ALGORITHMS, EXTENSION_NAMES } = CONSTANTS.X509;
+        const interpreted = this.getUnderstoodExtensions();
+        const find = oid => certificate.extensions.find(extension => extension.oid === oid);
+
+        let publicKey;
+        try {
+            publicKey = manager.describePublicKey(certificate.spki).label;
+        } catch (error) {
+            publicKey = error.message;
+        }
+
+        let validity = 'valid';
+        if (certificate.notBefore > time) validity = 'notYetValid';
+        if (certificate.notAfter < time) validity = 'expired';
+
+        return {
+            version: certificate.version,
+            serialNumber: certificate.serialNumber,
+            subject: certificate.subject,
+            issuer: certificate.issuer,
+            selfIssued: certificate.selfIssued,
+            notBefore: certificate.notBefore,
+            notAfter: certificate.notAfter,
+            validity,
+            publicKey,
+            signatureAlgorithm: SIGNATURE_ALGORITHMS[certificate.signatureAlgorithm]?.label || certificate.signatureAlgorithm,
+            basicConstraints: find(OIDS.BASIC_CONSTRAINTS)
+                ? { ca: certificate.ca, pathLength: certificate.pathLength, critical: find(OIDS.BASIC_CONSTRAINTS).critical }
+                : null,
+            keyUsage: find(OIDS.KEY_USAGE) ? { usages: certificate.keyUsage, critical: find(OIDS.KEY_USAGE).critical } : null,
+            extKeyUsage: find(OIDS.EXT_KEY_USAGE) ? { usages: certificate.extKeyUsage, critical: find(OIDS.EXT_KEY_USAGE).critical } : null,
+            san: certificate.san,
+            nameConstraints: this.parseNameConstraints(certificate),
+            subjectKeyId: certificate.subjectKeyId ? Asn1.toHex(certificate.subjectKeyId, ':') : null,
+            authorityKeyId: certificate.authorityKeyId ? Asn1.toHex(certificate.authorityKeyId, ':') : null,
+            otherExtensions: certificate.extensions
+                .filter(extension => !interpreted.includes(extension.oid))
+                .map(({ oid, critical }) => ({ oid, name: EXTENSION_NAMES[oid] || null, critical })),
+            sha1: Asn1.toHex(new Uint8Array(await crypto.subtle.digest('SHA-1', certificate.der)), ':'),
+            sha256: await manager.getFingerprint(certificate.der)
+        };
+    }
+
+    // ==================== PATH VALIDATION ====================
+
+    // certificates: the bundle (end entity first or in any order); anchors: trusted certificates; crls: parsed CRLs.
+    // Returns { valid, path, anchored, checks, failures }; each check is { index, certificate, check, label, status,
+    // detail } with status 'passed', 'failed' or 'skipped'.
+    async validateChain({ certificates, anchors, crls = [], time = new Date() }) {
+        if (certificates.length === 0) {
+            throw new Error('Add the certificates to validate');
+        }
+        if (anchors.length === 0) {
+            throw new Error('Add at least one trust anchor');
+        }
+
+        const checks = [];
+        const { path, anchored } = this.buildPath(certificates, anchors, time);
+        const add = (index, check, status, detail) => checks.push({
+            index,
+            certificate: this.getLabel(path[index]),
+            check,
+            label: CONSTANTS.X509.VALIDATION_CHECKS[check],
+            status,
+            detail
+        });
+
+        const top = path[path.length - 1];
+        add(path.length - 1, 'path', anchored ? 'passed' : 'failed', anchored
+            ? `${path.length} certificate(s) ending at trust anchor ${this.getLabel(top)}`
+            : `No issuer of "${Formatting.formatDistinguishedName(top.issuer)}" was found in the bundle or the trust anchors`);
+
+        // From the top of the path down to the end entity; a trust anchor is trusted as given except for its dates
+        for (let index = path.length - 1; index >= 0; index--) {
+            const certificate = path[index];
+            const issuer = path[index + 1] || null;
+            const isAnchor = anchored && index === path.length - 1;
+
+            this.checkValidity(certificate, time, (...args) => add(index, 'validity', ...args));
+            if (isAnchor) continue;
+
+            this.checkCriticalExtensions(certificate, (...args) => add(index, 'criticalExtensions', ...args));
+            if (!issuer) {
+                add(index, 'signature', 'skipped', 'The issuer certificate is missing');
+                continue;
+            }
+            await this.checkSignature(certificate, issuer, (...args) => add(index, 'signature', ...args));
+            this.checkIssuerCa(issuer, anchored && index + 1 === path.length - 1, (...args) => add(index, 'issuerCa', ...args));
+            this.checkPathLength(path, index, (...args) => add(index, 'pathLength', ...args));
+            this.checkNameConstraints(path, index, (...args) => add(index, 'nameConstraints', ...args));
+            await this.checkRevocation(certificate, issuer, crls, time, (...args) => add(index, 'revocation', ...args));
+        }
+
+        const failures = checks.filter(check => check.status === 'failed');
+        return {
+            valid: anchored && failures.length === 0,
+            anchored,
+            path: path.map((certificate, index) => ({
+                certificate: this.getLabel(certificate),
+                subject: certificate.subject,
+                issuer: certificate.issuer,
+                serialNumber: certificate.serialNumber,
+                anchor: anchored && index === path.length - 1
+            })),
+            checks,
+            failures
+        };
+    }
+
+    // Walk issuer links from the end entity. Trust anchors are tried before the bundle, and among several candidates
+    // one that is valid at the given time is preferred.
+    buildPath(certificates, anchors, time) {
+        const leaf = certificates.find(candidate => !certificates.some(other => other !== candidate && this.isIssuedBy(other, candidate)))
+            || certificates[0];
+        const path = [leaf];
+
+        for (let current = leaf; path.length <= 10;) {
+            const trusted = anchors.find(anchor => this.isSameCertificate(anchor, current));
+            if (trusted) {
+                path[path.length - 1] = trusted;
+                return { path, anchored: true };
+            }
+
+            const byTime = (a, b) => this.isValidAt(b, time) - this.isValidAt(a, time);
+            const anchor = anchors.filter(candidate => this.isIssuedBy(current, candidate)).sort(byTime)[0];
+            if (anchor) {
+                path.push(anchor);
+                return { path, anchored: true };
+            }
+            if (current.selfIssued) break;
+
+            const next = certificates
+                .filter(candidate => !path.includes(candidate) && this.isIssuedBy(current, candidate))
+                .sort(byTime)[0];
+            if (!next) break;
+            path.push(next);
+            current = next;
+        }
+        return { path, anchored: false };
+    }
+
+    // Name chaining, narrowed by the key identifiers when both are present
+    isIssuedBy(child, parent) {
+        if (!this.isSameName(child.issuerName, parent.subjectName)) return false;
+        if (child.authorityKeyId && parent.subjectKeyId) {
+            return Asn1.compareBytes(child.authorityKeyId, parent.subjectKeyId) === 0;
+        }
+        return true;
+    }
+
+    // Byte-equal Names, or equal after the case folding RFC 5280 allows for attribute values
+    isSameName(a, b) {
+        if (Asn1.compareBytes(a, b) === 0) return true;
+        const normalize = name => JSON.stringify(Object.entries(this.certificateManager.parseName(Asn1.decode(name)))
+            .map(([key, value]) => [key, value.trim().replace(/\s+/g, ' ').toLowerCase()]));
+        return normalize(a) === normalize(b);
+    }
+
+    isSameCertificate(a, b) {
+        return Asn1.compareBytes(a.der, b.der) === 0
+            || (Asn1.compareBytes(a.subjectName, b.subjectName) === 0 && Asn1.compareBytes(a.spki, b.spki) === 0);
+    }
+
+    isValidAt(certificate, time) {
+        return certificate.notBefore <= time && time <= certificate.notAfter;
+    }
+
+    getLabel(certificate) {
+        return this.certificateManager.getLabel(certificate.subject) || certificate.serialNumber;
+    }
+
+    // ==================== CHECKS ====================
+
+    checkValidity(certificate, time, report) {
+        const period = `${certificate.notBefore.toISOString()} to ${certificate.notAfter.toISOString()}`;
+        if (certificate.notBefore > time) {
+            report('failed', `Not valid before ${certificate.notBefore.toISOString()}`);
+        } else if (certificate.notAfter < time) {
+            report('failed', `Expired on ${certificate.notAfter.toISOString()}`);
+        } else {
+            report('passed', `Valid from ${period}`);
+        }
+    }
+
+    // A critical extension this validator does not understand makes the certificate unusable
+    checkCriticalExtensions(certificate, report) {
+        const understood = this.getUnderstoodExtensions();
+        const unknown = certificate.extensions.filter(extension => extension.critical && !understood.includes(extension.oid));
+
+        if (unknown.length > 0) {
+            report('failed', `Unsupported critical extension ${unknown.map(extension => CONSTANTS.X509.EXTENSION_NAMES[extension.oid] || extension.oid).join(', ')}`);
+        } else {
+            report('passed', 'All critical extensions are understood');
+        }
+    }
+
+    async checkSignature(certificate, issuer, report) {
+        try {
+            const tbsAlgorithm = Asn1.decode(certificate.tbs).children.find(node => node.tag === Asn1.TAGS.SEQUENCE);
+            if (Asn1.compareBytes(tbsAlgorithm.raw, certificate.signatureAlgorithmNode.raw) !== 0) {
+                report('failed', 'The signature algorithm inside the certificate differs from the outer one');
+                return;
+            }
+
+            const valid = await this.certificateManager.verifySignature(issuer.spki, certificate.signatureAlgorithmNode,
+                certificate.tbs, certificate.signature);
+            report(valid ? 'passed' : 'failed', valid
+                ? `Signed by ${this.getLabel(issuer)} (${CONSTANTS.X509.SIGNATURE_ALGORITHMS[certificate.signatureAlgorithm].label})`
+                : `The signature does not verify with the key of ${this.getLabel(issuer)}`);
+        } catch (error) {
+            report('failed', error.message);
+        }
+    }
+
+    // The issuer must be a CA allowed to sign certificates. Version 1 certificates have no extensions and are
+    // accepted as CAs only as trust anchors.
+    checkIssuerCa(issuer, isAnchor, report) {
+        const keyUsage = issuer.extensions.find(extension => extension.oid === CONSTANTS.X509.OIDS.KEY_USAGE);
+        if (!issuer.ca && (issuer.version >= 3 || !isAnchor)) {
+            report('failed', `${this.getLabel(issuer)} is not a CA (basicConstraints CA:TRUE is missing)`);
+        } else if (!issuer.ca) {
+            report('passed', `${this.getLabel(issuer)} is a version ${issuer.version} trust anchor`);
+        } else if (keyUsage && !issuer.keyUsage.includes('keyCertSign')) {
+            report('failed', `The key usage of ${this.getLabel(issuer)} does not include certificate signing`);
+        } else {
+            report('passed', `${this.getLabel(issuer)} is a CA`);
+        }
+    }
+
+    // Every CA above index with a path length limits the non-self-issued intermediates between it and the end entity
+    checkPathLength(path, index, report) {
+        const issuerIndex = index + 1;
+        const issuer = path[issuerIndex];
+        if (issuer.pathLength === null) {
+            report('passed', `${this.getLabel(issuer)} sets no path length limit`);
+            return;
+        }
+
+        const below = path.slice(1, issuerIndex).filter(certificate => !certificate.selfIssued).length;
+        if (below > issuer.pathLength) {
+            report('failed', `${this.getLabel(issuer)} allows ${issuer.pathLength} intermediate CA(s) below it, the path has ${below}`);
+        } else {
+            report('passed', `${below} of at most ${issuer.pathLength} intermediate CA(s) below ${this.getLabel(issuer)}`);
+        }
+    }
+
+    // Subject and alternative names against the constraints of every CA above; self-issued intermediates are exempt
+    checkNameConstraints(path, index, report) {
+        const certificate = path[index];
+        const constraining = path.slice(index + 1)
+            .map(ca => ({ ca, constraints: this.parseNameConstraints(ca) }))
+            .filter(({ constraints }) => constraints);
+
+        if (constraining.length === 0) {
+            report('skipped', 'No CA above sets name constraints');
+            return;
+        }
+        if (index > 0 && certificate.selfIssued) {
+            report('skipped', 'Self-issued CA certificates are not subject to name constraints');
+            return;
+        }
+
+        const names = [...certificate.san];
+        if (certificate.subject.email && !names.some(name => name.type === 'email')) {
+            names.push({ type: 'email', value: certificate.subject.email });
+        }
+        if (certificate.subjectName.length > 2) {
+            names.push({ type: 'dn', value: certificate.subject, rdns: Asn1.decode(certificate.subjectName).children.map(rdn => rdn.raw) });
+        }
+
+        for (const { ca, constraints } of constraining) {
+            for (const name of names) {
+                const excluded = constraints.excluded.find(constraint => this.matchesConstraint(name, constraint));
+                if (excluded) {
+                    report('failed', `${this.describeName(name)} is excluded by ${this.getLabel(ca)} (${this.describeName(excluded)})`);
+                    return;
+                }
+
+                const permitted = constraints.permitted.filter(constraint => constraint.type === name.type);
+                if (permitted.length > 0 && !permitted.some(constraint => this.matchesConstraint(name, constraint))) {
+                    report('failed', `${this.describeName(name)} is outside the names permitted by ${this.getLabel(ca)}`);
+                    return;
+                }
+            }
+        }
+        report('passed', `${names.length} name(s) within the constraints of ${constraining.map(({ ca }) => this.getLabel(ca)).join(', ')}`);
+    }
+
+    // RFC 5280 4.2.1.10 matching for each supported name form
+    matchesConstraint(name, constraint) {
+        if (name.type !== constraint.type) return false;
+
+        if (name.type === 'dns') {
+            const host = name.value.toLowerCase();
+            const base = constraint.value.replace(/^\./, '');
+            return constraint.value.startsWith('.') ? host.endsWith(`.${base}`) : host === base || host.endsWith(`.${base}`);
+        }
+        if (name.type === 'email') {
+            const address = name.value.toLowerCase();
+            const domain = address.slice(address.lastIndexOf('@') + 1);
+            if (constraint.value.includes('@')) return address === constraint.value;
+            if (constraint.value.startsWith('.')) return domain.endsWith(constraint.value);
+            return domain === constraint.value;
+        }
+        if (name.type === 'ip') {
+            const address = this.certificateManager.parseIpAddress(name.value);
+            return address.length === constraint.address.length
+                && address.every((byte, i) => (byte & constraint.mask[i]) === (constraint.address[i] & constraint.mask[i]));
+        }
+        if (name.type === 'dn') {
+            return constraint.rdns.length <= name.rdns.length
+                && constraint.rdns.every((rdn, i) => Asn1.compareBytes(rdn, name.rdns[i]) === 0);
+        }
+        return false;
+    }
+
+    describeName(name) {
+        const prefixes = { dns: 'DNS', email: 'email', ip: 'IP', dn: 'DirName' };
+        return `${prefixes[name.type] || name.type}:${name.type === 'dn' ? Formatting.formatDistinguishedName(name.value) : name.value}`;
+    }
+
+    // Look the serial number up in a CRL from the certificate's issuer, after checking that CRL's signature and dates
+    async checkRevocation(certificate, issuer, crls, time, report) {
+        const candidates = crls.filter(crl => this.isSameName(crl.issuerName, issuer.subjectName)
+            && (!crl.authorityKeyId || !issuer.subjectKeyId || Asn1.compareBytes(crl.authorityKeyId, issuer.subjectKeyId) === 0));
+        if (candidates.length === 0) {
+            report('skipped', `No CRL from ${this.getLabel(issuer)} was supplied`);
+            return;
+        }
+
+        // The newest CRL from this issuer decides
+        const crl = candidates.sort((a, b) => b.thisUpdate - a.thisUpdate)[0];
+        const source = `CRL${crl.crlNumber ? ` number ${parseInt(crl.crlNumber, 16)}` : ''} from ${this.getLabel(issuer)}`;
+
+        try {
+            if (!await this.certificateManager.verifySignature(issuer.spki, crl.signatureAlgorithmNode, crl.tbs, crl.signature)) {
+                report('failed', `The signature of the ${source} does not verify`);
+                return;
+            }
+        } catch (error) {
+            report('failed', `The ${source} cannot be verified: ${error.message}`);
+            return;
+        }
+
+        const keyUsage = issuer.extensions.find(extension => extension.oid === CONSTANTS.X509.OIDS.KEY_USAGE);
+        if (keyUsage && !issuer.keyUsage.includes('cRLSign')) {
+            report('failed', `The key usage of ${this.getLabel(issuer)} does not include CRL signing`);
+            return;
+        }
+        const { OIDS } = CONSTANTS.X509;
+        const unknown = crl.extensions.filter(extension => extension.critical && ![OIDS.CRL_NUMBER, OIDS.AUTHORITY_KEY_IDENTIFIER].includes(extension.oid));
+        if (unknown.length > 0) {
+            report('failed', `The ${source} has an unsupported critical extension ${unknown.map(extension => extension.oid).join(', ')}`);
+            return;
+        }
+        if (crl.thisUpdate > time) {
+            report('failed', `The ${source} was issued after the validation time (${crl.thisUpdate.toISOString()})`);
+            return;
+        }
+        if (crl.nextUpdate && crl.nextUpdate < time) {
+            report('failed', `The ${source} is out of date (next update was due ${crl.nextUpdate.toISOString()})`);
+            return;
+        }
+
+        const entry = crl.revoked.find(revoked => revoked.serialNumber === certificate.serialNumber);
+        if (entry && entry.date <= time) {
+            const reason = CONSTANTS.X509.REVOCATION_REASONS[entry.reason]?.label || entry.reason;
+            report('failed', `Revoked on ${entry.date.toISOString()} (${reason}) according to the ${source}`);
+        } else {
+            report('passed', `Not revoked according to the ${source}, issued ${crl.thisUpdate.toISOString()}`);
+        }
+    }
+}
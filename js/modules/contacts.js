@@ -0,0 +1,205 @@
+import { Validation } from '../utils/validation.js';
+
+// modules/contacts.js - Address book of people and the public keys they use.
+// Keys themselves live in the keyring; a contact only links to them by fingerprint.
+export class Contacts {
+    constructor(keyManager) {
+        this.keyManager = keyManager;
+        this.contacts = new Map();
+    }
+
+    // ==================== CONTACTS ====================
+
+    // Create a contact, or update it when an id is given. Key data (armored text with one or more key blocks, or
+    // binary keys) is imported into the keyring as public keys and linked; empty name and emails are taken from the keys.
+    async saveContact({ id = null, name = '', emails = [], notes = '' }, keyData = []) {
+        try {
+            const existing = id ? this.getContact(id) : null;
+            if (id && !existing) {
+                throw new Error('Contact not found');
+            }
+
+            // Parse everything before touching the keyring so a bad paste changes nothing
+            const keys = [];
+            for (const data of keyData) {
+                const parsed = await this.readKeys(data);
+                if (parsed.length === 0) {
+                    throw new Error('No public keys found');
+                }
+                keys.push(...parsed);
+            }
+
+            const keyUserIds = keys.flatMap(key => key.users.map(user => user.userID).filter(Boolean));
+            const cleanEmails = this.normalizeEmails([
+                ...this.normalizeEmails(emails),
+                ...keyUserIds.map(userId => userId.email).filter(Boolean)
+            ]);
+            const invalid = cleanEmails.find(email => !Validation.isValidEmail(email));
+            if (invalid) {
+                throw new Error(`Invalid email address: ${invalid}`);
+            }
+
+            const contactName = name.trim() || keyUserIds.find(userId => userId.name)?.name || '';
+            if (!contactName && cleanEmails.length === 0) {
+                throw new Error('A contact needs a name, an email address or a key');
+            }
+
+            const fingerprints = new Set(existing?.fingerprints || []);
+            for (const key of keys) {
+                const keyPair = await this.keyManager.importArmoredKey(key.toPublic().armor());
+                fingerprints.add(keyPair.metadata.fingerprint);
+            }
+
+            const now = new Date().toISOString();
+            const contact = {
+                id: existing?.id || this.createId(),
+                name: contactName,
+                emails: cleanEmails,
+                notes: notes.trim(),
+                fingerprints: Array.from(fingerprints),
+                created: existing?.created || now,
+                updated: now
+            };
+
+            this.contacts.set(contact.id, contact);
+            return contact;
+        } catch (error) {
+            console.error('Saving contact failed:', error);
+            throw new Error(`Saving contact failed: ${error.message}`);
+        }
+    }
+
+    // Delete a contact; its keys stay in the keyring
+    removeContact(id) {
+        return this.contacts.delete(id);
+    }
+
+    getContact(id) {
+        return this.contacts.get(id) || null;
+    }
+
+    // All contacts, sorted by name
+    listContacts() {
+        return Array.from(this.contacts.values())
+            .sort((a, b) => this.getDisplayName(a).localeCompare(this.getDisplayName(b)));
+    }
+
+    // Search contacts by name, email, notes, or the user IDs and IDs of their keys
+    search(query) {
+        const term = (query || '').trim().replace(/^0x/i, '').toLowerCase();
+        if (!term) {
+            return this.listContacts();
+        }
+
+        const matchingKeys = new Set(this.keyManager.searchKeys(term).map(keyPair => keyPair.metadata.fingerprint));
+
+        return this.listContacts().filter(contact =>
+            contact.name.toLowerCase().includes(term) ||
+            contact.emails.some(email => email.includes(term)) ||
+            contact.notes.toLowerCase().includes(term) ||
+            contact.fingerprints.some(fingerprint => matchingKeys.has(fingerprint))
+        );
+    }
+
+    // Name to show for a contact, falling back to its first email
+    getDisplayName(contact) {
+        return contact.name || contact.emails[0] || 'Unnamed contact';
+    }
+
+    // ==================== KEYS ====================
+
+    // Parse every key in armored text or binary data
+    async readKeys(data) {
+        if (data instanceof Uint8Array) {
+            return openpgp.readKeys({ binaryKeys: data });
+        }
+
+        // Pasted text may hold several separately armored blocks
+        const blocks = data.match(/-----BEGIN PGP (PUBLIC|PRIVATE) KEY BLOCK-----[\s\S]*?-----END PGP \1 KEY BLOCK-----/g) || [];
+        const keys = [];
+        for (const armoredKeys of blocks) {
+            keys.push(...await openpgp.readKeys({ armoredKeys }));
+        }
+        return keys;
+    }
+
+    // Remove the link between a contact and one of its keys
+    unlinkKey(id, fingerprint) {
+        const contact = this.getContact(id);
+        if (!contact) {
+            throw new Error('Contact not found');
+        }
+
+        const updated = {
+            ...contact,
+            fingerprints: contact.fingerprints.filter(linked => linked !== fingerprint),
+            updated: new Date().toISOString()
+        };
+        this.contacts.set(id, updated);
+        return updated;
+    }
+
+    // Keyring entries linked to a contact, optionally only those with a capability
+    getContactKeys(id, { capability = null } = {}) {
+        const contact = this.getContact(id);
+        if (!contact) return [];
+
+        return contact.fingerprints
+            .map(fingerprint => this.keyManager.getKey(fingerprint))
+            .filter(keyPair => keyPair && (!capability || keyPair.metadata.capabilities?.[capability]));
+    }
+
+    // The contact owning a key, looked up by primary or subkey ID (e.g. a signature's issuer)
+    findByKeyId(keyId) {
+        const keyPair = keyId ? this.keyManager.findKeyById(keyId) : null;
+        return keyPair ? this.findByFingerprint(keyPair.metadata.fingerprint) : null;
+    }
+
+    findByFingerprint(fingerprint) {
+        const normalized = (fingerprint || '').replace(/\s/g, '').toUpperCase();
+        return this.listContacts().find(contact => contact.fingerprints.includes(normalized)) || null;
+    }
+
+    findByEmail(email) {
+        const normalized = (email || '').trim().toLowerCase();
+        return this.listContacts().find(contact => contact.emails.includes(normalized)) || null;
+    }
+
+    // ==================== STORAGE ====================
+
+    // Serialise the address book for persistent storage
+    exportContacts() {
+        return this.listContacts().map(contact => ({ ...contact }));
+    }
+
+    // Restore contacts produced by exportContacts; stored entries replace ones with the same id
+    importContacts(records) {
+        if (!Array.isArray(records)) return;
+
+        records.forEach(record => {
+            if (!record?.id) return;
+            this.contacts.set(record.id, {
+                name: '',
+                emails: [],
+                notes: '',
+                fingerprints: [],
+                ...record
+            });
+        });
+    }
+
+    clearContacts() {
+        this.contacts.clear();
+    }
+
+    // ==================== HELPERS ====================
+
+    normalizeEmails(emails) {
+        const list = Array.isArray(emails) ? emails : String(emails).split(/[,;\s]+/);
+        return Array.from(new Set(list.map(email => email.trim().toLowerCase()).filter(Boolean)));
+    }
+
+    createId() {
+        return crypto.randomUUID();
+    }
+}
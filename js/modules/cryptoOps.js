@@ -1,9 +1,75 @@
 import { CONSTANTS } from '../utils/constants.js';
 import { Validation } from '../utils/validation.js';
+import { FileUtils } from '../utils/fileUtils.js';
+
+// Worker error codes that mean the worker needs (another) passphrase for the secret key
+const PASSPHRASE_ERROR_CODES = ['KEY_LOCKED', 'BAD_PASSPHRASE'];
 
 export class CryptoOps {
-    constructor(keyManager) {
+    constructor(keyManager, keyAgent = null, fileUtils = null, worker = null) {
         this.keyManager = keyManager;
+        this.keyAgent = keyAgent;
+        this.fileUtils = fileUtils || new FileUtils();
+        // Optional WorkerClient; file encryption, decryption and bulk verification run there when available
+        this.worker = worker;
+    }
+
+    // Get the decrypted private key, from an explicit passphrase or the key agent
+    async getDecryptedPrivateKey(keyPair, passphrase = null, reason = 'use your secret key') {
+        if (!passphrase && this.keyAgent) {
+            return await this.keyAgent.getUnlockedKey(keyPair, reason);
+        }
+
+        Validation.validatePassphrase(passphrase);
+
+        return await openpgp.decryptKey({
+            privateKey: keyPair.privateKeyObj,
+            passphrase: passphrase
+        });
+    }
+
+    // Wipe a key from getDecryptedPrivateKey once the operation is done; keys the agent caches stay unlocked
+    releasePrivateKey(keyPair, key) {
+        if (this.keyAgent) {
+            this.keyAgent.release(keyPair, key);
+        } else if (key && key !== keyPair.privateKeyObj) {
+            key.clearPrivateParams();
+        }
+    }
+
+    // Streamed signing uses the key until all data has been read, and the agent may lock (idle timeout, hidden tab)
+    // in the meantime. Give the operation its own copy, released by the caller, and hand back the shared one.
+    copyForStreaming(keyPair, key) {
+        const copy = key.clone(true);
+        this.releasePrivateKey(keyPair, key);
+        return copy;
+    }
+
+    // Streamed signatures are only computed once all data has passed through, so keep the key until the stream ends
+    releaseAfterStream(stream, keyPair, key) {
+        const reader = stream.getReader();
+        const release = () => this.releasePrivateKey(keyPair, key);
+
+        return new ReadableStream({
+            async pull(controller) {
+                try {
+                    const { done, value } = await reader.read();
+                    if (done) {
+                        release();
+                        controller.close();
+                    } else {
+                        controller.enqueue(value);
+                    }
+                } catch (error) {
+                    release();
+                    controller.error(error);
+                }
+            },
+            cancel(reason) {
+                release();
+                return reader.cancel(reason);
+            }
+        });
     }
 
     // Encrypt message
@@ -28,6 +94,8 @@ export class CryptoOps {
                 publicKey = keyPair.publicKeyObj;
             }
 
+            await this.assertNotRevoked([publicKey]);
+
             const encrypted = await openpgp.encrypt({
                 message: await openpgp.createMessage({ text: message }),
                 encryptionKeys: publicKey,
@@ -42,25 +110,446 @@ export class CryptoOps {
         }
     }
 
-    // Decrypt message
-    async decryptMessage(encryptedMessage, passphrase) {
+    // Encrypt to any number of recipients and/or message passwords, optionally to self, signed and with hidden recipient key IDs
+    async encryptForRecipients(message, recipients = [], { encryptToSelf = true, sign = false, hideRecipients = false, passwords = [], passphrase = null } = {}) {
+        let prepared = null;
+        try {
+            Validation.validateMessage(message);
+
+            prepared = await this.prepareEncryption(recipients, {
+                encryptToSelf, sign, hideRecipients, passwords, passphrase
+            });
+            const { options, recipientKeys } = prepared;
+
+            const encrypted = await openpgp.encrypt({
+                ...options,
+                message: await openpgp.createMessage({ text: message }),
+                format: 'armored'
+            });
+
+            return {
+                data: encrypted,
+                recipients: await this.describeRecipients(recipientKeys),
+                passwordProtected: passwords.length > 0,
+                signed: sign,
+                hiddenRecipients: hideRecipients
+            };
+
+        } catch (error) {
+            console.error('Encryption failed:', error);
+            throw new Error(`${CONSTANTS.ERRORS.ENCRYPTION_FAILED}: ${error.message}`);
+        } finally {
+            if (prepared) {
+                this.releasePrivateKey(prepared.keyPair, prepared.options.signingKeys);
+            }
+        }
+    }
+
+    // Encrypt any file as a stream, to a binary (.pgp) or armored (.asc) message
+    async encryptFile(file, recipients = [], { encryptToSelf = true, sign = false, hideRecipients = false, passwords = [], armor = false, passphrase = null, onProgress = null } = {}) {
+        if (await this.isWorkerAvailable()) {
+            return this.encryptFileInWorker(file, recipients, { encryptToSelf, sign, hideRecipients, passwords, armor, passphrase, onProgress });
+        }
+
+        let prepared = null;
+        try {
+            if (!file) {
+                throw new Error('Please choose a file to encrypt');
+            }
+
+            prepared = await this.prepareEncryption(recipients, {
+                encryptToSelf, sign, hideRecipients, passwords, passphrase
+            });
+            const { options, recipientKeys } = prepared;
+            if (options.signingKeys) {
+                options.signingKeys = this.copyForStreaming(prepared.keyPair, options.signingKeys);
+            }
+
+            // The original filename and date travel inside the literal data packet
+            const message = await openpgp.createMessage({
+                binary: this.fileUtils.createProgressStream(file, onProgress),
+                filename: file.name,
+                date: new Date(file.lastModified),
+                format: 'binary'
+            });
+
+            const encrypted = await openpgp.encrypt({
+                ...options,
+                message,
+                format: armor ? 'armored' : 'binary'
+            });
+            const output = options.signingKeys
+                ? this.releaseAfterStream(encrypted, prepared.keyPair, options.signingKeys)
+                : encrypted;
+            prepared = null;
+
+            return {
+                data: armor ? output.pipeThrough(new TextEncoderStream()) : output,
+                filename: `${file.name}${armor ? '.asc' : '.pgp'}`,
+                mimeType: armor ? 'text/plain' : 'application/pgp-encrypted',
+                recipients: await this.describeRecipients(recipientKeys),
+                passwordProtected: passwords.length > 0,
+                signed: sign,
+                hiddenRecipients: hideRecipients
+            };
+
+        } catch (error) {
+            console.error('File encryption failed:', error);
+            throw new Error(`${CONSTANTS.ERRORS.ENCRYPTION_FAILED}: ${error.message}`);
+        } finally {
+            // Once the stream is handed out it releases the key itself
+            if (prepared) {
+                this.releasePrivateKey(prepared.keyPair, prepared.options.signingKeys);
+            }
+        }
+    }
+
+    // Decrypt a binary or armored encrypted file as a stream, restoring the original filename.
+    // `sessionKeys` (from decryptSessionKeysWithPassword) open a password-protected file without a secret key.
+    async decryptFile(file, { sessionKeys = null, passphrase = null, onProgress = null } = {}) {
+        if (await this.isWorkerAvailable()) {
+            return this.decryptFileInWorker(file, { sessionKeys, passphrase, onProgress });
+        }
+
+        const keyPair = sessionKeys ? null : this.keyManager.getCurrentKeyPair();
+        let privateKey = null;
+        try {
+            if (!file) {
+                throw new Error('Please choose a file to decrypt');
+            }
+
+            // Session keys from a message password replace the secret key entirely
+            const decryptionOptions = {};
+            if (sessionKeys) {
+                decryptionOptions.sessionKeys = sessionKeys;
+            } else {
+                if (!keyPair) {
+                    throw new Error(CONSTANTS.ERRORS.NO_KEYS);
+                }
+                privateKey = await this.getDecryptedPrivateKey(keyPair, passphrase, 'decrypt a file');
+                decryptionOptions.decryptionKeys = privateKey;
+            }
+
+            const input = this.fileUtils.createProgressStream(file, onProgress);
+            const isArmored = await this.fileUtils.isArmoredFile(file);
+            const message = isArmored
+                ? await openpgp.readMessage({ armoredMessage: input.pipeThrough(new TextDecoderStream()) })
+                : await openpgp.readMessage({ binaryMessage: input });
+
+            // SEIPDv2 data streams; SEIPDv1 (older keys and other tools) is buffered until its checksum is verified
+            const verificationKeys = this.keyManager.listKeys().map(entry => entry.publicKeyObj);
+            const result = await openpgp.decrypt({
+                ...decryptionOptions,
+                message,
+                verificationKeys: verificationKeys.length > 0 ? verificationKeys : undefined,
+                format: 'binary'
+            });
+
+            return {
+                data: result.data,
+                filename: result.filename || file.name.replace(/\.(pgp|gpg|asc)$/i, ''),
+                decryptedWithPassword: !!sessionKeys,
+                // Signatures can only be checked once the whole stream has been consumed
+                getSignatureDetails: () => this.describeSignatures(result.signatures, verificationKeys)
+            };
+
+        } catch (error) {
+            console.error('File decryption failed:', error);
+            throw new Error(`${CONSTANTS.ERRORS.DECRYPTION_FAILED}: ${error.message}`);
+        } finally {
+            // The session key is decrypted up front, so the secret key is not needed while the data streams
+            if (privateKey) {
+                this.releasePrivateKey(keyPair, privateKey);
+            }
+        }
+    }
+
+    // ==================== WORKER ====================
+
+    async isWorkerAvailable() {
+        return !!this.worker && await this.worker.isAvailable();
+    }
+
+    // Resolve recipients here, where the keyring lives, and let the worker do the streaming and signing
+    async encryptFileInWorker(file, recipients, { encryptToSelf, sign, hideRecipients, passwords, armor, passphrase, onProgress }) {
+        const keyPair = this.keyManager.getCurrentKeyPair();
+        let recipientKeys;
+
+        try {
+            if (!file) {
+                throw new Error('Please choose a file to encrypt');
+            }
+            if (sign && (!keyPair || !keyPair.privateKeyObj)) {
+                throw new Error(CONSTANTS.ERRORS.NO_KEYS);
+            }
+
+            ({ recipientKeys } = await this.prepareEncryption(recipients, {
+                encryptToSelf, sign: false, hideRecipients, passwords
+            }));
+        } catch (error) {
+            console.error('File encryption failed:', error);
+            throw new Error(`${CONSTANTS.ERRORS.ENCRYPTION_FAILED}: ${error.message}`);
+        }
+
+        const result = await this.runInWorker('encryptFile', {
+            file,
+            recipients: recipientKeys.map(key => key.armor()),
+            privateKey: sign ? keyPair.privateKey : null,
+            options: { sign, hideRecipients, passwords, armor }
+        }, { keyPair: sign ? keyPair : null, passphrase, reason: 'sign a message', onProgress });
+
+        return { ...result, data: result.data.stream() };
+    }
+
+    // Send the active secret key (still passphrase-protected) and the keyring's public keys to the worker
+    async decryptFileInWorker(file, { sessionKeys, passphrase, onProgress }) {
+        const keyPair = sessionKeys ? null : this.keyManager.getCurrentKeyPair();
+
+        if (!file) {
+            throw new Error(`${CONSTANTS.ERRORS.DECRYPTION_FAILED}: Please choose a file to decrypt`);
+        }
+        if (!sessionKeys && !keyPair) {
+            throw new Error(`${CONSTANTS.ERRORS.DECRYPTION_FAILED}: ${CONSTANTS.ERRORS.NO_KEYS}`);
+        }
+
+        const { signatureDetails, ...result } = await this.runInWorker('decryptFile', {
+            file,
+            sessionKeys,
+            privateKey: keyPair ? keyPair.privateKey : null,
+            publicKeys: this.keyManager.listKeys().map(entry => entry.publicKey)
+        }, { keyPair, passphrase, reason: 'decrypt a file', onProgress });
+
+        return {
+            ...result,
+            data: result.data.stream(),
+            // The worker knows nothing about owner trust; judge the signers against our keyring
+            getSignatureDetails: () => this.addKeyValidity(signatureDetails)
+        };
+    }
+
+    // Run a worker job that may need the secret key. The worker keeps its own agent cache, so the passphrase
+    // is only asked for when the worker reports the key as locked, and decrypted keys never reach this thread.
+    async runInWorker(operation, params, { keyPair = null, passphrase = null, reason = 'use your secret key', onProgress = null } = {}) {
+        const agentTimeout = this.keyAgent ? this.keyAgent.timeout : 0;
+        let attempts = 0;
+
+        while (true) {
+            try {
+                return await this.worker.run(operation, { ...params, passphrase, agentTimeout }, { onProgress });
+            } catch (error) {
+                if (!keyPair || !PASSPHRASE_ERROR_CODES.includes(error.code)) {
+                    throw error;
+                }
+                if (attempts >= CONSTANTS.AGENT.MAX_ATTEMPTS) {
+                    throw new Error('Too many incorrect passphrase attempts');
+                }
+                if (!this.keyAgent || !this.keyAgent.promptPassphrase) {
+                    throw new Error('Passphrase is required but no prompt is available');
+                }
+
+                attempts++;
+                passphrase = await this.keyAgent.promptPassphrase({
+                    keyPair,
+                    reason,
+                    error: error.code === 'BAD_PASSPHRASE' ? 'Incorrect passphrase. Please try again.' : null
+                });
+                if (passphrase === null || passphrase === undefined) {
+                    throw new Error('Passphrase entry cancelled');
+                }
+            }
+        }
+    }
+
+    // Read an encrypted message from armored text or a file (armored or binary)
+    async readEncryptedMessage(input) {
+        if (typeof input === 'string') {
+            return openpgp.readMessage({ armoredMessage: input });
+        }
+        if (await this.fileUtils.isArmoredFile(input)) {
+            return openpgp.readMessage({ armoredMessage: input.stream().pipeThrough(new TextDecoderStream()) });
+        }
+        return openpgp.readMessage({ binaryMessage: input.stream() });
+    }
+
+    // Find out how a message (armored text or a file) can be decrypted: public-key recipients and/or a password
+    async getMessageEncryptionInfo(input) {
+        const message = await this.readEncryptedMessage(input);
+
+        const { publicKeyEncryptedSessionKey, symEncryptedSessionKey } = openpgp.enums.packet;
+
+        return {
+            recipientKeyIds: message.getEncryptionKeyIDs().map(keyId => keyId.toHex().toUpperCase()),
+            hasRecipients: message.packets.filterByTag(publicKeyEncryptedSessionKey).length > 0,
+            passwordProtected: message.packets.filterByTag(symEncryptedSessionKey).length > 0
+        };
+    }
+
+    // Open the session keys of a password-protected (SKESK) message; fails when the password is wrong
+    async decryptSessionKeysWithPassword(input, password) {
+        if (!password) {
+            throw new Error('Message password is required');
+        }
+
+        const message = await this.readEncryptedMessage(input);
+        return openpgp.decryptSessionKeys({ message, passwords: [password] });
+    }
+
+    // Decrypt a password-protected message with the session keys its password opened, without any secret key
+    async decryptWithSessionKeys(encryptedMessage, sessionKeys) {
         try {
-            const keyPair = this.keyManager.getCurrentKeyPair();
+            const message = await openpgp.readMessage({ armoredMessage: encryptedMessage });
+            const verificationKeys = this.keyManager.listKeys().map(entry => entry.publicKeyObj);
+
+            const result = await openpgp.decrypt({
+                message,
+                sessionKeys,
+                verificationKeys: verificationKeys.length > 0 ? verificationKeys : undefined,
+                format: 'utf8'
+            });
+
+            const signatureDetails = await this.describeSignatures(result.signatures, verificationKeys);
+
+            return {
+                data: result.data,
+                signatureValid: result.signatures.length > 0,
+                signatureVerified: signatureDetails.some(signature => signature.status === 'valid'),
+                signatureDetails,
+                signatures: result.signatures,
+                decryptedWithPassword: true
+            };
+
+        } catch (error) {
+            console.error('Password decryption failed:', error);
+            throw new Error(`${CONSTANTS.ERRORS.DECRYPTION_FAILED}: ${error.message}`);
+        }
+    }
+
+    // Resolve recipients, message passwords and signing key into openpgp.encrypt options
+    async prepareEncryption(recipients, { encryptToSelf, sign, hideRecipients, passwords = [], passphrase }) {
+        const keyPair = this.keyManager.getCurrentKeyPair();
+        const encryptionKeys = await this.resolveRecipientKeys(recipients);
+
+        if (encryptToSelf) {
             if (!keyPair) {
                 throw new Error(CONSTANTS.ERRORS.NO_KEYS);
             }
+            encryptionKeys.push(keyPair.publicKeyObj);
+        }
 
-            Validation.validatePassphrase(passphrase);
+        // Encrypting to the same key twice only adds a redundant session key packet
+        const recipientKeys = encryptionKeys.filter((key, index) =>
+            encryptionKeys.findIndex(other => other.getFingerprint() === key.getFingerprint()) === index
+        );
+
+        await this.assertNotRevoked(recipientKeys);
+
+        if (recipientKeys.length === 0 && passwords.length === 0) {
+            throw new Error('Select at least one recipient or set a message password');
+        }
+
+        const options = {
+            wildcard: hideRecipients,
+            config: { aeadProtect: await this.supportsAead(recipientKeys) }
+        };
+        if (recipientKeys.length > 0) {
+            options.encryptionKeys = recipientKeys;
+        }
+        if (passwords.length > 0) {
+            options.passwords = passwords;
+        }
+
+        if (sign) {
+            if (!keyPair || !keyPair.privateKeyObj) {
+                throw new Error(CONSTANTS.ERRORS.NO_KEYS);
+            }
+            options.signingKeys = await this.getDecryptedPrivateKey(keyPair, passphrase, 'sign a message');
+        }
+
+        return { options, recipientKeys, keyPair };
+    }
+
+    // Use SEIPDv2 (AEAD) when every recipient key advertises it: its chunks are authenticated one by one, so
+    // decryption streams, while SEIPDv1 is only checked at the end and gets held in memory whole. Turning it on
+    // for other keys would pair a v6 password packet with SEIPDv1 data, which the password can no longer open.
+    async supportsAead(keys) {
+        for (const key of keys) {
+            const selfSignature = await key.getPrimarySelfSignature().catch(() => null);
+            if (!(selfSignature?.features?.[0] & openpgp.enums.features.seipdv2)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Turn armored key blocks, key objects and keyring entries into public key objects
+    async resolveRecipientKeys(recipients) {
+        const keys = [];
+
+        for (const recipient of [].concat(recipients || [])) {
+            if (!recipient) continue;
+
+            if (typeof recipient === 'string') {
+                if (!Validation.validatePGPPublicKey(recipient)) {
+                    throw new Error('Invalid public key format');
+                }
+                // A single paste may contain several concatenated key blocks
+                const blocks = recipient.match(/-----BEGIN PGP PUBLIC KEY BLOCK-----[\s\S]*?-----END PGP PUBLIC KEY BLOCK-----/g);
+                for (const armoredKey of blocks) {
+                    keys.push(...await openpgp.readKeys({ armoredKeys: armoredKey }));
+                }
+            } else if (recipient.publicKeyObj) {
+                keys.push(recipient.publicKeyObj);
+            } else {
+                keys.push(recipient);
+            }
+        }
+
+        return keys;
+    }
+
+    // Refuse revoked recipients, including stale copies of keys our keyring knows to be revoked
+    async assertNotRevoked(keys) {
+        for (const key of keys) {
+            const keyringEntry = this.keyManager.getKey(key.getFingerprint());
+            if (keyringEntry?.metadata.revoked || await key.isRevoked().catch(() => false)) {
+                const label = key.getUserIDs()[0] || key.getKeyID().toHex().toUpperCase();
+                throw new Error(`The key for ${label} has been revoked and can no longer be encrypted to`);
+            }
+        }
+    }
+
+    // Describe which (sub)key each recipient's session key was encrypted to
+    async describeRecipients(keys) {
+        const recipients = [];
+
+        for (const key of keys) {
+            const encryptionKey = await key.getEncryptionKey();
+            recipients.push({
+                fingerprint: key.getFingerprint().toUpperCase(),
+                encryptionKeyId: encryptionKey.getKeyID().toHex().toUpperCase(),
+                encryptionFingerprint: encryptionKey.getFingerprint().toUpperCase(),
+                userId: key.getUserIDs()[0] || null
+            });
+        }
+
+        return recipients;
+    }
+
+    // Decrypt message
+    async decryptMessage(encryptedMessage, passphrase = null) {
+        const keyPair = this.keyManager.getCurrentKeyPair();
+        let privateKey = null;
+        try {
+            if (!keyPair) {
+                throw new Error(CONSTANTS.ERRORS.NO_KEYS);
+            }
 
             if (!Validation.validatePGPMessage(encryptedMessage)) {
                 throw new Error('Invalid encrypted message format');
             }
 
             // Decrypt the private key with passphrase
-            const privateKey = await openpgp.decryptKey({
-                privateKey: keyPair.privateKeyObj,
-                passphrase: passphrase
-            });
+            privateKey = await this.getDecryptedPrivateKey(keyPair, passphrase, 'decrypt a message');
 
             // Read the encrypted message
             const message = await openpgp.readMessage({
@@ -79,25 +568,26 @@ export class CryptoOps {
         } catch (error) {
             console.error('Decryption failed:', error);
             throw new Error(`${CONSTANTS.ERRORS.DECRYPTION_FAILED}: ${error.message}`);
+        } finally {
+            if (privateKey) {
+                this.releasePrivateKey(keyPair, privateKey);
+            }
         }
     }
 
     // Sign message
-    async signMessage(message, passphrase) {
+    async signMessage(message, passphrase = null) {
+        const keyPair = this.keyManager.getCurrentKeyPair();
+        let privateKey = null;
         try {
-            const keyPair = this.keyManager.getCurrentKeyPair();
             if (!keyPair) {
                 throw new Error(CONSTANTS.ERRORS.NO_KEYS);
             }
 
             Validation.validateMessage(message);
-            Validation.validatePassphrase(passphrase);
 
             // Decrypt the private key with passphrase
-            const privateKey = await openpgp.decryptKey({
-                privateKey: keyPair.privateKeyObj,
-                passphrase: passphrase
-            });
+            privateKey = await this.getDecryptedPrivateKey(keyPair, passphrase, 'sign a message');
 
             // Create and sign the message
             const signed = await openpgp.sign({
@@ -111,6 +601,10 @@ export class CryptoOps {
         } catch (error) {
             console.error('Signing failed:', error);
             throw new Error(`${CONSTANTS.ERRORS.SIGNING_FAILED}: ${error.message}`);
+        } finally {
+            if (privateKey) {
+                this.releasePrivateKey(keyPair, privateKey);
+            }
         }
     }
 
@@ -175,22 +669,274 @@ export class CryptoOps {
         }
     }
 
+    // Create a detached signature over text or a file, like gpg --detach-sign
+    async createDetachedSignature(input, { armor = true, passphrase = null, onProgress = null } = {}) {
+        const keyPair = this.keyManager.getCurrentKeyPair();
+        let privateKey = null;
+        try {
+            if (!keyPair) {
+                throw new Error(CONSTANTS.ERRORS.NO_KEYS);
+            }
+
+            const message = await this.createDetachedMessage(input, onProgress);
+            privateKey = this.copyForStreaming(keyPair, await this.getDecryptedPrivateKey(keyPair, passphrase, 'sign a file'));
+
+            const signature = await openpgp.sign({
+                message,
+                signingKeys: privateKey,
+                detached: true,
+                format: armor ? 'armored' : 'binary'
+            });
+
+            // A streamed message produces a streamed signature; it is small, so collect it
+            const data = signature instanceof ReadableStream
+                ? (armor ? await new Response(signature.pipeThrough(new TextEncoderStream())).text() : new Uint8Array(await new Response(signature).arrayBuffer()))
+                : signature;
+
+            const baseName = typeof input === 'string' ? 'message.txt' : input.name;
+
+            return {
+                data,
+                filename: `${baseName}${armor ? '.asc' : '.sig'}`,
+                mimeType: armor ? 'text/plain' : 'application/pgp-signature',
+                armored: armor
+            };
+
+        } catch (error) {
+            console.error('Detached signing failed:', error);
+            throw new Error(`${CONSTANTS.ERRORS.SIGNING_FAILED}: ${error.message}`);
+        } finally {
+            if (privateKey) {
+                this.releasePrivateKey(keyPair, privateKey);
+            }
+        }
+    }
+
+    // Verify a detached signature (armored text, binary bytes or a File) over text or a file
+    async verifyDetachedSignature(input, signatureInput, { verificationKeys = null, onProgress = null } = {}) {
+        if (await this.isWorkerAvailable()) {
+            const [result] = await this.verifyDetachedSignatures([{ input, signature: signatureInput }], { verificationKeys, onProgress });
+            if (result.error) {
+                throw new Error(result.error);
+            }
+            return result;
+        }
+
+        try {
+            const signature = await this.readSignatureInput(signatureInput);
+            const message = await this.createDetachedMessage(input, onProgress);
+
+            const keys = verificationKeys
+                ? [].concat(verificationKeys)
+                : this.keyManager.listKeys().map(entry => entry.publicKeyObj);
+            if (keys.length === 0) {
+                throw new Error('No public keys available to verify against');
+            }
+
+            const result = await openpgp.verify({
+                message,
+                signature,
+                verificationKeys: keys,
+                format: 'binary'
+            });
+
+            // Drain streamed data so the signatures can be checked
+            if (result.data instanceof ReadableStream) {
+                const reader = result.data.getReader();
+                while (!(await reader.read()).done) {
+                    // Discard chunks; only the signature result matters
+                }
+            }
+
+            const signatureDetails = await this.describeSignatures(result.signatures, keys);
+
+            return {
+                verified: signatureDetails.length > 0 && signatureDetails.every(detail => detail.status === 'valid'),
+                signatureDetails
+            };
+
+        } catch (error) {
+            console.error('Detached verification failed:', error);
+            throw new Error(`${CONSTANTS.ERRORS.VERIFICATION_FAILED}: ${error.message}`);
+        }
+    }
+
+    // Verify many { input, signature } pairs in one go; a failing item reports its error instead of stopping the batch.
+    // onProgress(loaded, total) counts bytes across all file inputs.
+    async verifyDetachedSignatures(items, { verificationKeys = null, onProgress = null } = {}) {
+        if (await this.isWorkerAvailable()) {
+            const keys = verificationKeys
+                ? [].concat(verificationKeys)
+                : this.keyManager.listKeys().map(entry => entry.publicKeyObj);
+            const results = await this.runInWorker('verifyDetached', { items, publicKeys: keys.map(key => key.armor()) }, { onProgress });
+            for (const result of results) {
+                await this.addKeyValidity(result.signatureDetails);
+            }
+            return results;
+        }
+
+        const total = items.reduce((sum, item) => sum + (typeof item.input === 'string' ? 0 : item.input.size), 0);
+        const results = [];
+        let verifiedBytes = 0;
+
+        for (const { input, signature } of items) {
+            try {
+                results.push(await this.verifyDetachedSignature(input, signature, {
+                    verificationKeys,
+                    onProgress: onProgress ? loaded => onProgress(verifiedBytes + loaded, total) : null
+                }));
+            } catch (error) {
+                results.push({ verified: false, signatureDetails: [], error: error.message });
+            }
+            verifiedBytes += typeof input === 'string' ? 0 : input.size;
+        }
+
+        return results;
+    }
+
+    // Verify an inline-signed (or plain literal) OpenPGP message and return its contents
+    async verifyInlineMessage(input, { verificationKeys = null } = {}) {
+        try {
+            let message;
+            if (typeof input === 'string') {
+                message = await openpgp.readMessage({ armoredMessage: input.trim() });
+            } else if (await this.fileUtils.isArmoredFile(input)) {
+                message = await openpgp.readMessage({ armoredMessage: await input.text() });
+            } else {
+                message = await openpgp.readMessage({ binaryMessage: new Uint8Array(await input.arrayBuffer()) });
+            }
+
+            const keys = verificationKeys || this.keyManager.listKeys().map(entry => entry.publicKeyObj);
+            const result = await openpgp.verify({
+                message,
+                verificationKeys: keys.length > 0 ? keys : undefined,
+                format: 'binary'
+            });
+
+            // Show UTF-8 content as text, keep anything else as bytes
+            let data = result.data;
+            try {
+                data = new TextDecoder('utf-8', { fatal: true }).decode(result.data);
+            } catch (error) {
+                // Binary content
+            }
+
+            const signatureDetails = await this.describeSignatures(result.signatures, keys);
+
+            return {
+                data,
+                filename: message.getFilename(),
+                signatureDetails,
+                verified: signatureDetails.length > 0 && signatureDetails.every(signature => signature.status === 'valid')
+            };
+
+        } catch (error) {
+            console.error('Inline verification failed:', error);
+            throw new Error(`${CONSTANTS.ERRORS.VERIFICATION_FAILED}: ${error.message}`);
+        }
+    }
+
+    // Build the message a detached signature covers: canonical text or raw file bytes
+    async createDetachedMessage(input, onProgress = null) {
+        if (typeof input === 'string') {
+            Validation.validateMessage(input);
+            return await openpgp.createMessage({ text: input });
+        }
+        if (!input) {
+            throw new Error('Please provide text or a file');
+        }
+
+        return await openpgp.createMessage({
+            binary: this.fileUtils.createProgressStream(input, onProgress),
+            format: 'binary'
+        });
+    }
+
+    // Parse a detached signature from armored text, bytes or a .sig/.asc file
+    async readSignatureInput(signatureInput) {
+        if (!signatureInput) {
+            throw new Error('Please provide a signature');
+        }
+
+        if (typeof signatureInput === 'string') {
+            return await openpgp.readSignature({ armoredSignature: signatureInput.trim() });
+        }
+        if (signatureInput instanceof Uint8Array) {
+            return await openpgp.readSignature({ binarySignature: signatureInput });
+        }
+
+        // File input: armored or binary
+        if (await this.fileUtils.isArmoredFile(signatureInput)) {
+            return await openpgp.readSignature({ armoredSignature: await signatureInput.text() });
+        }
+        return await openpgp.readSignature({ binarySignature: new Uint8Array(await signatureInput.arrayBuffer()) });
+    }
+
+    // Summarise verification results: signer, key ID, status (valid/invalid/unknown) and creation time
+    async describeSignatures(signatures, verificationKeys = []) {
+        const details = [];
+
+        for (const signature of signatures) {
+            const keyId = signature.keyID.toHex().toUpperCase();
+            const knownKey = verificationKeys.some(key => key.getKeys(signature.keyID).length > 0);
+            const keyPair = this.keyManager.findKeyById(keyId);
+
+            let created = null;
+            try {
+                const { packets } = await signature.signature;
+                created = packets[0].created;
+            } catch (error) {
+                console.warn('Could not read signature packet:', error);
+            }
+
+            let status = 'unknown';
+            let error = null;
+            if (knownKey) {
+                try {
+                    await signature.verified;
+                    status = 'valid';
+                } catch (verifyError) {
+                    status = 'invalid';
+                    error = verifyError.message;
+                }
+            }
+
+            details.push({
+                keyId,
+                status,
+                created,
+                signer: keyPair ? keyPair.metadata.userIds[0] || null : null,
+                fingerprint: keyPair ? keyPair.metadata.fingerprint : null,
+                error
+            });
+        }
+
+        return this.addKeyValidity(details);
+    }
+
+    // Add each known signer's key validity from the web of trust, so a good signature can say who vouches for the key
+    async addKeyValidity(details) {
+        for (const detail of details) {
+            detail.validity = detail.fingerprint
+                ? (await this.keyManager.trust.getKeyValidity(detail.fingerprint)).validity
+                : null;
+        }
+        return details;
+    }
+
     // Sign and encrypt message (combined operation)
-    async signAndEncryptMessage(message, passphrase, recipientPublicKey = null) {
+    async signAndEncryptMessage(message, passphrase = null, recipientPublicKey = null) {
+        const keyPair = this.keyManager.getCurrentKeyPair();
+        let privateKey = null;
         try {
-            const keyPair = this.keyManager.getCurrentKeyPair();
             if (!keyPair) {
                 throw new Error(CONSTANTS.ERRORS.NO_KEYS);
             }
 
             Validation.validateMessage(message);
-            Validation.validatePassphrase(passphrase);
 
             // Decrypt the private key with passphrase
-            const privateKey = await openpgp.decryptKey({
-                privateKey: keyPair.privateKeyObj,
-                passphrase: passphrase
-            });
+            privateKey = await this.getDecryptedPrivateKey(keyPair, passphrase, 'sign a message');
 
             let publicKey;
             if (recipientPublicKey) {
@@ -202,6 +948,8 @@ export class CryptoOps {
                 publicKey = keyPair.publicKeyObj;
             }
 
+            await this.assertNotRevoked([publicKey]);
+
             // Sign and encrypt the message
             const signedAndEncrypted = await openpgp.encrypt({
                 message: await openpgp.createMessage({ text: message }),
@@ -215,33 +963,39 @@ export class CryptoOps {
         } catch (error) {
             console.error('Sign and encrypt failed:', error);
             throw new Error(`Sign and encrypt failed: ${error.message}`);
+        } finally {
+            if (privateKey) {
+                this.releasePrivateKey(keyPair, privateKey);
+            }
         }
     }
 
     // Decrypt and verify message (combined operation)
-    async decryptAndVerifyMessage(encryptedMessage, passphrase, signerPublicKey = null) {
+    async decryptAndVerifyMessage(encryptedMessage, passphrase = null, signerPublicKey = null) {
+        const keyPair = this.keyManager.getCurrentKeyPair();
+        let privateKey = null;
         try {
-            const keyPair = this.keyManager.getCurrentKeyPair();
             if (!keyPair) {
                 throw new Error(CONSTANTS.ERRORS.NO_KEYS);
             }
 
-            Validation.validatePassphrase(passphrase);
-
             // Decrypt the private key with passphrase
-            const privateKey = await openpgp.decryptKey({
-                privateKey: keyPair.privateKeyObj,
-                passphrase: passphrase
-            });
+            privateKey = await this.getDecryptedPrivateKey(keyPair, passphrase, 'decrypt a message');
 
             let verificationKeys;
-            if (signerPublicKey) {
+            if (typeof signerPublicKey === 'string') {
                 if (!Validation.validatePGPPublicKey(signerPublicKey)) {
                     throw new Error('Invalid public key format');
                 }
-                verificationKeys = await openpgp.readKey({ armoredKey: signerPublicKey });
+                verificationKeys = [await openpgp.readKey({ armoredKey: signerPublicKey })];
+            } else if (signerPublicKey) {
+                verificationKeys = [].concat(signerPublicKey);
             } else {
-                verificationKeys = keyPair.publicKeyObj;
+                // Check signatures against every key we know about
+                verificationKeys = this.keyManager.listKeys().map(entry => entry.publicKeyObj);
+                if (verificationKeys.length === 0) {
+                    verificationKeys = [keyPair.publicKeyObj];
+                }
             }
 
             // Read the encrypted message
@@ -259,28 +1013,24 @@ export class CryptoOps {
 
             // Check signature verification
             const signatureValid = result.signatures.length > 0;
-            let signatureVerified = false;
-            
-            if (signatureValid) {
-                try {
-                    const { verified } = result.signatures[0];
-                    await verified;
-                    signatureVerified = true;
-                } catch (e) {
-                    console.warn('Signature verification failed:', e);
-                }
-            }
+            const signatureDetails = await this.describeSignatures(result.signatures, verificationKeys);
+            const signatureVerified = signatureDetails.some(signature => signature.status === 'valid');
 
             return {
                 data: result.data,
                 signatureValid,
                 signatureVerified,
+                signatureDetails,
                 signatures: result.signatures
             };
 
         } catch (error) {
             console.error('Decrypt and verify failed:', error);
             throw new Error(`Decrypt and verify failed: ${error.message}`);
+        } finally {
+            if (privateKey) {
+                this.releasePrivateKey(keyPair, privateKey);
+            }
         }
     }
 }
@@ -2,10 +2,15 @@ import { CONSTANTS } from '../utils/constants.js';
 import { Validation } from '../utils/validation.js';
 import { Clipboard } from '../utils/clipboard.js';
 
+// Key ID written in place of the recipient when key IDs are hidden
+const WILDCARD_KEY_ID = '0000000000000000';
+
 export class Decrypt {
-    constructor(keyManager, cryptoOps) {
+    constructor(keyManager, cryptoOps, { promptPassword = null } = {}) {
         this.keyManager = keyManager;
         this.cryptoOps = cryptoOps;
+        // Callback ({ reason, error }) => Promise<string|null>, null meaning cancelled
+        this.promptPassword = promptPassword;
     }
 
     // Initialize decrypt functionality
@@ -33,11 +38,6 @@ export class Decrypt {
                 throw new Error('Please enter an encrypted message to decrypt');
             }
 
-            // Check if keys are available
-            if (!this.keyManager.hasKeys()) {
-                throw new Error('No keys available. Please generate or load keys first.');
-            }
-
             // Validate PGP message format
             if (!encryptedMessage.includes('-----BEGIN PGP MESSAGE-----')) {
                 throw new Error('Invalid PGP message format. Please ensure you\'ve pasted a complete encrypted PGP message.');
@@ -48,16 +48,8 @@ export class Decrypt {
             decryptBtn.textContent = 'Decrypting...';
             this.updateStatus('pending', 'Decrypting Message...');
 
-            // Get private key and passphrase
-            const privateKey = this.keyManager.getPrivateKey();
-            const passphrase = this.keyManager.getPassphrase();
-
-            if (!passphrase) {
-                throw new Error('Passphrase is required for decryption. Please ensure your key is properly loaded.');
-            }
-
-            // Decrypt the message
-            const decryptedMessage = await this.cryptoOps.decryptMessage(encryptedMessage, privateKey, passphrase);
+            // Decrypt with the active key, or with a message password for symmetric messages
+            const { data: decryptedMessage } = await this.decryptMessage(encryptedMessage);
 
             // Show success result
             const resultMessage = `✅ Message decrypted successfully!\n\nDecrypted message:\n${decryptedMessage}`;
@@ -71,12 +63,10 @@ export class Decrypt {
             console.error('Decrypt failed:', error);
             
             // Provide helpful error messages
-            let errorMessage = error.message;
+            let errorMessage = await this.explainFailure(messageInput.value.trim(), error);
             if (error.message.includes('Incorrect key passphrase')) {
                 errorMessage = 'Incorrect passphrase. Please check your key passphrase.';
-            } else if (error.message.includes('No decryption keys found')) {
-                errorMessage = 'This message was not encrypted for your key. You cannot decrypt it.';
-            } else if (error.message.includes('Error decrypting message')) {
+            } else if (errorMessage === error.message && error.message.includes('Error decrypting message')) {
                 errorMessage = 'Failed to decrypt message. Please check that:\n• The message is a valid PGP encrypted message\n• The message was encrypted for your public key\n• Your private key and passphrase are correct';
             }
             
@@ -88,19 +78,132 @@ export class Decrypt {
         }
     }
 
+    // Decrypt armored text with the active key, or ask for the message password when it is password-protected
+    async decryptMessage(encryptedMessage) {
+        const info = await this.cryptoOps.getMessageEncryptionInfo(encryptedMessage);
+
+        if (this.shouldUsePassword(info)) {
+            return this.withPassword('decrypt this message', encryptedMessage, sessionKeys =>
+                this.cryptoOps.decryptWithSessionKeys(encryptedMessage, sessionKeys)
+            );
+        }
+
+        return this.cryptoOps.decryptAndVerifyMessage(encryptedMessage);
+    }
+
+    // Decrypt a file with the active key, or ask for the message password when it is password-protected
+    async decryptFile(file, options = {}) {
+        const info = await this.cryptoOps.getMessageEncryptionInfo(file);
+
+        if (this.shouldUsePassword(info)) {
+            return this.withPassword(`decrypt ${file.name}`, file, sessionKeys =>
+                this.cryptoOps.decryptFile(file, { ...options, sessionKeys })
+            );
+        }
+
+        return this.cryptoOps.decryptFile(file, options);
+    }
+
+    // A password is needed when the message has a password packet (SKESK) and none of our secret keys can open it
+    shouldUsePassword({ recipientKeyIds, hasRecipients, passwordProtected }) {
+        if (!passwordProtected) return false;
+        if (!hasRecipients) return true;
+
+        const currentKeyPair = this.keyManager.getCurrentKeyPair();
+        if (!currentKeyPair) return true;
+
+        return !this.isAddressedToUs(recipientKeyIds);
+    }
+
+    // Check recipient key IDs against our secret keys; a wildcard recipient might be us
+    isAddressedToUs(recipientKeyIds) {
+        const ownKeyIds = this.keyManager.listKeys({ secretOnly: true })
+            .flatMap(keyPair => [keyPair.metadata.keyId, ...(keyPair.metadata.subkeyIds || [])]);
+
+        return recipientKeyIds.some(keyId => keyId === WILDCARD_KEY_ID || ownKeyIds.includes(keyId));
+    }
+
+    // Explain a failed decryption from the message's actual recipients rather than from error strings
+    async explainFailure(input, error) {
+        let info;
+        try {
+            info = await this.cryptoOps.getMessageEncryptionInfo(input);
+        } catch (parseError) {
+            return `${error.message}\n\nThe input could not be parsed as an OpenPGP message: ${parseError.message}`;
+        }
+
+        if (info.hasRecipients && !this.isAddressedToUs(info.recipientKeyIds)) {
+            const recipients = info.recipientKeyIds.map(keyId => {
+                const keyPair = this.keyManager.findKeyById(keyId);
+                return keyPair ? `${keyId} (${keyPair.metadata.userIds[0] || 'public key only'})` : keyId;
+            });
+            return `This message was not encrypted for any of your secret keys.\nRecipients: ${recipients.join(', ')}` +
+                (info.passwordProtected ? '\nIt can also be opened with a message password.' : '');
+        }
+
+        if (!info.hasRecipients && !info.passwordProtected) {
+            return `${error.message}\n\nThe message has no session key packets (neither recipients nor a password).`;
+        }
+
+        return error.message;
+    }
+
+    // Prompt for the message password until it opens the message's session keys, then decrypt with them.
+    // Failing to open the session keys means a wrong password; a failing decryption is reported as it is.
+    async withPassword(reason, input, operation) {
+        if (!this.promptPassword) {
+            throw new Error('This message is password-protected but no password prompt is available');
+        }
+
+        let error = null;
+        let failedPassword = null;
+        for (let attempt = 0; attempt < CONSTANTS.AGENT.MAX_ATTEMPTS; attempt++) {
+            const password = await this.promptPassword({ reason, error });
+            if (password === null || password === undefined) {
+                throw new Error('Password entry cancelled');
+            }
+
+            let sessionKeys;
+            try {
+                sessionKeys = await this.cryptoOps.decryptSessionKeysWithPassword(input, password);
+            } catch (sessionKeyError) {
+                console.warn('Password decryption failed:', sessionKeyError);
+                error = 'Incorrect message password. Please try again.';
+                continue;
+            }
+
+            try {
+                return await operation(sessionKeys);
+            } catch (decryptError) {
+                // A v4 password packet has no integrity check, so about one wrong password in a hundred still opens
+                // a well-formed but wrong session key, which then fails like modified data. Ask once more; the same
+                // password failing again means the message itself is at fault.
+                const lastAttempt = attempt === CONSTANTS.AGENT.MAX_ATTEMPTS - 1;
+                if (decryptError.code === 'CANCELLED' || password === failedPassword || lastAttempt) {
+                    throw decryptError;
+                }
+                console.warn('Decryption with the password failed:', decryptError);
+                failedPassword = password;
+                error = 'The message could not be decrypted with this password. Check the password; if it is right, the message may have been modified.';
+            }
+        }
+
+        throw new Error('Too many incorrect password attempts');
+    }
+
     // Update UI based on current state
     updateUI() {
-        const hasKeys = this.keyManager.hasKeys();
+        const hasKeys = this.keyManager.hasKeyPair();
         
         // Update status
         if (hasKeys) {
             this.updateStatus('ready', 'Ready to Decrypt');
         } else {
-            this.updateStatus('pending', 'Keys Required');
+            this.updateStatus('pending', 'Password Messages Only');
         }
 
-        // Enable/disable decrypt button
-        document.getElementById('decryptBtn').disabled = !hasKeys;
+        // Password-protected messages can be decrypted without any key
+        document.getElementById('decryptBtn').disabled = false;
     }
 
     // Update status indicator
@@ -152,8 +255,9 @@ export class Decrypt {
     // Get current operation status
     getStatus() {
         return {
-            hasKeys: this.keyManager.hasKeys(),
-            canDecrypt: this.keyManager.hasKeys() && this.keyManager.getPassphrase()
+            hasKeys: this.keyManager.hasKeyPair(),
+            canDecrypt: true,
+            canDecryptWithKey: this.keyManager.hasKeyPair()
         };
     }
 
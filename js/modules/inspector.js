@@ -0,0 +1,293 @@
+// modules/inspector.js - Identifies any pasted or dropped OpenPGP data and summarises it
+export class Inspector {
+    // Human readable labels for each kind of input
+    static KINDS = {
+        publicKey: 'Public key',
+        privateKey: 'Private key',
+        encryptedMessage: 'Encrypted message',
+        signedMessage: 'Signed message (inline)',
+        cleartextSigned: 'Cleartext signed message',
+        detachedSignature: 'Detached signature',
+        revocationCertificate: 'Revocation certificate',
+        literalMessage: 'Unsigned, unencrypted message'
+    };
+
+    constructor(keyManager) {
+        this.keyManager = keyManager;
+    }
+
+    // Parse armored text, binary bytes or a File and describe what it is
+    async inspect(input) {
+        try {
+            const source = await this.readInput(input);
+            const kind = this.detectKind(source);
+
+            const summary = {
+                kind,
+                label: Inspector.KINDS[kind],
+                armored: source.armored,
+                headers: source.headers || [],
+                packets: [],
+                keys: [],
+                recipients: [],
+                passwordProtected: false,
+                signatures: [],
+                actions: []
+            };
+
+            switch (kind) {
+                case 'publicKey':
+                case 'privateKey':
+                    await this.describeKeys(source, summary);
+                    summary.actions.push('importKey');
+                    break;
+                case 'encryptedMessage':
+                    await this.describeEncryptedMessage(source, summary);
+                    summary.actions.push('decrypt');
+                    break;
+                case 'signedMessage':
+                case 'literalMessage':
+                    await this.describeSignedMessage(source, summary);
+                    summary.actions.push('openMessage');
+                    break;
+                case 'cleartextSigned':
+                    await this.describeCleartextMessage(source, summary);
+                    summary.actions.push('verify');
+                    break;
+                case 'detachedSignature':
+                    await this.describeDetachedSignature(source, summary);
+                    summary.actions.push('verifyDetached');
+                    break;
+                case 'revocationCertificate':
+                    await this.describeDetachedSignature(source, summary);
+                    summary.actions.push('applyRevocation');
+                    break;
+            }
+
+            return summary;
+        } catch (error) {
+            console.error('Inspection failed:', error);
+            throw new Error(`Inspection failed: ${error.message}`);
+        }
+    }
+
+    // ==================== INPUT ====================
+
+    // Normalise input into { armored, armorType, data (bytes or stream), text, headers }
+    async readInput(input) {
+        if (!input) {
+            throw new Error('Nothing to inspect');
+        }
+
+        if (typeof input === 'string') {
+            return this.readArmored(input);
+        }
+
+        if (input instanceof Uint8Array) {
+            return { armored: false, data: input, firstByte: input[0] };
+        }
+
+        // File or Blob: armored text is small enough to read whole, binary messages are streamed
+        const head = new Uint8Array(await input.slice(0, 64).arrayBuffer());
+        if (new TextDecoder().decode(head).includes('-----BEGIN PGP')) {
+            return this.readArmored(await input.text());
+        }
+
+        const firstByte = head[0];
+        const tag = this.getPacketTag(firstByte);
+        const isKey = tag === openpgp.enums.packet.publicKey || tag === openpgp.enums.packet.secretKey;
+        const isSignature = tag === openpgp.enums.packet.signature;
+
+        return {
+            armored: false,
+            data: isKey || isSignature ? new Uint8Array(await input.arrayBuffer()) : input.stream(),
+            firstByte
+        };
+    }
+
+    async readArmored(text) {
+        const trimmed = text.trim();
+        if (!trimmed.includes('-----BEGIN PGP')) {
+            throw new Error('No OpenPGP armor found. Paste a key, message or signature, or drop a binary .pgp/.gpg/.sig file.');
+        }
+
+        const unarmored = await openpgp.unarmor(trimmed.slice(trimmed.indexOf('-----BEGIN PGP')));
+        return {
+            armored: true,
+            armorType: unarmored.type,
+            data: unarmored.data,
+            text: unarmored.text,
+            headers: unarmored.headers,
+            armoredText: trimmed
+        };
+    }
+
+    // Read the packet tag from the first header byte (old or new packet format)
+    getPacketTag(headerByte) {
+        if (headerByte === undefined || (headerByte & 0x80) === 0) {
+            throw new Error('Input is neither ASCII armored nor binary OpenPGP data');
+        }
+        return headerByte & 0x40 ? headerByte & 0x3f : (headerByte & 0x3c) >> 2;
+    }
+
+    detectKind(source) {
+        const { armor, packet } = openpgp.enums;
+
+        if (source.armored) {
+            switch (source.armorType) {
+                // Revocation certificates are armored as public key blocks holding only a signature
+                case armor.publicKey:
+                    return this.getPacketTag(source.data[0]) === packet.signature ? 'revocationCertificate' : 'publicKey';
+                case armor.privateKey: return 'privateKey';
+                case armor.signed: return 'cleartextSigned';
+                case armor.signature: return 'detachedSignature';
+                case armor.message: return this.detectMessageKind(this.getPacketTag(source.data[0]));
+                default: throw new Error('Unsupported armor type');
+            }
+        }
+
+        const tag = this.getPacketTag(source.firstByte);
+        switch (tag) {
+            case packet.publicKey: return 'publicKey';
+            case packet.secretKey: return 'privateKey';
+            case packet.signature: return 'detachedSignature';
+            default: return this.detectMessageKind(tag);
+        }
+    }
+
+    detectMessageKind(tag) {
+        const { packet } = openpgp.enums;
+
+        switch (tag) {
+            case packet.publicKeyEncryptedSessionKey:
+            case packet.symEncryptedSessionKey:
+            case packet.symEncryptedIntegrityProtectedData:
+            case packet.aeadEncryptedData:
+            case packet.symmetricallyEncryptedData:
+                return 'encryptedMessage';
+            case packet.onePassSignature:
+            case packet.signature:
+                return 'signedMessage';
+            case packet.literalData:
+            case packet.compressedData:
+            case packet.marker:
+                return 'literalMessage';
+            default:
+                throw new Error(`Unexpected first packet (tag ${tag})`);
+        }
+    }
+
+    // ==================== DESCRIPTIONS ====================
+
+    async describeKeys(source, summary) {
+        const keys = await openpgp.readKeys({ binaryKeys: source.data });
+
+        summary.keys = await Promise.all(keys.map(async key => {
+            const metadata = await this.keyManager.buildKeyMetadata(key.toPublic(), key.isPrivate());
+            return {
+                metadata,
+                armored: key.armor(),
+                inKeyring: !!this.keyManager.getKey(metadata.fingerprint)
+            };
+        }));
+        summary.packets = this.listPacketNames(keys.flatMap(key => key.toPacketList()));
+    }
+
+    async describeEncryptedMessage(source, summary) {
+        const { packet, publicKey, symmetric } = openpgp.enums;
+        const message = await openpgp.readMessage({ binaryMessage: source.data });
+
+        summary.packets = this.listPacketNames(message.packets);
+        summary.recipients = message.packets.filterByTag(packet.publicKeyEncryptedSessionKey).map(pkesk => {
+            const keyId = pkesk.publicKeyID.toHex().toUpperCase();
+            const wildcard = pkesk.publicKeyID.isWildcard();
+            const keyPair = wildcard ? null : this.keyManager.findKeyById(keyId);
+
+            return {
+                keyId,
+                wildcard,
+                algorithm: this.readEnum(publicKey, pkesk.publicKeyAlgorithm),
+                known: keyPair ? keyPair.metadata.userIds[0] || keyPair.metadata.keyId : null,
+                hasSecretKey: !!keyPair?.privateKey
+            };
+        });
+
+        const skesks = message.packets.filterByTag(packet.symEncryptedSessionKey);
+        summary.passwordProtected = skesks.length > 0;
+        summary.passwordAlgorithms = skesks.map(skesk =>
+            `${this.readEnum(symmetric, skesk.sessionKeyEncryptionAlgorithm)}, ${skesk.s2k.type} S2K`
+        );
+    }
+
+    async describeSignedMessage(source, summary) {
+        const { packet, literal } = openpgp.enums;
+        const message = await openpgp.readMessage({ binaryMessage: source.data });
+
+        summary.packets = this.listPacketNames(message.packets);
+        summary.signatures = message.getSigningKeyIDs().map(keyId => this.describeIssuer(keyId.toHex().toUpperCase()));
+
+        const literalPacket = message.packets.findPacket(packet.literalData);
+        if (literalPacket) {
+            summary.literal = {
+                filename: literalPacket.filename,
+                format: this.readEnum(literal, literalPacket.format),
+                date: literalPacket.date
+            };
+        }
+    }
+
+    async describeCleartextMessage(source, summary) {
+        const message = await openpgp.readCleartextMessage({ cleartextMessage: source.armoredText });
+
+        summary.packets = this.listPacketNames(message.signature.packets);
+        summary.signatures = message.signature.packets.map(signature => this.describeSignaturePacket(signature));
+        summary.text = message.getText();
+    }
+
+    async describeDetachedSignature(source, summary) {
+        const signature = await openpgp.readSignature({ binarySignature: source.data });
+
+        summary.packets = this.listPacketNames(signature.packets);
+        summary.signatures = signature.packets.map(packet => this.describeSignaturePacket(packet));
+    }
+
+    describeSignaturePacket(signature) {
+        const { hash, publicKey, signature: signatureTypes } = openpgp.enums;
+
+        return {
+            ...this.describeIssuer(signature.issuerKeyID.toHex().toUpperCase()),
+            issuerFingerprint: signature.issuerFingerprint ? this.toHex(signature.issuerFingerprint) : null,
+            created: signature.created,
+            type: this.readEnum(signatureTypes, signature.signatureType),
+            hashAlgorithm: this.readEnum(hash, signature.hashAlgorithm),
+            algorithm: this.readEnum(publicKey, signature.publicKeyAlgorithm)
+        };
+    }
+
+    // Resolve a signer key ID against the keyring
+    describeIssuer(keyId) {
+        const keyPair = this.keyManager.findKeyById(keyId);
+        return {
+            keyId,
+            signer: keyPair ? keyPair.metadata.userIds[0] || keyPair.metadata.keyId : null
+        };
+    }
+
+    // ==================== HELPERS ====================
+
+    listPacketNames(packets) {
+        return Array.from(packets).map(packet => this.readEnum(openpgp.enums.packet, packet.constructor.tag));
+    }
+
+    toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+    }
+
+    readEnum(enumType, value) {
+        try {
+            return openpgp.enums.read(enumType, value);
+        } catch (error) {
+            return `unknown (${value})`;
+        }
+    }
+}
@@ -0,0 +1,169 @@
+import { CONSTANTS } from '../utils/constants.js';
+
+// modules/keyAgent.js - Caches unlocked private keys for a limited idle time, similar to gpg-agent
+export class KeyAgent {
+    constructor({ promptPassphrase = null, timeout = CONSTANTS.AGENT.DEFAULT_TIMEOUT, lockOnHide = true, onLock = null } = {}) {
+        // Callback ({ keyPair, reason, error }) => Promise<string|null>, null meaning cancelled
+        this.promptPassphrase = promptPassphrase;
+        this.onLock = onLock;
+        this.timeout = timeout; // Idle timeout in seconds, 0 disables caching
+        this.lockOnHide = lockOnHide;
+
+        // Decrypted private keys indexed by fingerprint
+        this.cache = new Map();
+        this.idleTimer = null;
+
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        if (typeof document !== 'undefined') {
+            document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        }
+    }
+
+    // Get a decrypted private key for a key pair, prompting for its passphrase if needed; release() it after use
+    async getUnlockedKey(keyPair, reason = 'use your secret key') {
+        if (!keyPair || !keyPair.privateKeyObj) {
+            throw new Error(CONSTANTS.ERRORS.NO_KEYS);
+        }
+
+        // Keys stored without a passphrase need no unlocking
+        if (keyPair.privateKeyObj.isDecrypted()) {
+            return keyPair.privateKeyObj;
+        }
+
+        const cached = this.cache.get(keyPair.metadata.fingerprint);
+        if (cached) {
+            this.resetIdleTimer();
+            return cached;
+        }
+
+        if (!this.promptPassphrase) {
+            throw new Error('Passphrase is required but no prompt is available');
+        }
+
+        let error = null;
+        for (let attempt = 0; attempt < CONSTANTS.AGENT.MAX_ATTEMPTS; attempt++) {
+            const passphrase = await this.promptPassphrase({ keyPair, reason, error });
+            if (passphrase === null || passphrase === undefined) {
+                throw new Error('Passphrase entry cancelled');
+            }
+
+            try {
+                return await this.unlock(keyPair, passphrase);
+            } catch (unlockError) {
+                console.warn('Key unlock failed:', unlockError);
+                error = 'Incorrect passphrase. Please try again.';
+            }
+        }
+
+        throw new Error('Too many incorrect passphrase attempts');
+    }
+
+    // Decrypt a private key with its passphrase and cache the result. With caching disabled the caller
+    // holds the only copy and must release() it when done.
+    async unlock(keyPair, passphrase) {
+        const decryptedKey = await openpgp.decryptKey({
+            privateKey: keyPair.privateKeyObj,
+            passphrase
+        });
+
+        if (this.timeout > 0) {
+            this.forget(keyPair.metadata.fingerprint);
+            this.cache.set(keyPair.metadata.fingerprint, decryptedKey);
+            this.resetIdleTimer();
+        }
+
+        return decryptedKey;
+    }
+
+    // Hand back a key from getUnlockedKey or unlock once the operation is done. Cached keys stay unlocked
+    // until the agent locks; any other decrypted copy is zeroed now.
+    release(keyPair, key) {
+        if (!key || key === keyPair.privateKeyObj || this.cache.get(keyPair.metadata.fingerprint) === key) {
+            return;
+        }
+
+        this.zeroKey(key);
+    }
+
+    // Check whether a key is currently unlocked
+    isUnlocked(keyPair) {
+        if (!keyPair) return false;
+        return this.cache.has(keyPair.metadata.fingerprint);
+    }
+
+    // Drop one cached key and zero its secret parameters
+    forget(fingerprint) {
+        const key = this.cache.get(fingerprint);
+        if (!key) return;
+
+        this.zeroKey(key);
+        this.cache.delete(fingerprint);
+
+        if (this.cache.size === 0) {
+            this.clearIdleTimer();
+        }
+    }
+
+    // Re-lock every cached key
+    lockAll(reason = 'manual') {
+        const hadKeys = this.cache.size > 0;
+
+        this.cache.forEach(key => this.zeroKey(key));
+        this.cache.clear();
+        this.clearIdleTimer();
+
+        if (hadKeys) {
+            console.log(`Key agent locked (${reason})`);
+        }
+        // Listeners hear about every lock, since keys may also be unlocked elsewhere (the worker)
+        if (this.onLock) this.onLock(reason);
+    }
+
+    // Change the idle timeout; 0 disables caching and locks immediately
+    setIdleTimeout(seconds) {
+        this.timeout = Math.max(0, parseInt(seconds, 10) || 0);
+
+        if (this.timeout === 0) {
+            this.lockAll('caching disabled');
+        } else if (this.cache.size > 0) {
+            this.resetIdleTimer();
+        }
+    }
+
+    resetIdleTimer() {
+        this.clearIdleTimer();
+        if (this.timeout > 0) {
+            this.idleTimer = setTimeout(() => this.lockAll('idle timeout'), this.timeout * 1000);
+        }
+    }
+
+    clearIdleTimer() {
+        if (this.idleTimer) {
+            clearTimeout(this.idleTimer);
+            this.idleTimer = null;
+        }
+    }
+
+    handleVisibilityChange() {
+        if (this.lockOnHide && document.visibilityState === 'hidden') {
+            this.lockAll('tab hidden');
+        }
+    }
+
+    // Overwrite decrypted key material so it does not linger in memory
+    zeroKey(key) {
+        try {
+            key.clearPrivateParams();
+        } catch (error) {
+            console.warn('Could not clear private key parameters:', error);
+        }
+    }
+
+    getStatus() {
+        return {
+            unlockedKeys: this.cache.size,
+            timeout: this.timeout,
+            lockOnHide: this.lockOnHide
+        };
+    }
+}
@@ -2,10 +2,39 @@ import { CONSTANTS } from '../utils/constants.js';
 import { Validation } from '../utils/validation.js';
 import { Formatting } from '../utils/formatting.js';
 import { FileUtils } from '../utils/fileUtils.js';
+import { WebOfTrust } from './webOfTrust.js';
+
+// Self-signature properties carried over when a user ID certification is re-issued
+const SELF_CERTIFICATION_FIELDS = [
+    'signatureType',
+    'hashAlgorithm',
+    'publicKeyAlgorithm',
+    'keyFlags',
+    'keyExpirationTime',
+    'isPrimaryUserID',
+    'preferredSymmetricAlgorithms',
+    'preferredHashAlgorithms',
+    'preferredCompressionAlgorithms',
+    'preferredCipherSuites',
+    'features'
+];
+
+// Key-wide properties, which v6 keys carry in their direct-key signature rather than in the user ID self-signatures
+const DIRECT_KEY_FIELDS = [
+    'keyFlags',
+    'keyExpirationTime',
+    'preferredSymmetricAlgorithms',
+    'preferredHashAlgorithms',
+    'preferredCompressionAlgorithms',
+    'preferredCipherSuites',
+    'features'
+];
 
 export class KeyManager {
-    constructor(fileUtils = null) {
+    constructor(fileUtils = null, worker = null) {
         this.currentKeyPair = null;
+        // Keyring of own secret keys and other people's public keys, indexed by fingerprint
+        this.keyring = new Map();
         this.advancedConfig = {
             algorithm: CONSTANTS.DEFAULT_ALGORITHM,
             keySize: null,
@@ -15,71 +44,199 @@ export class KeyManager {
                 encrypt: true,
                 certify: true
             },
+            layout: CONSTANTS.DEFAULT_KEY_LAYOUT,
             comment: ''
         };
         
         // Use provided fileUtils or create new instance
         this.fileUtils = fileUtils || new FileUtils();
+        // Optional WorkerClient; key generation runs there when it is available
+        this.worker = worker;
+        // Key validity derived from certifications and owner trust across the keyring
+        this.trust = new WebOfTrust(this);
     }
 
-    // Generate new key pair
-    async generateKeyPair(userInfo, advancedConfig = null) {
+    // Generate new key pair. onStatus({ stage, elapsed }) reports progress while the worker is busy.
+    async generateKeyPair(userInfo, advancedConfig = null, { onStatus = null } = {}) {
         try {
             const config = advancedConfig || this.advancedConfig;
             
-            // Build key generation options
-            const keyOptions = {
-                type: config.algorithm === 'ecc' ? 'ecc' : 'rsa',
-                userIDs: [{ 
-                    name: userInfo.name, 
-                    email: userInfo.email, 
-                    comment: config.comment 
-                }],
-                passphrase: userInfo.passphrase,
-                format: 'armored'
-            };
+            const generated = this.worker && await this.worker.isAvailable()
+                ? await this.worker.run('generateKey', { userInfo, config }, { onStatus })
+                : await this.createArmoredKey(userInfo, config);
             
-            // Set algorithm-specific options
-            if (config.algorithm === 'ecc') {
-                keyOptions.curve = CONSTANTS.DEFAULT_CURVE;
-            } else {
-                keyOptions.rsaBits = config.keySize || CONSTANTS.DEFAULT_RSA_BITS;
-            }
+            const keyPair = await this.createKeyPairFromArmored(generated.privateKey);
+            // Signed by the primary key only, so it stays valid through later self-signature edits
+            keyPair.revocationCertificate = generated.revocationCertificate;
             
-            // Set expiration
-            if (config.expiration > 0) {
-                keyOptions.keyExpirationTime = config.expiration;
+            return this.addToKeyring(keyPair, true);
+        } catch (error) {
+            // A cancelled generation is not a failure; keep the error code for the UI
+            if (error.code === 'CANCELLED') {
+                throw error;
             }
+            console.error('Key generation failed:', error);
+            throw new Error(`Key generation failed: ${error.message}`);
+        }
+    }
+
+    // Generate and passphrase-protect a key; returns the armored private key and revocation certificate.
+    // Runs on the main thread or inside the worker.
+    async createArmoredKey(userInfo, config) {
+        const layout = this.getKeyLayout(config);
+        
+        const algorithm = CONSTANTS.KEY_ALGORITHMS[config.algorithm];
+        if (!algorithm) {
+            throw new Error(`Unsupported key algorithm: ${config.algorithm}`);
+        }
+        
+        // Build key generation options; the passphrase is applied after the layout is in place
+        const keyOptions = {
+            ...algorithm.options,
+            userIDs: [{ 
+                name: userInfo.name, 
+                email: userInfo.email, 
+                comment: config.comment 
+            }],
+            subkeys: layout.subkeys,
+            // Advertise SEIPDv2 (AEAD) so messages to this key decrypt as a stream of authenticated chunks
+            config: { ...algorithm.options.config, aeadProtect: true },
+            format: 'object'
+        };
+        
+        // An explicit key size overrides the preset RSA size
+        if (keyOptions.type === 'rsa' && config.keySize) {
+            keyOptions.rsaBits = config.keySize;
+        }
+        
+        // Set expiration
+        if (config.expiration > 0) {
+            keyOptions.keyExpirationTime = config.expiration;
+        }
+        
+        console.log('Generating key with options:', keyOptions);
+        
+        // Generate the key pair
+        const { privateKey: generatedKey, revocationCertificate } = await openpgp.generateKey(keyOptions);
+        
+        // OpenPGP.js always marks the primary key certify+sign; re-issue the self-signatures if the layout differs
+        if (layout.primaryFlags !== (openpgp.enums.keyFlags.certifyKeys | openpgp.enums.keyFlags.signData)) {
+            await this.updateSelfCertifications(generatedKey, { keyFlags: [layout.primaryFlags] });
+        }
+        
+        const privateKeyObj = await openpgp.encryptKey({ privateKey: generatedKey, passphrase: userInfo.passphrase });
+        
+        return { privateKey: privateKeyObj.armor(), revocationCertificate };
+    }
+
+    // Work out primary key flags and subkeys from the requested usage and layout.
+    // 'combined': primary certifies and signs, encryption on a subkey (the OpenPGP.js/GnuPG default).
+    // 'separate': certify-only primary key with dedicated signing and encryption subkeys.
+    getKeyLayout(config) {
+        const { certifyKeys, signData } = openpgp.enums.keyFlags;
+        const usage = config.usage || { sign: true, encrypt: true, certify: true };
+        
+        if (!usage.sign && !usage.encrypt && !usage.certify) {
+            throw new Error('Select at least one key usage');
+        }
+        
+        const separate = config.layout === 'separate';
+        if (separate && !usage.certify) {
+            throw new Error('A certify-only primary key needs the Certify usage');
+        }
+        
+        let primaryFlags = usage.certify ? certifyKeys : 0;
+        if (usage.sign && !separate) {
+            primaryFlags |= signData;
+        }
+        // The primary key always issues its own self-signatures
+        if (primaryFlags === 0) {
+            primaryFlags = certifyKeys;
+        }
+        
+        const subkeys = [];
+        if (usage.sign && separate) {
+            subkeys.push({ sign: true });
+        }
+        if (usage.encrypt) {
+            subkeys.push({ sign: false });
+        }
+        
+        return { primaryFlags, subkeys };
+    }
+
+    // Re-issue every user ID self-signature of a decrypted private key with changed properties.
+    // `changes` may be a function of the user when user IDs need different values (e.g. the primary flag).
+    // On v6 keys, key-wide changes go into a new direct-key signature instead.
+    async updateSelfCertifications(privateKeyObj, changes = {}, date = new Date()) {
+        const primaryKey = privateKeyObj.keyPacket;
+        
+        if (primaryKey.version === 6 && typeof changes !== 'function') {
+            const keyChanges = {};
+            const userChanges = {};
+            Object.entries(changes).forEach(([field, value]) => {
+                (DIRECT_KEY_FIELDS.includes(field) ? keyChanges : userChanges)[field] = value;
+            });
             
-            console.log('Generating key with options:', keyOptions);
+            if (Object.keys(keyChanges).length > 0) {
+                await this.updateDirectSignature(privateKeyObj, keyChanges, date);
+            }
+            if (Object.keys(userChanges).length === 0) {
+                return privateKeyObj;
+            }
+            changes = userChanges;
+        }
+        
+        for (const user of privateKeyObj.users) {
+            if (!user.userID) continue;
+            // Re-certifying a revoked user ID would bring it back
+            if (await this.isUserRevoked(user)) continue;
             
-            // Generate the key pair
-            const { privateKey, publicKey } = await openpgp.generateKey(keyOptions);
+            const { selfCertification } = await privateKeyObj.getPrimaryUser(date, user.userID).catch(() => ({}));
+            const previous = selfCertification || user.selfCertifications[user.selfCertifications.length - 1];
             
-            // Parse keys for metadata
-            const privateKeyObj = await openpgp.readPrivateKey({ armoredKey: privateKey });
-            const publicKeyObj = await openpgp.readKey({ armoredKey: publicKey });
+            const signature = new openpgp.SignaturePacket();
+            SELF_CERTIFICATION_FIELDS.forEach(field => {
+                signature[field] = previous[field];
+            });
+            Object.assign(signature, typeof changes === 'function' ? changes(user) : changes);
             
-            const keyPair = {
-                privateKey,
-                publicKey,
-                privateKeyObj,
-                publicKeyObj,
-                metadata: {
-                    keyId: publicKeyObj.getKeyIDs()[0].toHex().toUpperCase(),
-                    fingerprint: publicKeyObj.getFingerprint(),
-                    algorithm: config.algorithm.toUpperCase(),
-                    created: publicKeyObj.getCreationTime(),
-                    userIds: publicKeyObj.getUserIDs()
-                }
-            };
+            await signature.sign(primaryKey, { userID: user.userID, key: primaryKey }, date, false, openpgp.config);
             
-            this.currentKeyPair = keyPair;
-            return keyPair;
-        } catch (error) {
-            console.error('Key generation failed:', error);
-            throw new Error(`Key generation failed: ${error.message}`);
+            // Signatures have one-second resolution; drop any made in the same second so the new one wins
+            user.selfCertifications = user.selfCertifications.filter(existing => existing.created < signature.created);
+            user.selfCertifications.push(signature);
         }
+        
+        return privateKeyObj;
+    }
+
+    // Re-issue the direct-key signature of a decrypted v6 private key with changed key-wide properties
+    async updateDirectSignature(privateKeyObj, changes = {}, date = new Date()) {
+        const primaryKey = privateKeyObj.keyPacket;
+        
+        const previous = await privateKeyObj.getPrimarySelfSignature(date).catch(() => null) ||
+            privateKeyObj.directSignatures[privateKeyObj.directSignatures.length - 1];
+        if (!previous) {
+            throw new Error('The key has no direct-key signature to update');
+        }
+        
+        const signature = new openpgp.SignaturePacket();
+        signature.signatureType = openpgp.enums.signature.key;
+        signature.hashAlgorithm = previous.hashAlgorithm;
+        signature.publicKeyAlgorithm = previous.publicKeyAlgorithm;
+        DIRECT_KEY_FIELDS.forEach(field => {
+            signature[field] = previous[field];
+        });
+        Object.assign(signature, changes);
+        
+        await signature.sign(primaryKey, { key: primaryKey }, date, false, openpgp.config);
+        
+        // Drop any made in the same second so the new one wins
+        privateKeyObj.directSignatures = privateKeyObj.directSignatures.filter(existing => existing.created < signature.created);
+        privateKeyObj.directSignatures.push(signature);
+        
+        return privateKeyObj;
     }
 
     // Main saveKeyPair method - supports both JSON and individual file formats
@@ -122,6 +279,7 @@ export class KeyManager {
                 const keyPair = {
                     publicKey: keyData.keyData.keys.publicKey,
                     privateKey: keyData.keyData.keys.privateKey,
+                    revocationCertificate: keyData.keyData.keys.revocationCertificate || null,
                     metadata: keyData.keyData.metadata
                 };
                 
@@ -132,10 +290,13 @@ export class KeyManager {
                 if (keyPair.publicKey) {
                     keyPair.publicKeyObj = await openpgp.readKey({ armoredKey: keyPair.publicKey });
                 }
+                keyPair.metadata = {
+                    ...keyPair.metadata,
+                    ...await this.buildKeyMetadata(keyPair.publicKeyObj, !!keyPair.privateKey)
+                };
                 
                 console.log('Key pair loaded from JSON:', keyPair);
-                this.currentKeyPair = keyPair;
-                return keyPair;
+                return this.addToKeyring(keyPair, !!keyPair.privateKey);
             } else {
                 // For armored keys, use the existing logic
                 return await this.loadKeyFromFile(file);
@@ -174,7 +335,7 @@ export class KeyManager {
             }
             
             return await this.fileUtils.saveKeyToFile(
-                targetKeyPair.publicKey, 
+                this.getExportablePublicKey(targetKeyPair), 
                 'public', 
                 filename
             );
@@ -189,49 +350,13 @@ export class KeyManager {
         try {
             const keyData = await this.fileUtils.loadKeyFromFile(file);
             
-            // Try to parse as private key first, then public key
-            let keyPair = null;
-            
-            if (keyData.content.includes('PRIVATE KEY BLOCK')) {
-                const privateKeyObj = await openpgp.readPrivateKey({ armoredKey: keyData.content });
-                const publicKey = privateKeyObj.toPublic().armor();
-                const publicKeyObj = await openpgp.readKey({ armoredKey: publicKey });
-                
-                keyPair = {
-                    privateKey: keyData.content,
-                    publicKey: publicKey,
-                    privateKeyObj,
-                    publicKeyObj,
-                    metadata: {
-                        keyId: publicKeyObj.getKeyIDs()[0].toHex().toUpperCase(),
-                        fingerprint: publicKeyObj.getFingerprint(),
-                        algorithm: this.getKeyAlgorithm(publicKeyObj),
-                        created: publicKeyObj.getCreationTime(),
-                        userIds: publicKeyObj.getUserIDs()
-                    }
-                };
-            } else if (keyData.content.includes('PUBLIC KEY BLOCK')) {
-                const publicKeyObj = await openpgp.readKey({ armoredKey: keyData.content });
-                
-                keyPair = {
-                    privateKey: null,
-                    publicKey: keyData.content,
-                    privateKeyObj: null,
-                    publicKeyObj,
-                    metadata: {
-                        keyId: publicKeyObj.getKeyIDs()[0].toHex().toUpperCase(),
-                        fingerprint: publicKeyObj.getFingerprint(),
-                        algorithm: this.getKeyAlgorithm(publicKeyObj),
-                        created: publicKeyObj.getCreationTime(),
-                        userIds: publicKeyObj.getUserIDs()
-                    }
-                };
-            } else {
-                throw new Error('File does not contain a valid PGP key');
+            if (await this.isRevocationCertificate(keyData.content)) {
+                return await this.applyRevocationCertificate(keyData.content);
             }
             
-            this.currentKeyPair = keyPair;
-            return keyPair;
+            const keyPair = await this.mergeWithKeyring(await this.createKeyPairFromArmored(keyData.content));
+            
+            return this.addToKeyring(keyPair, !!keyPair.privateKey);
         } catch (error) {
             console.error('Failed to load key from file:', error);
             throw new Error(`Key load failed: ${error.message}`);
@@ -263,25 +388,805 @@ export class KeyManager {
         }
     }
 
-    // Helper method to determine key algorithm
+    // Describe a key or subkey algorithm with its size or curve and key version, e.g. "ECDSA NIST P-256 (v4)"
     getKeyAlgorithm(keyObj) {
         try {
-            const primaryKey = keyObj.getPrimaryKey();
-            const algorithm = primaryKey.getAlgorithmInfo();
+            const { algorithm, bits, curve } = keyObj.getAlgorithmInfo();
+            const detail = curve ? ` ${Formatting.formatCurve(curve)}` : bits ? ` ${bits}` : '';
             
-            if (algorithm.algorithm === 'rsaEncryptSign' || algorithm.algorithm === 'rsa') {
-                return `RSA${algorithm.bits || ''}`;
-            } else if (algorithm.curve) {
-                return 'ECC';
-            } else {
-                return 'UNKNOWN';
-            }
+            return `${Formatting.formatAlgorithm(algorithm)}${detail} (v${keyObj.keyPacket.version})`;
         } catch (error) {
             console.warn('Could not determine key algorithm:', error);
             return 'UNKNOWN';
         }
     }
 
+    // ==================== KEYRING ====================
+
+    // Build a key pair entry from an armored public or private key
+    async createKeyPairFromArmored(armoredKey) {
+        if (armoredKey.includes('PRIVATE KEY BLOCK')) {
+            const privateKeyObj = await openpgp.readPrivateKey({ armoredKey });
+            const publicKey = privateKeyObj.toPublic().armor();
+            const publicKeyObj = await openpgp.readKey({ armoredKey: publicKey });
+            
+            return {
+                privateKey: armoredKey,
+                publicKey,
+                privateKeyObj,
+                publicKeyObj,
+                metadata: await this.buildKeyMetadata(publicKeyObj, true)
+            };
+        } else if (armoredKey.includes('PUBLIC KEY BLOCK')) {
+            const publicKeyObj = await openpgp.readKey({ armoredKey });
+            
+            return {
+                privateKey: null,
+                publicKey: armoredKey,
+                privateKeyObj: null,
+                publicKeyObj,
+                metadata: await this.buildKeyMetadata(publicKeyObj, false)
+            };
+        }
+        
+        throw new Error('File does not contain a valid PGP key');
+    }
+
+    // Build keyring metadata (IDs, user IDs, capabilities) from a parsed public key
+    async buildKeyMetadata(publicKeyObj, hasPrivateKey = false) {
+        return {
+            keyId: publicKeyObj.getKeyIDs()[0].toHex().toUpperCase(),
+            fingerprint: publicKeyObj.getFingerprint().toUpperCase(),
+            algorithm: this.getKeyAlgorithm(publicKeyObj),
+            created: publicKeyObj.getCreationTime(),
+            ...await this.getUserIdStatus(publicKeyObj),
+            expires: await this.getKeyExpiration(publicKeyObj),
+            subkeyIds: publicKeyObj.getKeyIDs().slice(1).map(keyId => keyId.toHex().toUpperCase()),
+            primaryFlags: await this.getPrimaryKeyFlags(publicKeyObj),
+            subkeys: await Promise.all(publicKeyObj.subkeys.map(subkey => this.describeSubkey(subkey))),
+            capabilities: await this.getKeyCapabilities(publicKeyObj),
+            ...await this.getRevocationStatus(publicKeyObj),
+            hasPrivateKey
+        };
+    }
+
+    // Valid user IDs with the primary one first, and the revoked ones separately
+    async getUserIdStatus(keyObj) {
+        const primaryUserId = await keyObj.getPrimaryUser()
+            .then(({ user }) => user.userID.userID)
+            .catch(() => null);
+        
+        const userIds = [];
+        const revokedUserIds = [];
+        for (const user of keyObj.users) {
+            if (!user.userID) continue;
+            if (await this.isUserRevoked(user)) {
+                revokedUserIds.push(user.userID.userID);
+            } else if (user.userID.userID === primaryUserId) {
+                userIds.unshift(user.userID.userID);
+            } else {
+                userIds.push(user.userID.userID);
+            }
+        }
+        
+        return { userIds, revokedUserIds, primaryUserId };
+    }
+
+    async isUserRevoked(user) {
+        if (user.revocationSignatures.length === 0) return false;
+        return user.verify().then(() => false, error => /revoked/i.test(error.message));
+    }
+
+    // Primary key expiration date, or null when it never expires
+    async getKeyExpiration(keyObj) {
+        try {
+            const expirationTime = await keyObj.getExpirationTime();
+            return expirationTime === Infinity ? null : expirationTime;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Key flags from the primary self-signature: the primary user's certification, or the direct-key signature of v6 keys
+    async getPrimaryKeyFlags(keyObj) {
+        try {
+            const selfSignature = await keyObj.getPrimarySelfSignature();
+            return selfSignature.keyFlags ? selfSignature.keyFlags[0] : 0;
+        } catch (error) {
+            console.warn('Could not read primary key flags:', error);
+            return 0;
+        }
+    }
+
+    // Describe one subkey: ID, algorithm, flags, expiry and validity
+    async describeSubkey(subkey) {
+        const binding = subkey.bindingSignatures[subkey.bindingSignatures.length - 1];
+        
+        let status = 'valid';
+        try {
+            await subkey.verify();
+        } catch (error) {
+            status = subkey.revocationSignatures.length > 0 ? 'revoked' : /expired/i.test(error.message) ? 'expired' : 'invalid';
+        }
+        
+        let expires = null;
+        try {
+            const expirationTime = await subkey.getExpirationTime();
+            expires = expirationTime === Infinity ? null : expirationTime;
+        } catch (error) {
+            // Unverifiable binding, no usable expiration
+        }
+        
+        return {
+            keyId: subkey.getKeyID().toHex().toUpperCase(),
+            fingerprint: subkey.getFingerprint().toUpperCase(),
+            algorithm: this.getKeyAlgorithm(subkey),
+            created: subkey.getCreationTime(),
+            expires,
+            flags: binding?.keyFlags ? binding.keyFlags[0] : 0,
+            status
+        };
+    }
+
+    // Determine what a key can currently be used for
+    async getKeyCapabilities(keyObj) {
+        const capabilities = { sign: false, encrypt: false, certify: false };
+        
+        const keyFlags = await this.getPrimaryKeyFlags(keyObj);
+        const revoked = await keyObj.isRevoked().catch(() => false);
+        capabilities.certify = !revoked && (keyFlags & openpgp.enums.keyFlags.certifyKeys) !== 0;
+        
+        try {
+            await keyObj.getSigningKey();
+            capabilities.sign = true;
+        } catch (error) {
+            // No valid signing key
+        }
+        
+        try {
+            await keyObj.getEncryptionKey();
+            capabilities.encrypt = true;
+        } catch (error) {
+            // No valid encryption key
+        }
+        
+        return capabilities;
+    }
+
+    // Add a key pair to the keyring, merging with an existing entry for the same key
+    addToKeyring(keyPair, makeActive = false) {
+        const fingerprint = keyPair.metadata.fingerprint;
+        const existing = this.keyring.get(fingerprint);
+        
+        // A stale public copy must not undo a revocation we already know about
+        if (existing && existing.metadata.revoked && !keyPair.metadata.revoked && !keyPair.privateKey) {
+            return existing;
+        }
+        
+        // Never drop a secret key because its public half was imported again
+        if (existing && existing.privateKey && !keyPair.privateKey) {
+            keyPair = {
+                ...keyPair,
+                privateKey: existing.privateKey,
+                privateKeyObj: existing.privateKeyObj,
+                metadata: { ...keyPair.metadata, hasPrivateKey: true }
+            };
+        }
+        
+        // Edits and re-imports do not carry the revocation certificate; keep the stored one
+        if (existing && existing.revocationCertificate && !keyPair.revocationCertificate) {
+            keyPair = { ...keyPair, revocationCertificate: existing.revocationCertificate };
+        }
+        
+        // Owner trust is a local setting, never part of the key itself
+        if (existing && existing.ownerTrust && !keyPair.ownerTrust) {
+            keyPair = { ...keyPair, ownerTrust: existing.ownerTrust };
+        }
+        
+        this.keyring.set(fingerprint, keyPair);
+        this.trust.invalidate();
+        
+        const isActive = this.currentKeyPair && this.currentKeyPair.metadata.fingerprint === fingerprint;
+        if (makeActive || isActive) {
+            this.currentKeyPair = keyPair;
+        }
+        
+        return keyPair;
+    }
+
+    // Import an armored public or private key into the keyring
+    async importArmoredKey(armoredKey) {
+        try {
+            if (await this.isRevocationCertificate(armoredKey)) {
+                return await this.applyRevocationCertificate(armoredKey);
+            }
+            
+            const keyPair = await this.mergeWithKeyring(await this.createKeyPairFromArmored(armoredKey.trim()));
+            return this.addToKeyring(keyPair, !!keyPair.privateKey && !this.currentKeyPair);
+        } catch (error) {
+            console.error('Failed to import key:', error);
+            throw new Error(`Key import failed: ${error.message}`);
+        }
+    }
+
+    // Merge a newly imported public copy into the one already held, so certifications made here survive a refresh
+    async mergeWithKeyring(keyPair) {
+        const existing = this.getKey(keyPair.metadata.fingerprint);
+        if (!existing || keyPair.privateKey) {
+            return keyPair;
+        }
+        
+        const publicKeyObj = await existing.publicKeyObj.update(keyPair.publicKeyObj);
+        return {
+            ...keyPair,
+            publicKey: publicKeyObj.armor(),
+            publicKeyObj,
+            metadata: await this.buildKeyMetadata(publicKeyObj, false)
+        };
+    }
+
+    // List keyring entries, optionally only secret keys or keys with a capability
+    listKeys({ secretOnly = false, capability = null } = {}) {
+        return Array.from(this.keyring.values()).filter(keyPair => {
+            if (secretOnly && !keyPair.privateKey) return false;
+            if (capability && !keyPair.metadata.capabilities?.[capability]) return false;
+            return true;
+        });
+    }
+
+    // Get a keyring entry by fingerprint
+    getKey(fingerprint) {
+        if (!fingerprint) return null;
+        return this.keyring.get(fingerprint.replace(/\s/g, '').toUpperCase()) || null;
+    }
+
+    // Find a keyring entry by primary or subkey ID
+    findKeyById(keyId) {
+        const normalized = keyId.replace(/^0x/i, '').toUpperCase();
+        return this.listKeys().find(keyPair =>
+            keyPair.metadata.keyId === normalized ||
+            (keyPair.metadata.subkeyIds || []).includes(normalized)
+        ) || null;
+    }
+
+    // Make a secret key from the keyring the active key
+    selectActiveKey(fingerprint) {
+        const keyPair = this.getKey(fingerprint);
+        if (!keyPair) {
+            throw new Error('Key not found in keyring');
+        }
+        if (!keyPair.privateKey) {
+            throw new Error('Only keys with a secret part can be made active');
+        }
+        
+        this.currentKeyPair = keyPair;
+        return keyPair;
+    }
+
+    // Remove a key from the keyring
+    removeKey(fingerprint) {
+        const keyPair = this.getKey(fingerprint);
+        if (!keyPair) {
+            return false;
+        }
+        
+        this.keyring.delete(keyPair.metadata.fingerprint);
+        this.trust.invalidate();
+        
+        if (this.currentKeyPair === keyPair) {
+            this.currentKeyPair = this.listKeys({ secretOnly: true })[0] || null;
+        }
+        
+        return true;
+    }
+
+    // Search the keyring by email, name, key ID or fingerprint
+    searchKeys(query) {
+        const term = (query || '').trim().replace(/^0x/i, '').toLowerCase();
+        if (!term) {
+            return this.listKeys();
+        }
+        
+        const compactTerm = term.replace(/\s/g, '');
+        
+        return this.listKeys().filter(keyPair => {
+            const { keyId, fingerprint, subkeyIds = [], userIds = [] } = keyPair.metadata;
+            
+            return userIds.some(userId => userId.toLowerCase().includes(term)) ||
+                fingerprint.toLowerCase().includes(compactTerm) ||
+                [keyId, ...subkeyIds].some(id => id.toLowerCase().endsWith(compactTerm));
+        });
+    }
+
+    // Serialise the keyring for persistent storage
+    exportKeyring() {
+        return {
+            activeFingerprint: this.currentKeyPair?.metadata.fingerprint || null,
+            keys: this.listKeys().map(keyPair => ({
+                publicKey: keyPair.publicKey,
+                privateKey: keyPair.privateKey,
+                revocationCertificate: keyPair.revocationCertificate || null,
+                ownerTrust: keyPair.ownerTrust || null
+            }))
+        };
+    }
+
+    // Restore a keyring produced by exportKeyring, merging with keys already loaded
+    async importKeyring(data) {
+        if (!data || !Array.isArray(data.keys)) return;
+        
+        for (const entry of data.keys) {
+            try {
+                const keyPair = await this.createKeyPairFromArmored(entry.privateKey || entry.publicKey);
+                keyPair.revocationCertificate = entry.revocationCertificate || null;
+                keyPair.ownerTrust = entry.ownerTrust || null;
+                this.addToKeyring(keyPair);
+            } catch (error) {
+                console.warn('Skipping unreadable keyring entry:', error);
+            }
+        }
+        
+        const active = this.getKey(data.activeFingerprint);
+        if (!this.currentKeyPair && active && active.privateKey) {
+            this.currentKeyPair = active;
+        }
+    }
+
+    // Remove every key from memory
+    clearKeyring() {
+        this.keyring.clear();
+        this.currentKeyPair = null;
+        this.trust.invalidate();
+    }
+
+    // ==================== SUBKEYS ====================
+
+    // Decrypt a secret key, apply an edit, re-encrypt it (under the same passphrase unless a new one is given)
+    // and store the result. An empty new passphrase leaves the key unprotected.
+    async editPrivateKey(keyPair, passphrase, edit, { newPassphrase } = {}) {
+        if (!keyPair || !keyPair.privateKeyObj) {
+            throw new Error(CONSTANTS.ERRORS.NO_KEYS);
+        }
+        
+        const wasProtected = !keyPair.privateKeyObj.isDecrypted();
+        const unlocked = wasProtected
+            ? await openpgp.decryptKey({ privateKey: keyPair.privateKeyObj, passphrase })
+            : keyPair.privateKeyObj.clone(true);
+        
+        const edited = (await edit(unlocked)) || unlocked;
+        
+        const targetPassphrase = newPassphrase !== undefined ? newPassphrase : wasProtected ? passphrase : '';
+        const privateKeyObj = targetPassphrase
+            ? await openpgp.encryptKey({ privateKey: edited, passphrase: targetPassphrase })
+            : edited;
+        const privateKey = privateKeyObj.armor();
+        const publicKey = privateKeyObj.toPublic().armor();
+        const publicKeyObj = await openpgp.readKey({ armoredKey: publicKey });
+        
+        return this.addToKeyring({
+            privateKey,
+            publicKey,
+            privateKeyObj,
+            publicKeyObj,
+            metadata: await this.buildKeyMetadata(publicKeyObj, true)
+        });
+    }
+
+    // Add a signing or encryption subkey using the primary key's algorithm
+    async addSubkey(keyPair, passphrase, { usage = 'encrypt', expiration = 0 } = {}) {
+        try {
+            return await this.editPrivateKey(keyPair, passphrase, key => key.addSubkey({
+                sign: usage === 'sign',
+                keyExpirationTime: expiration > 0 ? expiration : 0
+            }));
+        } catch (error) {
+            console.error('Adding subkey failed:', error);
+            throw new Error(`Adding subkey failed: ${error.message}`);
+        }
+    }
+
+    // Set a subkey to expire a number of seconds from now (0 = never) by re-issuing its binding signature
+    async setSubkeyExpiration(keyPair, passphrase, subkeyId, expiration) {
+        try {
+            return await this.editPrivateKey(keyPair, passphrase, async key => {
+                const subkey = this.findSubkey(key, subkeyId);
+                const previous = subkey.bindingSignatures[subkey.bindingSignatures.length - 1];
+                const now = new Date();
+                
+                const signature = new openpgp.SignaturePacket();
+                signature.signatureType = openpgp.enums.signature.subkeyBinding;
+                signature.publicKeyAlgorithm = key.keyPacket.algorithm;
+                signature.hashAlgorithm = previous.hashAlgorithm;
+                signature.keyFlags = previous.keyFlags;
+                // The primary key binding made by a signing subkey stays valid and is carried over
+                signature.embeddedSignature = previous.embeddedSignature;
+                signature.keyExpirationTime = expiration > 0
+                    ? Math.floor((now.getTime() - subkey.getCreationTime().getTime()) / 1000) + expiration
+                    : null;
+                
+                await signature.sign(key.keyPacket, { key: key.keyPacket, bind: subkey.keyPacket }, now, false, openpgp.config);
+                
+                subkey.bindingSignatures = subkey.bindingSignatures.filter(existing => existing.created < signature.created);
+                subkey.bindingSignatures.push(signature);
+            });
+        } catch (error) {
+            console.error('Setting subkey expiration failed:', error);
+            throw new Error(`Setting subkey expiration failed: ${error.message}`);
+        }
+    }
+
+    // Revoke a subkey, e.g. because it was compromised or superseded
+    async revokeSubkey(keyPair, passphrase, subkeyId, { flag = 'keyCompromised', reason = '' } = {}) {
+        try {
+            return await this.editPrivateKey(keyPair, passphrase, async key => {
+                const subkey = this.findSubkey(key, subkeyId);
+                const index = key.subkeys.indexOf(subkey);
+                key.subkeys[index] = await subkey.revoke(key.keyPacket, { flag, string: reason }, new Date(), openpgp.config);
+            });
+        } catch (error) {
+            console.error('Subkey revocation failed:', error);
+            throw new Error(`Subkey revocation failed: ${error.message}`);
+        }
+    }
+
+    // Add a fresh encryption subkey and retire the current ones as superseded, keeping the primary fingerprint
+    async rotateEncryptionSubkey(keyPair, passphrase, { expiration = CONSTANTS.SECONDS_PER_YEAR } = {}) {
+        try {
+            const { encryptCommunication, encryptStorage } = openpgp.enums.keyFlags;
+            const retiring = (keyPair.metadata.subkeys || [])
+                .filter(subkey => subkey.status === 'valid' && (subkey.flags & (encryptCommunication | encryptStorage)))
+                .map(subkey => subkey.keyId);
+            
+            return await this.editPrivateKey(keyPair, passphrase, async key => {
+                const rotated = await key.addSubkey({ sign: false, keyExpirationTime: expiration });
+                
+                for (const keyId of retiring) {
+                    const subkey = this.findSubkey(rotated, keyId);
+                    const index = rotated.subkeys.indexOf(subkey);
+                    rotated.subkeys[index] = await subkey.revoke(rotated.keyPacket, {
+                        flag: 'keySuperseded',
+                        string: 'Replaced by a new encryption subkey'
+                    }, new Date(), openpgp.config);
+                }
+                
+                return rotated;
+            });
+        } catch (error) {
+            console.error('Subkey rotation failed:', error);
+            throw new Error(`Subkey rotation failed: ${error.message}`);
+        }
+    }
+
+    findSubkey(key, subkeyId) {
+        const normalized = subkeyId.replace(/^0x/i, '').toUpperCase();
+        const subkey = key.subkeys.find(candidate => candidate.getKeyID().toHex().toUpperCase() === normalized);
+        if (!subkey) {
+            throw new Error(`Subkey ${subkeyId} not found`);
+        }
+        return subkey;
+    }
+
+    // ==================== KEY EDITING ====================
+
+    // Change the passphrase protecting a secret key; an empty new passphrase removes protection (test keys only)
+    async changePassphrase(keyPair, currentPassphrase, newPassphrase, { allowUnprotected = false } = {}) {
+        try {
+            if (!newPassphrase && !allowUnprotected) {
+                throw new Error('Removing the passphrase must be confirmed explicitly');
+            }
+            if (newPassphrase && newPassphrase.length < CONSTANTS.MIN_PASSPHRASE_LENGTH) {
+                throw new Error(CONSTANTS.ERRORS.PASSPHRASE_TOO_SHORT);
+            }
+            
+            return await this.editPrivateKey(keyPair, currentPassphrase, () => null, { newPassphrase: newPassphrase || '' });
+        } catch (error) {
+            console.error('Passphrase change failed:', error);
+            throw new Error(`Passphrase change failed: ${error.message}`);
+        }
+    }
+
+    // Add a user ID certified with the same preferences as the current primary user ID
+    async addUserId(keyPair, passphrase, { name = '', email = '', comment = '' }) {
+        try {
+            if (email && !Validation.isValidEmail(email)) {
+                throw new Error(CONSTANTS.ERRORS.INVALID_EMAIL);
+            }
+            if (!name && !email) {
+                throw new Error('A user ID needs a name or an email address');
+            }
+            
+            return await this.editPrivateKey(keyPair, passphrase, async key => {
+                const userIDPacket = openpgp.UserIDPacket.fromObject({ name, email, comment });
+                if (key.getUserIDs().includes(userIDPacket.userID)) {
+                    throw new Error(`${userIDPacket.userID} is already a user ID of this key`);
+                }
+                
+                const { selfCertification: template } = await key.getPrimaryUser();
+                const signature = new openpgp.SignaturePacket();
+                SELF_CERTIFICATION_FIELDS.forEach(field => {
+                    signature[field] = template[field];
+                });
+                signature.isPrimaryUserID = null;
+                await signature.sign(key.keyPacket, { userID: userIDPacket, key: key.keyPacket }, new Date(), false, openpgp.config);
+                
+                // Merge a key holding just the new user ID; update() keeps all existing packets
+                const packets = new openpgp.PacketList();
+                packets.push(key.keyPacket, userIDPacket, signature);
+                return key.update(new openpgp.PrivateKey(packets));
+            });
+        } catch (error) {
+            console.error('Adding user ID failed:', error);
+            throw new Error(`Adding user ID failed: ${error.message}`);
+        }
+    }
+
+    // Revoke a user ID, e.g. an old email address; it stays in the key but is no longer valid
+    async revokeUserId(keyPair, passphrase, userId, { reason = '' } = {}) {
+        try {
+            if (keyPair.metadata.userIds.length === 1 && keyPair.metadata.userIds[0] === userId) {
+                throw new Error('Cannot revoke the only valid user ID; add another one first');
+            }
+            
+            return await this.editPrivateKey(keyPair, passphrase, async key => {
+                const index = this.findUserIndex(key, userId);
+                key.users[index] = await key.users[index].revoke(key.keyPacket, {
+                    flag: openpgp.enums.reasonForRevocation.userIDInvalid,
+                    string: reason
+                }, new Date(), openpgp.config);
+            });
+        } catch (error) {
+            console.error('User ID revocation failed:', error);
+            throw new Error(`User ID revocation failed: ${error.message}`);
+        }
+    }
+
+    // Mark one user ID as primary by re-certifying all user IDs
+    async setPrimaryUserId(keyPair, passphrase, userId) {
+        try {
+            return await this.editPrivateKey(keyPair, passphrase, async key => {
+                const index = this.findUserIndex(key, userId);
+                await this.updateSelfCertifications(key, user => ({
+                    isPrimaryUserID: user === key.users[index] ? true : null
+                }));
+            });
+        } catch (error) {
+            console.error('Setting primary user ID failed:', error);
+            throw new Error(`Setting primary user ID failed: ${error.message}`);
+        }
+    }
+
+    // Set the primary key to expire a number of seconds from now (0 = never)
+    async setKeyExpiration(keyPair, passphrase, expiration) {
+        try {
+            return await this.editPrivateKey(keyPair, passphrase, async key => {
+                const now = new Date();
+                const keyExpirationTime = expiration > 0
+                    ? Math.floor((now.getTime() - key.getCreationTime().getTime()) / 1000) + expiration
+                    : null;
+                await this.updateSelfCertifications(key, { keyExpirationTime }, now);
+            });
+        } catch (error) {
+            console.error('Setting key expiration failed:', error);
+            throw new Error(`Setting key expiration failed: ${error.message}`);
+        }
+    }
+
+    findUserIndex(key, userId) {
+        const index = key.users.findIndex(user => user.userID && user.userID.userID === userId);
+        if (index === -1) {
+            throw new Error(`User ID ${userId} not found`);
+        }
+        return index;
+    }
+
+    // ==================== WEB OF TRUST ====================
+
+    // Owner trust defaults to ultimate for our own secret keys and unknown for everyone else
+    getOwnerTrust(keyPair) {
+        return keyPair.ownerTrust || (keyPair.privateKey ? 'ultimate' : 'unknown');
+    }
+
+    setOwnerTrust(fingerprint, ownerTrust) {
+        const keyPair = this.getKey(fingerprint);
+        if (!keyPair) {
+            throw new Error('Key not found in keyring');
+        }
+        if (!CONSTANTS.TRUST.OWNER_TRUST[ownerTrust]) {
+            throw new Error(`Unknown owner trust: ${ownerTrust}`);
+        }
+        
+        keyPair.ownerTrust = ownerTrust;
+        this.trust.invalidate();
+        return keyPair;
+    }
+
+    // Certify another key's user ID with our primary key. Level 0-3 says how carefully the owner's identity was checked;
+    // local certifications are marked non-exportable and stripped from exported keys.
+    async certifyUserId(keyPair, passphrase, fingerprint, userId, { level = 0, local = false } = {}) {
+        let unlocked = null;
+        try {
+            const target = this.getKey(fingerprint);
+            if (!target) {
+                throw new Error('Key not found in keyring');
+            }
+            if (target.metadata.fingerprint === keyPair.metadata.fingerprint) {
+                throw new Error('A key cannot certify itself');
+            }
+            if (!keyPair.metadata.capabilities?.certify) {
+                throw new Error('The active key cannot certify other keys');
+            }
+            if (target.metadata.revoked) {
+                throw new Error('Revoked keys cannot be certified');
+            }
+            
+            const certificationLevel = CONSTANTS.TRUST.CERT_LEVELS[level];
+            if (!certificationLevel) {
+                throw new Error(`Unknown certification level: ${level}`);
+            }
+            
+            if (!keyPair.privateKeyObj.isDecrypted()) {
+                unlocked = await openpgp.decryptKey({ privateKey: keyPair.privateKeyObj, passphrase });
+            }
+            const signingKey = unlocked || keyPair.privateKeyObj;
+            
+            // Certify the secret key when we hold it, so the certification survives a keyring reload
+            const key = (target.privateKeyObj || target.publicKeyObj).clone();
+            const user = key.users[this.findUserIndex(key, userId)];
+            
+            const signature = new openpgp.SignaturePacket();
+            signature.signatureType = openpgp.enums.signature[certificationLevel.signatureType];
+            signature.publicKeyAlgorithm = signingKey.keyPacket.algorithm;
+            signature.hashAlgorithm = openpgp.config.preferredHashAlgorithm;
+            if (local) {
+                signature.exportable = false;
+            }
+            await signature.sign(signingKey.keyPacket, { userID: user.userID, key: key.keyPacket }, new Date(), false, openpgp.config);
+            
+            // A new certification replaces ours from the same second
+            user.otherCertifications = user.otherCertifications.filter(existing =>
+                !existing.issuerKeyID.equals(signature.issuerKeyID) || existing.created < signature.created
+            );
+            user.otherCertifications.push(signature);
+            
+            return this.addToKeyring(await this.createKeyPairFromArmored(key.armor()));
+        } catch (error) {
+            console.error('Certification failed:', error);
+            throw new Error(`Certification failed: ${error.message}`);
+        } finally {
+            // Wipe the unlocked copy; the stored key stays encrypted
+            if (unlocked) {
+                unlocked.clearPrivateParams();
+            }
+        }
+    }
+
+    // Armored public key without local (non-exportable) certifications, for sharing
+    getExportablePublicKey(keyPair) {
+        const key = keyPair.publicKeyObj.clone();
+        key.users.forEach(user => {
+            user.otherCertifications = user.otherCertifications.filter(certification => certification.exportable !== false);
+        });
+        return key.armor();
+    }
+
+    // ==================== REVOCATION ====================
+
+    // Read whether the primary key is revoked, and why
+    async getRevocationStatus(publicKeyObj) {
+        const revoked = await publicKeyObj.isRevoked().catch(() => false);
+        if (!revoked) {
+            return { revoked: false, revocation: null };
+        }
+        
+        const signature = publicKeyObj.revocationSignatures[publicKeyObj.revocationSignatures.length - 1];
+        let reason = 'noReason';
+        try {
+            reason = openpgp.enums.read(openpgp.enums.reasonForRevocation, signature.reasonForRevocationFlag);
+        } catch (error) {
+            // Unknown reason code, keep the generic reason
+        }
+        
+        return {
+            revoked: true,
+            revocation: {
+                reason,
+                description: signature.reasonForRevocationString || '',
+                date: signature.created
+            }
+        };
+    }
+
+    // Revoke a key with a reason code and store the revoked version; its public key is what to distribute
+    async revokeKey(keyPair, passphrase, { reason = 'superseded', description = '' } = {}) {
+        try {
+            const flag = CONSTANTS.REVOCATION_REASONS[reason];
+            if (!flag) {
+                throw new Error(`Unknown revocation reason: ${reason}`);
+            }
+            
+            return await this.editPrivateKey(keyPair, passphrase, async key => {
+                const { privateKey } = await openpgp.revokeKey({
+                    key,
+                    reasonForRevocation: { flag: openpgp.enums.reasonForRevocation[flag], string: description },
+                    format: 'object'
+                });
+                return privateKey;
+            });
+        } catch (error) {
+            console.error('Key revocation failed:', error);
+            throw new Error(`Key revocation failed: ${error.message}`);
+        }
+    }
+
+    // Check whether armored text is a standalone revocation certificate rather than a key
+    async isRevocationCertificate(armoredText) {
+        if (!armoredText.includes('PUBLIC KEY BLOCK')) return false;
+        
+        try {
+            const { data } = await openpgp.unarmor(armoredText.trim());
+            const signature = await openpgp.readSignature({ binarySignature: data });
+            return signature.packets[0].signatureType === openpgp.enums.signature.keyRevocation;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Apply an imported revocation certificate to the keyring key it belongs to
+    async applyRevocationCertificate(revocationCertificate) {
+        try {
+            const { data } = await openpgp.unarmor(revocationCertificate.trim());
+            const [signature] = (await openpgp.readSignature({ binarySignature: data })).packets;
+            
+            const keyPair = signature.issuerFingerprint
+                ? this.getKey(Array.from(signature.issuerFingerprint, byte => byte.toString(16).padStart(2, '0')).join(''))
+                : this.findKeyById(signature.issuerKeyID.toHex());
+            if (!keyPair) {
+                throw new Error(`No key ${signature.issuerKeyID.toHex().toUpperCase()} in the keyring`);
+            }
+            
+            // revokeKey verifies the certificate against the key before applying it
+            const { publicKey: publicKeyObj } = await openpgp.revokeKey({
+                key: keyPair.publicKeyObj,
+                revocationCertificate,
+                format: 'object'
+            });
+            const privateKeyObj = keyPair.privateKeyObj
+                ? (await openpgp.revokeKey({ key: keyPair.privateKeyObj, revocationCertificate, format: 'object' })).privateKey
+                : null;
+            
+            return this.addToKeyring({
+                ...keyPair,
+                publicKey: publicKeyObj.armor(),
+                publicKeyObj,
+                privateKey: privateKeyObj ? privateKeyObj.armor() : null,
+                privateKeyObj,
+                metadata: await this.buildKeyMetadata(publicKeyObj, !!privateKeyObj)
+            });
+        } catch (error) {
+            console.error('Applying revocation certificate failed:', error);
+            throw new Error(`Applying revocation certificate failed: ${error.message}`);
+        }
+    }
+
+    // Download the stored revocation certificate on its own, to keep somewhere safe
+    async saveRevocationCertificateToFile(keyPair = null, filename = null) {
+        try {
+            const targetKeyPair = keyPair || this.currentKeyPair;
+            if (!targetKeyPair || !targetKeyPair.revocationCertificate) {
+                throw new Error('No revocation certificate stored for this key');
+            }
+            
+            return await this.fileUtils.saveKeyToFile(
+                targetKeyPair.revocationCertificate,
+                'revocation',
+                filename || `pgp-revocation-${targetKeyPair.metadata.keyId}.asc`
+            );
+        } catch (error) {
+            console.error('Failed to save revocation certificate:', error);
+            throw new Error(`Revocation certificate save failed: ${error.message}`);
+        }
+    }
+
     // Get current key pair info
     getCurrentKeyPair() {
         return this.currentKeyPair;
@@ -0,0 +1,281 @@
+import { CONSTANTS } from '../utils/constants.js';
+import { Validation } from '../utils/validation.js';
+
+// modules/keyserver.js - Search, fetch, upload and refresh keys on a VKS (keys.openpgp.org-style) or HKP keyserver.
+// A keyserver is not trusted: results that do not match the query are dropped, and keys still need certifying.
+export class Keyserver {
+    constructor(keyManager, { url = CONSTANTS.KEYSERVER.DEFAULT_URL, protocol = CONSTANTS.KEYSERVER.DEFAULT_PROTOCOL } = {}) {
+        this.keyManager = keyManager;
+        this.setServer({ url, protocol });
+    }
+
+    // ==================== CONFIGURATION ====================
+
+    // Point the client at another keyserver; hkp:// and hkps:// URLs are mapped to HTTP(S)
+    setServer({ url, protocol = this.protocol }) {
+        if (!['vks', 'hkp'].includes(protocol)) {
+            throw new Error(`Unknown keyserver protocol: ${protocol}`);
+        }
+
+        this.url = this.normalizeUrl(url);
+        this.protocol = protocol;
+        return this.getServer();
+    }
+
+    getServer() {
+        return { url: this.url, protocol: this.protocol };
+    }
+
+    normalizeUrl(url) {
+        let value = (url || '').trim();
+        if (!value) {
+            throw new Error('Keyserver URL is required');
+        }
+        if (!/^[a-z]+:\/\//i.test(value)) {
+            value = `https://${value}`;
+        }
+
+        const isHkp = /^hkp:/i.test(value);
+        let parsed;
+        try {
+            parsed = new URL(value.replace(/^hkps:/i, 'https:').replace(/^hkp:/i, 'http:'));
+        } catch (error) {
+            throw new Error(`Invalid keyserver URL: ${url}`);
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw new Error(`Unsupported keyserver URL scheme: ${parsed.protocol}`);
+        }
+        if (isHkp && !parsed.port) {
+            parsed.port = String(CONSTANTS.KEYSERVER.HKP_PORT);
+        }
+
+        return `${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}`;
+    }
+
+    // ==================== LOOKUP ====================
+
+    // Classify a search as an email address, a fingerprint or a long key ID
+    parseQuery(query) {
+        const value = (query || '').trim();
+
+        if (value.includes('@')) {
+            if (!Validation.isValidEmail(value)) {
+                throw new Error(CONSTANTS.ERRORS.INVALID_EMAIL);
+            }
+            return { type: 'email', value: value.toLowerCase() };
+        }
+
+        const hex = value.replace(/^0x/i, '').replace(/\s/g, '').toUpperCase();
+        if (/^([0-9A-F]{40}|[0-9A-F]{64})$/.test(hex)) {
+            return { type: 'fingerprint', value: hex };
+        }
+        if (/^[0-9A-F]{16}$/.test(hex)) {
+            return { type: 'keyId', value: hex };
+        }
+        if (/^[0-9A-F]{8}$/.test(hex)) {
+            throw new Error('Short key IDs are easy to forge; search by fingerprint or 16-digit key ID');
+        }
+
+        throw new Error('Search by email address, fingerprint or 16-digit key ID');
+    }
+
+    // Search the keyserver without importing anything. Returns [{ armoredKey, metadata, inKeyring }].
+    async search(query) {
+        try {
+            const parsed = this.parseQuery(query);
+            const armoredKeys = await this.lookup(parsed);
+            if (!armoredKeys) {
+                return [];
+            }
+
+            const keys = await openpgp.readKeys({ armoredKeys });
+            const results = [];
+            for (const key of keys) {
+                if (!this.matchesQuery(key, parsed)) {
+                    console.warn(`Keyserver returned key ${key.getFingerprint()} that does not match the search`);
+                    continue;
+                }
+
+                const metadata = await this.keyManager.buildKeyMetadata(key, false);
+                results.push({
+                    armoredKey: key.armor(),
+                    metadata,
+                    inKeyring: !!this.keyManager.getKey(metadata.fingerprint)
+                });
+            }
+
+            return results;
+        } catch (error) {
+            console.error('Keyserver search failed:', error);
+            throw new Error(`Keyserver search failed: ${error.message}`);
+        }
+    }
+
+    // Fetch the armored keys for a parsed query, or null when the server has none
+    lookup({ type, value }) {
+        if (this.protocol === 'hkp') {
+            const search = type === 'email' ? value : `0x${value}`;
+            return this.request(`/pks/lookup?op=get&options=mr&search=${encodeURIComponent(search)}`);
+        }
+
+        const paths = {
+            fingerprint: `/vks/v1/by-fingerprint/${value}`,
+            keyId: `/vks/v1/by-keyid/${value}`,
+            email: `/vks/v1/by-email/${encodeURIComponent(value)}`
+        };
+        return this.request(paths[type]);
+    }
+
+    matchesQuery(key, { type, value }) {
+        switch (type) {
+            case 'fingerprint':
+                return key.getFingerprint().toUpperCase() === value;
+            case 'keyId':
+                return key.getKeyIDs().some(keyId => keyId.toHex().toUpperCase() === value);
+            case 'email':
+                return key.users.some(user => user.userID?.email?.toLowerCase() === value);
+            default:
+                return false;
+        }
+    }
+
+    // ==================== UPLOAD ====================
+
+    // Publish the exportable public part of a key. VKS servers publish user IDs only after the address owner
+    // confirms by email, so verification is requested for every unpublished address.
+    // Returns { fingerprint, status: { [email]: 'unpublished' | 'pending' | 'published' | 'revoked' } }.
+    async uploadKey(keyPair) {
+        try {
+            const keytext = this.keyManager.getExportablePublicKey(keyPair);
+
+            if (this.protocol === 'hkp') {
+                await this.request('/pks/add', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                    body: new URLSearchParams({ keytext }).toString()
+                });
+                return { fingerprint: keyPair.metadata.fingerprint, status: {} };
+            }
+
+            const upload = JSON.parse(await this.request('/vks/v1/upload', this.jsonBody({ keytext })));
+            let status = upload.status || {};
+
+            const unpublished = Object.keys(status).filter(email => status[email] === 'unpublished');
+            if (unpublished.length > 0 && upload.token) {
+                const verification = JSON.parse(await this.request('/vks/v1/request-verify', this.jsonBody({
+                    token: upload.token,
+                    addresses: unpublished
+                })));
+                status = { ...status, ...verification.status };
+            }
+
+            return { fingerprint: (upload.key_fpr || keyPair.metadata.fingerprint).toUpperCase(), status };
+        } catch (error) {
+            console.error('Key upload failed:', error);
+            throw new Error(`Key upload failed: ${error.message}`);
+        }
+    }
+
+    // ==================== REFRESH ====================
+
+    // Re-fetch other people's keys by fingerprint and merge them, picking up revocations, new expiration dates and
+    // subkeys. Keys with a secret part are skipped: they are edited here and uploaded from here.
+    // Returns [{ fingerprint, userId, status: 'updated' | 'unchanged' | 'not found' | 'failed', changes, error }].
+    async refreshKeys({ onProgress = null } = {}) {
+        const keyPairs = this.keyManager.listKeys().filter(keyPair => !keyPair.privateKey);
+        const results = [];
+
+        for (const [index, keyPair] of keyPairs.entries()) {
+            const { fingerprint, userIds, keyId } = keyPair.metadata;
+            const result = { fingerprint, userId: userIds[0] || keyId, status: 'unchanged', changes: [], error: null };
+
+            try {
+                const [found] = await this.search(fingerprint);
+                if (!found) {
+                    result.status = 'not found';
+                } else {
+                    const updated = await this.keyManager.importArmoredKey(found.armoredKey);
+                    result.changes = this.describeChanges(keyPair.metadata, updated.metadata);
+                    result.status = result.changes.length > 0 ? 'updated' : 'unchanged';
+                }
+            } catch (error) {
+                console.warn(`Refreshing ${keyId} failed:`, error);
+                result.status = 'failed';
+                result.error = error.message;
+            }
+
+            results.push(result);
+            if (onProgress) onProgress(index + 1, keyPairs.length);
+        }
+
+        return results;
+    }
+
+    // What a refresh changed about a key, as short phrases
+    describeChanges(before, after) {
+        const changes = [];
+        const time = date => (date ? new Date(date).getTime() : null);
+
+        if (!before.revoked && after.revoked) {
+            changes.push('revoked');
+        }
+        if (time(before.expires) !== time(after.expires)) {
+            changes.push('expiration changed');
+        }
+
+        const subkeyStatus = subkeys => subkeys.map(subkey => `${subkey.keyId}:${subkey.status}:${time(subkey.expires)}`).join();
+        if (subkeyStatus(before.subkeys) !== subkeyStatus(after.subkeys)) {
+            changes.push('subkeys changed');
+        }
+        if (before.userIds.join() !== after.userIds.join() || before.revokedUserIds.join() !== after.revokedUserIds.join()) {
+            changes.push('user IDs changed');
+        }
+
+        return changes;
+    }
+
+    // ==================== HTTP ====================
+
+    // Send a request to the keyserver. Resolves to the response text, or null for 404 Not Found.
+    async request(path, options = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), CONSTANTS.KEYSERVER.TIMEOUT);
+
+        try {
+            const response = await fetch(`${this.url}${path}`, { ...options, signal: controller.signal });
+            if (response.status === 404) {
+                return null;
+            }
+
+            const text = await response.text();
+            if (!response.ok) {
+                throw new Error(this.getErrorMessage(text) || `${response.status} ${response.statusText}`);
+            }
+            return text;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`Keyserver did not answer within ${CONSTANTS.KEYSERVER.TIMEOUT / 1000} seconds`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    jsonBody(data) {
+        return {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        };
+    }
+
+    // VKS errors are JSON ({ error }); HKP servers answer with plain text
+    getErrorMessage(text) {
+        try {
+            return JSON.parse(text).error || null;
+        } catch (error) {
+            return text.trim().slice(0, 200) || null;
+        }
+    }
+}
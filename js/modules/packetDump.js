@@ -0,0 +1,575 @@
+// modules/packetDump.js - Low-level OpenPGP packet listing, similar to gpg --list-packets or pgpdump
+export class PacketDump {
+    // Nested compressed data is unpacked up to this depth
+    static MAX_DEPTH = 8;
+
+    // Decode every packet in armored text, bytes or a File
+    async dump(input) {
+        try {
+            const bytes = await this.readBytes(input);
+            return await this.parsePackets(bytes, 0);
+        } catch (error) {
+            console.error('Packet dump failed:', error);
+            throw new Error(`Packet dump failed: ${error.message}`);
+        }
+    }
+
+    async readBytes(input) {
+        if (!input) {
+            throw new Error('Nothing to dump');
+        }
+        if (input instanceof Uint8Array) {
+            return input;
+        }
+
+        let text = input;
+        if (typeof input !== 'string') {
+            const bytes = new Uint8Array(await input.arrayBuffer());
+            const head = new TextDecoder().decode(bytes.subarray(0, 64));
+            if (!head.includes('-----BEGIN PGP')) {
+                return bytes;
+            }
+            text = new TextDecoder().decode(bytes);
+        }
+
+        const start = text.indexOf('-----BEGIN PGP');
+        if (start === -1) {
+            throw new Error('No OpenPGP armor found');
+        }
+        const { data } = await openpgp.unarmor(text.slice(start).trim());
+        return data;
+    }
+
+    // ==================== FRAMING ====================
+
+    // Split bytes into packets, following new/old format headers and partial body lengths
+    async parsePackets(bytes, depth) {
+        const packets = [];
+        let offset = 0;
+
+        while (offset < bytes.length) {
+            const frame = this.readFrame(bytes, offset);
+            const packet = {
+                offset,
+                tag: frame.tag,
+                name: this.readEnum(openpgp.enums.packet, frame.tag),
+                headerFormat: frame.format,
+                headerLength: frame.headerLength,
+                length: frame.body.length,
+                partial: frame.partial,
+                details: {},
+                subpackets: [],
+                children: [],
+                warnings: []
+            };
+
+            try {
+                await this.describePacket(packet, frame.body, depth);
+            } catch (error) {
+                packet.warnings.push(`Could not parse packet body: ${error.message}`);
+            }
+
+            packets.push(packet);
+            offset = frame.end;
+        }
+
+        return packets;
+    }
+
+    readFrame(bytes, offset) {
+        const ctb = bytes[offset];
+        if ((ctb & 0x80) === 0) {
+            throw new Error(`Invalid packet header 0x${ctb.toString(16)} at offset ${offset}`);
+        }
+
+        let pos = offset + 1;
+
+        // Old format: tag in bits 5-2, length type in bits 1-0
+        if ((ctb & 0x40) === 0) {
+            const tag = (ctb >> 2) & 0x0f;
+            const lengthType = ctb & 0x03;
+            let length;
+
+            if (lengthType === 3) {
+                length = bytes.length - pos; // Indeterminate: runs to the end of the input
+            } else {
+                const size = [1, 2, 4][lengthType];
+                length = this.readNumber(bytes, pos, size);
+                pos += size;
+            }
+
+            this.assertAvailable(bytes, pos, length);
+            return { tag, format: 'old', headerLength: pos - offset, partial: false, body: bytes.subarray(pos, pos + length), end: pos + length };
+        }
+
+        // New format: tag in bits 5-0, length may be split into partial chunks
+        const tag = ctb & 0x3f;
+        const chunks = [];
+        let partial = false;
+        let headerLength = null;
+
+        for (;;) {
+            const first = bytes[pos];
+            let length;
+
+            if (first < 192) {
+                length = first;
+                pos += 1;
+            } else if (first < 224) {
+                length = ((first - 192) << 8) + bytes[pos + 1] + 192;
+                pos += 2;
+            } else if (first === 255) {
+                length = this.readNumber(bytes, pos + 1, 4);
+                pos += 5;
+            } else {
+                // Partial body length: more chunks follow
+                length = 1 << (first & 0x1f);
+                pos += 1;
+                headerLength ??= pos - offset;
+                this.assertAvailable(bytes, pos, length);
+                chunks.push(bytes.subarray(pos, pos + length));
+                pos += length;
+                partial = true;
+                continue;
+            }
+
+            headerLength ??= pos - offset;
+            this.assertAvailable(bytes, pos, length);
+            chunks.push(bytes.subarray(pos, pos + length));
+            pos += length;
+            break;
+        }
+
+        return { tag, format: 'new', headerLength, partial, body: this.concat(chunks), end: pos };
+    }
+
+    // ==================== PACKET BODIES ====================
+
+    async describePacket(packet, body, depth) {
+        const { packet: tags } = openpgp.enums;
+
+        switch (packet.tag) {
+            case tags.publicKeyEncryptedSessionKey:
+                return this.describePKESK(packet, body);
+            case tags.signature:
+                return this.describeSignature(packet, body);
+            case tags.symEncryptedSessionKey:
+                return this.describeSKESK(packet, body);
+            case tags.onePassSignature:
+                return this.describeOnePassSignature(packet, body);
+            case tags.secretKey:
+            case tags.secretSubkey:
+            case tags.publicKey:
+            case tags.publicSubkey:
+                return this.describeKey(packet, body);
+            case tags.compressedData:
+                return this.describeCompressed(packet, body, depth);
+            case tags.symmetricallyEncryptedData:
+                packet.warnings.push('Legacy encryption without integrity protection (MDC); modern software refuses this');
+                return;
+            case tags.marker:
+                packet.details.content = new TextDecoder().decode(body);
+                return;
+            case tags.literalData:
+                return this.describeLiteral(packet, body);
+            case tags.userID:
+                packet.details.userId = new TextDecoder().decode(body);
+                return;
+            case tags.userAttribute:
+                packet.details.attributes = this.readSubpacketArea(body).map(sub => (sub.type === 1 ? 'image' : `type ${sub.type}`)).join(', ');
+                return;
+            case tags.symEncryptedIntegrityProtectedData:
+                return this.describeSEIPD(packet, body);
+            case tags.aeadEncryptedData:
+                return this.describeAEAD(packet, body);
+            default:
+                return;
+        }
+    }
+
+    describePKESK(packet, body) {
+        const { publicKey } = openpgp.enums;
+        const version = body[0];
+        packet.details.version = version;
+
+        if (version === 3) {
+            const keyId = this.toHex(body.subarray(1, 9));
+            packet.details.keyId = keyId === '0000000000000000' ? `${keyId} (wildcard)` : keyId;
+            packet.details.algorithm = this.readEnum(publicKey, body[9]);
+        } else if (version === 6) {
+            const length = body[1];
+            packet.details.fingerprint = length === 0 ? 'anonymous (wildcard)' : this.toHex(body.subarray(3, 2 + length));
+            packet.details.algorithm = this.readEnum(publicKey, body[2 + length]);
+        }
+    }
+
+    describeSKESK(packet, body) {
+        const { symmetric, aead } = openpgp.enums;
+        const version = body[0];
+        packet.details.version = version;
+
+        if (version === 4) {
+            const s2k = this.readS2K(body, 2);
+            packet.details.cipher = this.readEnum(symmetric, body[1]);
+            Object.assign(packet.details, s2k.details);
+            packet.details.encryptedSessionKey = body.length > 2 + s2k.length;
+        } else {
+            // v5/v6: count, cipher, AEAD mode, S2K length, S2K
+            packet.details.cipher = this.readEnum(symmetric, body[2]);
+            packet.details.aead = this.readEnum(aead, body[3]);
+            Object.assign(packet.details, this.readS2K(body, 5).details);
+        }
+    }
+
+    readS2K(body, pos) {
+        const { s2k, hash } = openpgp.enums;
+        const type = body[pos];
+        const details = { s2k: this.readEnum(s2k, type) };
+
+        switch (type) {
+            case s2k.simple:
+                details.s2kHash = this.readEnum(hash, body[pos + 1]);
+                return { details, length: 2 };
+            case s2k.salted:
+                details.s2kHash = this.readEnum(hash, body[pos + 1]);
+                return { details, length: 10 };
+            case s2k.iterated: {
+                const count = body[pos + 10];
+                details.s2kHash = this.readEnum(hash, body[pos + 1]);
+                details.s2kCount = (16 + (count & 15)) << ((count >> 4) + 6);
+                return { details, length: 11 };
+            }
+            case s2k.argon2:
+                details.argon2 = `t=${body[pos + 17]}, p=${body[pos + 18]}, m=2^${body[pos + 19]} KiB`;
+                return { details, length: 20 };
+            default:
+                return { details, length: 1 };
+        }
+    }
+
+    describeOnePassSignature(packet, body) {
+        const { signature, hash, publicKey } = openpgp.enums;
+        const version = body[0];
+
+        packet.details.version = version;
+        packet.details.signatureType = this.readEnum(signature, body[1]);
+        packet.details.hashAlgorithm = this.readEnum(hash, body[2]);
+        packet.details.algorithm = this.readEnum(publicKey, body[3]);
+
+        if (version === 3) {
+            packet.details.keyId = this.toHex(body.subarray(4, 12));
+            packet.details.last = body[12] === 1;
+        } else {
+            const saltLength = body[4];
+            packet.details.fingerprint = this.toHex(body.subarray(5 + saltLength, 37 + saltLength));
+            packet.details.last = body[37 + saltLength] === 1;
+        }
+    }
+
+    async describeKey(packet, body) {
+        const isSecret = packet.tag === openpgp.enums.packet.secretKey || packet.tag === openpgp.enums.packet.secretSubkey;
+        const keyPacket = isSecret ? new openpgp.SecretKeyPacket() : new openpgp.PublicKeyPacket();
+        await keyPacket.read(body);
+
+        const { algorithm, bits, curve } = keyPacket.getAlgorithmInfo();
+        Object.assign(packet.details, {
+            version: keyPacket.version,
+            created: keyPacket.created,
+            algorithm,
+            ...(bits ? { bits } : {}),
+            ...(curve ? { curve } : {}),
+            keyId: keyPacket.getKeyID().toHex().toUpperCase(),
+            fingerprint: keyPacket.getFingerprint().toUpperCase()
+        });
+
+        if (isSecret) {
+            if (keyPacket.isDummy()) {
+                packet.details.protection = 'none (secret part stored elsewhere, e.g. a smartcard)';
+            } else if (!keyPacket.isEncrypted) {
+                packet.details.protection = 'unprotected';
+            } else {
+                const protection = [this.readEnum(openpgp.enums.symmetric, keyPacket.symmetric), `${keyPacket.s2k.type} S2K`];
+                if (keyPacket.aead) {
+                    protection.push(this.readEnum(openpgp.enums.aead, keyPacket.aead));
+                }
+                packet.details.protection = protection.join(', ');
+            }
+        }
+    }
+
+    async describeCompressed(packet, body, depth) {
+        const { compression } = openpgp.enums;
+        const algorithm = body[0];
+        packet.details.algorithm = this.readEnum(compression, algorithm);
+
+        if (depth >= PacketDump.MAX_DEPTH) {
+            packet.warnings.push('Too deeply nested; not unpacked');
+            return;
+        }
+
+        let inner;
+        if (algorithm === compression.uncompressed) {
+            inner = body.subarray(1);
+        } else if (algorithm === compression.zip || algorithm === compression.zlib) {
+            const format = algorithm === compression.zip ? 'deflate-raw' : 'deflate';
+            const stream = new Blob([body.subarray(1)]).stream().pipeThrough(new DecompressionStream(format));
+            inner = new Uint8Array(await new Response(stream).arrayBuffer());
+        } else {
+            packet.warnings.push(`${packet.details.algorithm} contents cannot be unpacked in the browser`);
+            return;
+        }
+
+        packet.details.uncompressedLength = inner.length;
+        packet.children = await this.parsePackets(inner, depth + 1);
+    }
+
+    describeLiteral(packet, body) {
+        const { literal } = openpgp.enums;
+        const filenameLength = body[1];
+        const dataStart = 6 + filenameLength;
+
+        packet.details.format = this.readEnum(literal, body[0]);
+        packet.details.filename = new TextDecoder().decode(body.subarray(2, 2 + filenameLength)) || '(none)';
+        packet.details.date = this.readDate(body, 2 + filenameLength);
+        packet.details.dataLength = body.length - dataStart;
+    }
+
+    describeSEIPD(packet, body) {
+        const { symmetric, aead } = openpgp.enums;
+        const version = body[0];
+        packet.details.version = version;
+
+        if (version === 1) {
+            packet.details.integrity = 'MDC (SHA-1)';
+        } else if (version === 2) {
+            packet.details.cipher = this.readEnum(symmetric, body[1]);
+            packet.details.aead = this.readEnum(aead, body[2]);
+            packet.details.chunkSize = 1 << (body[3] + 6);
+        }
+        packet.details.encryptedLength = body.length;
+    }
+
+    describeAEAD(packet, body) {
+        const { symmetric, aead } = openpgp.enums;
+
+        packet.details.version = body[0];
+        packet.details.cipher = this.readEnum(symmetric, body[1]);
+        packet.details.aead = this.readEnum(aead, body[2]);
+        packet.details.chunkSize = 1 << (body[3] + 6);
+    }
+
+    // ==================== SIGNATURES ====================
+
+    describeSignature(packet, body) {
+        const { signature, hash, publicKey } = openpgp.enums;
+        const version = body[0];
+        packet.details.version = version;
+
+        if (version === 3) {
+            packet.details.signatureType = this.readEnum(signature, body[2]);
+            packet.details.created = this.readDate(body, 3);
+            packet.details.keyId = this.toHex(body.subarray(7, 15));
+            packet.details.algorithm = this.readEnum(publicKey, body[15]);
+            packet.details.hashAlgorithm = this.readEnum(hash, body[16]);
+            return;
+        }
+
+        packet.details.signatureType = this.readEnum(signature, body[1]);
+        packet.details.algorithm = this.readEnum(publicKey, body[2]);
+        packet.details.hashAlgorithm = this.readEnum(hash, body[3]);
+
+        // v6 uses four-octet subpacket area lengths
+        const lengthSize = version === 6 ? 4 : 2;
+        let pos = 4;
+
+        const hashedLength = this.readNumber(body, pos, lengthSize);
+        pos += lengthSize;
+        const hashed = this.readSubpacketArea(body.subarray(pos, pos + hashedLength));
+        pos += hashedLength;
+
+        const unhashedLength = this.readNumber(body, pos, lengthSize);
+        pos += lengthSize;
+        const unhashed = this.readSubpacketArea(body.subarray(pos, pos + unhashedLength));
+        pos += unhashedLength;
+
+        packet.details.hashPrefix = this.toHex(body.subarray(pos, pos + 2));
+
+        packet.subpackets = [
+            ...hashed.map(sub => this.describeSubpacket(sub, true)),
+            ...unhashed.map(sub => this.describeSubpacket(sub, false))
+        ];
+    }
+
+    // Split a subpacket area into { type, critical, data }
+    readSubpacketArea(area) {
+        const subpackets = [];
+        let pos = 0;
+
+        while (pos < area.length) {
+            const first = area[pos];
+            let length;
+
+            if (first < 192) {
+                length = first;
+                pos += 1;
+            } else if (first < 255) {
+                length = ((first - 192) << 8) + area[pos + 1] + 192;
+                pos += 2;
+            } else {
+                length = this.readNumber(area, pos + 1, 4);
+                pos += 5;
+            }
+
+            subpackets.push({
+                type: area[pos] & 0x7f,
+                critical: (area[pos] & 0x80) !== 0,
+                data: area.subarray(pos + 1, pos + length)
+            });
+            pos += length;
+        }
+
+        return subpackets;
+    }
+
+    describeSubpacket({ type, critical, data }, hashed) {
+        const { signatureSubpacket: sub, symmetric, hash, compression, aead, keyFlags } = openpgp.enums;
+        let value;
+
+        switch (type) {
+            case sub.signatureCreationTime:
+                value = this.readDate(data, 0).toISOString();
+                break;
+            case sub.signatureExpirationTime:
+            case sub.keyExpirationTime:
+                value = this.formatDuration(this.readNumber(data, 0, 4));
+                break;
+            case sub.exportableCertification:
+            case sub.revocable:
+            case sub.primaryUserID:
+                value = data[0] === 1 ? 'yes' : 'no';
+                break;
+            case sub.trustSignature:
+                value = `level ${data[0]}, amount ${data[1]}`;
+                break;
+            case sub.issuerKeyID:
+                value = this.toHex(data);
+                break;
+            case sub.issuerFingerprint:
+                value = `v${data[0]} ${this.toHex(data.subarray(1))}`;
+                break;
+            case sub.preferredSymmetricAlgorithms:
+                value = Array.from(data, id => this.readEnum(symmetric, id)).join(', ');
+                break;
+            case sub.preferredHashAlgorithms:
+                value = Array.from(data, id => this.readEnum(hash, id)).join(', ');
+                break;
+            case sub.preferredCompressionAlgorithms:
+                value = Array.from(data, id => this.readEnum(compression, id)).join(', ');
+                break;
+            case sub.preferredAEADAlgorithms:
+                value = Array.from(data, id => this.readEnum(aead, id)).join(', ');
+                break;
+            case sub.preferredCipherSuites: {
+                const suites = [];
+                for (let i = 0; i + 1 < data.length; i += 2) {
+                    suites.push(`${this.readEnum(symmetric, data[i])}/${this.readEnum(aead, data[i + 1])}`);
+                }
+                value = suites.join(', ');
+                break;
+            }
+            case sub.keyFlags:
+                value = Object.entries(keyFlags)
+                    .filter(([, flag]) => data[0] & flag)
+                    .map(([name]) => name)
+                    .join(', ') || 'none';
+                break;
+            case sub.features:
+                value = Object.entries(openpgp.enums.features)
+                    .filter(([, flag]) => data[0] & flag)
+                    .map(([name]) => name)
+                    .join(', ') || 'none';
+                break;
+            case sub.signersUserID:
+            case sub.policyURI:
+            case sub.preferredKeyServer:
+            case sub.regularExpression:
+                value = new TextDecoder().decode(data);
+                break;
+            case sub.reasonForRevocation:
+                value = `${this.readEnum(openpgp.enums.reasonForRevocation, data[0])}${data.length > 1 ? `: ${new TextDecoder().decode(data.subarray(1))}` : ''}`;
+                break;
+            case sub.notationData: {
+                const nameLength = this.readNumber(data, 4, 2);
+                const valueLength = this.readNumber(data, 6, 2);
+                const name = new TextDecoder().decode(data.subarray(8, 8 + nameLength));
+                const isText = (data[0] & 0x80) !== 0;
+                const raw = data.subarray(8 + nameLength, 8 + nameLength + valueLength);
+                value = `${name}=${isText ? new TextDecoder().decode(raw) : this.toHex(raw)}`;
+                break;
+            }
+            case sub.embeddedSignature:
+                value = `${data.length} bytes (primary key binding)`;
+                break;
+            default:
+                value = data.length > 0 ? this.toHex(data.subarray(0, 32)) + (data.length > 32 ? '…' : '') : '';
+        }
+
+        return {
+            type,
+            name: this.readEnum(sub, type),
+            critical,
+            hashed,
+            value
+        };
+    }
+
+    // ==================== HELPERS ====================
+
+    readNumber(bytes, pos, size) {
+        let value = 0;
+        for (let i = 0; i < size; i++) {
+            value = value * 256 + bytes[pos + i];
+        }
+        return value;
+    }
+
+    readDate(bytes, pos) {
+        return new Date(this.readNumber(bytes, pos, 4) * 1000);
+    }
+
+    formatDuration(seconds) {
+        if (seconds === 0) return 'never';
+        const days = Math.round(seconds / 86400);
+        return `${seconds}s (${days} day${days !== 1 ? 's' : ''})`;
+    }
+
+    assertAvailable(bytes, pos, length) {
+        if (pos + length > bytes.length) {
+            throw new Error(`Truncated packet: needs ${length} bytes at offset ${pos}, only ${bytes.length - pos} left`);
+        }
+    }
+
+    concat(chunks) {
+        if (chunks.length === 1) return chunks[0];
+
+        const result = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+        let pos = 0;
+        chunks.forEach(chunk => {
+            result.set(chunk, pos);
+            pos += chunk.length;
+        });
+        return result;
+    }
+
+    toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+    }
+
+    readEnum(enumType, value) {
+        try {
+            return openpgp.enums.read(enumType, value);
+        } catch (error) {
+            return `unknown (${value})`;
+        }
+    }
+}
@@ -0,0 +1,347 @@
+import { CONSTANTS } from '../utils/constants.js';
+import { Validation } from '../utils/validation.js';
+import { Mime } from '../utils/mime.js';
+
+// modules/pgpMime.js - RFC 3156 PGP/MIME email: compose multipart/signed and multipart/encrypted messages with
+// attachments as .eml files, and open received .eml files, decrypting and verifying their OpenPGP parts.
+export class PgpMime {
+    constructor(keyManager, cryptoOps, decrypt, contacts = null) {
+        this.keyManager = keyManager;
+        this.cryptoOps = cryptoOps;
+        // Decrypt module: picks the secret key or asks for the message password
+        this.decrypt = decrypt;
+        this.contacts = contacts;
+    }
+
+    // ==================== COMPOSING ====================
+
+    // Build an email with text and File attachments, signed (multipart/signed), encrypted (multipart/encrypted,
+    // signed inside when sign is set) or both. Recipients' keys are found by the To and Cc addresses.
+    // Returns { message, filename, recipients, micalg }.
+    async composeMessage({ from, to = '', cc = '', subject = '', body = '', attachments = [], sign = true, encrypt = true, encryptToSelf = true, passphrase = null }) {
+        try {
+            const sender = this.parseAddressList(from)[0];
+            if (!sender) {
+                throw new Error(CONSTANTS.ERRORS.INVALID_EMAIL);
+            }
+            const toList = this.parseAddressList(to);
+            const ccList = this.parseAddressList(cc);
+            if (toList.length === 0) {
+                throw new Error('Enter at least one recipient address');
+            }
+            if (!sign && !encrypt) {
+                throw new Error('Choose to sign, encrypt or both');
+            }
+
+            const content = await this.createContentEntity(body, attachments);
+            let entity;
+            let recipients = [];
+            let micalg = null;
+
+            if (encrypt) {
+                const recipientKeys = [...toList, ...ccList].map(({ address }) => this.findRecipientKey(address));
+                const encrypted = await this.cryptoOps.encryptForRecipients(content, recipientKeys, {
+                    encryptToSelf, sign, passphrase
+                });
+                entity = this.createEncryptedEntity(encrypted.data);
+                recipients = encrypted.recipients;
+            } else {
+                ({ entity, micalg } = await this.createSignedEntity(content, passphrase));
+            }
+
+            const headers = [
+                ['From', this.formatAddressList([sender])],
+                ['To', this.formatAddressList(toList)],
+                ...(ccList.length > 0 ? [['Cc', this.formatAddressList(ccList)]] : []),
+                ['Subject', Mime.encodeHeaderText(subject)],
+                ['Date', new Date().toUTCString()],
+                ['Message-ID', this.createMessageId(sender.address)],
+                ['MIME-Version', '1.0']
+            ];
+
+            return {
+                message: `${headers.map(([name, value]) => `${name}: ${value}`).join('\r\n')}\r\n${entity}`,
+                filename: `${this.toFilename(subject) || 'message'}.eml`,
+                recipients,
+                micalg
+            };
+        } catch (error) {
+            console.error('PGP/MIME composition failed:', error);
+            throw new Error(`PGP/MIME composition failed: ${error.message}`);
+        }
+    }
+
+    // The body as a single text part, or multipart/mixed when there are attachments
+    async createContentEntity(body, attachments = []) {
+        const text = Mime.createTextPart(body || '');
+        if (attachments.length === 0) {
+            return text;
+        }
+
+        const parts = [text];
+        for (const file of attachments) {
+            parts.push(Mime.createAttachmentPart(new Uint8Array(await file.arrayBuffer()), file.name, file.type));
+        }
+
+        const boundary = Mime.createBoundary();
+        return Mime.createEntity([
+            ['Content-Type', `multipart/mixed; boundary="${boundary}"`]
+        ], Mime.createMultipartBody(parts, boundary));
+    }
+
+    // multipart/signed: the content entity exactly as sent, then a detached signature over it. micalg names the
+    // hash the signature really used, so it is read back from the signature packet.
+    async createSignedEntity(content, passphrase = null) {
+        const signature = await this.cryptoOps.createDetachedSignature(content, { armor: true, passphrase });
+        const micalg = await this.getMicalg(signature.data);
+        const boundary = Mime.createBoundary();
+
+        const signaturePart = Mime.createEntity([
+            ['Content-Type', 'application/pgp-signature; name="signature.asc"'],
+            ['Content-Description', 'OpenPGP digital signature'],
+            ['Content-Disposition', 'attachment; filename="signature.asc"']
+        ], signature.data.replace(/\r?\n/g, '\r\n'));
+
+        const entity = Mime.createEntity([
+            ['Content-Type', `multipart/signed; micalg="${micalg}"; protocol="application/pgp-signature"; boundary="${boundary}"`]
+        ], Mime.createMultipartBody([content, signaturePart], boundary,
+            'This is an OpenPGP/MIME signed message (RFC 4880 and 3156)'));
+
+        return { entity, micalg };
+    }
+
+    // multipart/encrypted: the version part, then the armored OpenPGP message holding the content entity
+    createEncryptedEntity(armoredMessage) {
+        const boundary = Mime.createBoundary();
+        const versionPart = Mime.createEntity([
+            ['Content-Type', 'application/pgp-encrypted'],
+            ['Content-Description', 'PGP/MIME version identification']
+        ], 'Version: 1\r\n');
+        const encryptedPart = Mime.createEntity([
+            ['Content-Type', 'application/octet-stream; name="encrypted.asc"'],
+            ['Content-Description', 'OpenPGP encrypted message'],
+            ['Content-Disposition', 'inline; filename="encrypted.asc"']
+        ], armoredMessage.replace(/\r?\n/g, '\r\n'));
+
+        return Mime.createEntity([
+            ['Content-Type', `multipart/encrypted; protocol="application/pgp-encrypted"; boundary="${boundary}"`]
+        ], Mime.createMultipartBody([versionPart, encryptedPart], boundary,
+            'This is an OpenPGP/MIME encrypted message (RFC 4880 and 3156)'));
+    }
+
+    // "pgp-sha256" and so on, from the hash algorithm of the (first) signature packet
+    async getMicalg(armoredSignature) {
+        const signature = await openpgp.readSignature({ armoredSignature });
+        const hash = openpgp.enums.read(openpgp.enums.hash, signature.packets[0].hashAlgorithm);
+        return `pgp-${hash.toLowerCase()}`;
+    }
+
+    // The key to encrypt to for an address: a contact's key, then a keyring key with that email user ID
+    findRecipientKey(address) {
+        const contact = this.contacts?.findByEmail(address);
+        const contactKey = contact ? this.contacts.getContactKeys(contact.id, { capability: 'encrypt' })[0] : null;
+        if (contactKey) {
+            return contactKey;
+        }
+
+        const keyPair = this.keyManager.listKeys({ capability: 'encrypt' }).find(entry =>
+            !entry.metadata.revoked &&
+            entry.publicKeyObj.users.some(user => user.userID?.email?.toLowerCase() === address)
+        );
+        if (!keyPair) {
+            throw new Error(`No public key for ${address}. Import the recipient's key or link it to a contact.`);
+        }
+        return keyPair;
+    }
+
+    // "Name <a@b>, c@d" into [{ name, address }]; commas inside quoted display names are kept
+    parseAddressList(value) {
+        return ((value || '').match(/(?:"[^"]*"|[^,])+/g) || [])
+            .map(part => {
+                const match = part.match(/^\s*(.*?)\s*<([^>]+)>\s*$/);
+                const name = match ? match[1].replace(/^"|"$/g, '').trim() : '';
+                const address = (match ? match[2] : part).trim().toLowerCase();
+                return { name, address };
+            })
+            .filter(({ address }) => address)
+            .map(entry => {
+                if (!Validation.isValidEmail(entry.address)) {
+                    throw new Error(`Invalid email address: ${entry.address}`);
+                }
+                return entry;
+            });
+    }
+
+    formatAddressList(addresses) {
+        return addresses.map(({ name, address }) => {
+            if (!name) return address;
+            const displayName = /^[\x20-\x7e]*$/.test(name) ? `"${name.replace(/["\\]/g, '\\$&')}"` : Mime.encodeHeaderText(name);
+            return `${displayName} <${address}>`;
+        }).join(', ');
+    }
+
+    createMessageId(address) {
+        const random = Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+        return `<${random}@${address.split('@')[1]}>`;
+    }
+
+    toFilename(subject) {
+        return (subject || '').replace(/[\\/:*?"<>|\r\n]+/g, ' ').trim().slice(0, 60);
+    }
+
+    // ==================== OPENING ====================
+
+    // Parse an .eml, decrypt multipart/encrypted parts and verify multipart/signed ones wherever they are in the tree.
+    // Returns { from, to, cc, subject, date, encrypted, signed, decryptedWithPassword, signatureDetails, text,
+    // attachments: [{ filename, mimeType, data }], tree }.
+    async openMessage(text) {
+        try {
+            if (!text || !text.trim()) {
+                throw new Error('The message is empty');
+            }
+
+            const root = Mime.parse(text);
+            const result = {
+                from: Mime.decodeHeaderText(Mime.getHeader(root.headers, 'from')),
+                to: Mime.decodeHeaderText(Mime.getHeader(root.headers, 'to')),
+                cc: Mime.decodeHeaderText(Mime.getHeader(root.headers, 'cc')),
+                subject: Mime.decodeHeaderText(Mime.getHeader(root.headers, 'subject')),
+                date: this.parseDate(Mime.getHeader(root.headers, 'date')),
+                encrypted: false,
+                signed: false,
+                decryptedWithPassword: false,
+                signatureDetails: [],
+                text: null,
+                attachments: []
+            };
+
+            result.tree = await this.resolveNode(root, result);
+            this.collectContent(result.tree, result);
+
+            return result;
+        } catch (error) {
+            console.error('PGP/MIME parsing failed:', error);
+            throw new Error(`PGP/MIME parsing failed: ${error.message}`);
+        }
+    }
+
+    // Describe a node as { contentType, filename, size, role, children }, decrypting and verifying on the way.
+    // role is 'encrypted', 'signed', 'signature' or 'control' for the PGP/MIME structure, else null.
+    async resolveNode(node, result) {
+        const description = this.describeLeaf(node);
+
+        if (this.isEncrypted(node)) {
+            const [control, payload] = node.parts;
+            if (!payload) {
+                throw new Error('multipart/encrypted message without an encrypted part');
+            }
+
+            const decrypted = await this.decrypt.decryptMessage(Mime.decodeText(Mime.decodeBody(payload)));
+            result.encrypted = true;
+            result.decryptedWithPassword = result.decryptedWithPassword || !!decrypted.decryptedWithPassword;
+            // Signatures inside the encrypted message cover the whole decrypted entity
+            result.signatureDetails.push(...(decrypted.signatureDetails || []));
+
+            description.role = 'encrypted';
+            description.children = [
+                { ...this.describeLeaf(control), role: 'control' },
+                { ...this.describeLeaf(payload), role: 'control' },
+                await this.resolveNode(Mime.parse(decrypted.data), result)
+            ];
+            return description;
+        }
+
+        if (this.isSigned(node)) {
+            const [signedPart, signaturePart] = node.parts;
+            if (!signaturePart) {
+                throw new Error('multipart/signed message without a signature part');
+            }
+
+            result.signed = true;
+            result.signatureDetails.push(...await this.verifySignedPart(signedPart, signaturePart));
+
+            description.role = 'signed';
+            description.children = [
+                await this.resolveNode(signedPart, result),
+                { ...this.describeLeaf(signaturePart), role: 'signature' }
+            ];
+            return description;
+        }
+
+        for (const part of node.parts) {
+            description.children.push(await this.resolveNode(part, result));
+        }
+        return description;
+    }
+
+    // size is the decoded size for leaves and the encoded one for multiparts
+    describeLeaf(node) {
+        return {
+            node,
+            contentType: node.contentType,
+            filename: Mime.getFilename(node),
+            size: node.parts.length > 0 ? node.body.length : Mime.decodeBody(node).length,
+            role: null,
+            children: []
+        };
+    }
+
+    // Check the detached signature against the signed entity exactly as it appears between the boundaries.
+    // An unverifiable signature is reported, not thrown, so the message still opens.
+    async verifySignedPart(signedPart, signaturePart) {
+        try {
+            const verification = await this.cryptoOps.verifyDetachedSignature(
+                signedPart.raw,
+                Mime.decodeText(Mime.decodeBody(signaturePart))
+            );
+            return verification.signatureDetails;
+        } catch (error) {
+            console.warn('PGP/MIME signature could not be verified:', error);
+            return [{ keyId: '-', status: 'invalid', created: null, signer: null, fingerprint: null, error: error.message }];
+        }
+    }
+
+    isEncrypted(node) {
+        return node.contentType === 'multipart/encrypted' &&
+            (node.params.protocol || '').toLowerCase() === 'application/pgp-encrypted';
+    }
+
+    isSigned(node) {
+        return node.contentType === 'multipart/signed' &&
+            (node.params.protocol || '').toLowerCase() === 'application/pgp-signature';
+    }
+
+    // The first inline text part becomes the body; every other leaf outside the PGP/MIME structure is an attachment
+    collectContent(description, result) {
+        if (description.role === 'control' || description.role === 'signature') {
+            return;
+        }
+        if (description.children.length > 0 || description.contentType.startsWith('multipart/')) {
+            description.children.forEach(child => this.collectContent(child, result));
+            return;
+        }
+
+        const { node } = description;
+        const isText = node.contentType === 'text/plain' || node.contentType === 'text/html';
+        if (isText && result.text === null && !Mime.isAttachment(node)) {
+            result.text = Mime.getText(node).replace(/\r\n/g, '\n');
+            return;
+        }
+
+        result.attachments.push({
+            filename: description.filename || `part-${result.attachments.length + 1}${this.getExtension(node.contentType)}`,
+            mimeType: node.contentType,
+            data: Mime.decodeBody(node)
+        });
+    }
+
+    getExtension(contentType) {
+        const extensions = { 'text/plain': '.txt', 'text/html': '.html', 'message/rfc822': '.eml' };
+        return extensions[contentType] || '.bin';
+    }
+
+    parseDate(value) {
+        const date = new Date(value || NaN);
+        return isNaN(date.getTime()) ? null : date;
+    }
+}
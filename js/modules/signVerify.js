@@ -11,7 +11,8 @@ export class SignVerify {
         this.currentMode = 'sign';
     }
 
-    async signMessage(message, keyPair, passphrase) {
+    async signMessage(message, keyPair, passphrase = null) {
+        let decryptedPrivateKey = null;
         try {
             console.log('Starting message signing...');
             
@@ -19,24 +20,25 @@ export class SignVerify {
                 throw new Error('No private key available for signing');
             }
 
+            // Without a passphrase the key agent unlocks (or prompts for) the key
             if (!passphrase) {
-                throw new Error('Passphrase is required for signing');
-            }
-            
-            // Read the private key (handle both string and object formats)
-            let privateKey;
-            if (typeof keyPair.privateKey === 'string') {
-                privateKey = await openpgp.readPrivateKey({ armoredKey: keyPair.privateKey });
+                decryptedPrivateKey = await this.cryptoOps.getDecryptedPrivateKey(keyPair, null, 'sign a message');
             } else {
-                privateKey = keyPair.privateKey;
-            }
+                // Read the private key (handle both string and object formats)
+                let privateKey;
+                if (typeof keyPair.privateKey === 'string') {
+                    privateKey = await openpgp.readPrivateKey({ armoredKey: keyPair.privateKey });
+                } else {
+                    privateKey = keyPair.privateKey;
+                }
 
-            // Decrypt the private key with the passphrase
-            console.log('Decrypting private key...');
-            const decryptedPrivateKey = await openpgp.decryptKey({
-                privateKey: privateKey,
-                passphrase: passphrase
-            });
+                // Decrypt the private key with the passphrase
+                console.log('Decrypting private key...');
+                decryptedPrivateKey = await openpgp.decryptKey({
+                    privateKey: privateKey,
+                    passphrase: passphrase
+                });
+            }
 
             // Create the message to sign
             const messageToSign = await openpgp.createMessage({ text: message });
@@ -55,6 +57,10 @@ export class SignVerify {
         } catch (error) {
             console.error('Error signing message:', error);
             throw new Error(`Error signing message: ${error.message}`);
+        } finally {
+            if (decryptedPrivateKey) {
+                this.cryptoOps.releasePrivateKey(keyPair, decryptedPrivateKey);
+            }
         }
     }
 
@@ -117,12 +123,19 @@ export class SignVerify {
                 }
             }
 
+            // How much the keyring vouches for the signer's key, as in GnuPG's "[full]" or "[unknown]"
+            const signerKeyPair = signerInfo ? this.keyManager.findKeyById(signerInfo) : null;
+            const validity = signerKeyPair
+                ? (await this.keyManager.trust.getKeyValidity(signerKeyPair.metadata.fingerprint)).validity
+                : null;
+
             console.log('Verification completed');
             
             return {
                 valid: isValid,
                 message: verifiedData,
                 signer: signerInfo,
+                validity,
                 signatures: signatures.length
             };
 
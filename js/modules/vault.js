@@ -0,0 +1,330 @@
+import { CONSTANTS } from '../utils/constants.js';
+
+// modules/vault.js - IndexedDB-backed storage encrypted under a master password
+export class Vault {
+    // Data migrations keyed by the schema version they upgrade to.
+    // Each receives the decrypted records ({ keyring, settings, contacts, ... }) and returns them upgraded.
+    static MIGRATIONS = {};
+
+    constructor() {
+        this.db = null;
+        this.cryptoKey = null;
+        this.meta = null;
+    }
+
+    // ==================== DATABASE ====================
+
+    // Open (and create or upgrade) the IndexedDB database
+    async open() {
+        if (this.db) return this.db;
+
+        if (typeof indexedDB === 'undefined') {
+            throw new Error('IndexedDB is not available in this browser');
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(CONSTANTS.VAULT.DB_NAME, CONSTANTS.VAULT.DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+
+                // Structural upgrades only ever add stores; existing data is never dropped
+                switch (event.oldVersion) {
+                    case 0:
+                        db.createObjectStore('meta');
+                        db.createObjectStore('records');
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new Error(`Failed to open vault database: ${request.error?.message}`));
+            request.onblocked = () => reject(new Error('Vault database is open in another tab'));
+        });
+
+        return this.db;
+    }
+
+    // Run a single request against an object store
+    async request(storeName, mode, operation) {
+        const db = await this.open();
+
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+
+        return this.whenComplete(transaction, () => request.result);
+    }
+
+    // Read and write all records in one transaction (used for re-encryption)
+    async replaceAll(meta, records) {
+        const db = await this.open();
+
+        const transaction = db.transaction(['meta', 'records'], 'readwrite');
+        transaction.objectStore('meta').put(meta, 'vault');
+
+        const recordStore = transaction.objectStore('records');
+        Object.entries(records).forEach(([name, record]) => recordStore.put(record, name));
+
+        return this.whenComplete(transaction, () => undefined);
+    }
+
+    // Settle once the transaction commits. A quota error aborts the transaction without an error event,
+    // so an abort rejects as well; otherwise the caller would wait forever.
+    whenComplete(transaction, getResult) {
+        return new Promise((resolve, reject) => {
+            const fail = event => {
+                const error = transaction.error || event.target.error;
+                reject(new Error(`Vault storage error: ${error?.message || 'transaction aborted'}`));
+            };
+            transaction.oncomplete = () => resolve(getResult());
+            transaction.onerror = fail;
+            transaction.onabort = fail;
+        });
+    }
+
+    // ==================== CRYPTO ====================
+
+    // Derive the AES-GCM vault key from the master password
+    async deriveKey(masterPassword, salt, iterations) {
+        const passwordKey = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(masterPassword),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            passwordKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    // Encrypt a JSON-serialisable value, binding it to its record name
+    async encryptRecord(name, value, cryptoKey = this.cryptoKey) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(name) },
+            cryptoKey,
+            new TextEncoder().encode(JSON.stringify(value))
+        );
+
+        return { iv, ciphertext };
+    }
+
+    // Decrypt a record produced by encryptRecord
+    async decryptRecord(name, record, cryptoKey = this.cryptoKey) {
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: record.iv, additionalData: new TextEncoder().encode(name) },
+            cryptoKey,
+            record.ciphertext
+        );
+
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    // Build fresh vault metadata and key for a master password
+    async createKeyMaterial(masterPassword) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iterations = CONSTANTS.VAULT.KDF_ITERATIONS;
+        const cryptoKey = await this.deriveKey(masterPassword, salt, iterations);
+
+        const meta = {
+            kdf: 'PBKDF2-SHA256',
+            salt,
+            iterations,
+            schemaVersion: this.meta?.schemaVersion || CONSTANTS.VAULT.SCHEMA_VERSION,
+            verifier: await this.encryptRecord('verifier', CONSTANTS.VAULT.VERIFIER, cryptoKey),
+            updatedAt: new Date().toISOString()
+        };
+
+        return { meta, cryptoKey };
+    }
+
+    // ==================== LIFECYCLE ====================
+
+    // Check whether a vault has already been created in this browser
+    async exists() {
+        const meta = await this.request('meta', 'readonly', store => store.get('vault'));
+        return !!meta;
+    }
+
+    isUnlocked() {
+        return this.cryptoKey !== null;
+    }
+
+    // Create a new, empty vault protected by a master password
+    async create(masterPassword) {
+        try {
+            this.validateMasterPassword(masterPassword);
+
+            if (await this.exists()) {
+                throw new Error('A vault already exists. Unlock it instead.');
+            }
+
+            const { meta, cryptoKey } = await this.createKeyMaterial(masterPassword);
+            meta.schemaVersion = CONSTANTS.VAULT.SCHEMA_VERSION;
+
+            await this.replaceAll(meta, {});
+
+            this.meta = meta;
+            this.cryptoKey = cryptoKey;
+            return true;
+        } catch (error) {
+            console.error('Vault creation failed:', error);
+            throw new Error(`Vault creation failed: ${error.message}`);
+        }
+    }
+
+    // Unlock the vault and return all decrypted records
+    async unlock(masterPassword) {
+        try {
+            const meta = await this.request('meta', 'readonly', store => store.get('vault'));
+            if (!meta) {
+                throw new Error('No vault found. Create one first.');
+            }
+
+            const cryptoKey = await this.deriveKey(masterPassword, meta.salt, meta.iterations);
+
+            try {
+                await this.decryptRecord('verifier', meta.verifier, cryptoKey);
+            } catch (error) {
+                throw new Error('Incorrect master password');
+            }
+
+            this.meta = meta;
+            this.cryptoKey = cryptoKey;
+
+            const records = await this.readAll();
+            return await this.migrate(records);
+        } catch (error) {
+            console.error('Vault unlock failed:', error);
+            throw new Error(`Vault unlock failed: ${error.message}`);
+        }
+    }
+
+    // Forget the derived key; records stay encrypted on disk
+    lock() {
+        this.cryptoKey = null;
+        this.meta = null;
+    }
+
+    // Re-encrypt every record under a new master password
+    async changeMasterPassword(currentPassword, newPassword) {
+        try {
+            this.validateMasterPassword(newPassword);
+
+            const records = await this.unlock(currentPassword);
+            const { meta, cryptoKey } = await this.createKeyMaterial(newPassword);
+
+            const encrypted = {};
+            for (const [name, value] of Object.entries(records)) {
+                encrypted[name] = await this.encryptRecord(name, value, cryptoKey);
+            }
+
+            await this.replaceAll(meta, encrypted);
+
+            this.meta = meta;
+            this.cryptoKey = cryptoKey;
+            return true;
+        } catch (error) {
+            console.error('Master password change failed:', error);
+            throw new Error(`Master password change failed: ${error.message}`);
+        }
+    }
+
+    // Bring decrypted records up to the current schema version and persist the result
+    async migrate(records) {
+        const targetVersion = CONSTANTS.VAULT.SCHEMA_VERSION;
+        let version = this.meta.schemaVersion || 1;
+
+        if (version > targetVersion) {
+            throw new Error(`Vault was written by a newer version (schema ${version})`);
+        }
+        if (version === targetVersion) {
+            return records;
+        }
+
+        while (version < targetVersion) {
+            version += 1;
+            const migration = Vault.MIGRATIONS[version];
+            if (migration) {
+                console.log(`Migrating vault data to schema version ${version}`);
+                records = await migration(records);
+            }
+        }
+
+        const encrypted = {};
+        for (const [name, value] of Object.entries(records)) {
+            encrypted[name] = await this.encryptRecord(name, value);
+        }
+
+        this.meta = { ...this.meta, schemaVersion: targetVersion, updatedAt: new Date().toISOString() };
+        await this.replaceAll(this.meta, encrypted);
+
+        return records;
+    }
+
+    // ==================== RECORDS ====================
+
+    // Decrypt every stored record
+    async readAll() {
+        this.assertUnlocked();
+
+        const db = await this.open();
+        const transaction = db.transaction('records', 'readonly');
+        const store = transaction.objectStore('records');
+        const keysRequest = store.getAllKeys();
+        const valuesRequest = store.getAll();
+        const entries = await this.whenComplete(transaction, () =>
+            keysRequest.result.map((key, i) => [key, valuesRequest.result[i]])
+        );
+
+        const records = {};
+        for (const [name, record] of entries) {
+            records[name] = await this.decryptRecord(name, record);
+        }
+        return records;
+    }
+
+    // Read one decrypted record (keyring, settings, contacts, ...)
+    async get(name) {
+        this.assertUnlocked();
+
+        const record = await this.request('records', 'readonly', store => store.get(name));
+        return record ? await this.decryptRecord(name, record) : null;
+    }
+
+    // Encrypt and store one record
+    async put(name, value) {
+        this.assertUnlocked();
+
+        const record = await this.encryptRecord(name, value);
+        await this.request('records', 'readwrite', store => store.put(record, name));
+    }
+
+    // ==================== HELPERS ====================
+
+    assertUnlocked() {
+        if (!this.isUnlocked()) {
+            throw new Error(CONSTANTS.ERRORS.VAULT_LOCKED);
+        }
+    }
+
+    validateMasterPassword(masterPassword) {
+        if (!masterPassword || masterPassword.length < CONSTANTS.MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`Master password must be at least ${CONSTANTS.MIN_PASSPHRASE_LENGTH} characters long`);
+        }
+    }
+
+    getStatus() {
+        return {
+            unlocked: this.isUnlocked(),
+            schemaVersion: this.meta?.schemaVersion || null,
+            kdf: this.meta?.kdf || null,
+            iterations: this.meta?.iterations || null
+        };
+    }
+}
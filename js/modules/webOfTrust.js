@@ -0,0 +1,170 @@
+import { CONSTANTS } from '../utils/constants.js';
+
+// Validity values from weakest to strongest; revoked and expired keys are never valid
+const VALIDITY_RANK = ['unknown', 'marginal', 'full', 'ultimate'];
+
+// Owner trust values that let a fully valid key introduce other keys
+const INTRODUCER_TRUST = ['marginal', 'full', 'ultimate'];
+
+// modules/webOfTrust.js - Key validity from certifications and owner trust, following GnuPG's classic trust model
+export class WebOfTrust {
+    constructor(keyManager) {
+        this.keyManager = keyManager;
+        // Promise<Map<fingerprint, validity entry>>, recomputed after the keyring changes
+        this.validity = null;
+    }
+
+    // Drop computed validity; called whenever keys, certifications or owner trust change
+    invalidate() {
+        this.validity = null;
+    }
+
+    // Validity of one key: { validity, ownerTrust, userIds: { [userId]: validity }, certifications }
+    async getKeyValidity(fingerprint) {
+        const validity = await this.getValidity();
+        return validity.get(fingerprint?.toUpperCase()) || {
+            validity: 'unknown',
+            ownerTrust: 'unknown',
+            userIds: {},
+            certifications: []
+        };
+    }
+
+    getValidity() {
+        if (!this.validity) {
+            this.validity = this.computeValidity().catch(error => {
+                this.validity = null;
+                throw error;
+            });
+        }
+        return this.validity;
+    }
+
+    // Ultimately trusted keys are valid. Any other user ID becomes fully valid with COMPLETES_NEEDED certifications
+    // from fully trusted introducers or MARGINALS_NEEDED from marginally trusted ones, and marginally valid with fewer.
+    // Only fully valid keys whose owner is trusted introduce further keys, up to MAX_CERT_DEPTH steps away.
+    async computeValidity() {
+        try {
+            const { COMPLETES_NEEDED, MARGINALS_NEEDED, MAX_CERT_DEPTH } = CONSTANTS.TRUST;
+            const entries = new Map();
+
+            for (const keyPair of this.keyManager.listKeys()) {
+                const ownerTrust = this.keyManager.getOwnerTrust(keyPair);
+                const unusable = this.getUnusableReason(keyPair);
+                const certifications = await this.collectCertifications(keyPair);
+
+                entries.set(keyPair.metadata.fingerprint, {
+                    ownerTrust,
+                    validity: unusable || (ownerTrust === 'ultimate' ? 'ultimate' : 'unknown'),
+                    userIds: Object.fromEntries(keyPair.metadata.userIds.map(userId =>
+                        [userId, unusable || (ownerTrust === 'ultimate' ? 'ultimate' : 'unknown')]
+                    )),
+                    certifications
+                });
+            }
+
+            for (let depth = 0; depth < MAX_CERT_DEPTH; depth++) {
+                const introducers = new Map(Array.from(entries)
+                    .filter(([, entry]) => ['full', 'ultimate'].includes(entry.validity) && INTRODUCER_TRUST.includes(entry.ownerTrust))
+                    .map(([fingerprint, entry]) => [fingerprint, entry.ownerTrust]));
+                let changed = false;
+
+                for (const entry of entries.values()) {
+                    if (!VALIDITY_RANK.includes(entry.validity) || entry.validity === 'ultimate') continue;
+
+                    let best = 'unknown';
+                    for (const userId of Object.keys(entry.userIds)) {
+                        // Each introducer counts once per user ID, however often it certified it
+                        const signers = new Set(entry.certifications
+                            .filter(certification => certification.userId === userId && this.countsForValidity(certification))
+                            .map(certification => certification.signer)
+                            .filter(signer => introducers.has(signer)));
+                        const marginals = Array.from(signers).filter(signer => introducers.get(signer) === 'marginal').length;
+                        const fulls = signers.size - marginals;
+
+                        const validity = fulls >= COMPLETES_NEEDED || marginals >= MARGINALS_NEEDED
+                            ? 'full'
+                            : (signers.size > 0 ? 'marginal' : 'unknown');
+                        entry.userIds[userId] = validity;
+                        if (VALIDITY_RANK.indexOf(validity) > VALIDITY_RANK.indexOf(best)) {
+                            best = validity;
+                        }
+                    }
+
+                    if (best !== entry.validity) {
+                        entry.validity = best;
+                        changed = true;
+                    }
+                }
+
+                if (!changed) break;
+            }
+
+            return entries;
+        } catch (error) {
+            console.error('Trust calculation failed:', error);
+            throw new Error(`Trust calculation failed: ${error.message}`);
+        }
+    }
+
+    // GnuPG's min-cert-level: low-level certifications are ignored, except level 0 which makes no claim either way
+    countsForValidity(certification) {
+        return certification.level === 0 || certification.level >= CONSTANTS.TRUST.MIN_CERT_LEVEL;
+    }
+
+    getUnusableReason(keyPair) {
+        if (keyPair.metadata.revoked) return 'revoked';
+        if (keyPair.metadata.expires && new Date(keyPair.metadata.expires) <= new Date()) return 'expired';
+        return null;
+    }
+
+    // Third-party certifications on a key's current user IDs that verify against a key in the keyring
+    async collectCertifications(keyPair) {
+        const key = keyPair.publicKeyObj;
+        const certifications = [];
+
+        for (const user of key.users) {
+            if (!user.userID || await this.keyManager.isUserRevoked(user)) continue;
+
+            for (const certification of user.otherCertifications) {
+                const signer = this.findCertifier(certification);
+                if (!signer || signer.metadata.fingerprint === keyPair.metadata.fingerprint) continue;
+
+                try {
+                    const signerKey = signer.publicKeyObj.keyPacket;
+                    await certification.verify(signerKey, openpgp.enums.signature.certGeneric, {
+                        userID: user.userID,
+                        key: key.keyPacket
+                    }, new Date(), undefined, openpgp.config);
+                    if (await user.isRevoked(certification, signerKey)) continue;
+                } catch (error) {
+                    console.warn(`Ignoring invalid certification by ${signer.metadata.keyId}:`, error);
+                    continue;
+                }
+
+                certifications.push({
+                    userId: user.userID.userID,
+                    signer: signer.metadata.fingerprint,
+                    signerUserId: signer.metadata.userIds[0] || signer.metadata.keyId,
+                    level: this.getCertificationLevel(certification),
+                    local: certification.exportable === false,
+                    created: certification.created
+                });
+            }
+        }
+
+        return certifications;
+    }
+
+    // Certifications are made with the signer's primary key
+    findCertifier(certification) {
+        const keyId = certification.issuerKeyID.toHex().toUpperCase();
+        const signer = this.keyManager.findKeyById(keyId);
+        return signer && signer.metadata.keyId === keyId ? signer : null;
+    }
+
+    getCertificationLevel(certification) {
+        const type = openpgp.enums.read(openpgp.enums.signature, certification.signatureType);
+        return CONSTANTS.TRUST.CERT_LEVELS.findIndex(level => level.signatureType === type);
+    }
+}
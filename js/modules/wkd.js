@@ -0,0 +1,223 @@
+import { CONSTANTS } from '../utils/constants.js';
+import { Validation } from '../utils/validation.js';
+import { Zip } from '../utils/zip.js';
+
+// modules/wkd.js - Web Key Directory: look up keys by email address and build the files to publish our own.
+// Keys are found at https://openpgpkey.<domain>/.well-known/openpgpkey/<domain>/hu/<hash> (advanced method)
+// or https://<domain>/.well-known/openpgpkey/hu/<hash> (direct method), where <hash> is the z-base-32 encoded
+// SHA-1 of the lowercased local part.
+export class Wkd {
+    constructor(keyManager) {
+        this.keyManager = keyManager;
+    }
+
+    // ==================== ADDRESSES ====================
+
+    parseEmail(email) {
+        const value = (email || '').trim();
+        if (!Validation.isValidEmail(value)) {
+            throw new Error(CONSTANTS.ERRORS.INVALID_EMAIL);
+        }
+
+        const at = value.lastIndexOf('@');
+        return { localPart: value.slice(0, at), domain: value.slice(at + 1).toLowerCase() };
+    }
+
+    // z-base-32 SHA-1 of the local part, lowercased (ASCII only, as the spec requires)
+    async hashLocalPart(localPart) {
+        const lowered = localPart.replace(/[A-Z]/g, char => char.toLowerCase());
+        const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(lowered));
+        return this.zBase32(new Uint8Array(digest));
+    }
+
+    zBase32(bytes) {
+        const alphabet = CONSTANTS.WKD.ZBASE32_ALPHABET;
+        let output = '';
+        let buffer = 0;
+        let bits = 0;
+
+        for (const byte of bytes) {
+            buffer = (buffer << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += alphabet[(buffer >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        if (bits > 0) {
+            output += alphabet[(buffer << (5 - bits)) & 31];
+        }
+
+        return output;
+    }
+
+    // Lookup URLs for both methods
+    async getUrls(email) {
+        const { localPart, domain } = this.parseEmail(email);
+        const hash = await this.hashLocalPart(localPart);
+        const query = `?l=${encodeURIComponent(localPart)}`;
+
+        return {
+            advanced: `https://openpgpkey.${domain}/.well-known/openpgpkey/${domain}/hu/${hash}${query}`,
+            direct: `https://${domain}/.well-known/openpgpkey/hu/${hash}${query}`
+        };
+    }
+
+    // ==================== LOOKUP ====================
+
+    // Fetch the keys published for an address. 'auto' tries the advanced method first and falls back to direct.
+    // Keys that do not carry the address in a user ID are dropped. Returns { method, url, keys }.
+    async lookup(email, { method = 'auto' } = {}) {
+        try {
+            const urls = await this.getUrls(email);
+            const address = email.trim().toLowerCase();
+            const methods = method === 'auto' ? ['advanced', 'direct'] : [method];
+            const failures = [];
+
+            for (const current of methods) {
+                if (!urls[current]) {
+                    throw new Error(`Unknown WKD method: ${current}`);
+                }
+
+                try {
+                    const data = await this.fetchKeyData(urls[current]);
+                    if (!data) {
+                        failures.push(`${current}: no key published`);
+                        continue;
+                    }
+
+                    const keys = (await this.readKeys(data))
+                        .filter(key => key.users.some(user => user.userID?.email?.toLowerCase() === address));
+                    if (keys.length === 0) {
+                        failures.push(`${current}: the published key does not carry ${address}`);
+                        continue;
+                    }
+
+                    return { method: current, url: urls[current], keys };
+                } catch (error) {
+                    failures.push(`${current}: ${error.message}`);
+                }
+            }
+
+            throw new Error(failures.join('; '));
+        } catch (error) {
+            console.error('WKD lookup failed:', error);
+            throw new Error(`WKD lookup failed: ${error.message}`);
+        }
+    }
+
+    // Look up an address and load each key like a key file the user chose. Returns { method, url, keyPairs }.
+    async importKeys(email, options = {}) {
+        const { method, url, keys } = await this.lookup(email, options);
+        const { localPart, domain } = this.parseEmail(email);
+
+        const keyPairs = [];
+        for (const key of keys) {
+            const file = new File([key.armor()], `${localPart}@${domain}.asc`, { type: 'application/pgp-keys' });
+            keyPairs.push(await this.keyManager.loadKeyFromFile(file));
+        }
+
+        return { method, url, keyPairs };
+    }
+
+    // WKD serves binary keys; some servers send armored ones anyway
+    readKeys(data) {
+        const head = new TextDecoder().decode(data.subarray(0, 64));
+        return head.includes('-----BEGIN PGP')
+            ? openpgp.readKeys({ armoredKeys: new TextDecoder().decode(data) })
+            : openpgp.readKeys({ binaryKeys: data });
+    }
+
+    // GET a WKD URL. Resolves to the bytes, or null for 404 Not Found.
+    async fetchKeyData(url) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), CONSTANTS.WKD.TIMEOUT);
+
+        try {
+            const response = await fetch(url, { signal: controller.signal });
+            if (response.status === 404) {
+                return null;
+            }
+            if (!response.ok) {
+                throw new Error(`${response.status} ${response.statusText}`);
+            }
+            return new Uint8Array(await response.arrayBuffer());
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`no answer within ${CONSTANTS.WKD.TIMEOUT / 1000} seconds`);
+            }
+            if (error instanceof TypeError) {
+                throw new Error(`could not reach ${new URL(url).host} (offline, no such host, or no CORS header)`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // ==================== PUBLICATION ====================
+
+    // Build a zip with the .well-known/openpgpkey/ tree for a domain from keyring keys with user IDs there.
+    // Each hu/ file holds the exportable public keys for one address, reduced to that address's user ID.
+    // Returns { data: Uint8Array, filename, published: [{ email, path, keyIds }] }.
+    async createPublicationBundle(domain, { method = 'direct', keyPairs = this.keyManager.listKeys() } = {}) {
+        try {
+            const normalized = (domain || '').trim().toLowerCase().replace(/^@/, '');
+            if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(normalized)) {
+                throw new Error(`Invalid domain: ${domain}`);
+            }
+            if (!['direct', 'advanced'].includes(method)) {
+                throw new Error(`Unknown WKD method: ${method}`);
+            }
+
+            const byAddress = new Map();
+            for (const keyPair of keyPairs) {
+                const key = await openpgp.readKey({ armoredKey: this.keyManager.getExportablePublicKey(keyPair) });
+                for (const user of key.users) {
+                    const email = user.userID?.email?.toLowerCase();
+                    if (!email || email.slice(email.lastIndexOf('@') + 1) !== normalized) continue;
+
+                    const keys = byAddress.get(email) || [];
+                    if (!keys.includes(key)) keys.push(key);
+                    byAddress.set(email, keys);
+                }
+            }
+            if (byAddress.size === 0) {
+                throw new Error(`No key in the keyring has a user ID at ${normalized}`);
+            }
+
+            const base = method === 'advanced'
+                ? `.well-known/openpgpkey/${normalized}/`
+                : '.well-known/openpgpkey/';
+            const entries = ['.well-known/', '.well-known/openpgpkey/', base, `${base}hu/`]
+                .filter((name, index, names) => names.indexOf(name) === index)
+                .map(name => ({ name }));
+            // An empty policy file announces WKD support
+            entries.push({ name: `${base}policy`, data: '' });
+
+            const published = [];
+            for (const [email, keys] of byAddress) {
+                const hash = await this.hashLocalPart(email.slice(0, email.lastIndexOf('@')));
+                const path = `${base}hu/${hash}`;
+                entries.push({ name: path, data: Zip.concat(keys.map(key => this.reduceToAddress(key, email).write())) });
+                published.push({ email, path, keyIds: keys.map(key => key.getKeyID().toHex().toUpperCase()) });
+            }
+
+            return {
+                data: Zip.createArchive(entries),
+                filename: `wkd-${normalized}${method === 'advanced' ? '-advanced' : ''}.zip`,
+                published
+            };
+        } catch (error) {
+            console.error('WKD bundle failed:', error);
+            throw new Error(`WKD bundle failed: ${error.message}`);
+        }
+    }
+
+    // Copy of a key with only the user IDs for one address
+    reduceToAddress(key, email) {
+        const copy = key.clone();
+        copy.users = copy.users.filter(user => user.userID?.email?.toLowerCase() === email);
+        return copy;
+    }
+}
@@ -0,0 +1,204 @@
+import { CONSTANTS } from '../utils/constants.js';
+
+// modules/workerClient.js - Message-based client for the OpenPGP worker, with progress, heartbeat and cancel
+export class WorkerClient {
+    constructor({ scriptUrl = new URL('../workers/pgpWorker.js', import.meta.url), onStatusChange = null } = {}) {
+        this.scriptUrl = scriptUrl;
+        // Callback ({ unlockedKeys }) when the worker's key cache changes
+        this.onStatusChange = onStatusChange;
+
+        this.worker = null;
+        this.ready = null; // Promise<boolean> for the current worker instance
+        this.disabled = false; // Set when the worker cannot load at all (e.g. file:// pages)
+        this.jobs = new Map();
+        this.nextId = 1;
+        this.unlockedKeys = 0;
+    }
+
+    // Start the worker if needed and report whether it is usable
+    isAvailable() {
+        if (this.disabled || typeof Worker === 'undefined') {
+            return Promise.resolve(false);
+        }
+        if (this.ready) {
+            return this.ready;
+        }
+
+        this.ready = new Promise(resolve => {
+            let started = false;
+
+            try {
+                this.worker = new Worker(this.scriptUrl, { type: 'module' });
+            } catch (error) {
+                console.warn('OpenPGP worker could not be created, using the main thread:', error);
+                this.disable();
+                resolve(false);
+                return;
+            }
+
+            const timer = setTimeout(() => {
+                console.warn('OpenPGP worker did not start in time, using the main thread');
+                this.disable();
+                resolve(false);
+            }, CONSTANTS.WORKER.READY_TIMEOUT);
+
+            this.worker.onmessage = (event) => {
+                if (event.data.type === 'ready') {
+                    started = true;
+                    clearTimeout(timer);
+                    resolve(true);
+                    return;
+                }
+                this.handleMessage(event.data);
+            };
+
+            this.worker.onerror = (event) => {
+                event.preventDefault?.();
+                clearTimeout(timer);
+
+                if (!started) {
+                    console.warn('OpenPGP worker failed to load, using the main thread:', event.message);
+                    this.disable();
+                    resolve(false);
+                    return;
+                }
+
+                // An uncaught error after start-up leaves the worker in an unknown state; start a fresh one next time
+                console.error('OpenPGP worker crashed:', event.message);
+                this.reset(new Error(`Worker error: ${event.message || 'unknown error'}`));
+            };
+        });
+
+        return this.ready;
+    }
+
+    // Run an operation in the worker. onProgress(loaded, total) receives byte progress,
+    // onStatus({ stage, elapsed }) a "still working" heartbeat for operations without byte progress.
+    async run(operation, params = {}, { onProgress = null, onStatus = null } = {}) {
+        if (!await this.isAvailable()) {
+            throw new Error('OpenPGP worker is not available');
+        }
+
+        const id = this.nextId++;
+
+        return new Promise((resolve, reject) => {
+            const job = { operation, resolve, reject, onProgress, onStatus, stage: null, startedAt: Date.now(), heartbeat: null };
+
+            if (onStatus) {
+                job.heartbeat = setInterval(() => {
+                    onStatus({ stage: job.stage, elapsed: Date.now() - job.startedAt });
+                }, CONSTANTS.WORKER.HEARTBEAT_INTERVAL);
+            }
+
+            this.jobs.set(id, job);
+            this.worker.postMessage({ id, operation, params });
+        });
+    }
+
+    handleMessage({ id, type, ...data }) {
+        if (type === 'status') {
+            this.setUnlockedKeys(data.unlockedKeys);
+            return;
+        }
+
+        const job = this.jobs.get(id);
+        if (!job) return;
+
+        switch (type) {
+            case 'progress':
+                if (data.stage) {
+                    job.stage = data.stage;
+                    if (job.onStatus) job.onStatus({ stage: job.stage, elapsed: Date.now() - job.startedAt });
+                }
+                if (data.loaded !== undefined && job.onProgress) {
+                    job.onProgress(data.loaded, data.total);
+                }
+                break;
+            case 'result':
+                this.finishJob(id);
+                job.resolve(data.result);
+                break;
+            case 'error': {
+                this.finishJob(id);
+                const error = new Error(data.message);
+                error.code = data.code || null;
+                job.reject(error);
+                break;
+            }
+        }
+    }
+
+    finishJob(id) {
+        const job = this.jobs.get(id);
+        if (job && job.heartbeat) {
+            clearInterval(job.heartbeat);
+        }
+        this.jobs.delete(id);
+    }
+
+    // Cancel the pending jobs of one operation (e.g. 'encryptFile'), leaving other jobs alone
+    cancel(operation) {
+        Array.from(this.jobs.entries())
+            .filter(([, job]) => job.operation === operation)
+            .forEach(([id]) => this.cancelJob(id));
+    }
+
+    // Reject one job as cancelled. A running operation cannot be interrupted inside the worker, so the worker is
+    // terminated (which also drops its unlocked keys) only when no other job is pending; otherwise the cancelled
+    // job runs to its end and its result is ignored.
+    cancelJob(id) {
+        const job = this.jobs.get(id);
+        if (!job) return;
+
+        const error = new Error('Operation cancelled');
+        error.code = 'CANCELLED';
+        this.finishJob(id);
+        job.reject(error);
+
+        if (this.jobs.size === 0) {
+            this.reset(error);
+        }
+    }
+
+    // Terminate the worker and reject pending jobs; a new worker starts on the next run
+    reset(error) {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.ready = null;
+
+        Array.from(this.jobs.keys()).forEach(id => {
+            const job = this.jobs.get(id);
+            this.finishJob(id);
+            job.reject(error);
+        });
+
+        this.setUnlockedKeys(0);
+    }
+
+    disable() {
+        this.disabled = true;
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    // Re-lock keys cached in the worker: one fingerprint, or all of them
+    lock(fingerprint = null) {
+        if (this.worker && this.unlockedKeys > 0) {
+            this.worker.postMessage({ id: null, operation: 'lock', params: { fingerprint } });
+        }
+    }
+
+    setUnlockedKeys(count) {
+        if (count === this.unlockedKeys) return;
+        this.unlockedKeys = count;
+        if (this.onStatusChange) this.onStatusChange({ unlockedKeys: count });
+    }
+
+    hasPendingJobs() {
+        return this.jobs.size > 0;
+    }
+}
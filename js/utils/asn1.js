@@ -0,0 +1,327 @@
+// ASN.1 DER encoding (X.690) for building X.509 structures, plus PEM armor. Every encoder returns a Uint8Array
+// holding one complete TLV.
+export const Asn1 = {
+    TAGS: {
+        BOOLEAN: 0x01,
+        INTEGER: 0x02,
+        BIT_STRING: 0x03,
+        OCTET_STRING: 0x04,
+        NULL: 0x05,
+        OID: 0x06,
+        ENUMERATED: 0x0a,
+        UTF8_STRING: 0x0c,
+        PRINTABLE_STRING: 0x13,
+        IA5_STRING: 0x16,
+        UTC_TIME: 0x17,
+        GENERALIZED_TIME: 0x18,
+        SEQUENCE: 0x30,
+        SET: 0x31
+    },
+
+    // ==================== ENCODING ====================
+
+    encode(tag, content) {
+        return this.concat([new Uint8Array([tag]), this.encodeLength(content.length), content]);
+    },
+
+    // Short form below 128, else long form with the minimum number of length bytes
+    encodeLength(length) {
+        if (length < 0x80) {
+            return new Uint8Array([length]);
+        }
+
+        const bytes = [];
+        for (let remaining = length; remaining > 0; remaining = Math.floor(remaining / 256)) {
+            bytes.unshift(remaining & 0xff);
+        }
+        return new Uint8Array([0x80 | bytes.length, ...bytes]);
+    },
+
+    sequence(items) {
+        return this.encode(this.TAGS.SEQUENCE, this.concat(items.filter(Boolean)));
+    },
+
+    // DER sorts SET OF elements by their encodings
+    set(items) {
+        const sorted = items.filter(Boolean).slice().sort((a, b) => this.compareBytes(a, b));
+        return this.encode(this.TAGS.SET, this.concat(sorted));
+    },
+
+    boolean(value) {
+        return this.encode(this.TAGS.BOOLEAN, new Uint8Array([value ? 0xff : 0x00]));
+    },
+
+    // Non-negative integer from a number or big-endian bytes, with a leading zero when the high bit is set
+    integer(value) {
+        let bytes;
+        if (typeof value === 'number') {
+            bytes = [];
+            for (let remaining = value; remaining > 0; remaining = Math.floor(remaining / 256)) {
+                bytes.unshift(remaining & 0xff);
+            }
+            bytes = new Uint8Array(bytes);
+        } else {
+            bytes = value;
+        }
+
+        let start = 0;
+        while (start < bytes.length - 1 && bytes[start] === 0 && bytes[start + 1] < 0x80) {
+            start++;
+        }
+        bytes = bytes.subarray(start);
+
+        if (bytes.length === 0) {
+            bytes = new Uint8Array([0]);
+        } else if (bytes[0] & 0x80) {
+            bytes = this.concat([new Uint8Array([0]), bytes]);
+        }
+        return this.encode(this.TAGS.INTEGER, bytes);
+    },
+
+    bitString(bytes, unusedBits = 0) {
+        return this.encode(this.TAGS.BIT_STRING, this.concat([new Uint8Array([unusedBits]), bytes]));
+    },
+
+    // Named bit list (e.g. KeyUsage) from bit positions; DER drops trailing zero bits
+    namedBits(positions) {
+        if (positions.length === 0) {
+            return this.bitString(new Uint8Array(0));
+        }
+
+        const highest = Math.max(...positions);
+        const bytes = new Uint8Array(Math.floor(highest / 8) + 1);
+        positions.forEach(position => {
+            bytes[Math.floor(position / 8)] |= 0x80 >> (position % 8);
+        });
+        return this.bitString(bytes, 7 - (highest % 8));
+    },
+
+    enumerated(value) {
+        return this.encode(this.TAGS.ENUMERATED, this.getContent(this.integer(value)));
+    },
+
+    octetString(bytes) {
+        return this.encode(this.TAGS.OCTET_STRING, bytes);
+    },
+
+    null() {
+        return new Uint8Array([this.TAGS.NULL, 0x00]);
+    },
+
+    // Dotted OID string, base-128 encoded with the first two arcs combined
+    oid(dotted) {
+        const arcs = dotted.split('.').map(Number);
+        const values = [arcs[0] * 40 + arcs[1], ...arcs.slice(2)];
+        const bytes = [];
+
+        values.forEach(value => {
+            const encoded = [value & 0x7f];
+            for (let remaining = Math.floor(value / 128); remaining > 0; remaining = Math.floor(remaining / 128)) {
+                encoded.unshift((remaining & 0x7f) | 0x80);
+            }
+            bytes.push(...encoded);
+        });
+
+        return this.encode(this.TAGS.OID, new Uint8Array(bytes));
+    },
+
+    utf8String(text) {
+        return this.encode(this.TAGS.UTF8_STRING, new TextEncoder().encode(text));
+    },
+
+    printableString(text) {
+        if (!/^[A-Za-z0-9 '()+,\-./:=?]*$/.test(text)) {
+            throw new Error(`"${text}" contains characters not allowed in a PrintableString`);
+        }
+        return this.encode(this.TAGS.PRINTABLE_STRING, new TextEncoder().encode(text));
+    },
+
+    ia5String(text) {
+        if (!/^[\x00-\x7f]*$/.test(text)) {
+            throw new Error(`"${text}" must be ASCII`);
+        }
+        return this.encode(this.TAGS.IA5_STRING, new TextEncoder().encode(text));
+    },
+
+    // RFC 5280: UTCTime through 2049, GeneralizedTime from 2050, always in UTC with seconds
+    time(date) {
+        const iso = date.toISOString();
+        const digits = iso.slice(0, 19).replace(/[-T:]/g, '');
+        if (date.getUTCFullYear() < 2050) {
+            return this.encode(this.TAGS.UTC_TIME, new TextEncoder().encode(`${digits.slice(2)}Z`));
+        }
+        return this.encode(this.TAGS.GENERALIZED_TIME, new TextEncoder().encode(`${digits}Z`));
+    },
+
+    // [n] EXPLICIT: the complete inner TLV wrapped in a constructed context tag
+    explicit(number, inner) {
+        return this.encode(0xa0 | number, inner);
+    },
+
+    // [n] IMPLICIT: the inner TLV's content under a context tag, keeping its constructed bit
+    implicit(number, inner, constructed = false) {
+        return this.encode((constructed ? 0xa0 : 0x80) | number, this.getContent(inner));
+    },
+
+    // Content octets of a DER TLV
+    getContent(tlv) {
+        const first = tlv[1];
+        const lengthBytes = first & 0x80 ? 1 + (first & 0x7f) : 1;
+        return tlv.subarray(1 + lengthBytes);
+    },
+
+    // ==================== DECODING ====================
+
+    // Parse one DER TLV at offset into { tag, constructed, header, length, content, raw, children }
+    decode(bytes, offset = 0) {
+        if (offset + 2 > bytes.length) {
+            throw new Error('Truncated DER data');
+        }
+
+        const tag = bytes[offset];
+        if ((tag & 0x1f) === 0x1f) {
+            throw new Error('High tag numbers are not supported');
+        }
+
+        let length = bytes[offset + 1];
+        let header = 2;
+        if (length & 0x80) {
+            const count = length & 0x7f;
+            if (count === 0 || count > 4) {
+                throw new Error('Unsupported DER length');
+            }
+            length = 0;
+            for (let i = 0; i < count; i++) {
+                length = length * 256 + bytes[offset + 2 + i];
+            }
+            header += count;
+        }
+        if (offset + header + length > bytes.length) {
+            throw new Error('Truncated DER data');
+        }
+
+        const node = {
+            tag,
+            constructed: (tag & 0x20) !== 0,
+            header,
+            length,
+            content: bytes.subarray(offset + header, offset + header + length),
+            raw: bytes.subarray(offset, offset + header + length),
+            children: []
+        };
+
+        if (node.constructed) {
+            for (let position = 0; position < node.content.length;) {
+                const child = this.decode(node.content, position);
+                node.children.push(child);
+                position += child.raw.length;
+            }
+        }
+
+        return node;
+    },
+
+    // Dotted string from an OBJECT IDENTIFIER node
+    decodeOid(node) {
+        const values = [];
+        let value = 0;
+        node.content.forEach(byte => {
+            value = value * 128 + (byte & 0x7f);
+            if (!(byte & 0x80)) {
+                values.push(value);
+                value = 0;
+            }
+        });
+
+        const first = values.shift() ?? 0;
+        const head = first < 80 ? [Math.floor(first / 40), first % 40] : [2, first - 80];
+        return [...head, ...values].join('.');
+    },
+
+    // Text of any string type; BMPString is UTF-16BE, the others are read as UTF-8
+    decodeString(node) {
+        if (node.tag === 0x1e) {
+            let text = '';
+            for (let i = 0; i + 1 < node.content.length; i += 2) {
+                text += String.fromCharCode((node.content[i] << 8) | node.content[i + 1]);
+            }
+            return text;
+        }
+        return new TextDecoder().decode(node.content);
+    },
+
+    // UTCTime (years 1950-2049) or GeneralizedTime in UTC
+    decodeTime(node) {
+        const text = new TextDecoder().decode(node.content).replace(/Z$/, '');
+        const full = node.tag === this.TAGS.UTC_TIME ? `${Number(text.slice(0, 2)) < 50 ? '20' : '19'}${text}` : text;
+        const date = new Date(Date.UTC(
+            Number(full.slice(0, 4)), Number(full.slice(4, 6)) - 1, Number(full.slice(6, 8)),
+            Number(full.slice(8, 10)), Number(full.slice(10, 12)), Number(full.slice(12, 14) || 0)
+        ));
+        if (isNaN(date.getTime())) {
+            throw new Error('Invalid time value');
+        }
+        return date;
+    },
+
+    // Small non-negative INTEGER or ENUMERATED as a number
+    decodeNumber(node) {
+        return node.content.reduce((value, byte) => value * 256 + byte, 0);
+    },
+
+    // ==================== BYTES ====================
+
+    concat(arrays) {
+        const output = new Uint8Array(arrays.reduce((sum, array) => sum + array.length, 0));
+        let offset = 0;
+        arrays.forEach(array => {
+            output.set(array, offset);
+            offset += array.length;
+        });
+        return output;
+    },
+
+    compareBytes(a, b) {
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            if (a[i] !== b[i]) return a[i] - b[i];
+        }
+        return a.length - b.length;
+    },
+
+    toHex(bytes, separator = '') {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0').toUpperCase()).join(separator);
+    },
+
+    // ==================== PEM ====================
+
+    toPem(der, label) {
+        let binary = '';
+        for (let i = 0; i < der.length; i += 0x8000) {
+            binary += String.fromCharCode(...der.subarray(i, i + 0x8000));
+        }
+        const lines = btoa(binary).match(/.{1,64}/g) || [];
+        return `-----BEGIN ${label}-----\n${lines.join('\n')}\n-----END ${label}-----\n`;
+    },
+
+    // Every PEM block in the text as { label, der }, such as the certificates of a bundle
+    pemBlocks(pem) {
+        return Array.from((pem || '').matchAll(/-----BEGIN ([A-Z0-9 ]+)-----([\s\S]*?)-----END \1-----/g), match => ({
+            label: match[1],
+            der: Uint8Array.from(atob(match[2].replace(/[^A-Za-z0-9+/=]/g, '')), char => char.charCodeAt(0))
+        }));
+    },
+
+    // DER bytes of the first PEM block, optionally only one with the given label
+    fromPem(pem, label = null) {
+        const pattern = label
+            ? new RegExp(`-----BEGIN ${label}-----([\\s\\S]*?)-----END ${label}-----`)
+            : /-----BEGIN ([A-Z0-9 ]+)-----([\s\S]*?)-----END \1-----/;
+        const match = (pem || '').match(pattern);
+        if (!match) {
+            throw new Error(`No ${label || 'PEM'} block found`);
+        }
+
+        const body = (label ? match[1] : match[2]).replace(/[^A-Za-z0-9+/=]/g, '');
+        return Uint8Array.from(atob(body), char => char.charCodeAt(0));
+    }
+};
@@ -3,8 +3,71 @@ export const CONSTANTS = {
     // Key generation defaults
     DEFAULT_ALGORITHM: 'ecc',
     DEFAULT_EXPIRATION: 63072000, // 2 years in seconds
-    DEFAULT_CURVE: 'curve25519',
-    DEFAULT_RSA_BITS: 2048,
+    DEFAULT_KEY_LAYOUT: 'combined', // 'combined' or 'separate' (certify-only primary key)
+    
+    // Key algorithms offered in the advanced options; `options` are passed to openpgp.generateKey
+    KEY_ALGORITHMS: {
+        ecc: {
+            label: 'ECC (Curve25519)',
+            description: 'Recommended for most users. Ed25519 signing and Curve25519 encryption in widely supported v4 keys.',
+            options: { type: 'ecc', curve: 'curve25519Legacy' }
+        },
+        nistP256: {
+            label: 'ECC NIST P-256',
+            description: 'NIST curve required by some organisations and hardware tokens.',
+            options: { type: 'ecc', curve: 'nistP256' }
+        },
+        nistP384: {
+            label: 'ECC NIST P-384',
+            description: 'NIST curve with a higher security level than P-256.',
+            options: { type: 'ecc', curve: 'nistP384' }
+        },
+        nistP521: {
+            label: 'ECC NIST P-521',
+            description: 'Largest NIST curve; slower and less widely supported.',
+            options: { type: 'ecc', curve: 'nistP521' }
+        },
+        brainpoolP256r1: {
+            label: 'ECC Brainpool P-256r1',
+            description: 'Brainpool curve used in some European government deployments.',
+            options: { type: 'ecc', curve: 'brainpoolP256r1' }
+        },
+        brainpoolP384r1: {
+            label: 'ECC Brainpool P-384r1',
+            description: 'Brainpool curve with a higher security level.',
+            options: { type: 'ecc', curve: 'brainpoolP384r1' }
+        },
+        brainpoolP512r1: {
+            label: 'ECC Brainpool P-512r1',
+            description: 'Largest Brainpool curve.',
+            options: { type: 'ecc', curve: 'brainpoolP512r1' }
+        },
+        curve25519v6: {
+            label: 'Ed25519/X25519 (v6 key)',
+            description: 'RFC 9580 key format. Only recent OpenPGP implementations (e.g. GnuPG 2.5+, Sequoia) can use v6 keys.',
+            options: { type: 'curve25519', config: { v6Keys: true } }
+        },
+        curve448v6: {
+            label: 'Ed448/X448 (v6 key)',
+            description: 'RFC 9580 key format with the higher-security Curve448. Requires a v6-capable recipient.',
+            options: { type: 'curve448', config: { v6Keys: true } }
+        },
+        rsa2048: {
+            label: 'RSA 2048-bit',
+            description: 'Widely compatible but larger key size. Minimum recommended RSA size.',
+            options: { type: 'rsa', rsaBits: 2048 }
+        },
+        rsa3072: {
+            label: 'RSA 3072-bit',
+            description: 'RSA with security comparable to 128-bit symmetric keys.',
+            options: { type: 'rsa', rsaBits: 3072 }
+        },
+        rsa4096: {
+            label: 'RSA 4096-bit',
+            description: 'Maximum security RSA option but slower performance and larger keys.',
+            options: { type: 'rsa', rsaBits: 4096 }
+        }
+    },
     
     // Validation rules
     MIN_PASSPHRASE_LENGTH: 8,
@@ -26,6 +89,229 @@ export const CONSTANTS = {
     // Time constants
     SECONDS_PER_YEAR: 31536000,
     
+    // Revocation reason codes offered to users, mapped to OpenPGP reasonForRevocation flags
+    REVOCATION_REASONS: {
+        superseded: 'keySuperseded',
+        compromised: 'keyCompromised',
+        retired: 'keyRetired'
+    },
+    
+    // Web of trust, following GnuPG's classic trust model
+    TRUST: {
+        // How far the user relies on a key's owner to check other people's keys
+        OWNER_TRUST: {
+            unknown: "Unknown (don't know)",
+            never: 'None (do not rely on their certifications)',
+            marginal: 'Marginal',
+            full: 'Full',
+            ultimate: 'Ultimate (my own key)'
+        },
+        // Certification levels 0-3, mapped to OpenPGP signature types
+        CERT_LEVELS: [
+            { signatureType: 'certGeneric', label: '0 - No statement on how carefully I checked' },
+            { signatureType: 'certPersona', label: '1 - I have not checked at all' },
+            { signatureType: 'certCasual', label: '2 - I have done casual checking' },
+            { signatureType: 'certPositive', label: '3 - I have checked very carefully' }
+        ],
+        COMPLETES_NEEDED: 1, // Fully trusted certifications that make a key valid
+        MARGINALS_NEEDED: 3, // Marginally trusted certifications that make a key valid
+        MAX_CERT_DEPTH: 5, // Longest certification chain from an ultimately trusted key
+        MIN_CERT_LEVEL: 2 // Level 1 certifications are ignored; level 0 always counts
+    },
+
+    // Keyserver lookups, uploads and refreshes
+    KEYSERVER: {
+        DEFAULT_URL: 'https://keys.openpgp.org',
+        DEFAULT_PROTOCOL: 'vks', // 'vks' (keys.openpgp.org API) or 'hkp'
+        HKP_PORT: 11371, // Used for hkp:// URLs without a port
+        TIMEOUT: 15000 // ms per request
+    },
+
+    // Web Key Directory lookups and publication bundles
+    WKD: {
+        TIMEOUT: 10000, // ms per request
+        ZBASE32_ALPHABET: 'ybndrfg8ejkmcpqxot1uwisza345h769'
+    },
+
+    // Autocrypt peer state
+    AUTOCRYPT: {
+        STALE_AFTER: 3024000 // 35 days of mail without Autocrypt headers before encryption is discouraged
+    },
+
+    // X.509 key pairs, CSRs and certificates (WebCrypto keys, DER built in utils/asn1.js)
+    X509: {
+        DEFAULT_ALGORITHM: 'ecdsaP256',
+        DEFAULT_VALIDITY_DAYS: 365,
+        MAX_VALIDITY_DAYS: 36500,
+        // `generate` is passed to crypto.subtle.generateKey, `sign` to crypto.subtle.sign
+        KEY_ALGORITHMS: {
+            ecdsaP256: {
+                label: 'ECDSA P-256 (SHA-256)',
+                generate: { name: 'ECDSA', namedCurve: 'P-256' },
+                sign: { name: 'ECDSA', hash: 'SHA-256' },
+                signatureOid: '1.2.840.10045.4.3.2' // ecdsa-with-SHA256
+            },
+            ecdsaP384: {
+                label: 'ECDSA P-384 (SHA-384)',
+                generate: { name: 'ECDSA', namedCurve: 'P-384' },
+                sign: { name: 'ECDSA', hash: 'SHA-384' },
+                signatureOid: '1.2.840.10045.4.3.3' // ecdsa-with-SHA384
+            },
+            ed25519: {
+                label: 'Ed25519',
+                generate: { name: 'Ed25519' },
+                sign: { name: 'Ed25519' },
+                signatureOid: '1.3.101.112'
+            },
+            rsa2048: {
+                label: 'RSA 2048-bit (SHA-256)',
+                generate: { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+                sign: { name: 'RSASSA-PKCS1-v1_5' },
+                signatureOid: '1.2.840.113549.1.1.11' // sha256WithRSAEncryption
+            },
+            rsa3072: {
+                label: 'RSA 3072-bit (SHA-256)',
+                generate: { name: 'RSASSA-PKCS1-v1_5', modulusLength: 3072, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+                sign: { name: 'RSASSA-PKCS1-v1_5' },
+                signatureOid: '1.2.840.113549.1.1.11'
+            },
+            rsa4096: {
+                label: 'RSA 4096-bit (SHA-256)',
+                generate: { name: 'RSASSA-PKCS1-v1_5', modulusLength: 4096, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+                sign: { name: 'RSASSA-PKCS1-v1_5' },
+                signatureOid: '1.2.840.113549.1.1.11'
+            }
+        },
+        // Subject DN attributes in the order they are written; C must be a two-letter country code
+        DN_ATTRIBUTES: [
+            { key: 'country', short: 'C', oid: '2.5.4.6' },
+            { key: 'state', short: 'ST', oid: '2.5.4.8' },
+            { key: 'locality', short: 'L', oid: '2.5.4.7' },
+            { key: 'organization', short: 'O', oid: '2.5.4.10' },
+            { key: 'organizationalUnit', short: 'OU', oid: '2.5.4.11' },
+            { key: 'commonName', short: 'CN', oid: '2.5.4.3' },
+            { key: 'email', short: 'E', oid: '1.2.840.113549.1.9.1' }
+        ],
+        // KeyUsage bit positions (RFC 5280 4.2.1.3)
+        KEY_USAGES: {
+            digitalSignature: { bit: 0, label: 'Digital signature' },
+            nonRepudiation: { bit: 1, label: 'Non-repudiation (content commitment)' },
+            keyEncipherment: { bit: 2, label: 'Key encipherment (RSA only)' },
+            dataEncipherment: { bit: 3, label: 'Data encipherment (RSA only)' },
+            keyAgreement: { bit: 4, label: 'Key agreement' },
+            keyCertSign: { bit: 5, label: 'Certificate signing' },
+            cRLSign: { bit: 6, label: 'CRL signing' }
+        },
+        EXTENDED_KEY_USAGES: {
+            serverAuth: { oid: '1.3.6.1.5.5.7.3.1', label: 'TLS server' },
+            clientAuth: { oid: '1.3.6.1.5.5.7.3.2', label: 'TLS client' },
+            codeSigning: { oid: '1.3.6.1.5.5.7.3.3', label: 'Code signing' },
+            emailProtection: { oid: '1.3.6.1.5.5.7.3.4', label: 'Email protection (S/MIME)' },
+            timeStamping: { oid: '1.3.6.1.5.5.7.3.8', label: 'Time stamping' },
+            ocspSigning: { oid: '1.3.6.1.5.5.7.3.9', label: 'OCSP signing' }
+        },
+        // Presets for the certificate form
+        PROFILES: {
+            tlsServer: { label: 'TLS server', ca: false, keyUsage: ['digitalSignature'], extKeyUsage: ['serverAuth'] },
+            tlsClient: { label: 'TLS client', ca: false, keyUsage: ['digitalSignature'], extKeyUsage: ['clientAuth'] },
+            email: { label: 'Email (S/MIME)', ca: false, keyUsage: ['digitalSignature', 'nonRepudiation'], extKeyUsage: ['emailProtection'] },
+            codeSigning: { label: 'Code signing', ca: false, keyUsage: ['digitalSignature'], extKeyUsage: ['codeSigning'] },
+            ca: { label: 'Certificate authority', ca: true, keyUsage: ['digitalSignature', 'keyCertSign', 'cRLSign'], extKeyUsage: [] }
+        },
+        // Signature algorithms accepted on incoming CSRs, as crypto.subtle.verify parameters
+        SIGNATURE_ALGORITHMS: {
+            '1.2.840.113549.1.1.11': { label: 'sha256WithRSAEncryption', name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+            '1.2.840.113549.1.1.12': { label: 'sha384WithRSAEncryption', name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-384' },
+            '1.2.840.113549.1.1.13': { label: 'sha512WithRSAEncryption', name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-512' },
+            '1.2.840.10045.4.3.2': { label: 'ecdsa-with-SHA256', name: 'ECDSA', hash: 'SHA-256' },
+            '1.2.840.10045.4.3.3': { label: 'ecdsa-with-SHA384', name: 'ECDSA', hash: 'SHA-384' },
+            '1.2.840.10045.4.3.4': { label: 'ecdsa-with-SHA512', name: 'ECDSA', hash: 'SHA-512' },
+            '1.3.101.112': { label: 'Ed25519', name: 'Ed25519', hash: null }
+        },
+        // Named curves of id-ecPublicKey keys, with their coordinate size in bytes
+        CURVES: {
+            '1.2.840.10045.3.1.7': { name: 'P-256', size: 32 },
+            '1.3.132.0.34': { name: 'P-384', size: 48 },
+            '1.3.132.0.35': { name: 'P-521', size: 66 }
+        },
+        // CRL reason codes (RFC 5280 5.3.1); 7 is unused
+        REVOCATION_REASONS: {
+            unspecified: { code: 0, label: 'Unspecified' },
+            keyCompromise: { code: 1, label: 'Key compromise' },
+            cACompromise: { code: 2, label: 'CA compromise' },
+            affiliationChanged: { code: 3, label: 'Affiliation changed' },
+            superseded: { code: 4, label: 'Superseded' },
+            cessationOfOperation: { code: 5, label: 'Cessation of operation' },
+            certificateHold: { code: 6, label: 'Certificate hold' },
+            privilegeWithdrawn: { code: 9, label: 'Privilege withdrawn' }
+        },
+        // Local certificate authority defaults
+        CA: {
+            ROOT_VALIDITY_DAYS: 3650,
+            INTERMEDIATE_VALIDITY_DAYS: 1825,
+            CRL_VALIDITY_DAYS: 7,
+            // Profiles a CA may sign CSRs under
+            ISSUING_PROFILES: ['tlsServer', 'tlsClient', 'codeSigning', 'email']
+        },
+        OIDS: {
+            RSA_ENCRYPTION: '1.2.840.113549.1.1.1',
+            EC_PUBLIC_KEY: '1.2.840.10045.2.1',
+            ED25519: '1.3.101.112',
+            EXTENSION_REQUEST: '1.2.840.113549.1.9.14',
+            SUBJECT_KEY_IDENTIFIER: '2.5.29.14',
+            KEY_USAGE: '2.5.29.15',
+            SUBJECT_ALT_NAME: '2.5.29.17',
+            BASIC_CONSTRAINTS: '2.5.29.19',
+            CRL_NUMBER: '2.5.29.20',
+            CRL_REASON: '2.5.29.21',
+            NAME_CONSTRAINTS: '2.5.29.30',
+            AUTHORITY_KEY_IDENTIFIER: '2.5.29.35',
+            EXT_KEY_USAGE: '2.5.29.37'
+        },
+        // Names for extensions the viewer lists but does not interpret
+        EXTENSION_NAMES: {
+            '2.5.29.31': 'CRL distribution points',
+            '2.5.29.32': 'Certificate policies',
+            '2.5.29.36': 'Policy constraints',
+            '2.5.29.54': 'Inhibit anyPolicy',
+            '1.3.6.1.5.5.7.1.1': 'Authority information access',
+            '1.3.6.1.4.1.11129.2.4.2': 'Certificate Transparency SCTs'
+        },
+        // Path validation checks, in the order they are reported for each certificate
+        VALIDATION_CHECKS: {
+            path: 'Path to a trust anchor',
+            validity: 'Validity period',
+            criticalExtensions: 'Critical extensions',
+            signature: 'Signature',
+            issuerCa: 'Issuer is a CA',
+            pathLength: 'Path length constraint',
+            nameConstraints: 'Name constraints',
+            revocation: 'Revocation (CRL)'
+        }
+    },
+
+    // Unlocked-key cache (passphrase agent)
+    AGENT: {
+        DEFAULT_TIMEOUT: 300, // Idle seconds before cached keys are re-locked
+        MAX_ATTEMPTS: 3
+    },
+    
+    // Background worker for heavy OpenPGP operations
+    WORKER: {
+        READY_TIMEOUT: 10000, // ms to wait for the worker to load before falling back to the main thread
+        HEARTBEAT_INTERVAL: 1000, // ms between "still working" updates
+        PROGRESS_INTERVAL: 100 // Minimum ms between byte progress messages from the worker
+    },
+    
+    // Encrypted IndexedDB vault
+    VAULT: {
+        DB_NAME: 'pgp-web-vault',
+        DB_VERSION: 1, // IndexedDB object store layout
+        SCHEMA_VERSION: 1, // Layout of the decrypted records
+        KDF_ITERATIONS: 600000, // PBKDF2-SHA256
+        VERIFIER: 'pgp-web-vault-verifier'
+    },
+    
     // Error messages
     ERRORS: {
         NO_KEYS: 'No key pair available. Please generate or load keys first.',
@@ -36,7 +322,8 @@ export const CONSTANTS = {
         DECRYPTION_FAILED: 'Failed to decrypt message. Check your passphrase and try again.',
         VERIFICATION_FAILED: 'Signature verification failed',
         ENCRYPTION_FAILED: 'Encryption failed',
-        SIGNING_FAILED: 'Signing failed'
+        SIGNING_FAILED: 'Signing failed',
+        VAULT_LOCKED: 'The vault is locked. Unlock it with your master password first.'
     },
     
     // Success messages
@@ -47,6 +334,8 @@ export const CONSTANTS = {
         MESSAGE_SIGNED: 'Message signed successfully!',
         MESSAGE_VERIFIED: 'Message verified successfully!',
         MESSAGE_ENCRYPTED: 'Message encrypted successfully!',
-        MESSAGE_DECRYPTED: 'Message decrypted successfully!'
+        MESSAGE_DECRYPTED: 'Message decrypted successfully!',
+        VAULT_UNLOCKED: 'Vault unlocked',
+        VAULT_LOCKED: 'Vault locked'
     }
 };
@@ -30,7 +30,8 @@ export class FileUtils {
             
             keys: {
                 publicKey: keyPair.publicKey,
-                privateKey: keyPair.privateKey
+                privateKey: keyPair.privateKey,
+                revocationCertificate: keyPair.revocationCertificate || null
             },
             
             metadata: {
@@ -245,6 +246,79 @@ export class FileUtils {
         }
     }
 
+    // Stream a file's bytes, reporting (bytesRead, totalBytes) as chunks pass through
+    createProgressStream(file, onProgress = null) {
+        let loaded = 0;
+        
+        const progress = new TransformStream({
+            transform(chunk, controller) {
+                loaded += chunk.byteLength;
+                if (onProgress) onProgress(loaded, file.size);
+                controller.enqueue(chunk);
+            }
+        });
+        
+        return file.stream().pipeThrough(progress);
+    }
+
+    // Check whether a file starts with an ASCII armor header
+    async isArmoredFile(file) {
+        const head = await file.slice(0, 512).text();
+        return /-----BEGIN PGP [A-Z ]+-----/.test(head);
+    }
+
+    // Ask where to save a large result before the work starts (needs the click's user activation)
+    async openSaveTarget(suggestedName) {
+        if (typeof window === 'undefined' || !window.showSaveFilePicker) {
+            return null;
+        }
+        
+        try {
+            const handle = await window.showSaveFilePicker({ suggestedName });
+            return await handle.createWritable();
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error('Save cancelled');
+            }
+            console.warn('Save picker unavailable, falling back to download:', error);
+            return null;
+        }
+    }
+
+    // Drop a save target that was never written, so a failed run leaves no open writable behind
+    async discardSaveTarget(target) {
+        if (!target) {
+            return;
+        }
+        
+        try {
+            await target.abort();
+        } catch (error) {
+            console.warn('Failed to discard save target:', error);
+        }
+    }
+
+    // Save a streamed result, writing straight to disk when a save target is available
+    // and buffering it in memory otherwise
+    async saveStreamToFile(stream, filename, mimeType = 'application/octet-stream', target = null) {
+        try {
+            if (target) {
+                await stream.pipeTo(target);
+                return { success: true, filename, streamed: true };
+            }
+            
+            // Fallback without a file picker: the whole output is collected into a Blob before the download
+            // starts, so the file has to fit in memory (the browser may page a large Blob to disk)
+            const blob = await new Response(stream).blob();
+            await this.downloadFile(blob, filename, mimeType);
+            
+            return { success: true, filename, size: blob.size, streamed: false };
+        } catch (error) {
+            console.error('Failed to save stream to file:', error);
+            throw new Error(`File save failed: ${error.message}`);
+        }
+    }
+
     // Format key pair for text export
     formatKeyPairForExport(keyPair) {
         const header = `# PGP Key Pair Export
@@ -1,3 +1,5 @@
+import { CONSTANTS } from './constants.js';
+
 export const Formatting = {
     // Format fingerprint with spaces for readability
     formatFingerprint(fingerprint) {
@@ -17,24 +19,65 @@ export const Formatting = {
         });
     },
 
-    // Format key algorithm for display
+    // Format key algorithm for display: an advanced-options choice or an OpenPGP public key algorithm name
     formatAlgorithm(algorithm) {
         if (!algorithm) return 'Unknown';
         
-        switch(algorithm.toLowerCase()) {
-            case 'ecc':
-                return 'ECC (Curve25519)';
-            case 'rsa2048':
-                return 'RSA 2048-bit';
-            case 'rsa4096':
-                return 'RSA 4096-bit';
+        if (CONSTANTS.KEY_ALGORITHMS[algorithm]) {
+            return CONSTANTS.KEY_ALGORITHMS[algorithm].label;
+        }
+        
+        switch(algorithm) {
             case 'rsa':
+            case 'rsaEncryptSign':
+            case 'rsaEncrypt':
+            case 'rsaSign':
                 return 'RSA';
+            case 'ecdsa':
+                return 'ECDSA';
+            case 'ecdh':
+                return 'ECDH';
+            case 'eddsaLegacy':
+                return 'EdDSA';
+            case 'ed25519':
+                return 'Ed25519';
+            case 'ed448':
+                return 'Ed448';
+            case 'x25519':
+                return 'X25519';
+            case 'x448':
+                return 'X448';
+            case 'elgamal':
+                return 'ElGamal';
+            case 'dsa':
+                return 'DSA';
             default:
                 return algorithm.toUpperCase();
         }
     },
 
+    // Format an OpenPGP curve name, e.g. nistP256 -> NIST P-256
+    formatCurve(curve) {
+        switch (curve) {
+            case 'ed25519Legacy':
+                return 'Ed25519';
+            case 'curve25519Legacy':
+                return 'Curve25519';
+            case 'nistP256':
+            case 'nistP384':
+            case 'nistP521':
+                return `NIST P-${curve.slice(5)}`;
+            case 'brainpoolP256r1':
+            case 'brainpoolP384r1':
+            case 'brainpoolP512r1':
+                return `Brainpool P-${curve.slice(10)}`;
+            case 'secp256k1':
+                return 'secp256k1';
+            default:
+                return curve;
+        }
+    },
+
     // Format expiration time for display
     formatExpiration(seconds) {
         if (!seconds || seconds === 0) {
@@ -57,6 +100,306 @@ export const Formatting = {
         return usages.join(', ') || 'None selected';
     },
 
+    // Format an OpenPGP key flags octet, e.g. 'Certify, Sign'
+    formatKeyFlags(flags) {
+        if (!flags) return 'None';
+        
+        const { keyFlags } = openpgp.enums;
+        const names = [];
+        if (flags & keyFlags.certifyKeys) names.push('Certify');
+        if (flags & keyFlags.signData) names.push('Sign');
+        if (flags & (keyFlags.encryptCommunication | keyFlags.encryptStorage)) names.push('Encrypt');
+        if (flags & keyFlags.authentication) names.push('Authenticate');
+        
+        return names.join(', ') || 'None';
+    },
+
+    // Format one subkey as a single summary line
+    formatSubkey(subkey) {
+        const expiry = subkey.expires ? `expires ${this.formatDate(subkey.expires)}` : 'no expiry';
+        const status = subkey.status === 'valid' ? '' : ` [${subkey.status.toUpperCase()}]`;
+        return `${subkey.keyId} ${this.formatKeyFlags(subkey.flags)} · ${subkey.algorithm} · ${expiry}${status}`;
+    },
+
+    // Format a key's revocation state, e.g. "Revoked (key compromised) on ..."
+    formatRevocationStatus(metadata) {
+        if (!metadata?.revoked) return 'Valid';
+        
+        const { reason, description, date } = metadata.revocation;
+        const reasons = {
+            keySuperseded: 'superseded',
+            keyCompromised: 'key compromised',
+            keyRetired: 'retired',
+            userIDInvalid: 'user ID no longer valid',
+            noReason: 'no reason given'
+        };
+        const detail = description ? `: ${description}` : '';
+        return `Revoked (${reasons[reason] || reason}${detail}) on ${this.formatDate(date)}`;
+    },
+
+    // Format one signature verification result for display
+    // Describe a signer key's validity from the web of trust, e.g. "a fully trusted key"
+    formatKeyValidity(validity) {
+        const descriptions = {
+            ultimate: 'your own, ultimately trusted key',
+            full: 'a fully trusted key',
+            marginal: 'a marginally trusted key',
+            unknown: 'a key of unknown validity',
+            revoked: 'a REVOKED key',
+            expired: 'an EXPIRED key'
+        };
+        return descriptions[validity] || 'a key that is not in your keyring';
+    },
+
+    // Describe a VKS keyserver's publication state for one email address
+    formatKeyserverStatus(status) {
+        const labels = {
+            published: 'published, anyone can find the key by this address',
+            pending: 'confirmation email sent, follow its link to publish the address',
+            unpublished: 'not published',
+            revoked: 'revoked'
+        };
+        return labels[status] || status;
+    },
+
+    // Autocrypt's advice for writing to a peer
+    formatAutocryptRecommendation(recommendation) {
+        const labels = {
+            encrypt: '🔒 Encrypt by default (both sides prefer encryption)',
+            available: '🔓 Encryption available',
+            discourage: '⚠️ Encryption possible but discouraged (gossiped or outdated key)',
+            disable: '🚫 No usable key'
+        };
+        return labels[recommendation] || recommendation;
+    },
+
+    // X.509 subject as "CN=www.example.org, O=Example Ltd, C=DE", most specific attribute first
+    formatDistinguishedName(subject) {
+        const known = CONSTANTS.X509.DN_ATTRIBUTES
+            .filter(({ key }) => subject?.[key])
+            .reverse()
+            .map(({ key, short }) => `${short}=${subject[key]}`);
+        // Attributes without a short name are kept under their OID
+        const other = Object.keys(subject || {})
+            .filter(key => /^\d+(\.\d+)+$/.test(key))
+            .map(oid => `${oid}=${subject[oid]}`);
+        return [...known, ...other].join(', ');
+    },
+
+    formatSubjectAltNames(san) {
+        if (!san || san.length === 0) return 'None';
+        const prefixes = { dns: 'DNS', email: 'email', ip: 'IP', dn: 'DirName' };
+        return san.map(({ type, value }) => `${prefixes[type] || type}:${type === 'dn' ? this.formatDistinguishedName(value) : value}`).join(', ');
+    },
+
+    // Viewer lines for one certificate described by CertificateValidator.describeCertificate
+    formatCertificate(details) {
+        const { KEY_USAGES, EXTENDED_KEY_USAGES } = CONSTANTS.X509;
+        const critical = extension => extension.critical ? ' (critical)' : '';
+        const validity = { valid: '✅ valid', expired: '⌛ expired', notYetValid: '⏳ not yet valid' }[details.validity];
+
+        const lines = [
+            `   Subject: ${this.formatDistinguishedName(details.subject) || '(empty)'}`,
+            `   Issuer: ${details.selfIssued ? 'itself (self-issued)' : this.formatDistinguishedName(details.issuer)}`,
+            `   Serial number: ${details.serialNumber} · version ${details.version}`,
+            `   Validity: ${this.formatDate(details.notBefore)} to ${this.formatDate(details.notAfter)} (${validity})`,
+            `   Public key: ${details.publicKey} · signed with ${details.signatureAlgorithm}`,
+            `   Basic constraints: ${details.basicConstraints
+                ? `${details.basicConstraints.ca ? `CA${details.basicConstraints.pathLength !== null ? `, path length ${details.basicConstraints.pathLength}` : ''}` : 'not a CA'}${critical(details.basicConstraints)}`
+                : 'none'}`,
+            `   Key usage: ${details.keyUsage
+                ? `${details.keyUsage.usages.map(usage => KEY_USAGES[usage].label).join(', ') || 'none'}${critical(details.keyUsage)}`
+                : 'not restricted'}`,
+            `   Extended key usage: ${details.extKeyUsage
+                ? `${details.extKeyUsage.usages.map(usage => EXTENDED_KEY_USAGES[usage]?.label || usage).join(', ')}${critical(details.extKeyUsage)}`
+                : 'not restricted'}`,
+            `   Alternative names: ${this.formatSubjectAltNames(details.san)}`
+        ];
+        if (details.nameConstraints) {
+            const { permitted, excluded } = details.nameConstraints;
+            lines.push(`   Name constraints: permitted ${this.formatSubjectAltNames(permitted)}; excluded ${this.formatSubjectAltNames(excluded)}`);
+        }
+        if (details.subjectKeyId) lines.push(`   Subject key ID: ${details.subjectKeyId}`);
+        if (details.authorityKeyId) lines.push(`   Authority key ID: ${details.authorityKeyId}`);
+        if (details.otherExtensions.length > 0) {
+            lines.push(`   Other extensions: ${details.otherExtensions.map(extension => `${extension.name || extension.oid}${critical(extension)}`).join(', ')}`);
+        }
+        lines.push(`   SHA-1: ${details.sha1}`, `   SHA-256: ${details.sha256}`);
+        return lines;
+    },
+
+    // Chain validation report: the path, then every check grouped by certificate
+    formatChainValidation(result) {
+        const symbols = { passed: '✅', failed: '❌', skipped: '➖' };
+        const lines = [
+            result.valid ? '✅ The chain is valid' : `❌ The chain is not valid: ${result.failures.length || 1} check(s) failed`,
+            '',
+            'Path:'
+        ];
+        result.path.forEach((entry, index) => {
+            lines.push(`   ${index + 1}. ${this.formatDistinguishedName(entry.subject)}${entry.anchor ? ' [trust anchor]' : ''}`);
+        });
+
+        let current = null;
+        result.checks.forEach(check => {
+            if (check.index !== current) {
+                current = check.index;
+                lines.push('', `Certificate ${check.index + 1}: ${check.certificate}`);
+            }
+            lines.push(`   ${symbols[check.status]} ${check.label}: ${check.detail}`);
+        });
+
+        if (result.failures.length > 0) {
+            lines.push('', 'Failed checks:');
+            result.failures.forEach(check => lines.push(`   • Certificate ${check.index + 1} (${check.certificate}), ${check.label}: ${check.detail}`));
+        }
+        return lines;
+    },
+
+    // Summarise a key's third-party certifications, e.g. "Bob <bob@example.org> (level 3, local)"
+    formatCertifications(certifications) {
+        if (!certifications || certifications.length === 0) return 'No certifications from keys in your keyring';
+        
+        return certifications.map(certification => {
+            const notes = [`level ${certification.level}`];
+            if (certification.local) notes.push('local');
+            return `${certification.signerUserId} (${notes.join(', ')})`;
+        }).join('; ');
+    },
+
+    formatSignatureStatus(signature) {
+        if (!signature) return 'ℹ️ Not signed';
+        
+        // Name the contact owning the key first when there is one
+        const userId = signature.signer || 'Unknown signer';
+        const signer = signature.contact ? `${signature.contact} (${userId})` : userId;
+        const lines = [];
+        
+        switch (signature.status) {
+            case 'valid':
+                lines.push(`✅ Good signature from ${signer}` +
+                    (signature.validity !== undefined ? `, ${this.formatKeyValidity(signature.validity)}` : ''));
+                if (['unknown', 'marginal'].includes(signature.validity)) {
+                    lines.push('⚠️ Not certified by enough keys you trust: there is no strong indication that the signature belongs to the owner.');
+                }
+                break;
+            case 'invalid':
+                lines.push(`❌ BAD signature from ${signer}`);
+                break;
+            default:
+                lines.push('❔ Signed by a key that is not in your keyring');
+        }
+        
+        lines.push(`Key ID: ${signature.keyId}`);
+        if (signature.fingerprint) {
+            lines.push(`Fingerprint: ${this.formatFingerprint(signature.fingerprint)}`);
+        }
+        if (signature.created) {
+            lines.push(`Signed: ${this.formatDate(signature.created)}`);
+        }
+        if (signature.error) {
+            lines.push(`Reason: ${signature.error}`);
+        }
+        
+        return lines.join('\n');
+    },
+
+    // Indented MIME tree of an opened email; decrypted content sits under its multipart/encrypted node
+    formatMimeTree(description, depth = 0) {
+        const roles = {
+            encrypted: '🔒 encrypted',
+            signed: '✍️ signed',
+            signature: 'signature',
+            control: 'PGP/MIME'
+        };
+        const notes = [
+            description.filename ? `"${description.filename}"` : null,
+            description.children.length === 0 ? this.formatFileSize(description.size) : null,
+            roles[description.role] || null
+        ].filter(Boolean);
+
+        const lines = [`${'    '.repeat(depth)}${description.contentType}${notes.length ? ` (${notes.join(', ')})` : ''}`];
+        description.children.forEach(child => lines.push(this.formatMimeTree(child, depth + 1)));
+        return lines.join('\n');
+    },
+
+    // Format an inspector summary as readable lines
+    formatInspection(summary) {
+        const lines = [`Packets: ${summary.packets.join(', ') || '-'}`];
+        
+        summary.keys.forEach(key => {
+            const { metadata } = key;
+            lines.push('', `${metadata.hasPrivateKey ? '🔑' : '🗝️'} ${metadata.userIds[0] || 'No user ID'}${key.inKeyring ? ' (in keyring)' : ''}`);
+            lines.push(`   Fingerprint: ${this.formatFingerprint(metadata.fingerprint)}`);
+            lines.push(`   Algorithm: ${metadata.algorithm}, created ${this.formatDate(metadata.created)}`);
+            lines.push(`   Usage: ${this.formatUsage(metadata.capabilities)}`);
+            if (metadata.revoked) {
+                lines.push(`   ⛔ ${this.formatRevocationStatus(metadata)}`);
+            }
+            if (metadata.subkeyIds.length > 0) {
+                lines.push(`   Subkeys: ${metadata.subkeyIds.join(', ')}`);
+            }
+        });
+        
+        if (summary.recipients.length > 0) {
+            lines.push('', 'Recipients:');
+            summary.recipients.forEach(recipient => {
+                const who = recipient.wildcard
+                    ? 'hidden recipient (wildcard key ID)'
+                    : `${recipient.keyId} ${recipient.known ? `- ${recipient.known}${recipient.hasSecretKey ? ' (you)' : ''}` : '- not in keyring'}`;
+                lines.push(`   • ${who} [${recipient.algorithm}]`);
+            });
+        }
+        if (summary.passwordProtected) {
+            lines.push('', `🔐 Password-protected (${summary.passwordAlgorithms.join(', ')})`);
+        }
+        
+        if (summary.signatures.length > 0) {
+            lines.push('', 'Signatures:');
+            summary.signatures.forEach(signature => {
+                const details = [signature.algorithm, signature.hashAlgorithm, signature.created && this.formatDate(signature.created)]
+                    .filter(Boolean).join(', ');
+                lines.push(`   • ${signature.keyId} - ${signature.signer || 'not in keyring'}${details ? ` (${details})` : ''}`);
+            });
+        }
+        
+        if (summary.literal) {
+            lines.push('', `Literal data: ${summary.literal.filename || '(no filename)'}, ${summary.literal.format}`);
+        }
+        if (summary.text !== undefined) {
+            lines.push('', 'Signed text:', this.truncateText(summary.text, 200));
+        }
+        
+        return lines.join('\n');
+    },
+
+    // Format a packet dump like gpg --list-packets, indenting packets nested in compressed data
+    formatPacketDump(packets, depth = 0) {
+        const indent = '    '.repeat(depth);
+        const lines = [];
+        
+        packets.forEach(packet => {
+            lines.push(`${indent}# off=${packet.offset} ${packet.headerFormat} hlen=${packet.headerLength} plen=${packet.length}${packet.partial ? ' partial' : ''}`);
+            lines.push(`${indent}:${packet.name} packet (tag ${packet.tag}):`);
+            
+            Object.entries(packet.details).forEach(([name, value]) => {
+                const shown = value instanceof Date ? value.toISOString() : value;
+                lines.push(`${indent}\t${name}: ${shown}`);
+            });
+            packet.subpackets.forEach(subpacket => {
+                const flags = [subpacket.hashed ? 'hashed' : 'unhashed', subpacket.critical ? 'critical' : null].filter(Boolean).join(', ');
+                lines.push(`${indent}\tsubpkt ${subpacket.type} (${subpacket.name}, ${flags}): ${subpacket.value}`);
+            });
+            packet.warnings.forEach(warning => lines.push(`${indent}\t⚠️ ${warning}`));
+            
+            if (packet.children.length > 0) {
+                lines.push(this.formatPacketDump(packet.children, depth + 1));
+            }
+        });
+        
+        return lines.join('\n');
+    },
+
     // Format file size for display
     formatFileSize(bytes) {
         if (bytes === 0) return '0 Bytes';
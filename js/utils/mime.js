@@ -0,0 +1,319 @@
+// MIME (RFC 2045-2047) building and parsing for email messages. Entities are CRLF strings; bodies are kept 7-bit.
+export const Mime = {
+    // ==================== BUILDING ====================
+
+    // Serialize headers ([[name, value]]) and a body into an entity
+    createEntity(headers, body = '') {
+        return `${headers.map(([name, value]) => `${name}: ${value}`).join('\r\n')}\r\n\r\n${body}`;
+    },
+
+    // Body of a multipart entity from complete part entities
+    createMultipartBody(parts, boundary, preamble = 'This is a multi-part message in MIME format.') {
+        const delimited = parts.map(part => `--${boundary}\r\n${part}\r\n`).join('');
+        return `${preamble}\r\n${delimited}--${boundary}--\r\n`;
+    },
+
+    createBoundary() {
+        const random = Array.from(crypto.getRandomValues(new Uint8Array(18)), byte => byte.toString(16).padStart(2, '0')).join('');
+        return `----=_Part_${random}`;
+    },
+
+    // Text part, quoted-printable so that signatures survive transport unchanged
+    createTextPart(text, subtype = 'plain') {
+        return this.createEntity([
+            ['Content-Type', `text/${subtype}; charset=utf-8`],
+            ['Content-Transfer-Encoding', 'quoted-printable']
+        ], this.encodeQuotedPrintable(text));
+    },
+
+    // Base64 attachment part
+    createAttachmentPart(data, filename, mimeType = 'application/octet-stream') {
+        const name = this.formatParameter('name', filename);
+        return this.createEntity([
+            ['Content-Type', `${mimeType || 'application/octet-stream'}; ${name}`],
+            ['Content-Transfer-Encoding', 'base64'],
+            ['Content-Disposition', `attachment; ${this.formatParameter('filename', filename)}`]
+        ], this.encodeBase64(data));
+    },
+
+    // name="value", or RFC 2231 name*=UTF-8''value for non-ASCII values
+    formatParameter(name, value) {
+        if (/^[\x20-\x7e]*$/.test(value)) {
+            return `${name}="${value.replace(/["\\]/g, '\\$&')}"`;
+        }
+        const encoded = encodeURIComponent(value).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+        return `${name}*=UTF-8''${encoded}`;
+    },
+
+    // RFC 2047 encoded words for non-ASCII header text (Subject, display names)
+    encodeHeaderText(text) {
+        if (/^[\x20-\x7e]*$/.test(text)) {
+            return text;
+        }
+
+        // Keep each encoded word under 75 characters without splitting a character
+        const words = [];
+        let chunk = '';
+        for (const char of text) {
+            if (new TextEncoder().encode(chunk + char).length > 45) {
+                words.push(chunk);
+                chunk = '';
+            }
+            chunk += char;
+        }
+        words.push(chunk);
+
+        return words.map(word => `=?UTF-8?B?${this.encodeBase64(new TextEncoder().encode(word), 0)}?=`).join('\r\n ');
+    },
+
+    // ==================== ENCODINGS ====================
+
+    // Base64, wrapped at lineLength characters (0 for a single line)
+    encodeBase64(data, lineLength = 76) {
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+
+        const encoded = btoa(binary);
+        if (!lineLength) return encoded;
+        return (encoded.match(new RegExp(`.{1,${lineLength}}`, 'g')) || []).join('\r\n');
+    },
+
+    decodeBase64(text) {
+        const binary = atob(text.replace(/[^A-Za-z0-9+/]/g, ''));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    },
+
+    // Quoted-printable with soft line breaks at 76 characters. Trailing whitespace and a leading "From " are
+    // encoded, since mail transports alter both.
+    encodeQuotedPrintable(text) {
+        const encoder = new TextEncoder();
+
+        return text.replace(/\r\n?/g, '\n').split('\n').map(line => {
+            const bytes = encoder.encode(line);
+            const tokens = Array.from(bytes, (byte, index) => {
+                const isLast = index === bytes.length - 1;
+                if ((byte >= 33 && byte <= 126 && byte !== 61) || ((byte === 32 || byte === 9) && !isLast)) {
+                    return String.fromCharCode(byte);
+                }
+                return `=${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+            });
+            if (line.startsWith('From ')) {
+                tokens[0] = '=46';
+            }
+
+            let output = '';
+            let current = '';
+            tokens.forEach(token => {
+                if (current.length + token.length > 75) {
+                    output += `${current}=\r\n`;
+                    current = '';
+                }
+                current += token;
+            });
+            return output + current;
+        }).join('\r\n');
+    },
+
+    decodeQuotedPrintable(text) {
+        const joined = text.replace(/[ \t]+(?=\r?\n)/g, '').replace(/=\r?\n/g, '');
+        const bytes = [];
+        const encoder = new TextEncoder();
+
+        for (let i = 0; i < joined.length; i++) {
+            const char = joined[i];
+            const hex = joined.slice(i + 1, i + 3);
+            if (char === '=' && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+                bytes.push(parseInt(hex, 16));
+                i += 2;
+            } else {
+                bytes.push(...encoder.encode(char));
+            }
+        }
+
+        return new Uint8Array(bytes);
+    },
+
+    // Decode RFC 2047 encoded words in a header value
+    decodeHeaderText(value) {
+        return (value || '')
+            .replace(/(=\?[^?]+\?[bBqQ]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+            .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([bBqQ])\?([^?]*)\?=/g, (word, charset, encoding, text) => {
+                try {
+                    const bytes = encoding.toUpperCase() === 'B'
+                        ? this.decodeBase64(text)
+                        : this.decodeQuotedPrintable(text.replace(/_/g, ' '));
+                    return this.decodeText(bytes, charset);
+                } catch (error) {
+                    return word;
+                }
+            });
+    },
+
+    // Bytes to text in a MIME charset, falling back to UTF-8 for charsets the browser does not know
+    decodeText(bytes, charset = 'utf-8') {
+        try {
+            return new TextDecoder(charset || 'utf-8').decode(bytes);
+        } catch (error) {
+            return new TextDecoder('utf-8').decode(bytes);
+        }
+    },
+
+    // ==================== PARSING ====================
+
+    // Parse a message into a tree of { headers, contentType, params, raw, body, parts }. raw is the exact entity
+    // text with CRLF line endings, which is what a multipart/signed signature covers.
+    parse(text) {
+        return this.parseEntity(text.replace(/\r?\n/g, '\r\n'));
+    },
+
+    parseEntity(raw) {
+        const separator = raw.startsWith('\r\n') ? 0 : raw.indexOf('\r\n\r\n');
+        const headerText = separator === -1 ? raw : raw.slice(0, separator);
+        const body = separator === -1 ? '' : raw.slice(separator + (separator === 0 ? 2 : 4));
+
+        const headers = this.parseHeaders(headerText);
+        const contentType = this.parseHeaderValue(this.getHeader(headers, 'content-type') || 'text/plain; charset=us-ascii');
+        const node = {
+            headers,
+            contentType: contentType.value,
+            params: contentType.params,
+            raw,
+            body,
+            parts: []
+        };
+
+        if (contentType.value.startsWith('multipart/') && contentType.params.boundary) {
+            node.parts = this.splitMultipart(body, contentType.params.boundary).map(part => this.parseEntity(part));
+        }
+
+        return node;
+    },
+
+    // Unfold header lines into [{ name, value }] with lowercased names
+    parseHeaders(text) {
+        const headers = [];
+        text.split('\r\n').forEach(line => {
+            if (/^[ \t]/.test(line) && headers.length > 0) {
+                headers[headers.length - 1].value += ` ${line.trim()}`;
+                return;
+            }
+            const colon = line.indexOf(':');
+            if (colon > 0) {
+                headers.push({ name: line.slice(0, colon).trim().toLowerCase(), value: line.slice(colon + 1).trim() });
+            }
+        });
+        return headers;
+    },
+
+    getHeader(headers, name) {
+        return headers.find(header => header.name === name)?.value || null;
+    },
+
+    // Split "type/subtype; a=b; c="d"" into { value, params }, including RFC 2231 name*= parameters
+    parseHeaderValue(value) {
+        const [main, ...rest] = this.splitParameters(value);
+        const params = {};
+
+        rest.forEach(part => {
+            const eq = part.indexOf('=');
+            if (eq === -1) return;
+
+            let name = part.slice(0, eq).trim().toLowerCase();
+            let paramValue = part.slice(eq + 1).trim();
+            if (paramValue.startsWith('"') && paramValue.endsWith('"')) {
+                paramValue = paramValue.slice(1, -1).replace(/\\(.)/g, '$1');
+            }
+            if (name.endsWith('*')) {
+                name = name.slice(0, -1);
+                const match = paramValue.match(/^([^']*)'[^']*'(.*)$/);
+                if (match) {
+                    const bytes = (match[2].match(/%[0-9A-Fa-f]{2}|[\s\S]/g) || [])
+                        .map(token => (token.length === 3 ? parseInt(token.slice(1), 16) : token.charCodeAt(0) & 0xff));
+                    paramValue = this.decodeText(new Uint8Array(bytes), match[1] || 'utf-8');
+                }
+            }
+            params[name] = paramValue;
+        });
+
+        return { value: main.trim().toLowerCase(), params };
+    },
+
+    // Split on semicolons outside quoted strings
+    splitParameters(value) {
+        const parts = [];
+        let current = '';
+        let quoted = false;
+
+        for (let i = 0; i < value.length; i++) {
+            const char = value[i];
+            if (char === '\\' && quoted) {
+                current += char + (value[i + 1] || '');
+                i++;
+                continue;
+            }
+            if (char === '"') quoted = !quoted;
+            if (char === ';' && !quoted) {
+                parts.push(current);
+                current = '';
+                continue;
+            }
+            current += char;
+        }
+        parts.push(current);
+
+        return parts;
+    },
+
+    // Part texts between the boundary delimiters, without the CRLF that belongs to each delimiter
+    splitMultipart(body, boundary) {
+        const text = `\r\n${body}`;
+        const delimiter = `\r\n--${boundary}`;
+        const parts = [];
+        let position = text.indexOf(delimiter);
+
+        while (position !== -1) {
+            const afterDelimiter = position + delimiter.length;
+            if (text.startsWith('--', afterDelimiter)) break;
+
+            const lineEnd = text.indexOf('\r\n', afterDelimiter);
+            if (lineEnd === -1) break;
+
+            const next = text.indexOf(delimiter, lineEnd);
+            parts.push(text.slice(lineEnd + 2, next === -1 ? text.length : next));
+            position = next;
+        }
+
+        return parts;
+    },
+
+    // Decoded body bytes according to Content-Transfer-Encoding
+    decodeBody(node) {
+        const encoding = (this.getHeader(node.headers, 'content-transfer-encoding') || '7bit').toLowerCase();
+        if (encoding === 'base64') {
+            return this.decodeBase64(node.body);
+        }
+        if (encoding === 'quoted-printable') {
+            return this.decodeQuotedPrintable(node.body);
+        }
+        return new TextEncoder().encode(node.body);
+    },
+
+    getText(node) {
+        return this.decodeText(this.decodeBody(node), node.params.charset || 'utf-8');
+    },
+
+    // Filename from Content-Disposition, or the older Content-Type name parameter
+    getFilename(node) {
+        const disposition = this.parseHeaderValue(this.getHeader(node.headers, 'content-disposition') || '');
+        const filename = disposition.params.filename || node.params.name;
+        return filename ? this.decodeHeaderText(filename) : null;
+    },
+
+    isAttachment(node) {
+        const disposition = this.parseHeaderValue(this.getHeader(node.headers, 'content-disposition') || '').value;
+        return disposition === 'attachment' || (!!this.getFilename(node) && !node.contentType.startsWith('multipart/'));
+    }
+};
@@ -0,0 +1,98 @@
+// Minimal ZIP writer (stored entries, no compression) for small generated bundles
+export const Zip = {
+    // Build a ZIP archive from [{ name, data }] where data is a string or Uint8Array.
+    // Names ending in "/" become directory entries.
+    createArchive(entries, date = new Date()) {
+        const encoder = new TextEncoder();
+        const { time, day } = this.toDosDateTime(date);
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        entries.forEach(entry => {
+            const name = encoder.encode(entry.name);
+            const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : (entry.data || new Uint8Array(0));
+            const crc = this.crc32(data);
+            const isDirectory = entry.name.endsWith('/');
+
+            // Local file header; flag 0x0800 marks UTF-8 names
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint16(8, 0, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, day, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, day, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(38, isDirectory ? 0x10 : 0, true);
+            central.setUint32(42, offset, true);
+
+            localParts.push(new Uint8Array(local.buffer), name, data);
+            centralParts.push(new Uint8Array(central.buffer), name);
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, entries.length, true);
+        end.setUint16(10, entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return this.concat([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+    },
+
+    // MS-DOS date and time fields used by ZIP headers (local time, 2-second resolution)
+    toDosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            day: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    },
+
+    crc32(data) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256).map((_, n) => {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                return c;
+            });
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = this.crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    },
+
+    concat(parts) {
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            result.set(part, position);
+            position += part.length;
+        });
+        return result;
+    }
+};
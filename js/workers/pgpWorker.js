@@ -0,0 +1,183 @@
+import * as openpgp from 'https://cdn.jsdelivr.net/npm/openpgp@6.1.1/dist/openpgp.min.mjs';
+import { KeyManager } from '../modules/keyManager.js';
+import { KeyAgent } from '../modules/keyAgent.js';
+import { CryptoOps } from '../modules/cryptoOps.js';
+import { CONSTANTS } from '../utils/constants.js';
+
+// workers/pgpWorker.js - Runs key generation, file encryption/decryption and bulk verification off the main thread.
+// Keys arrive armored (secret keys still passphrase-protected); unlocked keys only ever live in this worker's agent.
+self.openpgp = openpgp;
+
+class PGPWorker {
+    constructor() {
+        // Only used for key generation; jobs that need keys get a keyring of their own (see loadKeys)
+        this.keyManager = new KeyManager();
+        this.keyAgent = new KeyAgent({
+            lockOnHide: false,
+            onLock: () => this.postStatus()
+        });
+
+        this.operations = {
+            generateKey: this.generateKey,
+            encryptFile: this.encryptFile,
+            decryptFile: this.decryptFile,
+            verifyDetached: this.verifyDetached,
+            lock: this.lock
+        };
+    }
+
+    // Handle one { id, operation, params } request and answer with progress, result or error messages
+    async handleMessage({ id, operation, params }) {
+        const handler = this.operations[operation];
+        let reply;
+
+        try {
+            if (!handler) {
+                throw new Error(`Unknown worker operation: ${operation}`);
+            }
+
+            const result = await handler.call(this, params, this.createReporter(id));
+            reply = { id, type: 'result', result };
+        } catch (error) {
+            reply = { id, type: 'error', message: error.message, code: error.code || null };
+        }
+
+        // Report the agent state first so the page is up to date when the job settles
+        this.postStatus();
+        if (id !== null) {
+            self.postMessage(reply);
+        }
+    }
+
+    // Progress callbacks for one job, throttled so large files do not flood the main thread
+    createReporter(id) {
+        let lastPosted = 0;
+
+        return {
+            stage: (stage) => self.postMessage({ id, type: 'progress', stage }),
+            bytes: (loaded, total) => {
+                const now = Date.now();
+                if (loaded < total && now - lastPosted < CONSTANTS.WORKER.PROGRESS_INTERVAL) return;
+                lastPosted = now;
+                self.postMessage({ id, type: 'progress', loaded, total });
+            }
+        };
+    }
+
+    postStatus() {
+        self.postMessage({ type: 'status', unlockedKeys: this.keyAgent.getStatus().unlockedKeys });
+    }
+
+    // ==================== OPERATIONS ====================
+
+    async generateKey({ userInfo, config }, report) {
+        report.stage('Generating key');
+        return this.keyManager.createArmoredKey(userInfo, config);
+    }
+
+    async encryptFile({ file, recipients, privateKey, passphrase, agentTimeout, options }, report) {
+        const { keyManager, cryptoOps } = await this.loadKeys({ privateKey });
+        const signingPassphrase = options.sign
+            ? await this.unlockCurrentKey(keyManager, passphrase, agentTimeout)
+            : null;
+
+        report.stage('Encrypting');
+        const result = await cryptoOps.encryptFile(file, recipients, {
+            ...options,
+            encryptToSelf: false,
+            passphrase: signingPassphrase,
+            onProgress: report.bytes
+        });
+
+        // Streams cannot be posted everywhere; a Blob can, and the browser may keep it on disk
+        return { ...result, data: await new Response(result.data).blob() };
+    }
+
+    async decryptFile({ file, sessionKeys, privateKey, publicKeys, passphrase, agentTimeout }, report) {
+        const { keyManager, cryptoOps } = await this.loadKeys({ privateKey, publicKeys });
+        const decryptionPassphrase = sessionKeys
+            ? null
+            : await this.unlockCurrentKey(keyManager, passphrase, agentTimeout);
+
+        report.stage('Decrypting');
+        const result = await cryptoOps.decryptFile(file, {
+            sessionKeys,
+            passphrase: decryptionPassphrase,
+            onProgress: report.bytes
+        });
+
+        const data = await new Response(result.data).blob();
+        const { getSignatureDetails, ...rest } = result;
+        return { ...rest, data, signatureDetails: await getSignatureDetails() };
+    }
+
+    async verifyDetached({ items, publicKeys }, report) {
+        const { cryptoOps } = await this.loadKeys({ publicKeys });
+
+        report.stage('Verifying');
+        return cryptoOps.verifyDetachedSignatures(items, { onProgress: report.bytes });
+    }
+
+    lock({ fingerprint = null } = {}) {
+        if (fingerprint) {
+            this.keyAgent.forget(fingerprint);
+        } else {
+            this.keyAgent.lockAll('requested by page');
+        }
+    }
+
+    // ==================== KEYS ====================
+
+    // Build a keyring with just the keys a job needs. Jobs overlap (one may wait for a passphrase while another
+    // starts), so each gets its own; the agent cache is shared and survives between jobs.
+    async loadKeys({ privateKey = null, publicKeys = [] }) {
+        const keyManager = new KeyManager();
+
+        for (const armoredKey of publicKeys) {
+            keyManager.addToKeyring(await keyManager.createKeyPairFromArmored(armoredKey));
+        }
+        if (privateKey) {
+            keyManager.addToKeyring(await keyManager.createKeyPairFromArmored(privateKey), true);
+        }
+
+        return { keyManager, cryptoOps: new CryptoOps(keyManager, this.keyAgent) };
+    }
+
+    // Make sure the active key can be used. Returns the passphrase to pass on when the agent does not cache
+    // (idle timeout 0), or null when the agent holds the unlocked key.
+    async unlockCurrentKey(keyManager, passphrase, agentTimeout) {
+        const keyPair = keyManager.getCurrentKeyPair();
+        if (!keyPair) {
+            throw new Error(CONSTANTS.ERRORS.NO_KEYS);
+        }
+        if (keyPair.privateKeyObj.isDecrypted() || this.keyAgent.isUnlocked(keyPair)) {
+            return null;
+        }
+        if (!passphrase) {
+            throw this.codedError('Passphrase required', 'KEY_LOCKED');
+        }
+
+        if (this.keyAgent.timeout !== agentTimeout) {
+            this.keyAgent.setIdleTimeout(agentTimeout);
+        }
+
+        try {
+            // Only checks the passphrase when the agent does not cache; the job decrypts its own copy
+            this.keyAgent.release(keyPair, await this.keyAgent.unlock(keyPair, passphrase));
+        } catch (error) {
+            throw this.codedError('Incorrect passphrase', 'BAD_PASSPHRASE');
+        }
+
+        return this.keyAgent.isUnlocked(keyPair) ? null : passphrase;
+    }
+
+    codedError(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+}
+
+const pgpWorker = new PGPWorker();
+self.addEventListener('message', event => pgpWorker.handleMessage(event.data));
+self.postMessage({ type: 'ready' });
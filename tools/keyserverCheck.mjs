@@ -0,0 +1,112 @@
+// tools/keyserverCheck.mjs - Runs the keyserver client (js/modules/keyserver.js) against the mock keyserver:
+// upload with address verification, search and refresh over VKS, and upload and search over HKP.
+//
+//   node tools/keyserverCheck.mjs
+//
+// The app loads OpenPGP.js from a CDN; here it comes from npm (npm install --no-save openpgp@6.1.1).
+// Prints one line per check and exits with status 1 when any of them fails.
+import { createMockKeyserver } from './mockKeyserver.mjs';
+import { KeyManager } from '../js/modules/keyManager.js';
+import { Keyserver } from '../js/modules/keyserver.js';
+
+try {
+    globalThis.openpgp = await import('openpgp');
+} catch (error) {
+    console.error('OpenPGP.js is not installed; run: npm install --no-save openpgp@6.1.1');
+    process.exit(1);
+}
+
+let failures = 0;
+
+function check(label, passed, detail = '') {
+    console.log(`${passed ? 'ok  ' : 'FAIL'} ${label}${!passed && detail ? ` (${detail})` : ''}`);
+    if (!passed) failures++;
+}
+
+// An unprotected secret key in a fresh keyring, standing in for one user's browser
+async function createUser(name, email) {
+    const keyManager = new KeyManager();
+    const { privateKey } = await openpgp.generateKey({ userIDs: [{ name, email }], format: 'armored' });
+    const keyPair = await keyManager.importArmoredKey(privateKey);
+    return { keyManager, keyPair };
+}
+
+// ==================== VKS ====================
+
+async function checkVks(url) {
+    const alice = await createUser('Alice', 'alice@example.org');
+    const aliceClient = new Keyserver(alice.keyManager, { url, protocol: 'vks' });
+    const { fingerprint, keyId } = alice.keyPair.metadata;
+
+    const upload = await aliceClient.uploadKey(alice.keyPair);
+    check('vks: upload returns the key fingerprint', upload.fingerprint === fingerprint, upload.fingerprint);
+    check('vks: upload requests verification and the address is published',
+        upload.status['alice@example.org'] === 'published', JSON.stringify(upload.status));
+
+    // Bob knows Alice only from the keyserver
+    const bob = new KeyManager();
+    const bobClient = new Keyserver(bob, { url, protocol: 'vks' });
+
+    for (const query of ['alice@example.org', fingerprint, keyId]) {
+        const results = await bobClient.search(query);
+        check(`vks: search by ${query} finds the uploaded key`,
+            results.length === 1 && results[0].metadata.fingerprint === fingerprint && !results[0].inKeyring,
+            `${results.length} result(s)`);
+    }
+
+    const missing = await bobClient.search('nobody@example.org');
+    check('vks: search for an unknown address finds nothing', missing.length === 0, `${missing.length} result(s)`);
+
+    const [found] = await bobClient.search('alice@example.org');
+    await bob.importArmoredKey(found.armoredKey);
+    const carol = await createUser('Carol', 'carol@example.org');
+    await bob.importArmoredKey(carol.keyPair.publicKey);
+
+    // Alice revokes her key and publishes the revocation; Bob's refresh should pick it up
+    const revoked = await alice.keyManager.revokeKey(alice.keyPair, null, { reason: 'superseded' });
+    await aliceClient.uploadKey(revoked);
+
+    const results = await bobClient.refreshKeys();
+    const aliceResult = results.find(result => result.fingerprint === fingerprint);
+    const carolResult = results.find(result => result.fingerprint === carol.keyPair.metadata.fingerprint);
+    check('vks: refresh updates a key revoked on the server',
+        aliceResult?.status === 'updated' && aliceResult.changes.includes('revoked'), JSON.stringify(aliceResult));
+    check('vks: refresh marks the revocation in the keyring', bob.getKey(fingerprint)?.metadata.revoked === true);
+    check('vks: refresh reports keys the server does not have', carolResult?.status === 'not found', JSON.stringify(carolResult));
+}
+
+// ==================== HKP ====================
+
+async function checkHkp(url) {
+    const dave = await createUser('Dave', 'dave@example.org');
+    const daveClient = new Keyserver(dave.keyManager, { url, protocol: 'hkp' });
+    const { fingerprint } = dave.keyPair.metadata;
+
+    const upload = await daveClient.uploadKey(dave.keyPair);
+    check('hkp: upload returns the key fingerprint', upload.fingerprint === fingerprint, upload.fingerprint);
+
+    const client = new Keyserver(new KeyManager(), { url, protocol: 'hkp' });
+    for (const query of ['dave@example.org', fingerprint]) {
+        const results = await client.search(query);
+        check(`hkp: search by ${query} finds the uploaded key`,
+            results.length === 1 && results[0].metadata.fingerprint === fingerprint, `${results.length} result(s)`);
+    }
+}
+
+// ==================== RUN ====================
+
+const { server } = createMockKeyserver();
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const url = `http://127.0.0.1:${server.address().port}`;
+
+try {
+    await checkVks(url);
+    await checkHkp(url);
+} catch (error) {
+    check('keyserver checks ran to completion', false, error.message);
+} finally {
+    server.close();
+}
+
+console.log(failures === 0 ? 'All keyserver checks passed' : `${failures} keyserver check(s) failed`);
+process.exit(failures === 0 ? 0 : 1);